@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * Tughra command-line tool
+ *
+ * Encrypts and decrypts text and files from shell scripts and build pipelines. Input is read from
+ * a file or stdin and written to a file or stdout.
+ *
+ * Usage:
+ *   tughra encrypt [options] [input]
+ *   tughra decrypt [options] [input]
+ *   tughra keygen [--length <n>] [--groups <names>] [--export armored|json]
+ *   tughra fingerprint [--key <key> | --key-file <path>]
+ *   tughra algorithms
+ *
+ * Exit codes:
+ *   0 success, 1 unexpected error, 2 invalid usage, 3 bad key, 4 decode failure, 5 integrity failure
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Tughra, TughraLibrary, TughraKeyError, TughraDecodeError, TughraAlgorithmError, TughraIntegrityError } = require('../tughra.js');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_BAD_KEY = 3;
+const EXIT_DECODE = 4;
+const EXIT_INTEGRITY = 5;
+
+const HELP = `Usage: tughra <command> [options] [input]
+
+Commands:
+  encrypt              Encrypt the input
+  decrypt              Decrypt the input
+  keygen               Generate a random key from Unicode groups
+  fingerprint          Print the fingerprint of a key, to check that both sides share it
+  algorithms           List the available algorithms
+
+Options for encrypt/decrypt:
+  -a, --algorithm <name>   Algorithm (default: "default", the Tughra cipher)
+  -k, --key <key>          Encryption key (or use --key-file, or the TUGHRA_KEY variable)
+      --key-file <path>    Read the key from a file (plain text or a key file from keygen --export)
+      --key-policy <name>  Reject keys that do not meet a policy: basic, moderate or strict
+  -c, --cycles <n>         Number of cycles (default: 1)
+  -b, --base               Use base encoding/decoding (useBaseEncoding)
+      --charset <chars>    Base alphabet or preset: Base16, Base32, Base32hex, Base58,
+                           Base64 (default), Base64URL, Ascii85
+  -e, --envelope           Write/read a self-describing envelope (seal/open)
+      --kdf <name>         Derive the key with PBKDF2 or scrypt (envelope and binary modes)
+      --iterations <n>     PBKDF2 iterations
+      --integrity          Add (encrypt) or require (decrypt) an HMAC integrity tag
+                           (envelope and binary modes)
+      --binary             Treat the input as a binary file (encryptFile/decryptFile)
+      --shift <n>          Explicit shift for caesar, ASCII, Unicode Shift and Reversed Caesar
+      --affine <a,b>       Explicit Affine keys, a coprime to 26 (default: derived from the key)
+      --code-points        Code-point-safe Tughra cipher (output always valid UTF-8)
+      --alphabet <chars>   Alphabet for --code-points (default: U+0020 to U+10FFFF)
+      --tweak <text>       Per-record tweak for Format Preserving, e.g. a row ID
+  -o, --out <path>         Output file (default: stdout)
+
+Options for keygen:
+  -l, --length <n>         Number of characters (default: 16)
+  -g, --groups <names>     Comma-separated Unicode group names
+                           (default: "Uppercase English, Lowercase English, Numbers")
+      --weighted           Pick groups in proportion to their size
+      --entropy            Print the entropy of the generated key to stderr
+      --list-groups        List the available Unicode groups
+      --export <format>    Write a key file (armored or json) instead of the raw key
+
+  -h, --help               Show this help
+`;
+
+class UsageError extends Error {}
+
+function parse(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                algorithm: { type: 'string', short: 'a', default: 'default' },
+                key: { type: 'string', short: 'k' },
+                'key-file': { type: 'string' },
+                'key-policy': { type: 'string' },
+                cycles: { type: 'string', short: 'c', default: '1' },
+                base: { type: 'boolean', short: 'b', default: false },
+                charset: { type: 'string' },
+                envelope: { type: 'boolean', short: 'e', default: false },
+                kdf: { type: 'string' },
+                iterations: { type: 'string' },
+                integrity: { type: 'boolean', default: false },
+                binary: { type: 'boolean', default: false },
+                shift: { type: 'string' },
+                affine: { type: 'string' },
+                'code-points': { type: 'boolean', default: false },
+                alphabet: { type: 'string' },
+                tweak: { type: 'string' },
+                out: { type: 'string', short: 'o' },
+                length: { type: 'string', short: 'l', default: '16' },
+                groups: { type: 'string', short: 'g', default: 'Uppercase English, Lowercase English, Numbers' },
+                'list-groups': { type: 'boolean', default: false },
+                weighted: { type: 'boolean', default: false },
+                entropy: { type: 'boolean', default: false },
+                export: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function positiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`${name} must be a positive integer.`);
+    }
+    return number;
+}
+
+function nonNegativeInteger(value, name) {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isInteger(number) || number < 0) {
+        throw new UsageError(`${name} must be a non-negative integer.`);
+    }
+    return number;
+}
+
+function readInput(path) {
+    return fs.readFileSync(path && path !== '-' ? path : 0);
+}
+
+function writeOutput(path, data) {
+    if (path && path !== '-') {
+        fs.writeFileSync(path, data);
+    } else {
+        process.stdout.write(data);
+    }
+}
+
+// Key files from `keygen --export` are validated and their fingerprint is shown on stderr
+async function readKey(values, required) {
+    if (values['key-file']) {
+        const content = fs.readFileSync(values['key-file'], 'utf8');
+        if (content.trimStart().startsWith(TughraLibrary.KEY_ARMOR_BEGIN) || /^\s*\{/.test(content)) {
+            const { key, fingerprint } = await new TughraLibrary().importKey(content);
+            process.stderr.write(`Key fingerprint: ${fingerprint}\n`);
+            return key;
+        }
+        return content.replace(/\r?\n$/, '');
+    }
+    const key = values.key !== undefined ? values.key : process.env.TUGHRA_KEY;
+    if (key === undefined && !required) {
+        return '';
+    }
+    if (key === undefined) {
+        throw new UsageError("A key is required: pass --key, --key-file or set TUGHRA_KEY.");
+    }
+    return key;
+}
+
+async function crypt(mode, values, positionals) {
+    const algorithm = Tughra.listAlgorithms().find(info => info.name === values.algorithm);
+    if (!algorithm) {
+        throw new UsageError(`Unknown algorithm: ${values.algorithm}. Run "tughra algorithms" for the list.`);
+    }
+
+    const cycles = positiveInteger(values.cycles, '--cycles');
+    const options = { integrity: values.integrity, tweak: values.tweak };
+    if (values.kdf) {
+        options.kdf = { algorithm: values.kdf.toLowerCase() === 'scrypt' ? 'scrypt' : values.kdf.toUpperCase() };
+        if (values.iterations) {
+            options.kdf.iterations = positiveInteger(values.iterations, '--iterations');
+        }
+    }
+    if ((options.kdf || options.integrity) && !values.envelope && !values.binary) {
+        throw new UsageError("--kdf and --integrity require --envelope or --binary.");
+    }
+    if (values['key-policy'] !== undefined) {
+        if (!TughraLibrary.KEY_POLICIES[values['key-policy']]) {
+            throw new UsageError(`Unknown key policy: ${values['key-policy']}. Use ${Object.keys(TughraLibrary.KEY_POLICIES).join(', ')}.`);
+        }
+        options.keyPolicy = values['key-policy'];
+    }
+    if (values.shift !== undefined) {
+        options.shift = nonNegativeInteger(values.shift, '--shift');
+    }
+    if (values.affine !== undefined) {
+        const [a, b] = values.affine.split(',').map(Number);
+        if (!Number.isInteger(a) || !Number.isInteger(b)) {
+            throw new UsageError("--affine must be two integers, e.g. --affine 5,8.");
+        }
+        options.affine = { a, b };
+    }
+    if (values['code-points'] || values.alphabet !== undefined) {
+        options.codePoints = values.alphabet !== undefined ? { alphabet: values.alphabet } : true;
+    }
+
+    const key = await readKey(values, algorithm.requiresKey || values.envelope || values.binary);
+    const input = readInput(positionals[0]);
+
+    if (values.binary) {
+        const tughra = new Tughra(mode, values.charset, values.algorithm, key, values.base, options);
+        const result = mode === 'encrypt' ? await tughra.encryptFile(input, cycles) : await tughra.decryptFile(input);
+        return new Uint8Array(await result.arrayBuffer());
+    }
+
+    // A trailing newline from `echo` or an editor is never part of a ciphertext
+    const text = mode === 'decrypt' ? input.toString('utf8').replace(/\r?\n$/, '') : input.toString('utf8');
+
+    if (values.envelope) {
+        if (mode === 'decrypt') {
+            return Tughra.open(text, key, { shift: options.shift, affine: options.affine, integrity: options.integrity, tweak: options.tweak });
+        }
+        return new Tughra(mode, values.charset, values.algorithm, key, values.base, options).seal(text, cycles);
+    }
+
+    return new Tughra(mode, values.charset, values.algorithm, key, values.base, { shift: options.shift, affine: options.affine, codePoints: options.codePoints, keyPolicy: options.keyPolicy, tweak: options.tweak }).processAsync(text, cycles);
+}
+
+async function keygen(values) {
+    const library = new TughraLibrary();
+    if (values['list-groups']) {
+        return library.getUnicodeGroups().map(group => group.name).join('\n') + '\n';
+    }
+    const length = positiveInteger(values.length, '--length');
+    let details;
+    try {
+        details = library.generateKeyDetails(length, values.groups, { weightBySize: values.weighted });
+    } catch (error) {
+        throw new UsageError(error.message); // Unknown Unicode group name
+    }
+    if (values.entropy) {
+        process.stderr.write(`${details.entropy.toFixed(1)} bits of entropy\n`);
+    }
+    if (values.export !== undefined) {
+        if (!['armored', 'json'].includes(values.export)) {
+            throw new UsageError("--export must be armored or json.");
+        }
+        process.stderr.write(`Key fingerprint: ${await library.keyFingerprint(details.key)}\n`);
+        return library.exportKey(details.key, { groups: details.groups, algorithm: values.algorithm, format: values.export });
+    }
+    return details.key + '\n';
+}
+
+// One line per algorithm: name, then its registered capabilities
+function listAlgorithms() {
+    return Tughra.listAlgorithms().map(algorithm => {
+        const flags = [];
+        if (algorithm.maxCycles !== Infinity) flags.push(`max ${algorithm.maxCycles} cycle${algorithm.maxCycles === 1 ? '' : 's'}`);
+        if (!algorithm.usesKey) flags.push('no key');
+        else if (!algorithm.requiresKey) flags.push('optional key');
+        if (algorithm.binary) flags.push('binary');
+        if (algorithm.async) flags.push('async');
+        return flags.length ? `${algorithm.name} (${flags.join(', ')})` : algorithm.name;
+    }).join('\n') + '\n';
+}
+
+// Map library error classes and codes to exit codes so scripts can tell bad keys from damaged input
+function exitCodeFor(error) {
+    if (error instanceof UsageError) {
+        return EXIT_USAGE;
+    }
+    if (error instanceof TughraIntegrityError) {
+        return error.code === 'INTEGRITY_WRONG_KEY' ? EXIT_BAD_KEY : EXIT_INTEGRITY;
+    }
+    if (error instanceof TughraAlgorithmError && ['UNKNOWN_ALGORITHM', 'INVALID_OPTIONS'].includes(error.code)) {
+        return EXIT_USAGE; // e.g. --kdf, --alphabet or --charset values the library rejects
+    }
+    if (error instanceof TughraKeyError) {
+        return EXIT_BAD_KEY;
+    }
+    if (error instanceof TughraDecodeError) {
+        return EXIT_DECODE;
+    }
+    return EXIT_ERROR;
+}
+
+async function main(argv) {
+    const { values, positionals } = parse(argv);
+    const command = positionals.shift();
+
+    if (values.help || !command) {
+        process.stdout.write(HELP);
+        return command || values.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    switch (command) {
+        case 'encrypt':
+        case 'decrypt':
+            writeOutput(values.out, await crypt(command, values, positionals));
+            return EXIT_OK;
+        case 'keygen':
+            writeOutput(values.out, await keygen(values));
+            return EXIT_OK;
+        case 'fingerprint':
+            writeOutput(values.out, await new TughraLibrary().keyFingerprint(await readKey(values, true)) + '\n');
+            return EXIT_OK;
+        case 'algorithms':
+            writeOutput(values.out, listAlgorithms());
+            return EXIT_OK;
+        default:
+            throw new UsageError(`Unknown command: ${command}. Run "tughra --help" for usage.`);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`tughra: ${error.message}\n`);
+    process.exitCode = exitCodeFor(error);
+});
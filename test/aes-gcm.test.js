@@ -0,0 +1,38 @@
+const { Tughra, TughraIntegrityError, TughraAlgorithmError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+async function encrypt(text) {
+    return new Tughra('encrypt', null, 'AES-GCM', KEY).processAsync(text, 1);
+}
+
+describe('AES-GCM', () => {
+    test('round-trips text with a fresh IV per message', async () => {
+        const text = 'attack at dawn, مرحبا 𐀀';
+        const first = await encrypt(text);
+        expect(await encrypt(text)).not.toBe(first);
+        await expect(new Tughra('decrypt', null, 'AES-GCM', KEY).processAsync(first, 1)).resolves.toBe(text);
+    });
+
+    test('round-trips bytes', async () => {
+        const bytes = new Uint8Array(1000).map((byte, i) => i * 7);
+        const encrypted = await new Tughra('encrypt', null, 'AES-GCM', KEY).processBytes(bytes, 1);
+        await expect(new Tughra('decrypt', null, 'AES-GCM', KEY).processBytes(encrypted, 1)).resolves.toEqual(bytes);
+    });
+
+    test('rejects a wrong key', async () => {
+        const encrypted = await encrypt('attack at dawn');
+        await expect(new Tughra('decrypt', null, 'AES-GCM', 'wrong horse battery').processAsync(encrypted, 1)).rejects.toThrow(TughraIntegrityError);
+    });
+
+    test('rejects tampered ciphertext', async () => {
+        const encrypted = Buffer.from(await encrypt('attack at dawn'), 'base64');
+        encrypted[encrypted.length - 1] ^= 1;
+        await expect(new Tughra('decrypt', null, 'AES-GCM', KEY).processAsync(encrypted.toString('base64'), 1))
+            .rejects.toMatchObject({ code: 'INTEGRITY_CORRUPTED' });
+    });
+
+    test('requires processAsync()', () => {
+        expect(() => new Tughra('encrypt', null, 'AES-GCM', KEY).process('text', 1)).toThrow(TughraAlgorithmError);
+    });
+});
@@ -0,0 +1,51 @@
+const { Tughra, TughraAlgorithmError } = require('../tughra.js');
+
+describe('registerAlgorithm', () => {
+    test('registers a cipher and lists its metadata', () => {
+        Tughra.registerAlgorithm('Reverse', { symmetric: true, requiresKey: false, encrypt: text => [...text].reverse().join('') });
+        expect(Tughra.listAlgorithms().pop()).toEqual({
+            name: 'Reverse',
+            label: 'Reverse',
+            symmetric: true,
+            maxCycles: Infinity,
+            requiresKey: false,
+            usesKey: false,
+            minKeyLength: 0,
+            async: false,
+            positionIndependent: false,
+            binary: false
+        });
+        expect(new Tughra('encrypt', null, 'Reverse', '').process('abc', 1)).toBe('cba');
+    });
+
+    test('rejects a name that is already registered', () => {
+        const encrypt = text => text;
+        expect(() => Tughra.registerAlgorithm('caesar', { symmetric: true, encrypt })).toThrow(TughraAlgorithmError);
+        expect(() => Tughra.registerAlgorithm('caesar', { symmetric: true, encrypt })).toThrow(expect.objectContaining({ code: 'INVALID_DEFINITION' }));
+        expect(new Tughra('encrypt', null, 'caesar', 'correct horse battery').process('abc', 1)).not.toBe('abc');
+    });
+
+    test.each([
+        ['an empty name', '', { symmetric: true, encrypt: text => text }],
+        ['a missing encrypt function', 'No Encrypt', { symmetric: true }],
+        ['a missing decrypt function', 'No Decrypt', { encrypt: text => text }],
+        ['a zero maxCycles', 'Zero Cycles', { symmetric: true, encrypt: text => text, maxCycles: 0 }],
+        ['a fractional maxCycles', 'Half Cycles', { symmetric: true, encrypt: text => text, maxCycles: 1.5 }]
+    ])('rejects %s', (description, name, definition) => {
+        expect(() => Tughra.registerAlgorithm(name, definition)).toThrow(expect.objectContaining({ code: 'INVALID_DEFINITION' }));
+        expect(Tughra.listAlgorithms().some(algorithm => algorithm.name === name)).toBe(false);
+    });
+
+    test('clamps the cycle count to maxCycles', () => {
+        const encrypt = jest.fn(text => text + '!');
+        Tughra.registerAlgorithm('Twice', { requiresKey: false, encrypt, decrypt: text => text.slice(0, -1), maxCycles: 2 });
+        expect(new Tughra('encrypt', null, 'Twice', '').process('abc', 5)).toBe('abc!!');
+        expect(encrypt).toHaveBeenCalledTimes(2);
+        expect(new Tughra('decrypt', null, 'Twice', '').process('abc!!', 5)).toBe('abc');
+    });
+
+    test('built-in self-inverse ciphers run a single cycle', () => {
+        const once = new Tughra('encrypt', null, 'ROT13', '').process('attack', 1);
+        expect(new Tughra('encrypt', null, 'ROT13', '').process('attack', 4)).toBe(once);
+    });
+});
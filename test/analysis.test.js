@@ -0,0 +1,61 @@
+const { Tughra, TughraAnalysis, TughraAlgorithmError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+const TEXT = 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness, ' +
+    'it was the epoch of belief, it was the epoch of incredulity, it was the season of Light, it was the season of Darkness, ' +
+    'it was the spring of hope, it was the winter of despair, we had everything before us, we had nothing before us.';
+
+function encrypt(algorithm, key, options) {
+    return new Tughra('encrypt', null, algorithm, key, false, options).process(TEXT, 1);
+}
+
+// Classical letter Vigenère, as taught in workshops
+function vigenere(text, key) {
+    let position = 0;
+    return text.replace(/[A-Za-z]/g, char => {
+        const base = char <= 'Z' ? 65 : 97;
+        const shift = key.charCodeAt(position++ % key.length) - 97;
+        return String.fromCharCode((char.charCodeAt(0) - base + shift) % 26 + base);
+    });
+}
+
+describe('TughraAnalysis', () => {
+    test('frequencies count letters only', () => {
+        const { counts, total, frequencies } = TughraAnalysis.frequencies('Aab, b!');
+        expect(total).toBe(4);
+        expect(counts.slice(0, 3)).toEqual([2, 2, 0]);
+        expect(frequencies.a).toBe(0.5);
+    });
+
+    test('English scores better than its ciphertext', () => {
+        const ciphertext = encrypt('Atbash', '');
+        expect(TughraAnalysis.chiSquared(TEXT)).toBeLessThan(TughraAnalysis.chiSquared(ciphertext));
+        expect(TughraAnalysis.ngramScore(TEXT)).toBeGreaterThan(TughraAnalysis.ngramScore(ciphertext));
+    });
+
+    test('brute force recovers a Caesar shift', () => {
+        const [best] = TughraAnalysis.bruteForce(encrypt('caesar', KEY, { shift: 7 }), 'caesar');
+        expect(best).toMatchObject({ algorithm: 'caesar', key: { shift: 7 }, plaintext: TEXT });
+    });
+
+    test('guess() identifies Affine keys and ranks with confidences summing to 1', () => {
+        const guesses = TughraAnalysis.guess(encrypt('Affine', KEY, { affine: { a: 7, b: 3 } }), { top: Infinity });
+        expect(guesses[0]).toMatchObject({ algorithm: 'Affine', key: { a: 7, b: 3 }, plaintext: TEXT });
+        expect(guesses.reduce((sum, guess) => sum + guess.confidence, 0)).toBeCloseTo(1);
+    });
+
+    test('estimates the Vigenère key length and recovers the key', () => {
+        const ciphertext = vigenere(TEXT, 'lemon');
+        expect(TughraAnalysis.estimateKeyLength(ciphertext)[0].length).toBe(5);
+        expect(TughraAnalysis.vigenere(ciphertext)[0]).toMatchObject({ key: 'lemon', plaintext: TEXT });
+    });
+
+    test('breaks the library\'s byte-wise vigenere', () => {
+        expect(TughraAnalysis.vigenereBytes(encrypt('vigenere', 'secretkey'))[0]).toMatchObject({ key: 'secretkey', plaintext: TEXT });
+    });
+
+    test('rejects unsupported brute-force targets', () => {
+        expect(() => TughraAnalysis.bruteForce('text', 'AES-GCM')).toThrow(TughraAlgorithmError);
+        expect(() => TughraAnalysis.bruteForce('text', 'AES-GCM')).toThrow(expect.objectContaining({ code: 'UNKNOWN_ALGORITHM' }));
+    });
+});
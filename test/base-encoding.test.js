@@ -0,0 +1,60 @@
+const { Tughra, TughraDecodeError, TughraAlgorithmError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+function codec(baseCharset) {
+    return new Tughra('encrypt', baseCharset, 'Base64');
+}
+
+describe('base encoding', () => {
+    test.each([
+        ['Base16', 'foobar', '666F6F626172'],
+        ['Base32', 'foobar', 'MZXW6YTBOI======'],
+        ['Base32', 'fo', 'MZXQ===='],
+        ['Base32hex', 'foobar', 'CPNMUOJ1E8======'],
+        ['Base58', 'Hello World!', '2NEpo7TZRRrLZSi2U'],
+        ['Base64', 'foob', 'Zm9vYg=='],
+        ['Base64URL', 'ûÿ', 'w7vDvw'],
+        ['Ascii85', 'foobar', 'AoDTs@<)']
+    ])('%s encodes %p as the standard vector', (preset, text, encoded) => {
+        expect(codec(preset).toBase(text)).toBe(encoded);
+        expect(codec(preset).fromBase(encoded)).toBe(text);
+    });
+
+    test.each(Object.keys(Tughra.BASE_PRESETS).concat('ABC', '日本語の文字'))('%s round-trips bytes with leading zeros', baseCharset => {
+        const bytes = new Uint8Array(300).map((byte, i) => (i < 3 ? 0 : i * 37));
+        expect(codec(baseCharset).fromBase(codec(baseCharset).toBase(bytes), { bytes: true })).toEqual(bytes);
+        expect(codec(baseCharset).fromBase(codec(baseCharset).toBase(new Uint8Array(0)), { bytes: true })).toEqual(new Uint8Array(0));
+    });
+
+    test('Base58 keeps leading zero bytes and Ascii85 shortens zero groups', () => {
+        expect(codec('Base58').toBase(new Uint8Array([0, 0, 1, 2]))).toBe('115T');
+        expect(codec('Ascii85').toBase(new Uint8Array(8))).toBe('zz');
+    });
+
+    test('every character of a non-power-of-two alphabet is used', () => {
+        const used = new Set(codec('Base58').toBase(new Uint8Array(4096).map((byte, i) => i * 131)));
+        expect(used.size).toBe(58);
+    });
+
+    test('useBaseEncoding round-trips through a preset', () => {
+        const encrypted = new Tughra('encrypt', 'Base32', 'vigenere', KEY, true).process('attack at dawn', 2);
+        expect(encrypted).toMatch(/^[A-Z2-7]+=*$/);
+        expect(new Tughra('decrypt', 'Base32', 'vigenere', KEY, true).process(encrypted, 2)).toBe('attack at dawn');
+    });
+
+    test.each([
+        ['Base32', 'MZXW6===x'],
+        ['Base64', 'Zg='],
+        ['Base64', 'Zh=='],
+        ['Base58', '0OIl']
+    ])('%s rejects %p', (preset, text) => {
+        expect(() => codec(preset).fromBase(text)).toThrow(TughraDecodeError);
+        expect(() => codec(preset).fromBase(text)).toThrow(expect.objectContaining({ code: 'INVALID_BASE' }));
+    });
+
+    test.each(['a', 'aab'])('rejects the charset %p', baseCharset => {
+        expect(() => codec(baseCharset)).toThrow(TughraAlgorithmError);
+        expect(() => codec(baseCharset)).toThrow(expect.objectContaining({ code: 'INVALID_OPTIONS' }));
+    });
+});
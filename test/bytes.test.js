@@ -0,0 +1,26 @@
+const { Tughra } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+describe('text and byte paths', () => {
+    test('xor uses the same key bytes for text and bytes', async () => {
+        const encrypter = new Tughra('encrypt', null, 'xor', KEY, false, { kdf: { algorithm: 'PBKDF2', iterations: 1000 } });
+        await encrypter.deriveKey(new Uint8Array(16));
+        expect(encrypter.encryptionKey).toBeInstanceOf(Uint8Array);
+
+        const text = 'attack at dawn, مرحبا';
+        const fromText = Buffer.from(encrypter.process(text, 1), 'base64');
+        const fromBytes = await encrypter.processBytes(new TextEncoder().encode(text), 1);
+        expect(new Uint8Array(fromText)).toEqual(fromBytes);
+        expect(fromBytes).toEqual(new TextEncoder().encode(text).map((byte, i) => byte ^ encrypter.encryptionKey[i % encrypter.encryptionKey.length]));
+
+        const decrypter = new Tughra('decrypt', null, 'xor', KEY, false, { kdf: { algorithm: 'PBKDF2', iterations: 1000 } });
+        await decrypter.deriveKey(new Uint8Array(16));
+        expect(decrypter.process(fromText.toString('base64'), 1)).toBe(text);
+    });
+
+    test('Base64 still reads legacy btoa() ciphertext of Latin-1 text', () => {
+        const legacy = Buffer.from('café crème', 'latin1').toString('base64');
+        expect(new Tughra('decrypt', null, 'Base64', '').process(legacy, 1)).toBe('café crème');
+    });
+});
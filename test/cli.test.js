@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'tughra.js');
+const KEY = 'correct horse battery';
+
+function tughra(args, input = '') {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+        input,
+        encoding: 'utf8',
+        env: Object.assign({}, process.env, { TUGHRA_KEY: undefined }),
+        timeout: 30000
+    });
+    return { status, stdout, stderr };
+}
+
+function tamper(envelope) {
+    const fields = JSON.parse(envelope);
+    fields.data = (fields.data[0] === 'A' ? 'B' : 'A') + fields.data.slice(1);
+    return JSON.stringify(fields);
+}
+
+describe('tughra CLI', () => {
+    test('round-trips text through stdin and stdout', () => {
+        const encrypted = tughra(['encrypt', '-a', 'vigenere', '-k', KEY, '-c', '3'], 'attack at dawn');
+        expect(encrypted.status).toBe(0);
+        expect(tughra(['decrypt', '-a', 'vigenere', '-k', KEY, '-c', '3'], encrypted.stdout + '\n')).toMatchObject({ status: 0, stdout: 'attack at dawn' });
+    });
+
+    test('--shift accepts 0 and rejects negative or empty values', () => {
+        expect(tughra(['encrypt', '-a', 'caesar', '-k', KEY, '--shift', '0'], 'abc')).toMatchObject({ status: 0, stdout: 'abc' });
+        expect(tughra(['encrypt', '-a', 'caesar', '-k', KEY, '--shift', '3'], 'abc')).toMatchObject({ status: 0, stdout: 'def' });
+        expect(tughra(['encrypt', '-a', 'caesar', '-k', KEY, '--shift=-1'], 'abc').status).toBe(2);
+        expect(tughra(['encrypt', '-a', 'caesar', '-k', KEY, '--shift', ''], 'abc').status).toBe(2);
+    });
+
+    describe('exit codes', () => {
+        const sealed = tughra(['encrypt', '-e', '--integrity', '-a', 'vigenere', '-k', KEY], 'attack at dawn').stdout;
+
+        test.each([
+            ['an unknown command', ['frobnicate'], '', 2],
+            ['an unknown algorithm', ['encrypt', '-a', 'rot1000', '-k', KEY], 'text', 2],
+            ['zero cycles', ['encrypt', '-c', '0', '-k', KEY], 'text', 2],
+            ['a missing key', ['encrypt', '-a', 'vigenere'], 'text', 2],
+            ['options the library rejects', ['encrypt', '--code-points', '--alphabet', 'a', '-k', KEY], 'text', 2],
+            ['a short key', ['encrypt', '-a', 'vigenere', '-k', 'abc'], 'text', 3],
+            ['a wrong key', ['decrypt', '-e', '--integrity', '-k', 'wrong horse battery'], sealed, 3],
+            ['a malformed envelope', ['decrypt', '-e', '-k', KEY], '{', 4],
+            ['a tampered envelope', ['decrypt', '-e', '--integrity', '-k', KEY], tamper(sealed), 5]
+        ])('%s', (description, args, input, status) => {
+            const result = tughra(args, input);
+            expect(result.status).toBe(status);
+            expect(result.stderr).toMatch(/^tughra: /);
+        });
+    });
+
+    describe('keygen', () => {
+        let dir;
+        beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tughra-cli-')); });
+        afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        test.each(['armored', 'json'])('--export %s writes a key file that --key-file reads back', format => {
+            const file = path.join(dir, `key.${format}`);
+            const generated = tughra(['keygen', '-l', '24', '--export', format, '-a', 'vigenere', '-o', file]);
+            expect(generated.status).toBe(0);
+            const fingerprint = generated.stderr.match(/^Key fingerprint: (.*)$/m)[1];
+            expect(tughra(['fingerprint', '--key-file', file]).stdout).toBe(fingerprint + '\n');
+
+            const encrypted = tughra(['encrypt', '-a', 'vigenere', '--key-file', file], 'attack at dawn');
+            expect(encrypted.stderr).toBe(`Key fingerprint: ${fingerprint}\n`);
+            expect(tughra(['decrypt', '-a', 'vigenere', '--key-file', file], encrypted.stdout)).toMatchObject({ status: 0, stdout: 'attack at dawn' });
+        });
+
+        test('a key file with changed metadata fails the integrity check', () => {
+            const file = path.join(dir, 'changed.json');
+            fs.writeFileSync(file, tughra(['keygen', '--export', 'json']).stdout.replace('"algorithm": "default"', '"algorithm": "caesar"'));
+            expect(tughra(['fingerprint', '--key-file', file]).status).toBe(5);
+        });
+
+        test('generates whole supplementary-plane characters', () => {
+            const generated = tughra(['keygen', '-l', '12', '-g', 'Linear B Syllabary', '--entropy']);
+            expect(Array.from(generated.stdout.trimEnd())).toHaveLength(12);
+            expect(Array.from(generated.stdout.trimEnd()).every(char => char.codePointAt(0) >= 0x10000)).toBe(true);
+            expect(generated.stderr).toMatch(/^\d+\.\d bits of entropy$/m);
+        });
+
+        test.each([
+            ['an unknown export format', ['keygen', '--export', 'pem']],
+            ['an unknown group', ['keygen', '-g', 'Klingon']],
+            ['a zero length', ['keygen', '-l', '0']]
+        ])('rejects %s', (description, args) => {
+            expect(tughra(args).status).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,41 @@
+const { Tughra, TughraAlgorithmError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+const ALPHABET = 'abc𐀀𐀁𐀂😀😁';
+
+function survivesUtf8(text) {
+    return new TextDecoder('utf-8', { fatal: true }).decode(new TextEncoder().encode(text)) === text;
+}
+
+describe('code-point mode', () => {
+    test('moves characters only inside a custom alphabet with astral members', () => {
+        const options = { codePoints: { alphabet: ALPHABET } };
+        const encrypted = new Tughra('encrypt', null, 'default', KEY, false, options).process('a😀b 𐀂 xyz', 3);
+        expect(encrypted).not.toBe('a😀b 𐀂 xyz');
+        expect(survivesUtf8(encrypted)).toBe(true);
+        const plain = Array.from('a😀b 𐀂 xyz');
+        Array.from(encrypted).forEach((char, i) => {
+            expect(ALPHABET.includes(plain[i]) ? ALPHABET.includes(char) : char === plain[i]).toBe(true);
+        });
+        expect(new Tughra('decrypt', null, 'default', KEY, false, options).process(encrypted, 3)).toBe('a😀b 𐀂 xyz');
+    });
+
+    test('output over the full range is always valid UTF-8', () => {
+        const text = 'مرحبا 𐀀 \uffef \u{10fffd} 😀 日本語 \ud7ff';
+        const encrypter = new Tughra('encrypt', null, 'default', KEY, false, { codePoints: true });
+        for (let cycles = 1; cycles <= 5; cycles++) {
+            const encrypted = encrypter.process(text, cycles);
+            expect(survivesUtf8(encrypted)).toBe(true);
+            expect(new Tughra('decrypt', null, 'default', KEY, false, { codePoints: true }).process(JSON.parse(JSON.stringify(encrypted)), cycles)).toBe(text);
+        }
+    });
+
+    test.each([
+        ['a single character', 'aaa'],
+        ['a lone surrogate', 'a\ud800'],
+        ['a noncharacter', 'a\ufffe']
+    ])('rejects an alphabet with %s', (description, alphabet) => {
+        expect(() => new Tughra('encrypt', null, 'default', KEY, false, { codePoints: { alphabet } })).toThrow(TughraAlgorithmError);
+        expect(() => new Tughra('encrypt', null, 'default', KEY, false, { codePoints: { alphabet } })).toThrow(expect.objectContaining({ code: 'INVALID_OPTIONS' }));
+    });
+});
@@ -0,0 +1,44 @@
+const { Tughra, TughraDecodeError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+describe('seal and open', () => {
+    test('round-trip and record every parameter except the key', async () => {
+        const sealed = await new Tughra('encrypt', 'Base32', 'vigenere', KEY, true).seal('attack at dawn', 3);
+        const header = Tughra.parseEnvelope(sealed);
+        expect(header).toMatchObject({ version: Tughra.ENVELOPE_VERSION, algorithm: 'vigenere', cycles: 3, useBaseEncoding: true });
+        expect(sealed).not.toContain(KEY);
+        await expect(Tughra.open(sealed, KEY)).resolves.toBe('attack at dawn');
+    });
+
+    test('round-trip with a derived key and code points', async () => {
+        const tughra = new Tughra('encrypt', null, 'default', KEY, false, { kdf: { algorithm: 'PBKDF2', iterations: 1000 }, codePoints: true });
+        const sealed = await tughra.seal('مرحبا 𐀀', 2);
+        await expect(Tughra.open(sealed, KEY)).resolves.toBe('مرحبا 𐀀');
+    });
+
+    test('tell a wrong key apart by its key check value', async () => {
+        const sealed = await new Tughra('encrypt', null, 'vigenere', KEY, false, { integrity: true }).seal('attack at dawn');
+        expect(Tughra.parseEnvelope(sealed).kcv).toEqual(expect.any(String));
+        await expect(Tughra.open(sealed, 'wrong horse battery')).rejects.toMatchObject({ code: 'INTEGRITY_WRONG_KEY' });
+    });
+
+    test('seal() requires encrypt mode', async () => {
+        await expect(new Tughra('decrypt', null, 'vigenere', KEY).seal('text')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+});
+
+describe('parseEnvelope', () => {
+    test.each([
+        ['not JSON', '{', 'INVALID_ENVELOPE'],
+        ['no version', JSON.stringify({ algorithm: 'caesar', data: 'x' }), 'INVALID_ENVELOPE'],
+        ['unknown version', JSON.stringify({ tughra: 99, algorithm: 'caesar', cycles: 1, data: 'x' }), 'UNSUPPORTED_VERSION'],
+        ['no data', JSON.stringify({ tughra: 1, algorithm: 'caesar', cycles: 1 }), 'INVALID_ENVELOPE'],
+        ['bad cycles', JSON.stringify({ tughra: 1, algorithm: 'caesar', cycles: 0, data: 'x' }), 'INVALID_ENVELOPE'],
+        ['kdf without salt', JSON.stringify({ tughra: 1, algorithm: 'caesar', cycles: 1, kdf: {}, data: 'x' }), 'INVALID_ENVELOPE']
+    ])('rejects %s', (name, envelope, code) => {
+        expect(() => Tughra.parseEnvelope(envelope)).toThrow(TughraDecodeError);
+        expect(() => Tughra.parseEnvelope(envelope)).toThrow(expect.objectContaining({ code }));
+        expect(Tughra.isEnvelope(envelope)).toBe(false);
+    });
+});
@@ -0,0 +1,69 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const {
+    Tughra,
+    TughraLibrary,
+    TughraWorkerPool,
+    TughraError,
+    TughraKeyError,
+    TughraDecodeError,
+    TughraAlgorithmError,
+    TughraIntegrityError
+} = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+describe('error classes', () => {
+    test.each([
+        ['an unknown algorithm', () => new Tughra('encrypt', null, 'nope', KEY), TughraAlgorithmError, 'UNKNOWN_ALGORITHM'],
+        ['a short key', () => new Tughra('encrypt', null, 'vigenere', 'short'), TughraKeyError, 'KEY_TOO_SHORT'],
+        ['invalid Base64 ciphertext', () => new Tughra('decrypt', null, 'xor', KEY).process('***', 1), TughraDecodeError, 'INVALID_BASE64'],
+        ['an invalid base character', () => new Tughra('decrypt', null, 'vigenere', KEY, true).process('***', 1), TughraDecodeError, 'INVALID_BASE'],
+        ['unencodable text', () => new Tughra('encrypt', null, 'Base64', KEY).toBase('a\ud800'), TughraDecodeError, 'INVALID_UTF8'],
+        ['decoded bytes that are not UTF-8', () => new Tughra('encrypt', null, 'Base64', KEY).fromBase('//79'), TughraDecodeError, 'INVALID_UTF8']
+    ])('%s throws instead of being logged and swallowed', (description, run, ErrorClass, code) => {
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            expect(run).toThrow(ErrorClass);
+            expect(run).toThrow(expect.objectContaining({ code }));
+            expect(TughraError.CODES[ErrorClass.name]).toContain(code);
+            expect(log).not.toHaveBeenCalled();
+        } finally {
+            log.mockRestore();
+        }
+    });
+
+    test.each(['ROT47', 'Atbash'])('%s decrypts without a TypeError', algorithm => {
+        const encrypted = new Tughra('encrypt', null, algorithm, '').process('Hello, World!', 1);
+        expect(new Tughra('decrypt', null, algorithm, '').process(encrypted, 1)).toBe('Hello, World!');
+    });
+
+    test('displayCharacters() rejects an unknown group', () => {
+        const library = new TughraLibrary();
+        expect(library.displayCharacters('Numbers')).toBe('0123456789');
+        expect(() => library.displayCharacters('Klingon')).toThrow(TughraError);
+        expect(() => library.displayCharacters('Klingon')).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT', details: { group: 'Klingon' } }));
+    });
+
+    test.each([
+        new TughraKeyError("Key must be at least 8 characters long.", 'KEY_TOO_SHORT', { minLength: 8 }),
+        new TughraDecodeError("Invalid Base64 input.", 'INVALID_BASE64'),
+        new TughraIntegrityError("Integrity check failed: the key is wrong.", 'wrong-key')
+    ])('toJSON()/fromJSON() keep the class, code and details of %p', error => {
+        const copy = TughraError.fromJSON(JSON.parse(JSON.stringify(error)));
+        expect(copy).toBeInstanceOf(error.constructor);
+        expect([copy.name, copy.code, copy.message, copy.details]).toEqual([error.name, error.code, error.message, error.details]);
+    });
+
+    test('worker.js sends the error class and code to the caller', async () => {
+        const pool = new TughraWorkerPool({ size: 1, createWorker: () => new Worker(path.join(__dirname, '..', 'worker.js')) });
+        try {
+            await expect(pool.run({ text: '***', cycles: 1, mode: 'decrypt', algorithm: 'xor', encryptionKey: KEY }))
+                .rejects.toThrow(TughraDecodeError);
+            await expect(pool.run({ text: 'x', cycles: 1, mode: 'encrypt', algorithm: 'vigenere', encryptionKey: 'short' }))
+                .rejects.toMatchObject({ name: 'TughraKeyError', code: 'KEY_TOO_SHORT', details: { minLength: 8 } });
+        } finally {
+            pool.terminate();
+        }
+    });
+});
@@ -0,0 +1,16 @@
+// Position-independent, so TughraWorkerPool splits long texts: a slice containing '!' fails at once,
+// any other slice blocks for five seconds. Registered in the test worker and in the test itself.
+module.exports = {
+    symmetric: true,
+    requiresKey: false,
+    maxCycles: 1,
+    positionIndependent: true,
+    encrypt(text) {
+        if (text.includes('!')) {
+            throw new Error('Fragile slice failed.');
+        }
+        const end = Date.now() + 5000;
+        while (Date.now() < end);
+        return text;
+    }
+};
@@ -0,0 +1,22 @@
+// worker.js plus a 'Slow' algorithm whose single cycle blocks for five seconds, a 'Fragile' one
+// (see fragile.js) and a job text ('crash') that makes the worker thread exit with an uncaught error
+const { parentPort } = require('worker_threads');
+
+parentPort.on('message', data => {
+    if (data.job && data.job.text === 'crash') {
+        throw new Error('Worker crashed.');
+    }
+});
+require('../../worker.js');
+
+Tughra.registerAlgorithm('Slow', {
+    symmetric: true,
+    requiresKey: false,
+    maxCycles: 1,
+    encrypt(text) {
+        const end = Date.now() + 5000;
+        while (Date.now() < end);
+        return text;
+    }
+});
+Tughra.registerAlgorithm('Fragile', require('./fragile.js'));
@@ -0,0 +1,53 @@
+const { Tughra, TughraError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+function run(mode, text, options = {}) {
+    return new Tughra(mode, null, 'Format Preserving', KEY, false, options).process(text, 1);
+}
+
+describe('Format Preserving', () => {
+    const samples = ['+1 (555) 123-4567', '4111 1111 1111 1111', 'Über éclair μέλι', 'Привет, мир 42', '東京タワー ٣٤٥', '7', ''];
+
+    test.each(samples)('round-trips %j and keeps every character in its class', text => {
+        const encrypted = run('encrypt', text, { tweak: 'row-1' });
+        expect(run('decrypt', encrypted, { tweak: 'row-1' })).toBe(text);
+
+        const before = Array.from(text);
+        const after = Array.from(encrypted);
+        expect(after).toHaveLength(before.length);
+        before.forEach((char, i) => {
+            const format = Tughra._fpeClass(char.codePointAt(0));
+            expect(Tughra._fpeClass(after[i].codePointAt(0))).toBe(format);
+            if (!format) {
+                expect(after[i]).toBe(char);
+            }
+        });
+    });
+
+    test('maps letters and digits only to letters and digits', () => {
+        const encrypted = run('encrypt', 'Ü é μ ß 9', { tweak: 'row-1' });
+        expect(encrypted).toMatch(/^\p{Lu} \p{Ll} \p{Ll} \p{Ll} [0-9]$/u);
+    });
+
+    test('depends on the tweak and on the whole value', () => {
+        const card = '4111 1111 1111 1111';
+        expect(run('encrypt', card, { tweak: 'row-1' })).not.toBe(run('encrypt', card, { tweak: 'row-2' }));
+        expect(run('decrypt', run('encrypt', card, { tweak: 'row-1' }), { tweak: 'row-2' })).not.toBe(card);
+
+        // Not a keystream: changing one digit changes more than that position
+        const a = run('encrypt', '1111111111111111');
+        const b = run('encrypt', '1111111111111112');
+        expect(Array.from(a).filter((char, i) => char !== b[i]).length).toBeGreaterThan(1);
+    });
+
+    test('gives the same result for ASCII text and bytes', () => {
+        const tughra = new Tughra('encrypt', null, 'Format Preserving', KEY, false, { tweak: new Uint8Array([1, 2, 3]) });
+        const bytes = tughra._formatPreservingBytes(new TextEncoder().encode('ID A-1234-xyz'), 1);
+        expect(new TextDecoder().decode(bytes)).toBe(tughra.process('ID A-1234-xyz', 1));
+    });
+
+    test('rejects a tweak that is not a string or bytes', () => {
+        expect(() => run('encrypt', '123', { tweak: 5 })).toThrow(TughraError);
+    });
+});
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Tughra, TughraHash, TughraAlgorithmError } = require('../tughra.js');
+
+const TEXT = 'attack at dawn, مرحبا 𐀀';
+const NODE_NAMES = { 'SHA-256': 'sha256', 'SHA-384': 'sha384', 'SHA-512': 'sha512' };
+
+// Long enough to cross several SHA-2 blocks, with a size that is not a multiple of the block size
+const BYTES = new Uint8Array(1000).map((byte, i) => i * 31);
+
+describe('TughraHash', () => {
+    test.each(Object.keys(NODE_NAMES))('%s matches Node.js for strings, bytes and streams', async algorithm => {
+        const expected = crypto.createHash(NODE_NAMES[algorithm]).update(BYTES).digest('hex');
+        await expect(TughraHash.digest(BYTES, { algorithm })).resolves.toBe(expected);
+        await expect(TughraHash.digest(Readable.from([BYTES.subarray(0, 100), BYTES.subarray(100)]), { algorithm })).resolves.toBe(expected);
+        await expect(TughraHash.digest(TEXT, { algorithm, encoding: 'base64' }))
+            .resolves.toBe(crypto.createHash(NODE_NAMES[algorithm]).update(TEXT, 'utf8').digest('base64'));
+    });
+
+    test.each(Object.keys(NODE_NAMES))('the pure JavaScript %s matches Node.js', algorithm => {
+        const spy = jest.spyOn(TughraHash, '_nodeCrypto').mockReturnValue(null);
+        try {
+            const hash = new TughraHash(algorithm);
+            [1, 63, 64, 127, 128, 617].reduce((start, length) => {
+                hash.update(BYTES.subarray(start, start + length));
+                return start + length;
+            }, 0);
+            expect(hash.digest()).toBe(crypto.createHash(NODE_NAMES[algorithm]).update(BYTES).digest('hex'));
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('CRC-32 check value', async () => {
+        expect(TughraHash.crc32('123456789')).toBe(0xcbf43926);
+        expect(TughraHash.crc32('56789', TughraHash.crc32('1234'))).toBe(0xcbf43926);
+        await expect(TughraHash.digest('123456789', { algorithm: 'CRC-32' })).resolves.toBe('cbf43926');
+        expect(new TughraHash('CRC-32').update('1234').update('56789').digest()).toBe('cbf43926');
+    });
+
+    test('encodes digests in the base charset and as bytes', async () => {
+        const bytes = await TughraHash.digest(TEXT, { encoding: 'bytes' });
+        expect(bytes).toBeInstanceOf(Uint8Array);
+        await expect(TughraHash.digest(TEXT, { encoding: 'base', baseCharset: 'Base32' }))
+            .resolves.toBe(new Tughra('encrypt', 'Base32', 'Base64').toBase(bytes));
+    });
+
+    test('verify() compares digests, ignoring hex case', async () => {
+        const digest = await TughraHash.digest(TEXT);
+        await expect(TughraHash.verify(TEXT, digest.toUpperCase())).resolves.toBe(true);
+        await expect(TughraHash.verify(TEXT + '!', digest)).resolves.toBe(false);
+    });
+
+    test('a finished hash takes no more data', () => {
+        const hash = new TughraHash().update('abc');
+        expect(hash.digest('base64')).toBe(crypto.createHash('sha256').update('abc').digest('base64'));
+        expect(() => hash.update('d')).toThrow(expect.objectContaining({ code: 'INVALID_STATE' }));
+    });
+
+    test('rejects unknown algorithms and encodings', async () => {
+        await expect(TughraHash.digest(TEXT, { algorithm: 'MD5' })).rejects.toThrow(TughraAlgorithmError);
+        expect(() => new TughraHash('SHA-256', { encoding: 'octal' })).toThrow(expect.objectContaining({ code: 'INVALID_OPTIONS' }));
+    });
+});
@@ -0,0 +1,130 @@
+const { Tughra, TughraIntegrityError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+const OPTIONS = { kdf: { algorithm: 'PBKDF2', iterations: 1000 }, integrity: true };
+
+// Expect a promise to reject with a TughraIntegrityError carrying the given code
+async function expectIntegrityError(promise, code) {
+    const error = await promise.then(() => null, caught => caught);
+    expect(error).toBeInstanceOf(TughraIntegrityError);
+    expect(error.code).toBe(code);
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    const reader = stream.getReader();
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        chunks.push(result.value);
+    }
+    return Buffer.concat(chunks);
+}
+
+function streamOf(bytes) {
+    return new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    });
+}
+
+describe('envelopes', () => {
+    let envelope;
+
+    beforeAll(async () => {
+        envelope = JSON.parse(await new Tughra('encrypt', null, 'vigenere', KEY, false, OPTIONS).seal('attack at dawn', 2));
+    });
+
+    test('round-trips with the right key', async () => {
+        await expect(Tughra.open(envelope, KEY, { integrity: true })).resolves.toBe('attack at dawn');
+    });
+
+    test('rejects a wrong key', async () => {
+        await expectIntegrityError(Tughra.open(envelope, 'wrong horse battery'), 'INTEGRITY_WRONG_KEY');
+    });
+
+    test('rejects tampered ciphertext and parameters', async () => {
+        const data = Buffer.from(envelope.data, 'base64');
+        data[0] ^= 1;
+        await expectIntegrityError(Tughra.open(Object.assign({}, envelope, { data: data.toString('base64') }), KEY), 'INTEGRITY_CORRUPTED');
+        await expectIntegrityError(Tughra.open(Object.assign({}, envelope, { cycles: 1 }), KEY), 'INTEGRITY_CORRUPTED');
+    });
+
+    test('rejects a stripped tag when integrity is required', async () => {
+        const stripped = Object.assign({}, envelope);
+        delete stripped.mac;
+        delete stripped.kcv;
+        await expectIntegrityError(Tughra.open(stripped, KEY, { integrity: true }), 'INTEGRITY_CORRUPTED');
+    });
+});
+
+describe('files', () => {
+    const content = new Uint8Array(5000).map((byte, i) => i * 7);
+    let encrypted;
+
+    beforeAll(async () => {
+        const blob = await new Tughra('encrypt', null, 'AES-GCM', KEY, false, OPTIONS).encryptFile(content, 1, { name: 'data.bin' });
+        encrypted = new Uint8Array(await blob.arrayBuffer());
+    });
+
+    const decrypter = (key = KEY) => new Tughra('decrypt', null, 'AES-GCM', key, false, { integrity: true });
+
+    test('round-trips with the right key', async () => {
+        const file = await decrypter().decryptFile(encrypted);
+        expect(file.name).toBe('data.bin');
+        expect(new Uint8Array(await file.arrayBuffer())).toEqual(content);
+    });
+
+    test('rejects a wrong key', async () => {
+        await expectIntegrityError(decrypter('wrong horse battery').decryptFile(encrypted), 'INTEGRITY_WRONG_KEY');
+    });
+
+    test('rejects a tampered body', async () => {
+        const tampered = encrypted.slice();
+        tampered[tampered.length - 1] ^= 1;
+        await expectIntegrityError(decrypter().decryptFile(tampered), 'INTEGRITY_CORRUPTED');
+    });
+
+    test('rejects a stripped tag when integrity is required', async () => {
+        // Header layout: 'TGHF', uint8 version, uint16 header length, JSON header, body
+        const length = new DataView(encrypted.buffer).getUint16(5);
+        const header = JSON.parse(Buffer.from(encrypted.subarray(7, 7 + length)).toString());
+        delete header.mac;
+        delete header.kcv;
+        const json = Buffer.from(JSON.stringify(header));
+        const prefix = Buffer.from(encrypted.subarray(0, 7));
+        prefix.writeUInt16BE(json.length, 5);
+        const stripped = Buffer.concat([prefix, json, encrypted.subarray(7 + length)]);
+        await expectIntegrityError(decrypter().decryptFile(stripped), 'INTEGRITY_CORRUPTED');
+    });
+});
+
+describe('streams', () => {
+    const content = new Uint8Array(10000).map((byte, i) => i % 251);
+    let encrypted;
+
+    beforeAll(async () => {
+        const tughra = new Tughra('encrypt', null, 'vigenere', KEY, false, { kdf: OPTIONS.kdf });
+        encrypted = await readAll(tughra.encryptStream(streamOf(content), { chunkSize: 4096, cycles: 2 }));
+    });
+
+    const decrypt = (bytes, key = KEY) => readAll(new Tughra('decrypt', null, 'vigenere', key).decryptStream(streamOf(bytes)));
+
+    test('round-trips with the right key', async () => {
+        expect(new Uint8Array(await decrypt(encrypted))).toEqual(content);
+    });
+
+    test('rejects a wrong key', async () => {
+        await expectIntegrityError(decrypt(encrypted, 'wrong horse battery'), 'INTEGRITY_CORRUPTED');
+    });
+
+    test('rejects a tampered chunk', async () => {
+        const tampered = Buffer.from(encrypted);
+        tampered[tampered.length - 100] ^= 1;
+        await expectIntegrityError(decrypt(tampered), 'INTEGRITY_CORRUPTED');
+    });
+
+    test('rejects a truncated stream', async () => {
+        await expectIntegrityError(decrypt(encrypted.subarray(0, encrypted.length - 50)), 'INTEGRITY_CORRUPTED');
+    });
+});
@@ -0,0 +1,56 @@
+const { Tughra, TughraKeyExchange, TughraKeyError, TughraAlgorithmError } = require('../tughra.js');
+
+describe.each(TughraKeyExchange.CURVES)('TughraKeyExchange on %s', curve => {
+    let alice;
+    let bob;
+    beforeAll(async () => {
+        alice = await TughraKeyExchange.generate(curve);
+        bob = await TughraKeyExchange.generate(curve);
+    });
+
+    test('both parties derive the same key and use it with Tughra', async () => {
+        const aliceKey = await alice.deriveKey(await bob.exportPublicKey(), { info: 'room-1' });
+        const bobKey = await bob.deriveKey(await alice.exportPublicKey(), { info: 'room-1' });
+        expect(aliceKey).toBe(bobKey);
+        expect(Buffer.from(aliceKey, 'base64')).toHaveLength(32);
+
+        const cipherText = new Tughra('encrypt', null, 'vigenere', aliceKey).process('attack at dawn', 2);
+        expect(new Tughra('decrypt', null, 'vigenere', bobKey).process(cipherText, 2)).toBe('attack at dawn');
+    });
+
+    test('info, salt and a third party change the key', async () => {
+        const bobPublicKey = await bob.exportPublicKey();
+        const key = await alice.deriveKey(bobPublicKey);
+        expect(await alice.deriveKey(bobPublicKey, { info: 'room-2' })).not.toBe(key);
+        expect(await alice.deriveKey(bobPublicKey, { salt: 'salt' })).not.toBe(key);
+        const eve = await TughraKeyExchange.generate(curve);
+        expect(await eve.deriveKey(bobPublicKey)).not.toBe(key);
+    });
+
+    test('a saved key pair derives the same key and fingerprint', async () => {
+        const restored = await TughraKeyExchange.importKeyPair(await alice.exportKeyPair());
+        expect(await restored.exportPublicKey()).toBe(await alice.exportPublicKey());
+        expect(await restored.fingerprint()).toBe(await bob.fingerprint(await alice.exportPublicKey()));
+        expect(await restored.deriveKey(await bob.exportPublicKey())).toBe(await alice.deriveKey(await bob.exportPublicKey()));
+    });
+
+    test.each([
+        ['our own public key', async () => alice.exportPublicKey()],
+        ['a key on another curve', async () => (await TughraKeyExchange.generate(curve === 'X25519' ? 'P-256' : 'X25519')).exportPublicKey()],
+        ['invalid Base64', async () => `${curve}:***`],
+        ['a point that is not on the curve', async () => `${curve}:${Buffer.alloc(7).toString('base64')}`]
+    ])('rejects %s', async (description, peerPublicKey) => {
+        await expect(alice.deriveKey(await peerPublicKey())).rejects.toMatchObject({ code: 'PUBLIC_KEY_INVALID' });
+    });
+});
+
+describe('TughraKeyExchange key pairs', () => {
+    test('rejects unknown curves', async () => {
+        await expect(TughraKeyExchange.generate('P-521')).rejects.toThrow(TughraAlgorithmError);
+    });
+
+    test.each(['{', JSON.stringify({ kty: 'EC', crv: 'P-256' }), JSON.stringify({ kty: 'OKP', crv: 'X25519', d: 'AAAA', x: 'AAAA' })])('rejects the key pair %s', async json => {
+        await expect(TughraKeyExchange.importKeyPair(json)).rejects.toThrow(TughraKeyError);
+        await expect(TughraKeyExchange.importKeyPair(json)).rejects.toMatchObject({ code: 'KEY_PAIR_INVALID' });
+    });
+});
@@ -0,0 +1,32 @@
+const { TughraLibrary, TughraIntegrityError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+describe('key files', () => {
+    const library = new TughraLibrary();
+
+    test.each(['armored', 'json'])('round-trip in %s format with the same fingerprint everywhere', async format => {
+        const file = await library.exportKey(KEY, { groups: 'Numbers', algorithm: 'caesar', format });
+        const fingerprint = await library.keyFingerprint(KEY);
+        const written = format === 'json' ? JSON.parse(file).fingerprint : file.match(/^Fingerprint: (.*)$/m)[1];
+        expect(written).toBe(fingerprint);
+
+        const imported = await library.importKey(file);
+        expect(imported).toMatchObject({ key: KEY, algorithm: 'caesar', groups: ['Numbers'], fingerprint });
+    });
+
+    test('rejects changed metadata', async () => {
+        const file = await library.exportKey(KEY, { algorithm: 'caesar' });
+        await expect(library.importKey(file.replace('Algorithm: caesar', 'Algorithm: XOR'))).rejects.toThrow(TughraIntegrityError);
+    });
+
+    test('rejects a key that does not match its fingerprint', async () => {
+        const file = JSON.parse(await library.exportKey(KEY, { format: 'json' }));
+        file.key = Buffer.from('another key entirely').toString('base64');
+        await expect(library.importKey(JSON.stringify(file))).rejects.toThrow('does not match its fingerprint');
+    });
+
+    test('fingerprints depend on the salt', async () => {
+        expect(await library.keyFingerprint(KEY, { salt: 'room-1' })).not.toBe(await library.keyFingerprint(KEY));
+    });
+});
@@ -0,0 +1,64 @@
+const { Tughra, TughraLibrary, TughraKeyError } = require('../tughra.js');
+
+describe('estimateKeyStrength', () => {
+    const library = new TughraLibrary();
+
+    test('rates a random mixed key as strong', () => {
+        expect(library.estimateKeyStrength('Xk9#mQ2$vL8!rT4&')).toMatchObject({
+            length: 16,
+            groups: ['Uppercase English', 'Lowercase English', 'Numbers', 'Basic Latin'],
+            label: 'strong',
+            repeats: 0,
+            patterns: []
+        });
+    });
+
+    test('finds words after astral characters', () => {
+        const strength = library.estimateKeyStrength('𐀀𐀀𐀀𐀀password');
+        expect(strength).toMatchObject({ length: 12, repeats: 4, patterns: [{ type: 'dictionary', text: 'password' }] });
+        expect(strength.groups).toContain('Linear B Syllabary');
+        expect(strength.warnings).toContain('Contains a common word: "password".');
+        expect(strength.entropy).toBeLessThan(28);
+    });
+
+    test.each([
+        ['P@ssw0rd1990', [{ type: 'dictionary', text: 'P@ssw0rd' }, { type: 'year', text: '1990' }]],
+        ['qwertyuiop', [{ type: 'sequence', text: 'qwertyuiop' }]]
+    ])('flags the patterns in %s', (key, patterns) => {
+        const strength = library.estimateKeyStrength(key);
+        expect(strength.patterns).toEqual(patterns);
+        expect(strength.score).toBe(0);
+        expect(strength.suggestions).toContain("Avoid common words, keyboard or alphabet sequences and dates.");
+    });
+
+    test('counts repeated characters as about one bit', () => {
+        expect(library.estimateKeyStrength('aaaaaaa')).toMatchObject({ uniqueCharacters: 1, repeats: 6 });
+        expect(library.estimateKeyStrength('aaaaaaa').entropy).toBeLessThan(library.estimateKeyStrength('abcxyzq').entropy);
+    });
+});
+
+describe('key policies', () => {
+    test('checkKeyPolicy() lists every failure', () => {
+        const { valid, failures } = new TughraLibrary().checkKeyPolicy('password1234', 'moderate');
+        expect(valid).toBe(false);
+        expect(failures).toEqual([
+            'Key entropy is 12 bits, at least 50 bits are required.',
+            'Key must not contain common words, sequences or years.'
+        ]);
+        expect(new TughraLibrary().checkKeyPolicy('Xk9#mQ2$vL8!rT4&', { minEntropy: 80, requiredGroups: ['Numbers'] }).valid).toBe(true);
+    });
+
+    test('the constructor enforces the keyPolicy option', () => {
+        expect(() => new Tughra('encrypt', null, 'vigenere', 'password1234', false, { keyPolicy: 'moderate' })).toThrow(TughraKeyError);
+        expect(() => new Tughra('encrypt', null, 'vigenere', 'password1234', false, { keyPolicy: 'moderate' })).toThrow(expect.objectContaining({ code: 'KEY_POLICY' }));
+        expect(() => new Tughra('encrypt', null, 'vigenere', 'Xk9#mQ2$vL8!rT4&', false, { keyPolicy: 'strict' })).not.toThrow();
+    });
+
+    test('rejects unknown policy names', () => {
+        expect(() => new TughraLibrary().checkKeyPolicy('key', 'paranoid')).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+    });
+
+    test('repeated key characters are reported instead of dropped silently', () => {
+        expect(new Tughra('encrypt', null, 'vigenere', 'aabbccddeeff').keyWarnings).toEqual(['6 repeated key characters are ignored by the key offsets.']);
+    });
+});
@@ -0,0 +1,35 @@
+const { Tughra, TughraKeyError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+function roundTrip(algorithm, key, text, options) {
+    const encrypted = new Tughra('encrypt', null, algorithm, key, false, options).process(text, 1);
+    expect(new Tughra('decrypt', null, algorithm, key, false, options).process(encrypted, 1)).toBe(text);
+    return encrypted;
+}
+
+describe('key-driven classical ciphers', () => {
+    test.each(['caesar', 'Substitution', 'Affine'])('%s ciphertext depends on the key', algorithm => {
+        expect(roundTrip(algorithm, KEY, 'attack at dawn')).not.toBe(roundTrip(algorithm, 'another secret key', 'attack at dawn'));
+    });
+
+    test('an explicit shift overrides the key', () => {
+        expect(roundTrip('caesar', KEY, 'abc', { shift: 3 })).toBe('def');
+        expect(roundTrip('caesar', 'another secret key', 'abc', { shift: 3 })).toBe('def');
+        expect(roundTrip('caesar', KEY, 'abc', { shift: 0 })).toBe('abc');
+    });
+
+    test.each([-1, 1.5, '3'])('rejects the shift %p', shift => {
+        expect(() => new Tughra('encrypt', null, 'caesar', KEY, false, { shift })).toThrow(expect.objectContaining({ code: 'KEY_PARAMETER_INVALID' }));
+    });
+
+    test('explicit Affine a and b', () => {
+        expect(roundTrip('Affine', KEY, 'Affine Cipher', { affine: { a: 5, b: 8 } })).toBe('Ihhwvc Swfrcp');
+        expect(roundTrip('Affine', KEY, 'Affine Cipher', { affine: { a: -7, b: 30 } })).toBe(roundTrip('Affine', KEY, 'Affine Cipher', { affine: { a: 19, b: 4 } }));
+    });
+
+    test.each([[2, 8], [13, 1], [0, 3]])('rejects an Affine a = %p that is not coprime to 26', (a, b) => {
+        expect(() => new Tughra('encrypt', null, 'Affine', KEY, false, { affine: { a, b } })).toThrow(TughraKeyError);
+        expect(() => new Tughra('encrypt', null, 'Affine', KEY, false, { affine: { a, b } })).toThrow(expect.objectContaining({ code: 'KEY_PARAMETER_INVALID' }));
+    });
+});
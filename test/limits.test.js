@@ -0,0 +1,104 @@
+const { Tughra, TughraKDF, TughraAlgorithmError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+const KDF = { kdf: { algorithm: 'PBKDF2', iterations: 1000 } };
+
+async function readAll(stream) {
+    const chunks = [];
+    const reader = stream.getReader();
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        chunks.push(result.value);
+    }
+    return Buffer.concat(chunks);
+}
+
+function streamOf(bytes, chunkSize = bytes.length) {
+    return new ReadableStream({
+        start(controller) {
+            for (let i = 0; i < bytes.length; i += chunkSize) {
+                controller.enqueue(bytes.subarray(i, i + chunkSize));
+            }
+            controller.close();
+        }
+    });
+}
+
+async function expectLimitExceeded(promise, parameter) {
+    const error = await promise.then(() => null, caught => caught);
+    expect(error).toBeInstanceOf(TughraAlgorithmError);
+    expect(error.code).toBe('LIMIT_EXCEEDED');
+    expect(error.details.parameter).toBe(parameter);
+}
+
+describe('key derivation limits', () => {
+    test('reject oversized parameters before deriving', () => {
+        expect(() => TughraKDF.checkLimits({ algorithm: 'scrypt', N: 2 ** 30 })).toThrow(TughraAlgorithmError);
+        expect(() => TughraKDF.checkLimits({ algorithm: 'scrypt', N: 2 ** 20, r: 8 })).toThrow(/memory/);
+        expect(() => TughraKDF.checkLimits({ iterations: 1e9 })).toThrow(/iterations/);
+        expect(TughraKDF.checkLimits({ iterations: 1e9 }, { iterations: 1e9 }).iterations).toBe(1e9);
+    });
+
+    test('apply to envelopes', async () => {
+        const envelope = JSON.parse(await new Tughra('encrypt', null, 'vigenere', KEY, false, KDF).seal('text'));
+        envelope.kdf.iterations = 1e9;
+        await expectLimitExceeded(Tughra.open(envelope, KEY), 'iterations');
+    });
+
+    test('apply to files', async () => {
+        const blob = await new Tughra('encrypt', null, 'vigenere', KEY, false, KDF).encryptFile(new Uint8Array(10));
+        const decrypter = new Tughra('decrypt', null, 'vigenere', KEY, false, { kdfLimits: { iterations: 100 } });
+        await expectLimitExceeded(decrypter.decryptFile(blob), 'iterations');
+    });
+
+    test('apply to streams', async () => {
+        const encrypted = await readAll(new Tughra('encrypt', null, 'vigenere', KEY, false, KDF).encryptStream(streamOf(new Uint8Array(10))));
+        const decrypter = new Tughra('decrypt', null, 'vigenere', KEY, false, { kdfLimits: { iterations: 100 } });
+        await expectLimitExceeded(readAll(decrypter.decryptStream(streamOf(encrypted))), 'iterations');
+    });
+});
+
+// Rebuild a TGHF file or TGHS stream with its JSON header changed by edit()
+function withHeader(bytes, edit) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset).getUint16(5);
+    const fields = edit(JSON.parse(Buffer.from(bytes.subarray(7, 7 + length)).toString()));
+    const json = Buffer.from(JSON.stringify(fields));
+    const prefix = Buffer.from(bytes.subarray(0, 7));
+    prefix.writeUInt16BE(json.length, 5);
+    return new Uint8Array(Buffer.concat([prefix, json, bytes.subarray(7 + length)]));
+}
+
+describe('cycle limits', () => {
+    const huge = fields => Object.assign(fields, { cycles: 2e9 });
+
+    test('apply to envelopes', async () => {
+        const envelope = JSON.parse(await new Tughra('encrypt', null, 'vigenere', KEY).seal('text'));
+        await expect(Tughra.open(Object.assign(envelope, { cycles: 2e9 }), KEY)).rejects.toMatchObject({ code: 'INVALID_ENVELOPE' });
+    });
+
+    test('apply to files', async () => {
+        const blob = await new Tughra('encrypt', null, 'vigenere', KEY).encryptFile(new Uint8Array(10));
+        const crafted = withHeader(new Uint8Array(await blob.arrayBuffer()), huge);
+        await expect(new Tughra('decrypt', null, 'vigenere', KEY).decryptFile(crafted)).rejects.toMatchObject({ code: 'INVALID_FILE' });
+    });
+
+    test('apply to streams', async () => {
+        const encrypted = await readAll(new Tughra('encrypt', null, 'vigenere', KEY).encryptStream(streamOf(new Uint8Array(10))));
+        const crafted = withHeader(new Uint8Array(encrypted), huge);
+        await expect(readAll(new Tughra('decrypt', null, 'vigenere', KEY).decryptStream(streamOf(crafted)))).rejects.toMatchObject({ code: 'INVALID_STREAM' });
+    });
+
+    test('are not exceeded when writing', async () => {
+        await expect(new Tughra('encrypt', null, 'vigenere', KEY).seal('text', Tughra.HEADER_LIMITS.cycles + 1)).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+});
+
+describe('stream framing', () => {
+    test('decrypts many frames arriving in one chunk or in odd-sized pieces', async () => {
+        const content = new Uint8Array(200000).map((byte, i) => i * 31);
+        const encrypted = await readAll(new Tughra('encrypt', null, 'XOR Pro', KEY).encryptStream(streamOf(content), { chunkSize: 1000 }));
+        for (const chunkSize of [encrypted.length, 777]) {
+            const decrypted = await readAll(new Tughra('decrypt', null, 'XOR Pro', KEY).decryptStream(streamOf(encrypted, chunkSize)));
+            expect(new Uint8Array(decrypted)).toEqual(content);
+        }
+    });
+});
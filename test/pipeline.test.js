@@ -0,0 +1,22 @@
+const { TughraPipeline, TughraAlgorithmError } = require('../tughra.js');
+
+describe('TughraPipeline', () => {
+    test('round-trips the documented recipe', async () => {
+        const pipeline = new TughraPipeline([
+            { algorithm: 'Substitution', cycles: 1 },
+            { algorithm: 'vigenere', key: 'firstSecret', cycles: 3 },
+            { algorithm: 'XOR Pro', key: 'secondSecret', cycles: 1 },
+            { type: 'base', baseCharset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567' }
+        ]);
+        const cipherText = await pipeline.encrypt('attack at dawn');
+        const imported = TughraPipeline.importRecipe(pipeline.exportRecipe(), [undefined, 'firstSecret', 'secondSecret']);
+        await expect(imported.decrypt(cipherText)).resolves.toBe('attack at dawn');
+    });
+
+    test.each(['XOR Pro', 'Atbash'])('rejects an even number of cycles of the self-inverse %s', algorithm => {
+        const step = { algorithm, key: 'secondSecret', cycles: 2 };
+        expect(() => new TughraPipeline([step])).toThrow(TughraAlgorithmError);
+        expect(() => new TughraPipeline().addStep(step)).toThrow(expect.objectContaining({ code: 'INVALID_OPTIONS' }));
+        expect(() => new TughraPipeline([Object.assign({}, step, { cycles: 3 })])).not.toThrow();
+    });
+});
@@ -0,0 +1,68 @@
+const { Tughra, TughraSignature, TughraIntegrityError, TughraDecodeError } = require('../tughra.js');
+
+const KEY = 'correct horse battery';
+
+describe.each(TughraSignature.ALGORITHMS)('TughraSignature with %s', algorithm => {
+    let alice;
+    let mallory;
+    beforeAll(async () => {
+        alice = await TughraSignature.generate(algorithm);
+        mallory = await TughraSignature.generate(algorithm);
+    });
+
+    test('sign and verify strings and bytes', async () => {
+        const publicKey = await alice.exportPublicKey();
+        expect(publicKey.startsWith(`${algorithm}:`)).toBe(true);
+        const signature = await alice.sign('attack at dawn');
+        await expect(TughraSignature.verify('attack at dawn', signature, publicKey)).resolves.toBe(true);
+        await expect(TughraSignature.verify('attack at dusk', signature, publicKey)).resolves.toBe(false);
+        await expect(TughraSignature.verify('attack at dawn', signature, await mallory.exportPublicKey())).resolves.toBe(false);
+        await expect(TughraSignature.verify('attack at dawn', 'not base64!', publicKey)).resolves.toBe(false);
+
+        const bytes = new Uint8Array([0, 1, 2, 255]);
+        await expect(TughraSignature.verify(bytes, await alice.sign(bytes), publicKey)).resolves.toBe(true);
+    });
+
+    test('wrap a ciphertext so the sender is checked before decrypting', async () => {
+        const cipherText = new Tughra('encrypt', null, 'vigenere', KEY).process('attack at dawn', 2);
+        const { data, publicKey } = await TughraSignature.unwrap(await alice.wrap(cipherText), [await mallory.exportPublicKey(), await alice.exportPublicKey()]);
+        expect(publicKey).toBe(await alice.exportPublicKey());
+        expect(new Tughra('decrypt', null, 'vigenere', KEY).process(data, 2)).toBe('attack at dawn');
+    });
+
+    test('unwrap rejects untrusted signers and tampered data', async () => {
+        const signed = await mallory.wrap('pay mallory');
+        await expect(TughraSignature.unwrap(signed, await alice.exportPublicKey())).rejects.toMatchObject({ code: 'INTEGRITY_WRONG_KEY' });
+
+        const tampered = JSON.parse(await alice.wrap('pay alice'));
+        tampered.data = 'pay mallory';
+        await expect(TughraSignature.unwrap(tampered, await alice.exportPublicKey())).rejects.toThrow(TughraIntegrityError);
+        await expect(TughraSignature.unwrap(tampered, await alice.exportPublicKey())).rejects.toMatchObject({ code: 'INTEGRITY_CORRUPTED' });
+    });
+
+    test('a saved key pair keeps signing for the same public key', async () => {
+        const restored = await TughraSignature.importKeyPair(await alice.exportKeyPair());
+        expect(await restored.fingerprint()).toBe(await alice.fingerprint());
+        await expect(TughraSignature.unwrap(await restored.wrap('hello'), await alice.exportPublicKey())).resolves.toMatchObject({ data: 'hello' });
+    });
+});
+
+describe('TughraSignature input checks', () => {
+    test.each(['{', JSON.stringify({ tughraSigned: 99, data: 'x', publicKey: 'P-256:x', signature: 'x' })])('unwrap rejects the message %s', async message => {
+        await expect(TughraSignature.unwrap(message, 'P-256:x')).rejects.toThrow(TughraDecodeError);
+    });
+
+    test('unwrap requires a trusted key', async () => {
+        const signed = await (await TughraSignature.generate()).wrap('hello');
+        await expect(TughraSignature.unwrap(signed, [])).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+
+    test('wrap accepts strings only', async () => {
+        await expect((await TughraSignature.generate()).wrap(new Uint8Array(1))).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+
+    test('rejects unknown algorithms and malformed public keys', async () => {
+        await expect(TughraSignature.generate('RSA')).rejects.toMatchObject({ code: 'UNKNOWN_ALGORITHM' });
+        await expect(TughraSignature.verify('hello', 'AAAA', 'Ed25519:AAAA')).rejects.toMatchObject({ code: 'PUBLIC_KEY_INVALID' });
+    });
+});
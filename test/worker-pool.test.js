@@ -0,0 +1,72 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Tughra, TughraError, TughraWorkerPool } = require('../tughra.js');
+
+Tughra.registerAlgorithm('Fragile', require('./fixtures/fragile.js'));
+
+const createWorker = () => new Worker(path.join(__dirname, 'fixtures', 'slow-worker.js'));
+const job = (text, algorithm = 'caesar', cycles = 1) => ({ text, cycles, mode: 'encrypt', algorithm, encryptionKey: 'correct horse battery' });
+
+describe('TughraWorkerPool', () => {
+    let pool;
+
+    beforeEach(() => {
+        pool = new TughraWorkerPool({ size: 1, createWorker });
+    });
+
+    afterEach(() => {
+        pool.terminate();
+    });
+
+    test('runs many cycles without yielding per cycle and throttles progress', async () => {
+        const progress = [];
+        const result = await pool.run(job('hello world', 'caesar', 2000), {
+            signal: new AbortController().signal,
+            onProgress: (cycle, totalCycles) => progress.push([cycle, totalCycles])
+        });
+        const expected = new Tughra('encrypt', null, 'caesar', 'correct horse battery').process('hello world', 2000);
+        expect(result).toBe(expected);
+        expect(progress.length).toBeLessThan(100);
+        expect(progress[progress.length - 1]).toEqual([2000, 2000]);
+    });
+
+    test('cancelling a single long cycle frees the slot at once', async () => {
+        const controller = new AbortController();
+        const slow = pool.run(job('x', 'Slow'), { signal: controller.signal });
+        setTimeout(() => controller.abort(), 100);
+        await expect(slow).rejects.toMatchObject({ name: 'AbortError' });
+
+        const started = Date.now();
+        await expect(pool.run(job('abc', 'ROT13'))).resolves.toBe('nop');
+        expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('replaces a worker that exits with an error', async () => {
+        await expect(pool.run(job('crash'))).rejects.toThrow('Worker crashed.');
+        await expect(pool.run(job('abc', 'ROT13'))).resolves.toBe('nop');
+    });
+
+    test('rejects jobs once terminated and detaches their abort listeners', async () => {
+        const controller = new AbortController();
+        const removed = jest.spyOn(controller.signal, 'removeEventListener');
+        const running = pool.run(job('x', 'Slow'), { signal: controller.signal });
+        pool.terminate();
+        await expect(running).rejects.toMatchObject({ code: 'INVALID_STATE' });
+        expect(removed).toHaveBeenCalledWith('abort', expect.any(Function));
+
+        const late = pool.run(job('abc', 'ROT13'));
+        await expect(late).rejects.toThrow(TughraError);
+        await expect(late).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    test('cancels the other slices of a split job when one fails', async () => {
+        const created = jest.fn(createWorker);
+        const split = new TughraWorkerPool({ size: 2, createWorker: created, splitThreshold: 4 });
+        try {
+            await expect(split.run(job('aaaa!!!!', 'Fragile'))).rejects.toThrow('Fragile slice failed.');
+            expect(created).toHaveBeenCalledTimes(3); // The blocked 'aaaa' slice's worker was replaced
+        } finally {
+            split.terminate();
+        }
+    });
+});
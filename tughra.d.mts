@@ -0,0 +1,5 @@
+// Types for the ESM entry point tughra.mjs: the named exports of tughra.js plus the default export
+import * as tughra from './tughra.js';
+
+export * from './tughra.js';
+export default tughra;
@@ -0,0 +1,578 @@
+// Type definitions for the Tughra library
+
+export type TughraMode = 'encrypt' | 'decrypt';
+
+/** Named alphabets accepted wherever a `baseCharset` is expected. */
+export type TughraBasePreset = 'Base16' | 'Base32' | 'Base32hex' | 'Base58' | 'Base64' | 'Base64URL' | 'Ascii85';
+
+export type TughraAlgorithm =
+    | 'default'
+    | 'caesar'
+    | 'vigenere'
+    | 'xor'
+    | 'ROT47'
+    | 'Atbash'
+    | 'Substitution'
+    | 'Base64'
+    | 'ASCII'
+    | 'Affine'
+    | 'Unicode Shift'
+    | 'Numeric'
+    | 'Reversed Caesar'
+    | 'ROT13'
+    | 'ROT18'
+    | 'ROT25'
+    | 'ROT30'
+    | 'XOR Pro'
+    | 'Affine Pro'
+    | 'Substitution Pro'
+    | 'Format Preserving'
+    | 'AES-GCM'
+    | (string & {});
+
+export interface TughraAlgorithmDefinition {
+    /** Display name, defaults to the registered name. */
+    label?: string;
+    encrypt(this: Tughra, text: string, tughra: Tughra): string | Promise<string>;
+    /** Optional when `symmetric` is true. */
+    decrypt?(this: Tughra, text: string, tughra: Tughra): string | Promise<string>;
+    /** Byte-level implementation used by processBytes(), files and streams. */
+    encryptBytes?(this: Tughra, bytes: Uint8Array, tughra: Tughra): Uint8Array | Promise<Uint8Array>;
+    decryptBytes?(this: Tughra, bytes: Uint8Array, tughra: Tughra): Uint8Array | Promise<Uint8Array>;
+    symmetric?: boolean;
+    /** Upper bound for cycles, default Infinity. */
+    maxCycles?: number;
+    /** Default true. */
+    requiresKey?: boolean;
+    /** The key is optional but used when given (e.g. Substitution and Affine); implied by requiresKey. */
+    usesKey?: boolean;
+    /** Default 8 when a key is required, 0 otherwise. */
+    minKeyLength?: number;
+    /** Set for Promise-returning implementations, which only run through processAsync(). */
+    async?: boolean;
+    /** Character-by-character cipher whose input TughraWorkerPool may split across workers. */
+    positionIndependent?: boolean;
+}
+
+export interface TughraAlgorithmInfo {
+    name: string;
+    label: string;
+    symmetric: boolean;
+    maxCycles: number;
+    requiresKey: boolean;
+    usesKey: boolean;
+    minKeyLength: number;
+    async: boolean;
+    positionIndependent: boolean;
+    binary: boolean;
+}
+
+export type TughraKdfParams =
+    | { algorithm?: 'PBKDF2'; iterations?: number; hash?: 'SHA-256' | 'SHA-384' | 'SHA-512'; length?: number }
+    | { algorithm: 'scrypt'; N?: number; r?: number; p?: number; length?: number };
+
+export interface TughraOptions {
+    /** Derive the key material from the password with a per-message salt. */
+    kdf?: TughraKdfParams;
+    /** Raise TughraKDF.LIMITS for key derivation parameters read from envelope, file and stream headers. */
+    kdfLimits?: Partial<TughraKdfLimits>;
+    /** Add an HMAC-SHA-256 tag to sealed envelopes and encrypted files; when decrypting, require it. */
+    integrity?: boolean;
+    /** Explicit shift for caesar, ASCII, Unicode Shift and Reversed Caesar; derived from the key otherwise. */
+    shift?: number;
+    /** Explicit Affine keys; `a` must be coprime to 26. Derived from the key otherwise. */
+    affine?: { a: number; b: number };
+    /** Code-point-safe Tughra cipher that wraps inside a range or alphabet (true: U+0020 to U+10FFFF). */
+    codePoints?: TughraCodePoints;
+    /** Reject keys that do not meet the policy; a name from TughraLibrary.KEY_POLICIES or custom rules. */
+    keyPolicy?: TughraKeyPolicyName | TughraKeyPolicy;
+    /** Text encoding used by processText(), default 'utf-8'. */
+    textEncoding?: TughraTextEncoding;
+    /** Per-record tweak for 'Format Preserving', e.g. a row ID; not stored in envelopes. */
+    tweak?: string | Uint8Array;
+}
+
+export type TughraTextEncoding = 'utf-8' | 'utf-16le' | 'utf-16be' | 'latin1';
+
+export type TughraKeyPolicyName = 'basic' | 'moderate' | 'strict';
+
+export interface TughraKeyPolicy {
+    minLength?: number;
+    minEntropy?: number;
+    /** Unicode group names, e.g. 'Numbers' or 'Uppercase English'. */
+    requiredGroups?: string[];
+    allowRepeats?: boolean;
+    allowPatterns?: boolean;
+}
+
+export interface TughraKeyStrength {
+    length: number;
+    uniqueCharacters: number;
+    groups: string[];
+    poolSize: number;
+    /** Estimated entropy in bits. */
+    entropy: number;
+    /** 0 (very weak) to 4 (very strong). */
+    score: 0 | 1 | 2 | 3 | 4;
+    label: 'very weak' | 'weak' | 'fair' | 'strong' | 'very strong';
+    repeats: number;
+    patterns: { type: 'dictionary' | 'sequence' | 'year'; text: string }[];
+    warnings: string[];
+    suggestions: string[];
+}
+
+export type TughraCodePoints = true | { range: [number, number] } | { alphabet: string };
+
+export type TughraProgressCallback = (cycleIndex: number, totalCycles: number, bytesDone: number) => void;
+
+export interface TughraProcessOptions {
+    /** Called after every cycle with the completed cycle number and the UTF-8 bytes processed so far. */
+    onProgress?: TughraProgressCallback;
+    /** Aborts between cycles with an AbortError. */
+    signal?: AbortSignal;
+}
+
+export interface TughraEnvelope {
+    version: number;
+    algorithm: TughraAlgorithm;
+    cycles: number;
+    baseCharset: string;
+    useBaseEncoding: boolean;
+    kdf?: TughraKdfParams & { salt: string };
+    codePoints?: { range: [number, number] } | { alphabet: string };
+    kcv?: string;
+    mac?: string;
+    data: string;
+}
+
+export interface TughraFileMetadata {
+    name?: string;
+    type?: string;
+}
+
+export interface TughraStreamOptions {
+    /** Plaintext bytes per chunk, default 65536. */
+    chunkSize?: number;
+    cycles?: number;
+}
+
+export type TughraBinaryInput = Blob | ArrayBuffer | ArrayBufferView;
+
+export declare class Tughra {
+    constructor(
+        mode?: TughraMode,
+        baseCharset?: TughraBasePreset | string | null,
+        algorithm?: TughraAlgorithm,
+        encryptionKey?: string,
+        useBaseEncoding?: boolean,
+        options?: TughraOptions
+    );
+
+    static readonly ALPHABET: string;
+    static readonly AFFINE_MULTIPLIERS: readonly number[];
+    static readonly DEFAULT_BASE_CHARSET: string;
+    static readonly BASE_PRESETS: Readonly<Record<TughraBasePreset, string>>;
+    static readonly ENVELOPE_VERSION: number;
+    static readonly FILE_FORMAT_VERSION: number;
+    static readonly STREAM_FORMAT_VERSION: number;
+    /** Upper limits for parameters read from envelope, file and stream headers. */
+    static readonly HEADER_LIMITS: { cycles: number };
+    static readonly TEXT_ENCODINGS: readonly TughraTextEncoding[];
+
+    mode: TughraMode;
+    algorithm: TughraAlgorithm;
+    baseCharset: string;
+    useBaseEncoding: boolean;
+    encryptionKey: Uint8Array;
+    keyOffsets: string;
+    keyShift: number;
+    /** Problems noticed while reading the key, e.g. repeated characters dropped from keyOffsets. */
+    keyWarnings: string[];
+    codePoints: { range: [number, number] } | { alphabet: string } | null;
+    kdf: TughraKdfParams | null;
+    kdfLimits: Partial<TughraKdfLimits> | null;
+    integrity: boolean;
+    textEncoding: TughraTextEncoding;
+    tweak: string | Uint8Array;
+
+    static registerAlgorithm(name: string, definition: TughraAlgorithmDefinition): void;
+    static listAlgorithms(): TughraAlgorithmInfo[];
+
+    setAlgorithm(algorithm: TughraAlgorithm): void;
+    checkKeyStrength(encryptionKey: string, minKeyLength?: number): void;
+    deriveKey(salt: Uint8Array): Promise<Uint8Array>;
+
+    process(text: string, cycles: number, options?: TughraProcessOptions): string;
+    processAsync(text: string, cycles: number, options?: TughraProcessOptions): Promise<string>;
+    /** Bytes in, bytes out; every built-in algorithm supports it. */
+    processBytes(input: TughraBinaryInput, cycles: number, options?: TughraProcessOptions): Promise<Uint8Array>;
+    /** processBytes() on the encoded text; the ciphertext is written in the base charset. */
+    processText(text: string, cycles: number, options?: TughraProcessOptions & { textEncoding?: TughraTextEncoding }): Promise<string>;
+
+    seal(text: string, cycles?: number): Promise<string>;
+    static open(envelope: string | object, key: string, options?: Pick<TughraOptions, 'shift' | 'affine' | 'kdfLimits' | 'integrity' | 'tweak'>): Promise<string>;
+    static isEnvelope(text: string): boolean;
+    static parseEnvelope(envelope: string | object): TughraEnvelope;
+
+    hash(input: TughraHashInput, options?: TughraHashOptions & { encoding?: Exclude<TughraHashEncoding, 'bytes'> }): Promise<string>;
+    hash(input: TughraHashInput, options: TughraHashOptions & { encoding: 'bytes' }): Promise<Uint8Array>;
+
+    encryptFile(file: TughraBinaryInput, cycles?: number, metadata?: TughraFileMetadata): Promise<Blob>;
+    decryptFile(file: TughraBinaryInput): Promise<File | (Blob & { name: string })>;
+
+    createEncryptStream(options?: TughraStreamOptions): TransformStream<Uint8Array | ArrayBuffer | string, Uint8Array>;
+    createDecryptStream(): TransformStream<Uint8Array | ArrayBuffer, Uint8Array>;
+    encryptStream(source: ReadableStream | AsyncIterable<Uint8Array | string>, options?: TughraStreamOptions): ReadableStream<Uint8Array>;
+    decryptStream(source: ReadableStream | AsyncIterable<Uint8Array>): ReadableStream<Uint8Array>;
+
+    toBase(input: string | ArrayBuffer | ArrayBufferView): string;
+    fromBase(text: string, options?: { bytes?: false }): string;
+    fromBase(text: string, options: { bytes: true }): Uint8Array;
+    baseEncodeDecode(alphabet: TughraBasePreset | string): { encode(bytes: Uint8Array): string; decode(text: string): Uint8Array };
+}
+
+export interface TughraUnicodeGroup {
+    name: string;
+    start: number;
+    end: number;
+}
+
+export interface TughraStats {
+    characters: number;
+    words: number;
+    lines: number;
+    size: number;
+    type: string;
+    isBlob: boolean;
+    isDataURI: boolean;
+}
+
+export interface TughraKeyGenerationOptions {
+    /** Pick groups in proportion to their number of usable characters instead of uniformly. */
+    weightBySize?: boolean;
+}
+
+export interface TughraGeneratedKey {
+    key: string;
+    characters: string[];
+    groups: string[];
+    /** Shannon entropy of one character, in bits. */
+    entropyPerCharacter: number;
+    /** Entropy of the whole key, in bits. */
+    entropy: number;
+}
+
+export interface TughraKeyExportOptions {
+    groups?: string[] | string;
+    algorithm?: TughraAlgorithm;
+    created?: Date | string | number;
+    format?: 'armored' | 'json';
+}
+
+export interface TughraKeyFile {
+    key: string;
+    algorithm: TughraAlgorithm;
+    groups: string[];
+    created: string;
+    /** keyFingerprint(key): five groups of four hex digits, e.g. "1A2B 3C4D 5E6F 7A8B 9C0D". */
+    fingerprint: string;
+}
+
+export declare class TughraLibrary {
+    static readonly KEY_FILE_VERSION: number;
+    static readonly KEY_ARMOR_BEGIN: string;
+    static readonly KEY_ARMOR_END: string;
+    static readonly FINGERPRINT_ITERATIONS: number;
+    static readonly FINGERPRINT_SALT: string;
+    static readonly KEY_POLICIES: Record<TughraKeyPolicyName, TughraKeyPolicy>;
+    static readonly STRENGTH_LEVELS: readonly { bits: number; label: TughraKeyStrength['label'] }[];
+    static readonly SEQUENCES: readonly string[];
+    static readonly COMMON_WORDS: readonly string[];
+    static readonly LEET: Readonly<Record<string, string>>;
+
+    unicodeGroups: TughraUnicodeGroup[];
+
+    getUnicodeGroups(): TughraUnicodeGroup[];
+    detectLanguage(text: string): string | null;
+    generateKey(cycles: number | string, groupNames: string, options?: TughraKeyGenerationOptions): string[];
+    generateKeyDetails(cycles: number | string, groupNames: string, options?: TughraKeyGenerationOptions): TughraGeneratedKey;
+    /** Slow PBKDF2 fingerprint; both sides must use the same salt (default TughraLibrary.FINGERPRINT_SALT). */
+    keyFingerprint(key: string, options?: { salt?: string | Uint8Array }): Promise<string>;
+    exportKey(key: string, options?: TughraKeyExportOptions): Promise<string>;
+    importKey(text: string): Promise<TughraKeyFile>;
+    /** Every character of a Unicode group; throws TughraError 'INVALID_ARGUMENT' for an unknown group. */
+    displayCharacters(groupName: string): string;
+    estimateKeyStrength(key: string): TughraKeyStrength;
+    checkKeyPolicy(key: string, policy: TughraKeyPolicyName | TughraKeyPolicy): { valid: boolean; failures: string[]; strength: TughraKeyStrength };
+    _formatSize(bytes: number): string;
+    _calculateStats(input: string | Blob): TughraStats;
+}
+
+/** Upper bounds checked while decrypting; `memory` is scrypt's 128 * N * r bytes. */
+export interface TughraKdfLimits {
+    iterations: number;
+    N: number;
+    r: number;
+    p: number;
+    memory: number;
+    length: number;
+}
+
+export declare class TughraKDF {
+    static readonly LIMITS: Readonly<TughraKdfLimits>;
+    static normalize(params: TughraKdfParams): Required<TughraKdfParams>;
+    /** normalize() that throws TughraAlgorithmError 'LIMIT_EXCEEDED' above the limits. */
+    static checkLimits(params: TughraKdfParams, limits?: Partial<TughraKdfLimits>): Required<TughraKdfParams>;
+    static generateSalt(length?: number): Uint8Array;
+    static derive(password: string | Uint8Array, salt: Uint8Array, params?: TughraKdfParams): Promise<Uint8Array>;
+}
+
+export type TughraHashAlgorithm = 'SHA-256' | 'SHA-384' | 'SHA-512' | 'CRC-32';
+
+/** 'base' encodes the digest with `baseCharset`; 'bytes' returns a Uint8Array. */
+export type TughraHashEncoding = 'hex' | 'base64' | 'base' | 'bytes';
+
+export type TughraHashInput = string | TughraBinaryInput | ReadableStream | AsyncIterable<Uint8Array | string>;
+
+export interface TughraHashOptions {
+    algorithm?: TughraHashAlgorithm;
+    encoding?: TughraHashEncoding;
+    baseCharset?: string;
+}
+
+export declare class TughraHash {
+    constructor(algorithm?: TughraHashAlgorithm, options?: Omit<TughraHashOptions, 'algorithm'>);
+    algorithm: TughraHashAlgorithm;
+    encoding: TughraHashEncoding;
+    baseCharset: string;
+
+    static readonly ALGORITHMS: TughraHashAlgorithm[];
+    static readonly ENCODINGS: TughraHashEncoding[];
+
+    static digest(input: TughraHashInput, options?: TughraHashOptions & { encoding?: Exclude<TughraHashEncoding, 'bytes'> }): Promise<string>;
+    static digest(input: TughraHashInput, options: TughraHashOptions & { encoding: 'bytes' }): Promise<Uint8Array>;
+    static verify(input: TughraHashInput, expected: string, options?: TughraHashOptions): Promise<boolean>;
+    static crc32(data: string | ArrayBuffer | ArrayBufferView, previous?: number): number;
+
+    update(data: string | ArrayBuffer | ArrayBufferView): this;
+    digest(encoding?: Exclude<TughraHashEncoding, 'bytes'>): string;
+    digest(encoding: 'bytes'): Uint8Array;
+}
+
+export type TughraErrorCode = 'INVALID_ARGUMENT' | 'INVALID_STATE';
+
+export type TughraKeyErrorCode =
+    | 'KEY_INVALID' | 'KEY_MISSING' | 'KEY_TOO_SHORT' | 'KEY_POLICY' | 'KEY_NOT_DERIVED'
+    | 'KEY_PARAMETER_INVALID' | 'KEY_PAIR_INVALID' | 'PUBLIC_KEY_INVALID';
+
+export type TughraDecodeErrorCode =
+    | 'INVALID_BASE' | 'INVALID_BASE64' | 'INVALID_UTF8' | 'INVALID_CIPHERTEXT' | 'DECRYPTION_FAILED'
+    | 'INVALID_ENVELOPE' | 'INVALID_FILE' | 'INVALID_STREAM' | 'INVALID_KEY_FILE' | 'INVALID_SIGNED_MESSAGE'
+    | 'INVALID_RECIPE' | 'UNSUPPORTED_VERSION';
+
+export type TughraAlgorithmErrorCode =
+    | 'UNKNOWN_ALGORITHM' | 'INVALID_DEFINITION' | 'INVALID_OPTIONS' | 'BINARY_UNSUPPORTED'
+    | 'ASYNC_REQUIRED' | 'ALGORITHM_MISMATCH' | 'UNAVAILABLE' | 'LIMIT_EXCEEDED';
+
+export type TughraIntegrityErrorCode = 'INTEGRITY_WRONG_KEY' | 'INTEGRITY_CORRUPTED';
+
+export interface TughraErrorJSON {
+    name: string;
+    code?: string;
+    message: string;
+    details?: Record<string, unknown>;
+    reason?: 'wrong-key' | 'corrupted';
+}
+
+/** Base class of every error thrown by the library; `code` is stable, `message` is not. */
+export declare class TughraError extends Error {
+    constructor(message: string, code?: string, details?: Record<string, unknown>);
+    code: TughraErrorCode | TughraKeyErrorCode | TughraDecodeErrorCode | TughraAlgorithmErrorCode | TughraIntegrityErrorCode;
+    details?: Record<string, unknown>;
+    static readonly CODES: Readonly<Record<string, string[]>>;
+    toJSON(): TughraErrorJSON;
+    /** Rebuilds the error class from toJSON() output, e.g. for errors sent by a worker. */
+    static fromJSON(data: TughraErrorJSON): Error;
+}
+
+export declare class TughraKeyError extends TughraError {
+    constructor(message: string, code?: TughraKeyErrorCode, details?: Record<string, unknown>);
+    code: TughraKeyErrorCode;
+}
+
+export declare class TughraDecodeError extends TughraError {
+    constructor(message: string, code?: TughraDecodeErrorCode, details?: Record<string, unknown>);
+    code: TughraDecodeErrorCode;
+}
+
+export declare class TughraAlgorithmError extends TughraError {
+    constructor(message: string, code?: TughraAlgorithmErrorCode, details?: Record<string, unknown>);
+    code: TughraAlgorithmErrorCode;
+}
+
+export declare class TughraIntegrityError extends TughraError {
+    constructor(message: string, reason: 'wrong-key' | 'corrupted', details?: Record<string, unknown>);
+    code: TughraIntegrityErrorCode;
+    reason: 'wrong-key' | 'corrupted';
+}
+
+export type TughraCurve = 'P-256' | 'X25519';
+
+export interface TughraKeyAgreementOptions {
+    /** Context that separates keys for different purposes, e.g. a chat room id. */
+    info?: string;
+    salt?: string;
+    /** Key length in bytes (default 32). */
+    length?: number;
+}
+
+export declare class TughraKeyExchange {
+    constructor(curve: TughraCurve, privateKey: CryptoKey, publicKey: CryptoKey);
+    static readonly CURVES: readonly TughraCurve[];
+    static generate(curve?: TughraCurve): Promise<TughraKeyExchange>;
+    static importKeyPair(json: string | JsonWebKey): Promise<TughraKeyExchange>;
+
+    curve: TughraCurve;
+    privateKey: CryptoKey;
+    publicKey: CryptoKey;
+
+    exportKeyPair(): Promise<string>;
+    /** "<curve>:<Base64 raw public key>" */
+    exportPublicKey(): Promise<string>;
+    fingerprint(publicKey?: string): Promise<string>;
+    /** Shared Base64 key usable as the encryptionKey of any Tughra algorithm. */
+    deriveKey(peerPublicKey: string, options?: TughraKeyAgreementOptions): Promise<string>;
+}
+
+export type TughraSignatureAlgorithm = 'P-256' | 'Ed25519';
+
+export declare class TughraSignature {
+    constructor(algorithm: TughraSignatureAlgorithm, privateKey: CryptoKey, publicKey: CryptoKey);
+    static readonly ALGORITHMS: readonly TughraSignatureAlgorithm[];
+    static readonly FORMAT_VERSION: number;
+    static generate(algorithm?: TughraSignatureAlgorithm): Promise<TughraSignature>;
+    static importKeyPair(json: string | JsonWebKey): Promise<TughraSignature>;
+    static verify(message: string | TughraBinaryInput, signature: string, publicKey: string): Promise<boolean>;
+    /** Returns the data if the message was signed by one of the trusted public keys, throws TughraIntegrityError otherwise. */
+    static unwrap(signedMessage: string | object, trustedPublicKeys: string | string[]): Promise<{ data: string; publicKey: string }>;
+
+    algorithm: TughraSignatureAlgorithm;
+    privateKey: CryptoKey;
+    publicKey: CryptoKey;
+
+    exportKeyPair(): Promise<string>;
+    /** "<algorithm>:<Base64 raw public key>" */
+    exportPublicKey(): Promise<string>;
+    fingerprint(publicKey?: string): Promise<string>;
+    /** Base64 signature. */
+    sign(message: string | TughraBinaryInput): Promise<string>;
+    /** JSON with the data, the signer's public key and the signature. */
+    wrap(data: string): Promise<string>;
+}
+
+export type TughraPipelineStep =
+    | {
+        type?: 'cipher';
+        algorithm: TughraAlgorithm;
+        key?: string;
+        cycles?: number;
+        baseCharset?: string;
+        useBaseEncoding?: boolean;
+        shift?: number;
+        affine?: { a: number; b: number };
+        codePoints?: TughraCodePoints;
+    }
+    | { type: 'base'; baseCharset?: string };
+
+export interface TughraPipelineRecipe {
+    tughraPipeline: number;
+    steps: TughraPipelineStep[];
+}
+
+export declare class TughraPipeline {
+    constructor(steps?: TughraPipelineStep[]);
+    static readonly RECIPE_VERSION: number;
+    steps: TughraPipelineStep[];
+    addStep(step: TughraPipelineStep): this;
+    encrypt(text: string, options?: { signal?: AbortSignal }): Promise<string>;
+    decrypt(text: string, options?: { signal?: AbortSignal }): Promise<string>;
+    toJSON(options?: { includeKeys?: boolean }): TughraPipelineRecipe;
+    exportRecipe(options?: { includeKeys?: boolean }): string;
+    static importRecipe(recipe: string | TughraPipelineRecipe, keys?: Array<string | undefined>): TughraPipeline;
+}
+
+export interface TughraAnalysisGuess<K = unknown> {
+    algorithm: string;
+    key: K;
+    plaintext: string;
+    /** Chi-squared (lower is better) or log10 n-gram likelihood (higher is better) of the guess. */
+    score: number;
+    /** Share of the likelihood among all returned guesses, between 0 and 1. */
+    confidence: number;
+}
+
+export interface TughraKeyLengthGuess {
+    length: number;
+    indexOfCoincidence: number;
+    /** Share of repeated-trigram distances divisible by the length. */
+    kasiski: number;
+    confidence: number;
+}
+
+export type TughraBruteForceAlgorithm = 'caesar' | 'ROT' | 'Atbash' | 'Reversed Caesar' | 'Affine';
+
+export declare class TughraAnalysis {
+    static readonly ENGLISH_FREQUENCIES: readonly number[];
+    static readonly LETTER_SHARE: number;
+    static readonly SPACE_SHARE: number;
+    static readonly REFERENCE_TEXT: string;
+    static readonly BRUTE_FORCE_ALGORITHMS: readonly TughraBruteForceAlgorithm[];
+
+    static frequencies(text: string): { counts: number[]; total: number; frequencies: Record<string, number>; indexOfCoincidence: number };
+    static chiSquared(text: string): number;
+    static ngramScore(text: string): number;
+    static bruteForce(
+        ciphertext: string,
+        algorithm: TughraBruteForceAlgorithm,
+        options?: { top?: number }
+    ): TughraAnalysisGuess<{ shift?: number; n?: number; a?: number; b?: number }>[];
+    static guess(ciphertext: string, options?: { top?: number }): TughraAnalysisGuess<{ shift?: number; n?: number; a?: number; b?: number }>[];
+    static substitution(ciphertext: string, options?: { restarts?: number; top?: number }): TughraAnalysisGuess<string>[];
+    static estimateKeyLength(input: string | Uint8Array, options?: { maxLength?: number }): TughraKeyLengthGuess[];
+    static vigenere(ciphertext: string, options?: { maxLength?: number; lengths?: number; top?: number }): TughraAnalysisGuess<string>[];
+    static vigenereBytes(ciphertext: string, options?: { maxLength?: number; lengths?: number; top?: number }): TughraAnalysisGuess<string>[];
+}
+
+export interface TughraJob {
+    text: string;
+    cycles: number;
+    mode?: TughraMode;
+    algorithm?: TughraAlgorithm;
+    encryptionKey?: string;
+    baseCharset?: string;
+    useBaseEncoding?: boolean;
+}
+
+export interface TughraWorkerLike {
+    postMessage(message: unknown): void;
+    terminate(): unknown;
+}
+
+export interface TughraWorkerPoolOptions {
+    /** Number of workers, default navigator.hardwareConcurrency or 4. */
+    size?: number;
+    /** Script started in each worker, default 'worker.js'. */
+    workerUrl?: string;
+    /** Custom factory for Web Workers or Node.js worker threads. */
+    createWorker?: () => TughraWorkerLike;
+    /** Minimum text length before a position-independent job is split across workers. */
+    splitThreshold?: number;
+}
+
+export declare class TughraWorkerPool {
+    constructor(options?: TughraWorkerPoolOptions);
+    readonly size: number;
+    splitThreshold: number;
+    run(job: TughraJob, options?: TughraProcessOptions): Promise<string>;
+    terminate(): void;
+}
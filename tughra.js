@@ -54,18 +54,35 @@
  * - **Key Offsets**: Users can specify unique key offsets that are used in the encryption/decryption 
  *   process. These offsets determine how much each character in the input text is modified.
  * - **Encryption Modes**: The library supports multiple algorithms:
- *   - **Tughra**: A custom encryption method.
- *   - **Caesar**: A classic cipher that shifts characters by a fixed number.
+ *   - **Tughra**: A custom encryption method. With `{ codePoints: true }` (or `{ codePoints: { range:
+ *     [start, end] } }` / `{ codePoints: { alphabet } }`) it works on whole code points and wraps
+ *     inside that set, skipping surrogates and noncharacters, so the output always survives UTF-8.
+ *   - **Caesar**: A classic cipher that shifts characters by a fixed number, derived from the key
+ *     or given explicitly with `{ shift: 3 }`.
+ *   - **Substitution / Affine**: Keyed permutation alphabet and Affine `a`/`b` derived from the key
+ *     (or `{ affine: { a: 5, b: 8 } }`). The Pro variants also vary them per position.
  *   - **Vigenère**: A method that uses a keyword to apply varying shifts to characters.
  *   - **XOR**: A simple cipher that applies the XOR operation with a given key.
+ *   - **Format Preserving**: Keyed FF1-style Feistel encryption that keeps the shape of the input:
+ *     digits stay digits, letters keep their case and Unicode group, and the length is unchanged.
+ *     Pass a per-record `{ tweak }` (e.g. the row ID) so equal values in different records differ.
+ *   - **AES-GCM**: Authenticated AES-256-GCM through WebCrypto with a random IV per message.
+ *     Decrypting with the wrong key or tampered data fails with an error.
  * - **Base Encoding**: Users can enable or disable base encoding/decoding to handle the output of 
- *   the encryption process.
+ *   the encryption process. `baseCharset` is any alphabet or a preset name from `Tughra.BASE_PRESETS`
+ *   (Base16, Base32, Base32hex, Base58, Base64, Base64URL, Ascii85); `toBase` accepts text or bytes
+ *   and `fromBase(text, { bytes: true })` returns the decoded bytes.
  * - **Key Strength Validation**: The library validates the strength of the provided encryption key, 
- *   ensuring it meets minimum length requirements for security.
+ *   ensuring it meets minimum length requirements for security. `TughraLibrary#estimateKeyStrength(key)`
+ *   estimates the entropy and flags repeats, sequences and common words; the `keyPolicy` option
+ *   ('basic', 'moderate', 'strict' or custom rules) rejects keys that do not meet a policy.
  * - **File Support**: The library includes methods for encrypting and decrypting files of all types, 
  *   allowing users to protect sensitive documents while maintaining usability.
  * 
  * Usage:
+ * 0. Load the library with a <script> tag (globals `Tughra`, `TughraLibrary`, ...), `importScripts` in a
+ *    worker, `require('tughra')` or `import { Tughra, TughraLibrary } from 'tughra'`. TypeScript
+ *    declarations ship in tughra.d.ts.
  * 1. Instantiate the Tughra class with the desired parameters:
  *    ```javascript
  *    const tughra = new Tughra(keyOffsets, mode, baseCharset, algorithm, encryptionKey);
@@ -74,50 +91,229 @@
  *    ```javascript
  *    const result = tughra.process(text, cycles);
  *    ```
- * 3. Utilize the `decryptFile` method to decrypt files:
+ *    WebCrypto algorithms such as 'AES-GCM' are asynchronous, use `processAsync` instead
+ *    (it works for every algorithm, in the browser, in `worker.js` and in Node.js):
  *    ```javascript
- *    const decryptedFile = tughra.decryptFile(filePath, cycles);
+ *    const result = await tughra.processAsync(text, cycles);
  *    ```
- * 4. Utilize the `setAlgorithm` method to change the encryption algorithm if needed:
+ *    To avoid sharing the algorithm, cycles and base charset out of band, `seal` produces a
+ *    self-describing envelope (never containing the key) that `Tughra.open` decrypts:
+ *    ```javascript
+ *    const envelope = await tughra.seal(text, cycles);
+ *    const plainText = await Tughra.open(envelope, encryptionKey);
+ *    ```
+ *    Pass `{ kdf: { algorithm: 'PBKDF2', iterations: 600000 } }` (or `{ algorithm: 'scrypt' }`) as the
+ *    last constructor argument to derive the key material from the password with a per-message salt,
+ *    which `seal` stores in the envelope:
+ *    ```javascript
+ *    const tughra = new Tughra('encrypt', baseCharset, 'vigenere', password, false, { kdf: { algorithm: 'scrypt' } });
+ *    ```
+ *    When decrypting, parameters read from a header are capped by `TughraKDF.LIMITS` so a crafted
+ *    header cannot exhaust CPU or memory; pass `{ kdfLimits: { iterations: 20000000 } }` to raise them.
+ *    Add `integrity: true` to the options to protect sealed envelopes with an HMAC-SHA-256 tag.
+ *    `Tughra.open` then throws a `TughraIntegrityError` whose `reason` is 'wrong-key' or 'corrupted'
+ *    instead of returning garbage. Pass `integrity: true` when decrypting as well (to the options of
+ *    `Tughra.open` or of the instance calling `decryptFile`) so that a stripped tag is an error too.
+ *    Binary payloads (images, PDFs, protobufs) round-trip exactly through `processBytes`, which every
+ *    algorithm supports. `processText` wraps it for strings with a declared text encoding ('utf-8' by
+ *    default, 'utf-16le', 'utf-16be' or 'latin1') and writes the ciphertext in the base charset:
+ *    ```javascript
+ *    const bytes = await tughra.processBytes(new Uint8Array(buffer), cycles);
+ *    const cipherText = await tughra.processText('مرحبا', cycles, { textEncoding: 'utf-8' });
+ *    ```
+ *    Long multi-cycle runs accept an options object with a progress callback and an AbortSignal:
+ *    ```javascript
+ *    const result = await tughra.processAsync(text, cycles, {
+ *        onProgress: (cycleIndex, totalCycles, bytesDone) => console.log(cycleIndex + '/' + totalCycles),
+ *        signal: controller.signal
+ *    });
+ *    ```
+ * 3. Utilize the `encryptFile` and `decryptFile` methods to encrypt and decrypt files. They accept a
+ *    Blob, File, ArrayBuffer or Uint8Array, work on bytes and restore the original name and MIME type
+ *    (every built-in algorithm works on bytes):
+ *    ```javascript
+ *    const encryptedBlob = await tughra.encryptFile(file, cycles);
+ *    const decryptedFile = await tughra.decryptFile(encryptedBlob);
+ *    ```
+ *    Large files can be processed as a stream of numbered, authenticated chunks, so they never
+ *    have to fit in memory; reordered or truncated chunks are detected:
+ *    ```javascript
+ *    const encrypted = tughra.encryptStream(file.stream(), { chunkSize: 65536, cycles });
+ *    const decrypted = tughra.decryptStream(encrypted); // or pipeThrough(tughra.createDecryptStream())
+ *    ```
+ * 4. Register your own cipher or list the available ones with their metadata:
+ *    ```javascript
+ *    Tughra.registerAlgorithm('Reverse', { symmetric: true, requiresKey: false, encrypt: text => [...text].reverse().join('') });
+ *    Tughra.listAlgorithms(); // [{ name: 'default', label: 'Tughra', maxCycles: Infinity, ... }, ...]
+ *    ```
+ * 5. Utilize the `setAlgorithm` method to change the encryption algorithm if needed:
  *    ```javascript
  *    tughra.setAlgorithm('caesar');
  *    ```
+ * 6. Errors are never swallowed. Everything the library throws is a `TughraError` subclass with a
+ *    stable `code` and, where useful, `details` (TughraError.CODES lists them all):
+ *    - `TughraKeyError`: missing, short or malformed keys ('KEY_MISSING', 'KEY_TOO_SHORT', 'KEY_POLICY', ...)
+ *    - `TughraDecodeError`: input that cannot be decoded ('INVALID_BASE', 'INVALID_UTF8', 'INVALID_ENVELOPE', ...)
+ *    - `TughraAlgorithmError`: unknown algorithms, bad options, unsupported operations ('UNKNOWN_ALGORITHM', ...)
+ *    - `TughraIntegrityError`: failed integrity checks ('INTEGRITY_WRONG_KEY', 'INTEGRITY_CORRUPTED')
+ *    ```javascript
+ *    try {
+ *        tughra.fromBase(input);
+ *    } catch (error) {
+ *        if (error.code === 'INVALID_BASE') console.log('Bad character:', error.details.character);
+ *    }
+ *    ```
+ *
+ * Class TughraKDF:
+ * 
+ * Derives key material from passwords with PBKDF2 (WebCrypto) or the memory-hard scrypt.
+ *
+ * Class TughraHash:
+ *
+ * SHA-256, SHA-384, SHA-512 and CRC-32 digests of strings, bytes, Blobs or streams, e.g. to check
+ * content before encryption and after decryption:
+ *    ```javascript
+ *    await TughraHash.digest(file, { algorithm: 'SHA-512', encoding: 'base64' }); // or 'hex', 'base', 'bytes'
+ *    await tughra.hash(text, { encoding: 'base' });    // in this instance's baseCharset
+ *    const hash = new TughraHash('SHA-256');
+ *    for await (const chunk of stream) hash.update(chunk);
+ *    hash.digest();                                    // hex
+ *    ```
+ * 
+ * Class TughraKeyExchange:
+ * 
+ * ECDH key agreement (P-256 or X25519) with HKDF, so two parties can share a key without sending it:
+ *    ```javascript
+ *    const alice = await TughraKeyExchange.generate('X25519');
+ *    const alicePublic = await alice.exportPublicKey();     // send to Bob, receive bobPublic
+ *    const key = await alice.deriveKey(bobPublic, { info: 'chat-42' });
+ *    const tughra = new Tughra('encrypt', null, 'AES-GCM', key);
+ *    ```
+ * Compare `await alice.fingerprint()` with Bob's view of Alice's key to rule out interception.
+ * 
+ * Class TughraSignature:
+ * 
+ * ECDSA P-256 or Ed25519 signatures, e.g. to prove who produced a ciphertext before decrypting it:
+ *    ```javascript
+ *    const signer = await TughraSignature.generate('Ed25519');
+ *    const signed = await signer.wrap(tughra.process(text, cycles)); // publish signer.exportPublicKey()
+ *    const { data } = await TughraSignature.unwrap(signed, trustedPublicKey); // throws for other signers
+ *    ```
+ * 
+ * Class TughraPipeline:
+ * 
+ * Chains steps with their own algorithm, key and cycles, reverses them on decryption and
+ * exports/imports the chain as a JSON recipe:
+ *    ```javascript
+ *    const pipeline = new TughraPipeline([
+ *        { algorithm: 'Substitution', cycles: 1 },
+ *        { algorithm: 'vigenere', key: 'firstSecret', cycles: 3 },
+ *        { algorithm: 'XOR Pro', key: 'secondSecret', cycles: 1 },
+ *        { type: 'base', baseCharset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567' }
+ *    ]);
+ *    const cipherText = await pipeline.encrypt(text);
+ *    const recipe = pipeline.exportRecipe(); // keys only with { includeKeys: true }
+ *    const plainText = await TughraPipeline.importRecipe(recipe, [undefined, 'firstSecret', 'secondSecret']).decrypt(cipherText);
+ *    ```
+ * 
+ * Class TughraAnalysis:
+ * 
+ * Attacks the classical ciphers for teaching: frequency analysis, brute force ranked by chi-squared,
+ * Substitution hill climbing and Vigenère key-length estimation (Kasiski and index of coincidence).
+ * Every attack returns ranked guesses with a confidence:
+ *    ```javascript
+ *    TughraAnalysis.guess(cipherText);                  // caesar, ROT-n, Atbash, Reversed Caesar, Affine
+ *    TughraAnalysis.substitution(cipherText);           // [{ key, plaintext, score, confidence }, ...]
+ *    TughraAnalysis.vigenere(cipherText);               // classical letter Vigenère
+ *    TughraAnalysis.vigenereBytes(cipherText);          // the library's 'vigenere' (Base64 output)
+ *    ```
+ * 
+ * Class TughraWorkerPool:
+ * 
+ * Runs jobs on several workers in parallel with job IDs, Promises and AbortSignal cancellation:
+ *    ```javascript
+ *    const pool = new TughraWorkerPool({ size: 4 });
+ *    const result = await pool.run({ text, cycles, mode, algorithm, encryptionKey }, { signal });
+ *    ```
  * 
  * Class TughraLibrary:
  * 
  * Contains predefined Unicode groups for generating character offsets from different languages 
  * and scripts. Each group is defined by its name and character range (start and end Unicode values).
+ * `generateKey(length, 'Numbers, Brahmi')` draws keys from these groups with crypto.getRandomValues;
+ * `generateKeyDetails()` also reports the entropy of the generated key.
+ * `exportKey(key, { groups, algorithm })` writes a portable armored or JSON key file with a salted
+ * fingerprint and a tag over its metadata, `importKey(text)` validates both, and `keyFingerprint(key)`
+ * lets both sides compare keys.
  */
 
 class Tughra {
-    constructor(mode, baseCharset, algorithm, encryptionKey = '', useBaseEncoding = false) {
+    constructor(mode, baseCharset, algorithm, encryptionKey = '', useBaseEncoding = false, options = {}) {
         // Ensure keyOffsets are unique and valid, then join them into a single string
         const uniqueKeyOffsets = Array.from(new Set(encryptionKey)).map(item => {
             const charCode = typeof item === 'string' ? item.charCodeAt(0) : item;
             if (isNaN(charCode)) {
-                throw new Error("Invalid character in encryption array. Only letters and numbers are allowed.");
+                throw new TughraKeyError("Invalid character in encryption array. Only letters and numbers are allowed.", 'KEY_INVALID');
             }
             return item;
         }).join(''); // Join characters into a single string without commas
 
 
-        if (algorithm === 'default' && uniqueKeyOffsets.length === 0) {
-            throw new Error("keyOffsets must contain at least one valid value.");
-        }
-
         this.keyOffsets = uniqueKeyOffsets;
 
+        // Repeated key characters are dropped from keyOffsets, which say so instead of doing it silently
+        const repeats = Array.from(encryptionKey).length - Array.from(uniqueKeyOffsets).length;
+        this.keyWarnings = repeats > 0 ? [`${repeats} repeated key character${repeats === 1 ? ' is' : 's are'} ignored by the key offsets.`] : [];
+
+        // Optional key policy: a TughraLibrary.KEY_POLICIES name or { minLength, minEntropy, requiredGroups, ... }
+        if (options.keyPolicy) {
+            const { valid, failures } = new TughraLibrary().checkKeyPolicy(encryptionKey, options.keyPolicy);
+            if (!valid) {
+                throw new TughraKeyError(`Key does not meet the key policy: ${failures.join(' ')}`, 'KEY_POLICY', { failures });
+            }
+        }
+
         this.mode = mode || 'encrypt'; // 'encrypt' or 'decrypt', default = encrypt
         this.useBaseEncoding = useBaseEncoding; // true for base encoding/decoding, false otherwise
-        this.baseCharset = baseCharset || 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/='; // Base alphabet, default = Base64
+        this.baseCharset = baseCharset || Tughra.DEFAULT_BASE_CHARSET; // Base alphabet, default = Base64
         this.baseLibrary = this.baseEncodeDecode(this.baseCharset); // Create base library 
         this.encryptionKey = new TextEncoder().encode(encryptionKey); // User-provided key for encryption
 
-        // Only check key strength if the algorithm is not 'default'
-        if (algorithm !== 'default') {
-            this.checkKeyStrength(encryptionKey); // Validate key strength
-        }
+        // Explicit cipher parameters; anything not given here is derived from the key
+        this._shift = options.shift; // Caesar, ASCII, Unicode and Reversed Caesar shift
+        this._affine = options.affine; // { a, b } for Affine, a must be coprime to 26
+
+        // Optional code-point mode for the Tughra cipher: true, { range: [start, end] } or { alphabet }
+        this.codePoints = options.codePoints ? Tughra._normalizeCodePoints(options.codePoints) : null;
+        this._codePointAlphabet = this.codePoints ? Tughra._codePointAlphabet(this.codePoints) : null;
+
+        // Optional password-based key derivation, e.g. { algorithm: 'PBKDF2', iterations: 600000 }
+        this.kdf = options.kdf ? TughraKDF.normalize(options.kdf) : null;
+        this.kdfLimits = options.kdfLimits || null; // Raises TughraKDF.LIMITS for headers read while decrypting
+        this._password = encryptionKey;
+        this._keyDerived = false;
+
+        // Optional HMAC-SHA-256 tag over the ciphertext and its parameters, added by seal()
+        this.integrity = options.integrity === true;
+
+        // Per-record tweak for the Format Preserving algorithm, e.g. a row ID: equal values under
+        // different tweaks encrypt differently. A string or a Uint8Array; it is not stored in envelopes.
+        this.tweak = options.tweak === undefined ? '' : options.tweak;
+        Tughra._tweakBytes(this.tweak);
+
+        // Text encoding used by processText(): 'utf-8' (default), 'utf-16le', 'utf-16be' or 'latin1'
+        this.textEncoding = Tughra._checkTextEncoding(options.textEncoding || 'utf-8');
+
         this.algorithm = algorithm || 'default'; // Default encryption algorithm
+
+        // Validate the key against the requirements registered for the algorithm
+        const definition = this._definition();
+        if (definition.minKeyLength > 0) {
+            this.checkKeyStrength(encryptionKey, definition.minKeyLength); // Validate key strength
+        }
+        if (definition.requiresKey && uniqueKeyOffsets.length === 0) {
+            throw new TughraKeyError("keyOffsets must contain at least one valid value.", 'KEY_MISSING');
+        }
         this.substitutionKey = {
             'a': 'q',
             'b': 'w',
@@ -180,6 +376,8 @@ class Tughra {
         this.a = 5; // Must be coprime to 26
         this.b = 8; // Additive key
         this.m = 26; // Size of the alphabet
+
+        this._deriveCipherParameters(); // Replace the defaults above with key-driven values
     }
 
 
@@ -189,574 +387,2306 @@ class Tughra {
     }
 
     // Check key strength
-    checkKeyStrength(encryptionKey) {
-        if (encryptionKey.length < 8) {
-            throw new Error("Key must be at least 8 characters long.");
+    checkKeyStrength(encryptionKey, minKeyLength = 8) {
+        if (encryptionKey.length < minKeyLength) {
+            throw new TughraKeyError(`Key must be at least ${minKeyLength} characters long.`, 'KEY_TOO_SHORT', { minLength: minKeyLength });
         }
     }
 
-    // Main method that either encrypts or decrypts based on the mode
-    process(text, cycles) {
-        if (this.useBaseEncoding && this.mode === 'decrypt') {
-            text = this.fromBase(text); // Convert input from base if required
+    // Register a cipher. encrypt/decrypt are called with the Tughra instance as `this` and as the
+    // second argument; encryptBytes/decryptBytes (optional) enable processBytes(), files and streams.
+    // usesKey marks algorithms with requiresKey: false that still derive their parameters from a key.
+    // positionIndependent marks character-by-character ciphers that TughraWorkerPool may split.
+    // Names are unique: re-registering one would change what existing ciphertext decrypts with.
+    static registerAlgorithm(name, definition) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new TughraAlgorithmError("Algorithm name must be a non-empty string.", 'INVALID_DEFINITION');
         }
-
-        // Check if the algorithm is XOR, ROT47, ROT13 and set cycles to 1 if so
-        if (this.algorithm === 'xor' || this.algorithm === 'ROT47' || this.algorithm === 'ROT13') {
-            cycles = 1; // Set cycles to 1 for XOR, ROT47, ROT13
+        if (Tughra._algorithms.has(name)) {
+            throw new TughraAlgorithmError(`Algorithm '${name}' is already registered.`, 'INVALID_DEFINITION', { algorithm: name });
         }
-
-        let resultText = text;
-        for (let i = 0; i < cycles; i++) {
-            resultText = this._processCycle(resultText, this.mode);
+        if (!definition || typeof definition.encrypt !== 'function') {
+            throw new TughraAlgorithmError(`Algorithm '${name}' must provide an encrypt function.`, 'INVALID_DEFINITION', { algorithm: name });
+        }
+        if (!definition.symmetric && typeof definition.decrypt !== 'function') {
+            throw new TughraAlgorithmError(`Algorithm '${name}' must provide a decrypt function or be symmetric.`, 'INVALID_DEFINITION', { algorithm: name });
+        }
+        if (definition.maxCycles !== undefined && definition.maxCycles !== Infinity && !(Number.isInteger(definition.maxCycles) && definition.maxCycles >= 1)) {
+            throw new TughraAlgorithmError(`Algorithm '${name}' must have a positive integer maxCycles.`, 'INVALID_DEFINITION', { algorithm: name, maxCycles: definition.maxCycles });
         }
 
-        return this.useBaseEncoding && this.mode === 'encrypt' ? this.toBase(resultText) : resultText;
+        const requiresKey = definition.requiresKey !== false;
+        Tughra._algorithms.set(name, {
+            name,
+            label: definition.label || name,
+            encrypt: definition.encrypt,
+            decrypt: definition.decrypt || definition.encrypt,
+            encryptBytes: definition.encryptBytes || null,
+            decryptBytes: definition.decryptBytes || (definition.symmetric ? definition.encryptBytes : null) || null,
+            symmetric: definition.symmetric === true,
+            maxCycles: definition.maxCycles !== undefined ? definition.maxCycles : Infinity,
+            requiresKey,
+            usesKey: requiresKey || definition.usesKey === true,
+            minKeyLength: definition.minKeyLength !== undefined ? definition.minKeyLength : (requiresKey ? 8 : 0),
+            async: definition.async === true,
+            positionIndependent: definition.positionIndependent === true
+        });
     }
 
-    // Process encryption/decryption based on the selected algorithm
-    _processCycle(text, mode) {
-        switch (this.algorithm) {
-            case 'caesar':
-                return mode === 'encrypt' ? this._caesarEncrypt(text) : this._caesarDecrypt(text);
-            case 'vigenere':
-                return mode === 'encrypt' ? this._vigenereEncrypt(text) : this._vigenereDecrypt(text);
-            case 'xor':
-                return mode === 'encrypt' ? this._xorEncrypt(text) : this._xorDecrypt(text);
-            case 'ROT47':
-                return mode === 'encrypt' ? this._encryptROT47(text) : this._decryptROT47(text);
-            case 'Atbash':
-                return mode === 'encrypt' ? this._encryptAtbash(text) : this._decryptAtbash(text);
-            case 'Substitution':
-                return mode === 'encrypt' ? this._encryptSubstitution(text) : this._decryptSubstitution(text);
-            case 'Base64':
-                return mode === 'encrypt' ? this._encryptBase64(text) : this._decryptBase64(text);
-            case 'ASCII':
-                return mode === 'encrypt' ? this._encryptAsciiShift(text) : this._decryptAsciiShift(text);
-            case 'Affine':
-                return mode === 'encrypt' ? this._encryptAffine(text) : this._decryptAffine(text);
-            case 'Unicode Shift':
-                return mode === 'encrypt' ? this._encryptUnicodeShift(text) : this._decryptUnicodeShift(text);
-            case 'Numeric':
-                return mode === 'encrypt' ? this._encryptNumeric(text) : this._decryptNumeric(text);
-            case 'Reversed Caesar':
-                return mode === 'encrypt' ? this._encryptReversedCaesar(text) : this._decryptReversedCaesar(text);
-            case 'ROT13':
-                return mode === 'encrypt' ? this._encryptROT13(text) : this._decryptROT13(text);
-            case 'ROT18':
-                return mode === 'encrypt' ? this._encryptROT18(text) : this._decryptROT18(text);
-            case 'ROT25':
-                return mode === 'encrypt' ? this._encryptROT25(text) : this._decryptROT25(text);
-            case 'ROT30':
-                return mode === 'encrypt' ? this._encryptROT30(text) : this._decryptROT30(text);
-            case 'XOR Pro':
-                return mode === 'encrypt' ? this._encryptXORPro(text, this.keyOffsets) : this._decryptXORPro(text, this.keyOffsets);
-            case 'Affine Pro':
-                return mode === 'encrypt' ? this._encryptAffinePro(text, this.encryptionKey) : this._decryptAffinePro(text, this.encryptionKey);
-            case 'Substitution Pro':
-                return mode === 'encrypt' ? this._encryptSubstitutionPro(text, this.encryptionKey) : this._decryptSubstitutionPro(text, this.encryptionKey);
-            default:
-                return mode === 'encrypt' ? this._TughraEncrypt(text) : this._TughraDecrypt(text);
-        }
+    // Metadata of every registered algorithm, in registration order
+    static listAlgorithms() {
+        return Array.from(Tughra._algorithms.values(), ({ name, label, symmetric, maxCycles, requiresKey, usesKey, minKeyLength, async, positionIndependent, encryptBytes }) => ({
+            name,
+            label,
+            symmetric,
+            maxCycles,
+            requiresKey,
+            usesKey,
+            minKeyLength,
+            async,
+            positionIndependent,
+            binary: encryptBytes !== null
+        }));
+    }
 
+    // Unknown algorithm names fall back to the Tughra cipher, as they always have
+    _definition() {
+        const definition = Tughra._algorithms.get(this.algorithm);
+        if (!definition) {
+            throw new TughraAlgorithmError(`Unknown algorithm: ${this.algorithm}. Use ${Array.from(Tughra._algorithms.keys()).join(', ')}.`, 'UNKNOWN_ALGORITHM', { algorithm: this.algorithm });
+        }
+        return definition;
     }
 
-    _modInverse(a, m) {
-        for (let x = 1; x < m; x++) {
-            if ((a * x) % m === 1) {
-                return x;
-            }
+    // Derive the key material from the password and salt with the configured KDF
+    async deriveKey(salt) {
+        if (!this.kdf) {
+            throw new TughraError("No key derivation function configured. Pass { kdf } in the constructor options.", 'INVALID_STATE');
         }
-        return null; // No modular inverse if not found
+        return this._deriveKeyWith(salt, this.kdf);
     }
-    // 9. Affine Cipher (Encrypt & Decrypt)
-    _encryptAffine(text) {
-        return text.split('').map(char => {
-            if (/[A-Za-z]/.test(char)) { // Check if the character is a letter
-                const base = char === char.toUpperCase() ? 65 : 97; // Base for uppercase or lowercase
-                const encryptedChar = String.fromCharCode(((this.a * (char.charCodeAt(0) - base) + this.b) % 26) + base);
-                return encryptedChar;
-            }
-            return char; // Return unchanged if not a letter
-        }).join('');
+
+    // Derive with explicit parameters, e.g. read from a file header, leaving this.kdf untouched
+    async _deriveKeyWith(salt, params) {
+        this._setKeyMaterial(await TughraKDF.derive(this._password, salt, params));
+        this._keyDerived = true;
+        return this.encryptionKey;
     }
 
-    _decryptAffine(text) {
-        const a_inv = this._modInverse(this.a, 26);
-        return text.split('').map(char => {
-            if (/[A-Za-z]/.test(char)) { // Check if the character is a letter
-                const base = char === char.toUpperCase() ? 65 : 97; // Base for uppercase or lowercase
-                const decryptedChar = String.fromCharCode(((a_inv * (char.charCodeAt(0) - base - this.b + 26)) % 26 + 26) % 26 + base);
-                return decryptedChar;
-            }
-            return char; // Return unchanged if not a letter
-        }).join('');
+    // Replace the key material used by every algorithm with the given bytes
+    _setKeyMaterial(bytes) {
+        this.encryptionKey = bytes;
+        this.keyOffsets = Array.from(new Set(String.fromCharCode(...bytes))).join('');
+        this._aesKeyPromise = null;
+        this._macKeyPromise = null;
+        this._deriveCipherParameters();
     }
 
-    _encryptAffinePro(text) {
-        return text.split('').map(char => {
-            if (/[a-zA-Z]/.test(char)) {
-                const isUpperCase = char === char.toUpperCase();
-                const base = isUpperCase ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-                const x = char.charCodeAt(0) - base; // Convert char to 0-25
-                const encryptedChar = String.fromCharCode(((this.a * x + this.b) % this.m) + base);
-                return encryptedChar;
+    // Shift, substitution alphabet and Affine a/b from the options or the key. Without a key the
+    // classic QWERTY table and a = 5, b = 8 stay in place.
+    _deriveCipherParameters() {
+        const key = this.encryptionKey;
+
+        if (this._shift !== undefined) {
+            if (!Number.isInteger(this._shift) || this._shift < 0) {
+                throw new TughraKeyError("Shift must be a non-negative integer.", 'KEY_PARAMETER_INVALID', { shift: this._shift });
             }
-            return char; // Return unchanged if not a letter
-        }).join('');
-    }
+            this.keyShift = this._shift;
+        } else {
+            this.keyShift = key.length > 0 ? 1 + Tughra._keyedRandom(key, 'shift')() % 255 : 0; // Shift between 1 and 255
+        }
 
-    _decryptAffinePro(text) {
-        const aInv = this._modInverse(this.a, this.m);
-        if (aInv === null) {
-            throw new Error("No modular inverse exists for the given key 'a'");
+        if (key.length > 0) {
+            const random = Tughra._keyedRandom(key, 'substitution');
+            const letters = Tughra.ALPHABET.split('');
+            for (let i = letters.length - 1; i > 0; i--) { // Fisher-Yates shuffle driven by the key
+                const j = random() % (i + 1);
+                [letters[i], letters[j]] = [letters[j], letters[i]];
+            }
+            this.substitutionKey = {};
+            letters.forEach((letter, index) => {
+                this.substitutionKey[Tughra.ALPHABET[index]] = letter;
+                this.substitutionKey[Tughra.ALPHABET[index].toUpperCase()] = letter.toUpperCase();
+            });
+            this.reverseSubstitutionKey = Object.fromEntries(
+                Object.entries(this.substitutionKey).map(([plain, cipher]) => [cipher, plain])
+            );
         }
 
-        return text.split('').map(char => {
-            if (/[a-zA-Z]/.test(char)) {
-                const isUpperCase = char === char.toUpperCase();
-                const base = isUpperCase ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-                const y = char.charCodeAt(0) - base; // Convert char to 0-25
-                const decryptedChar = String.fromCharCode((aInv * (y - this.b + this.m)) % this.m + base);
-                return decryptedChar;
+        if (this._affine !== undefined) {
+            const { a, b } = this._affine;
+            if (!Number.isInteger(a) || !Number.isInteger(b)) {
+                throw new TughraKeyError("Affine keys 'a' and 'b' must be integers.", 'KEY_PARAMETER_INVALID', { affine: this._affine });
             }
-            return char; // Return unchanged if not a letter
-        }).join('');
+            if (this._modInverse(((a % this.m) + this.m) % this.m, this.m) === null) {
+                throw new TughraKeyError(`Affine key 'a' must be coprime to ${this.m}.`, 'KEY_PARAMETER_INVALID', { affine: this._affine });
+            }
+            this.a = ((a % this.m) + this.m) % this.m;
+            this.b = ((b % this.m) + this.m) % this.m;
+        } else if (key.length > 0) {
+            const random = Tughra._keyedRandom(key, 'affine');
+            this.a = Tughra.AFFINE_MULTIPLIERS[random() % Tughra.AFFINE_MULTIPLIERS.length];
+            this.b = random() % this.m;
+        }
     }
 
-    _encryptSubstitutionPro(text) {
-        return text.split('').map(char => {
-            return this.substitutionKey[char] || char; // Substitute or return unchanged
-        }).join('');
+    // Deterministic 32-bit generator: FNV-1a over label and key seeds an xorshift32 state
+    static _keyedRandom(key, label) {
+        let state = 0x811c9dc5;
+        for (const byte of [...new TextEncoder().encode(label + ':'), ...key]) {
+            state = Math.imul(state ^ byte, 0x01000193) >>> 0;
+        }
+        state = state || 0x9e3779b9; // xorshift must not start at zero
+        return () => {
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            state >>>= 0;
+            return state;
+        };
     }
 
-    _decryptSubstitutionPro(text) {
-        return text.split('').map(char => {
-            return this.reverseSubstitutionKey[char] || char; // Substitute or return unchanged
-        }).join('');
+    // A configured KDF must run before any cycle, otherwise the raw password would be used
+    _assertKeyReady() {
+        if (this.kdf && !this._keyDerived) {
+            throw new TughraKeyError("The key has not been derived yet. Call deriveKey(salt) first or use seal().", 'KEY_NOT_DERIVED');
+        }
     }
-    // ROT13 (symmetric)
-    _encryptROT13(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 13) % 26) + base);
-        });
+
+    // Main method that either encrypts or decrypts based on the mode.
+    // options: { onProgress(cycleIndex, totalCycles, bytesDone), signal: AbortSignal }
+    process(text, cycles, options = {}) {
+        this._assertKeyReady();
+        Tughra._throwIfAborted(options.signal);
+
+        if (this.useBaseEncoding && this.mode === 'decrypt') {
+            text = this.fromBase(text); // Convert input from base if required
+        }
+
+        cycles = this._effectiveCycles(cycles);
+
+        let resultText = text;
+        let bytesDone = 0;
+        for (let i = 0; i < cycles; i++) {
+            bytesDone += Tughra._byteLength(resultText);
+            resultText = this._processCycle(resultText, this.mode);
+            if (options.onProgress) {
+                options.onProgress(i + 1, cycles, bytesDone);
+            }
+            Tughra._throwIfAborted(options.signal);
+        }
+
+        return this.useBaseEncoding && this.mode === 'encrypt' ? this.toBase(resultText) : resultText;
     }
 
-    _decryptROT13(text) {
-        return this._encryptROT13(text); // ROT13 is symmetric
+    // Promise-based counterpart of process(), required for WebCrypto algorithms such as AES-GCM.
+    // With an AbortSignal it yields to the event loop every few milliseconds so the signal can fire.
+    async processAsync(text, cycles, options = {}) {
+        this._assertKeyReady();
+        Tughra._throwIfAborted(options.signal);
+        const pause = Tughra._pauser(options.signal);
+
+        if (this.useBaseEncoding && this.mode === 'decrypt') {
+            text = this.fromBase(text); // Convert input from base if required
+        }
+
+        cycles = this._effectiveCycles(cycles);
+
+        let resultText = text;
+        let bytesDone = 0;
+        for (let i = 0; i < cycles; i++) {
+            bytesDone += Tughra._byteLength(resultText);
+            resultText = await this._processCycleAsync(resultText, this.mode);
+            if (options.onProgress) {
+                options.onProgress(i + 1, cycles, bytesDone);
+            }
+            await pause();
+        }
+
+        return this.useBaseEncoding && this.mode === 'encrypt' ? this.toBase(resultText) : resultText;
     }
 
-    // ROT18 (not symmetric)
-    _encryptROT18(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 18) % 26) + base);
-        });
+    // Binary-safe counterpart of processAsync(): bytes in, bytes out for every algorithm, so images,
+    // PDFs or protobufs round-trip exactly. Accepts a Blob, ArrayBuffer or typed array.
+    async processBytes(input, cycles, options = {}) {
+        this._assertKeyReady();
+        Tughra._throwIfAborted(options.signal);
+
+        const pause = Tughra._pauser(options.signal);
+
+        let bytes = await Tughra._toBytes(input);
+        cycles = this._effectiveCycles(cycles);
+
+        let bytesDone = 0;
+        for (let i = 0; i < cycles; i++) {
+            bytesDone += bytes.length;
+            bytes = await this._processBytesCycle(bytes, this.mode);
+            if (options.onProgress) {
+                options.onProgress(i + 1, cycles, bytesDone);
+            }
+            await pause();
+        }
+        return bytes;
     }
 
-    _decryptROT18(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 26 - 18) % 26) + base);
-        });
+    // Text wrapper around processBytes(): the text is encoded with options.textEncoding (default: the
+    // instance's textEncoding) and the ciphertext is always written in the base charset.
+    async processText(text, cycles, options = {}) {
+        const textEncoding = Tughra._checkTextEncoding(options.textEncoding || this.textEncoding);
+        if (this.mode === 'encrypt') {
+            return this.toBase(await this.processBytes(Tughra._encodeText(text, textEncoding), cycles, options));
+        }
+        return Tughra._decodeText(await this.processBytes(this.fromBase(text, { bytes: true }), cycles, options), textEncoding);
     }
 
-    // ROT25 (not symmetric)
-    _encryptROT25(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 25) % 26) + base);
-        });
+    // UTF-8 size of a string, counted without allocating a byte array
+    static _byteLength(text) {
+        let bytes = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length && (text.charCodeAt(i + 1) & 0xfc00) === 0xdc00) {
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+        return bytes;
     }
 
-    _decryptROT25(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 26 - 25) % 26) + base);
-        });
+    // Returns an async check to call after every cycle: it throws once the signal is aborted and yields
+    // to the event loop only when Tughra.YIELD_INTERVAL ms have passed since the last yield, because a
+    // setTimeout per cycle costs far more than a cycle (and browsers clamp nested timers to 4 ms)
+    static _pauser(signal) {
+        let last = Date.now();
+        return async () => {
+            if (signal && Date.now() - last >= Tughra.YIELD_INTERVAL) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                last = Date.now();
+            }
+            Tughra._throwIfAborted(signal);
+        };
     }
 
-    // ROT30 (custom decryption)
-    _encryptROT30(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 4) % 26) + base);
-        });
+    static _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw Tughra._abortError();
+        }
     }
 
-    _decryptROT30(text) {
-        return text.replace(/[A-Za-z]/g, (char) => {
-            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
-            return String.fromCharCode(((char.charCodeAt(0) - base + 22) % 26 + 26) % 26 + base);
-        });
+    static _abortError() {
+        if (typeof DOMException === 'function') {
+            return new DOMException("The operation was cancelled.", 'AbortError');
+        }
+        return Object.assign(new Error("The operation was cancelled."), { name: 'AbortError' });
     }
 
-    _encryptXORPro(text, key) {
-        return text.split('').map((char, index) => {
-            return String.fromCharCode(char.charCodeAt(0) ^ key.charCodeAt(index % key.length));
-        }).join('');
+    static _checkCycles(cycles) {
+        if (!Number.isInteger(cycles) || cycles < 1) {
+            throw new TughraError("cycles must be a positive integer.", 'INVALID_ARGUMENT', { cycles });
+        }
+        return cycles;
     }
 
-    _decryptXORPro(text, key) {
-        return this._encryptXORPro(text, key); // XOR is symmetric
+    // Algorithms such as XOR, ROT47, ROT13 and AES-GCM are registered with maxCycles: 1
+    _effectiveCycles(cycles = 1) {
+        return Math.min(Tughra._checkCycles(cycles), this._definition().maxCycles);
     }
 
-    // Default Tughra encryption cycle
-    _TughraEncrypt(text) {
-        let encryptedText = '';
-        for (let i = 0; i < text.length; i++) {
-            let charCode = text.charCodeAt(i);
+    // Cycle count to write into an envelope, file or stream header, which readers cap at HEADER_LIMITS
+    _headerCycles(cycles) {
+        const effective = this._effectiveCycles(cycles);
+        if (effective > Tughra.HEADER_LIMITS.cycles) {
+            throw new TughraError(`cycles must be at most ${Tughra.HEADER_LIMITS.cycles} for envelopes, files and streams.`, 'INVALID_ARGUMENT', { cycles });
+        }
+        return effective;
+    }
 
-            // Get the offset by converting the character at keyOffsets[i % keyOffsets.length] to its char code
-            let offset = this.keyOffsets.charCodeAt(i % this.keyOffsets.length);
+    // Asynchronous cycle: WebCrypto algorithms are awaited, everything else runs synchronously
+    async _processCycleAsync(text, mode) {
+        const definition = this._definition();
+        return mode === 'encrypt' ? definition.encrypt.call(this, text, this) : definition.decrypt.call(this, text, this);
+    }
 
-            encryptedText += String.fromCharCode(charCode + offset);
+    // Encrypt and wrap the ciphertext in a versioned envelope that records every parameter except the key
+    async seal(text, cycles = 1) {
+        if (this.mode !== 'encrypt') {
+            throw new TughraError("seal() requires a Tughra instance in 'encrypt' mode.", 'INVALID_STATE');
         }
-        return encryptedText;
-    }
+        this._headerCycles(cycles); // parseEnvelope() rejects anything else, so never write it
 
-    // Tughra decryption cycle
-    _TughraDecrypt(encryptedText) {
-        let decryptedText = '';
-        for (let i = 0; i < encryptedText.length; i++) {
-            let charCode = encryptedText.charCodeAt(i);
+        // Every sealed message gets a fresh salt so the derived key is unique per message
+        let kdf;
+        if (this.kdf) {
+            const salt = TughraKDF.generateSalt();
+            await this.deriveKey(salt);
+            kdf = Object.assign({}, this.kdf, { salt: this._arrayBufferToBase64(salt) });
+        }
 
-            // Get the offset by converting the character at keyOffsets[i % keyOffsets.length] to its char code
-            let offset = this.keyOffsets.charCodeAt(i % this.keyOffsets.length);
+        const header = {
+            tughra: Tughra.ENVELOPE_VERSION,
+            algorithm: this.algorithm,
+            cycles: this._headerCycles(cycles),
+            baseCharset: this.baseCharset,
+            useBaseEncoding: this.useBaseEncoding,
+            kdf,
+            codePoints: this.codePoints || undefined,
+            data: await this.processAsync(text, cycles)
+        };
 
-            decryptedText += String.fromCharCode(charCode - offset);
+        if (this.integrity) {
+            header.kcv = await this._keyCheckValue();
+            header.mac = await this._envelopeMac(header);
         }
-        return decryptedText;
+        return JSON.stringify(header);
     }
 
-    // Caesar Cipher Encryption
-    _caesarEncrypt(text) {
-        return text.split('').map(char => String.fromCharCode(char.charCodeAt(0) + this.encryptionKey.length)).join('');
+    // Decrypt an envelope produced by seal(), reading the algorithm, cycles and charset from it
+    static async open(envelope, key, options = {}) {
+        const header = Tughra.parseEnvelope(envelope);
+        if (header.kdf) {
+            TughraKDF.checkLimits(header.kdf, options.kdfLimits);
+        }
+        const tughra = new Tughra('decrypt', header.baseCharset, header.algorithm, key, header.useBaseEncoding, Object.assign({}, options, { kdf: header.kdf, codePoints: header.codePoints }));
+        if (header.kdf) {
+            await tughra.deriveKey(tughra._base64ToArrayBuffer(header.kdf.salt));
+        }
+        if (header.mac !== undefined || tughra.integrity) {
+            await tughra._verifyEnvelope(header); // integrity: true requires the tag, so stripping it fails
+        }
+        return tughra.processAsync(header.data, header.cycles);
     }
 
-    _caesarDecrypt(text) {
-        return text.split('').map(char => String.fromCharCode(char.charCodeAt(0) - this.encryptionKey.length)).join('');
+    // Check whether the text looks like an envelope produced by seal()
+    static isEnvelope(text) {
+        try {
+            Tughra.parseEnvelope(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
-    // Vigenère Cipher Encryption
-    _vigenereEncrypt(text) {
-        const textBytes = new TextEncoder().encode(text); // Convert text to UTF-8 byte array
-        const encryptedBytes = textBytes.map((byte, i) =>
-            (byte + this.encryptionKey[i % this.encryptionKey.length]) % 256
-        );
+    // Parse and validate an envelope, returning its parameters and ciphertext
+    static parseEnvelope(envelope) {
+        let header;
+        try {
+            header = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+        } catch (error) {
+            throw new TughraDecodeError("Invalid envelope: not valid JSON.", 'INVALID_ENVELOPE');
+        }
 
-        // Convert encrypted byte array to Base64
-        return this._arrayBufferToBase64(encryptedBytes);
+        if (!header || typeof header !== 'object' || header.tughra === undefined) {
+            throw new TughraDecodeError("Invalid envelope: missing format version.", 'INVALID_ENVELOPE');
+        }
+        if (header.tughra !== Tughra.ENVELOPE_VERSION) {
+            throw new TughraDecodeError(`Unsupported envelope version: ${header.tughra}`, 'UNSUPPORTED_VERSION', { format: 'envelope', version: header.tughra });
+        }
+        if (typeof header.algorithm !== 'string' || typeof header.data !== 'string') {
+            throw new TughraDecodeError("Invalid envelope: algorithm and data are required.", 'INVALID_ENVELOPE');
+        }
+        if (!Tughra._validHeaderCycles(header.cycles)) {
+            throw new TughraDecodeError(`Invalid envelope: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`, 'INVALID_ENVELOPE', { cycles: header.cycles });
+        }
+        if (header.kdf !== undefined && (!header.kdf || typeof header.kdf.salt !== 'string')) {
+            throw new TughraDecodeError("Invalid envelope: key derivation parameters must include a salt.", 'INVALID_ENVELOPE');
+        }
+
+        return {
+            version: header.tughra,
+            algorithm: header.algorithm,
+            cycles: header.cycles,
+            baseCharset: header.baseCharset,
+            useBaseEncoding: header.useBaseEncoding === true,
+            kdf: header.kdf,
+            codePoints: header.codePoints,
+            kcv: header.kcv,
+            mac: header.mac,
+            data: header.data
+        };
     }
 
-    // Vigenère Cipher Decryption
-    _vigenereDecrypt(encryptedText) {
-        const encryptedBytes = this._base64ToArrayBuffer(encryptedText); // Decode Base64 to byte array
+    // HMAC-SHA-256 key, kept separate from the encryption key by hashing it with a label
+    async _hmacKey() {
+        if (!this._macKeyPromise) {
+            const subtle = Tughra._webCrypto().subtle;
+            const label = new TextEncoder().encode('tughra-mac:');
+            const material = new Uint8Array(label.length + this.encryptionKey.length);
+            material.set(label);
+            material.set(this.encryptionKey, label.length);
+            this._macKeyPromise = subtle.digest('SHA-256', material)
+                .then(hash => subtle.importKey('raw', hash, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+        }
+        return this._macKeyPromise;
+    }
 
-        const decryptedBytes = encryptedBytes.map((byte, i) =>
-            (byte - this.encryptionKey[i % this.encryptionKey.length] + 256) % 256
-        );
+    async _hmac(data) {
+        const key = await this._hmacKey();
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        return new Uint8Array(await Tughra._webCrypto().subtle.sign('HMAC', key, bytes));
+    }
 
-        return new TextDecoder().decode(Uint8Array.from(decryptedBytes)); // Convert decrypted bytes back to text
+    // Short value that depends only on the key, so a wrong key can be told apart from a corrupted message
+    async _keyCheckValue() {
+        return this._arrayBufferToBase64((await this._hmac('tughra-key-check')).slice(0, 4));
     }
 
+    // Tag over the ciphertext and every parameter needed to decrypt it
+    async _envelopeMac(header) {
+        const fields = [header.tughra, header.algorithm, header.cycles, header.baseCharset, header.useBaseEncoding, header.kdf || null, header.data];
+        if (header.codePoints) {
+            fields.push(header.codePoints); // Only present in code-point mode, so older tags still verify
+        }
+        return this._arrayBufferToBase64(await this._hmac(JSON.stringify(fields)));
+    }
 
-    // Helper to convert ArrayBuffer to Base64 safely with chunks
-    _arrayBufferToBase64(buffer) {
-        const binary = [];
-        const bytes = new Uint8Array(buffer);
-        for (let i = 0; i < bytes.length; i += 8192) {
-            binary.push(String.fromCharCode(...bytes.slice(i, i + 8192)));
+    // Check the key first, then the tag, before any plaintext is produced
+    async _verifyEnvelope(header) {
+        if (header.mac === undefined) {
+            throw new TughraIntegrityError("Integrity check failed: the envelope has no integrity tag.", 'corrupted');
+        }
+        if (typeof header.mac !== 'string') {
+            throw new TughraIntegrityError("Invalid envelope: the integrity tag is malformed.", 'corrupted');
+        }
+        if (header.kcv !== undefined && header.kcv !== await this._keyCheckValue()) {
+            throw new TughraIntegrityError("Integrity check failed: the key is wrong.", 'wrong-key');
+        }
+        const expected = await this._envelopeMac({
+            tughra: header.version,
+            algorithm: header.algorithm,
+            cycles: header.cycles,
+            baseCharset: header.baseCharset,
+            useBaseEncoding: header.useBaseEncoding,
+            kdf: header.kdf,
+            codePoints: header.codePoints,
+            data: header.data
+        });
+        if (!Tughra._constantTimeEqual(expected, header.mac)) {
+            throw new TughraIntegrityError("Integrity check failed: the message is corrupted or has been tampered with.", 'corrupted');
         }
-        return btoa(binary.join(''));
     }
 
-    // Helper to convert Base64 to ArrayBuffer safely
-    _base64ToArrayBuffer(base64) {
-        const binaryString = atob(base64);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+    // Compare two strings or byte arrays without returning early on the first difference
+    static _constantTimeEqual(a, b) {
+        if (a.length !== b.length) {
+            return false;
         }
-        return bytes;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= typeof a === 'string' ? a.charCodeAt(i) ^ b.charCodeAt(i) : a[i] ^ b[i];
+        }
+        return diff === 0;
     }
 
+    // Digest of text, bytes, a Blob or a stream (TughraHash); encoding 'base' uses this instance's baseCharset
+    hash(input, options = {}) {
+        return TughraHash.digest(input, Object.assign({ baseCharset: this.baseCharset }, options));
+    }
 
-    // XOR Encryption/Decryption
-    _xorEncrypt(text) {
-        if (!this.encryptionKey) throw new Error("Encryption key is missing.");
+    // Encrypt a Blob, File, ArrayBuffer or Uint8Array; name, MIME type and size travel inside the ciphertext
+    async encryptFile(file, cycles = 1, metadata = {}) {
+        const bytes = await Tughra._toBytes(file);
+        const meta = new TextEncoder().encode(JSON.stringify({
+            name: metadata.name || file.name || 'file',
+            type: metadata.type || file.type || 'application/octet-stream',
+            size: bytes.length
+        }));
 
-        const textBytes = new TextEncoder().encode(text); // Encode text to UTF-8 byte array
-        const keyBytes = new TextEncoder().encode(this.encryptionKey);
-        const encryptedBytes = textBytes.map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
+        // Plain payload: [uint32 metadata length][metadata JSON][file bytes]
+        let body = new Uint8Array(4 + meta.length + bytes.length);
+        new DataView(body.buffer).setUint32(0, meta.length);
+        body.set(meta, 4);
+        body.set(bytes, 4 + meta.length);
 
-        return btoa(String.fromCharCode(...encryptedBytes)); // Convert to Base64 for safe storage
-    }
+        const header = { algorithm: this.algorithm, cycles: this._headerCycles(cycles) };
+        if (this.kdf) {
+            const salt = TughraKDF.generateSalt();
+            await this.deriveKey(salt);
+            header.kdf = Object.assign({}, this.kdf, { salt: this._arrayBufferToBase64(salt) });
+        }
+        this._assertKeyReady();
 
-    _xorDecrypt(encryptedText) {
-        const encryptedBytes = atob(encryptedText).split('').map(char => char.charCodeAt(0)); // Decode Base64 and convert to bytes
-        const keyBytes = new TextEncoder().encode(this.encryptionKey);
+        for (let i = 0; i < header.cycles; i++) {
+            body = await this._processBytesCycle(body, 'encrypt');
+        }
+
+        if (this.integrity) {
+            const signed = new TextEncoder().encode(JSON.stringify(header));
+            header.kcv = await this._keyCheckValue();
+            header.mac = this._arrayBufferToBase64(await this._hmac(Tughra._concatBytes(signed, body)));
+        }
 
-        const decryptedBytes = encryptedBytes.map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
-        return new TextDecoder().decode(Uint8Array.from(decryptedBytes)); // Decode UTF-8 byte array back to text
+        return new Blob([Tughra._fileHeader(header), body], { type: 'application/x-tughra' });
     }
 
-    // 1. ROT47 (Encrypt & Decrypt)
-    _encryptROT47(text) {
-        return text.replace(/[!-~]/g, char =>
-            String.fromCharCode(33 + ((char.charCodeAt(0) + 14) % 94))
-        );
+    // Decrypt the output of encryptFile() back into a File (or Blob) with its original name and type
+    async decryptFile(file) {
+        const bytes = await Tughra._toBytes(file);
+        const { header, body: encryptedBody } = Tughra._parseFileHeader(bytes);
+
+        if (header.algorithm !== this.algorithm) {
+            throw new TughraAlgorithmError(`File was encrypted with '${header.algorithm}', but this instance uses '${this.algorithm}'.`, 'ALGORITHM_MISMATCH', { expected: header.algorithm, actual: this.algorithm });
+        }
+        if (header.kdf) {
+            await this._deriveKeyWith(this._base64ToArrayBuffer(header.kdf.salt), TughraKDF.checkLimits(header.kdf, this.kdfLimits));
+        }
+        this._assertKeyReady();
+
+        if (header.mac === undefined && this.integrity) {
+            throw new TughraIntegrityError("Integrity check failed: the file has no integrity tag.", 'corrupted');
+        }
+        if (header.mac !== undefined) {
+            if (header.kcv !== undefined && header.kcv !== await this._keyCheckValue()) {
+                throw new TughraIntegrityError("Integrity check failed: the key is wrong.", 'wrong-key');
+            }
+            const signed = Object.assign({}, header);
+            delete signed.kcv;
+            delete signed.mac;
+            const expected = this._arrayBufferToBase64(await this._hmac(Tughra._concatBytes(new TextEncoder().encode(JSON.stringify(signed)), encryptedBody)));
+            if (!Tughra._constantTimeEqual(expected, header.mac)) {
+                throw new TughraIntegrityError("Integrity check failed: the file is corrupted or has been tampered with.", 'corrupted');
+            }
+        }
+
+        let body = encryptedBody;
+        for (let i = 0; i < header.cycles; i++) {
+            body = await this._processBytesCycle(body, 'decrypt');
+        }
+
+        const metaLength = body.length >= 4 ? new DataView(body.buffer, body.byteOffset, body.length).getUint32(0) : -1;
+        let meta;
+        try {
+            meta = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(body.subarray(4, 4 + metaLength)));
+        } catch (error) {
+            throw new TughraDecodeError("File decryption failed: the key is wrong or the file is corrupted.", 'DECRYPTION_FAILED');
+        }
+        const content = body.subarray(4 + metaLength);
+        if (metaLength < 0 || content.length !== meta.size) {
+            throw new TughraDecodeError("File decryption failed: the decrypted size does not match the original size.", 'DECRYPTION_FAILED');
+        }
+
+        return typeof File === 'function'
+            ? new File([content], meta.name, { type: meta.type })
+            : Object.assign(new Blob([content], { type: meta.type }), { name: meta.name });
     }
 
-    _decryptROT47(text) {
-        return this.encryptROT47(text); // ROT47 is symmetric
+    // TransformStream that encrypts bytes (or strings) into numbered, authenticated chunks
+    createEncryptStream({ chunkSize = 64 * 1024, cycles = 1 } = {}) {
+        const tughra = this;
+        let header;
+        let buffered = new Uint8Array(0);
+        let sequence = 0;
+
+        const emit = async (controller, chunk, final) => {
+            let payload = chunk;
+            for (let i = 0; i < header.cycles; i++) {
+                payload = await tughra._processBytesCycle(payload, 'encrypt');
+            }
+            controller.enqueue(await tughra._streamFrame(header.bytes, sequence++, final, payload));
+        };
+
+        return new TransformStream({
+            async start(controller) {
+                const fields = {
+                    algorithm: tughra.algorithm,
+                    cycles: tughra._headerCycles(cycles),
+                    chunkSize,
+                    stream: tughra._arrayBufferToBase64(Tughra._webCrypto().getRandomValues(new Uint8Array(16)))
+                };
+                if (tughra.kdf) {
+                    const salt = TughraKDF.generateSalt();
+                    await tughra.deriveKey(salt);
+                    fields.kdf = Object.assign({}, tughra.kdf, { salt: tughra._arrayBufferToBase64(salt) });
+                }
+                tughra._assertKeyReady();
+                await tughra._processBytesCycle(new Uint8Array(0), 'encrypt'); // Fail early for text-only algorithms
+
+                header = { cycles: fields.cycles, bytes: Tughra._streamHeader(fields) };
+                controller.enqueue(header.bytes);
+            },
+            async transform(chunk, controller) {
+                const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : await Tughra._toBytes(chunk);
+                buffered = Tughra._concatBytes(buffered, bytes);
+                while (buffered.length >= chunkSize) {
+                    await emit(controller, buffered.slice(0, chunkSize), false);
+                    buffered = buffered.slice(chunkSize);
+                }
+            },
+            async flush(controller) {
+                // The final frame is always written, even when empty, so truncation can be detected
+                await emit(controller, buffered, true);
+            }
+        });
     }
 
-    // 2. Atbash Cipher (Encrypt & Decrypt)
-    _encryptAtbash(text) {
-        return text.replace(/[a-zA-Z]/g, char => {
-            const base = char <= 'Z' ? 65 : 97;
-            return String.fromCharCode(base + (25 - (char.charCodeAt(0) - base)));
+    // TransformStream that verifies and decrypts the output of createEncryptStream() in order
+    createDecryptStream() {
+        const tughra = this;
+        let header = null;
+        let buffered = new Uint8Array(0);
+        let expectedSequence = 0;
+        let finished = false;
+
+        return new TransformStream({
+            async transform(chunk, controller) {
+                buffered = Tughra._concatBytes(buffered, await Tughra._toBytes(chunk));
+
+                if (!header) {
+                    const parsed = Tughra._parseStreamHeader(buffered);
+                    if (!parsed) {
+                        return; // Wait for the complete header
+                    }
+                    if (parsed.fields.algorithm !== tughra.algorithm) {
+                        throw new TughraAlgorithmError(`Stream was encrypted with '${parsed.fields.algorithm}', but this instance uses '${tughra.algorithm}'.`, 'ALGORITHM_MISMATCH', { expected: parsed.fields.algorithm, actual: tughra.algorithm });
+                    }
+                    if (parsed.fields.kdf) {
+                        await tughra._deriveKeyWith(tughra._base64ToArrayBuffer(parsed.fields.kdf.salt), TughraKDF.checkLimits(parsed.fields.kdf, tughra.kdfLimits));
+                    }
+                    tughra._assertKeyReady();
+                    header = { cycles: parsed.fields.cycles, bytes: buffered.slice(0, parsed.length) };
+                    buffered = buffered.slice(parsed.length);
+                }
+
+                // Frame: [uint32 payload length][uint32 sequence][uint8 flags][payload][32-byte HMAC].
+                // Frames are read at an offset and the unread rest is sliced off once per chunk.
+                let offset = 0;
+                while (buffered.length - offset >= 9) {
+                    const view = new DataView(buffered.buffer, buffered.byteOffset + offset, buffered.length - offset);
+                    const length = view.getUint32(0);
+                    if (buffered.length - offset < 9 + length + 32) {
+                        break; // Wait for the rest of the frame
+                    }
+                    if (finished) {
+                        throw new TughraIntegrityError("Stream integrity check failed: data found after the final chunk.", 'corrupted');
+                    }
+
+                    const sequence = view.getUint32(4);
+                    const final = (buffered[offset + 8] & 1) === 1;
+                    const payload = buffered.slice(offset + 9, offset + 9 + length);
+                    const mac = buffered.subarray(offset + 9 + length, offset + 9 + length + 32);
+                    offset += 9 + length + 32;
+
+                    const expected = await tughra._streamFrame(header.bytes, sequence, final, payload);
+                    if (!Tughra._constantTimeEqual(expected.subarray(9 + length), mac)) {
+                        throw new TughraIntegrityError(`Stream integrity check failed at chunk ${sequence}: the key is wrong or the chunk was modified.`, 'corrupted');
+                    }
+                    if (sequence !== expectedSequence) {
+                        throw new TughraIntegrityError(`Stream integrity check failed: expected chunk ${expectedSequence} but got ${sequence}.`, 'corrupted');
+                    }
+                    expectedSequence++;
+                    finished = final;
+
+                    let plain = payload;
+                    for (let i = 0; i < header.cycles; i++) {
+                        plain = await tughra._processBytesCycle(plain, 'decrypt');
+                    }
+                    if (plain.length > 0) {
+                        controller.enqueue(plain);
+                    }
+                }
+                buffered = buffered.slice(offset);
+            },
+            flush() {
+                if (!finished || buffered.length > 0) {
+                    throw new TughraIntegrityError("Stream integrity check failed: the stream was truncated.", 'corrupted');
+                }
+            }
         });
     }
 
-    _decryptAtbash(text) {
-        return this.encryptAtbash(text); // Atbash is symmetric
+    // Encrypt a ReadableStream (e.g. File.stream()) or a Node.js stream, returning a ReadableStream
+    encryptStream(source, options) {
+        return Tughra._toReadableStream(source).pipeThrough(this.createEncryptStream(options));
     }
 
-    // 5. Simple Substitution Cipher (Encrypt & Decrypt)
-    _encryptSubstitution(text) {
-        return text.split('').map(char =>
-            this.substitutionKey[char] || char // Leave non-alphabetic characters unchanged
-        ).join('');
+    // Decrypt a stream produced by encryptStream(), returning a ReadableStream of plain bytes
+    decryptStream(source) {
+        return Tughra._toReadableStream(source).pipeThrough(this.createDecryptStream());
     }
 
-    _decryptSubstitution(text) {
-        return text.split('').map(char =>
-            this.reverseSubstitutionKey[char] || char // Leave non-alphabetic characters unchanged
-        ).join('');
+    // Build a frame whose HMAC covers the stream header, sequence number, final flag and payload
+    async _streamFrame(headerBytes, sequence, final, payload) {
+        const frame = new Uint8Array(9 + payload.length + 32);
+        const view = new DataView(frame.buffer);
+        view.setUint32(0, payload.length);
+        view.setUint32(4, sequence);
+        frame[8] = final ? 1 : 0;
+        frame.set(payload, 9);
+        frame.set(await this._hmac(Tughra._concatBytes(headerBytes, frame.subarray(0, 9 + payload.length))), 9 + payload.length);
+        return frame;
     }
-    // 6. Base64 Encoding (Encrypt & Decrypt)
-    _encryptBase64(text) {
-        return btoa(text); // Convert to Base64
+
+    // Stream layout: "TGHS", version byte, uint16 header length, header JSON, then frames
+    static _streamHeader(fields) {
+        const bytes = Tughra._fileHeader(fields);
+        bytes.set(new TextEncoder().encode('TGHS'));
+        bytes[4] = Tughra.STREAM_FORMAT_VERSION;
+        return bytes;
     }
 
-    _decryptBase64(base64) {
-        return atob(base64); // Convert from Base64
+    // Returns null until the whole header has been received
+    static _parseStreamHeader(bytes) {
+        if (bytes.length >= 4 && new TextDecoder().decode(bytes.subarray(0, 4)) !== 'TGHS') {
+            throw new TughraDecodeError("Invalid encrypted stream: missing Tughra stream signature.", 'INVALID_STREAM');
+        }
+        if (bytes.length < 7) {
+            return null;
+        }
+        if (bytes[4] !== Tughra.STREAM_FORMAT_VERSION) {
+            throw new TughraDecodeError(`Unsupported encrypted stream version: ${bytes[4]}`, 'UNSUPPORTED_VERSION', { format: 'stream', version: bytes[4] });
+        }
+        const length = 7 + new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint16(5);
+        if (bytes.length < length) {
+            return null;
+        }
+
+        let fields;
+        try {
+            fields = JSON.parse(new TextDecoder().decode(bytes.subarray(7, length)));
+        } catch (error) {
+            throw new TughraDecodeError("Invalid encrypted stream: header is not valid JSON.", 'INVALID_STREAM');
+        }
+        if (!Tughra._validHeaderCycles(fields.cycles)) {
+            throw new TughraDecodeError(`Invalid encrypted stream: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`, 'INVALID_STREAM', { cycles: fields.cycles });
+        }
+        return { fields, length };
     }
 
-    // 7. ASCII Shift Cipher (Encrypt & Decrypt)
-    _encryptAsciiShift(text) {
-        return text.split('').map(char =>
-            String.fromCharCode(char.charCodeAt(0) + this.encryptionKey.length)
-        ).join('');
+    // Accept WHATWG ReadableStreams as they are and wrap async iterables such as Node.js readable streams
+    static _toReadableStream(source) {
+        if (source && typeof source.getReader === 'function') {
+            return source;
+        }
+        if (source && typeof source[Symbol.asyncIterator] === 'function') {
+            const iterator = source[Symbol.asyncIterator]();
+            return new ReadableStream({
+                async pull(controller) {
+                    const { value, done } = await iterator.next();
+                    if (done) {
+                        controller.close();
+                    } else {
+                        controller.enqueue(value);
+                    }
+                },
+                cancel(reason) {
+                    return iterator.return ? iterator.return(reason) : undefined;
+                }
+            });
+        }
+        throw new TughraError("Unsupported stream input. Expected a ReadableStream, a Node.js readable stream or an async iterable.", 'INVALID_ARGUMENT');
     }
 
-    _decryptAsciiShift(text) {
-        return text.split('').map(char =>
-            String.fromCharCode(char.charCodeAt(0) - this.encryptionKey.length)
-        ).join('');
+    // One encryption/decryption cycle over raw bytes, used for files and streams
+    async _processBytesCycle(bytes, mode) {
+        const definition = this._definition();
+        if (!definition.encryptBytes) {
+            const binary = Tughra.listAlgorithms().filter(algorithm => algorithm.binary).map(algorithm => `'${algorithm.name}'`);
+            throw new TughraAlgorithmError(`Algorithm '${definition.name}' does not support binary data. Use ${binary.join(', ')}.`, 'BINARY_UNSUPPORTED', { algorithm: definition.name });
+        }
+        return mode === 'encrypt' ? definition.encryptBytes.call(this, bytes, this) : definition.decryptBytes.call(this, bytes, this);
     }
 
-    // 10. Unicode Shift Cipher (Encrypt & Decrypt)
-    _encryptUnicodeShift(text) {
-        return text.split('').map(char =>
-            String.fromCharCode(char.charCodeAt(0) + this.encryptionKey.length)
-        ).join('');
+    // Byte-level XOR with the key bytes (xor)
+    _xorBytes(bytes) {
+        return bytes.map((byte, i) => byte ^ this.encryptionKey[i % this.encryptionKey.length]);
     }
 
-    _decryptUnicodeShift(text) {
-        return text.split('').map(char =>
-            String.fromCharCode(char.charCodeAt(0) - this.encryptionKey.length)
-        ).join('');
+    // Byte-level XOR with the key offsets (XOR Pro)
+    _xorProBytes(bytes) {
+        const offsets = this._keyOffsetBytes();
+        return bytes.map((byte, i) => byte ^ offsets[i % offsets.length]);
     }
 
-    // 11. Numeric Cipher (Encrypt & Decrypt)
-    _encryptNumeric(text) {
-        return text.split('').map(char =>
-            char.charCodeAt(0)
-        ).join('-');
+    // Byte-level Vigenère: add (sign = 1) or subtract (sign = -1) the key bytes modulo 256
+    _vigenereBytes(bytes, sign) {
+        return bytes.map((byte, i) => (byte + sign * this.encryptionKey[i % this.encryptionKey.length] + 256) % 256);
     }
 
-    _decryptNumeric(numbers) {
-        return numbers.split('-').map(num =>
-            String.fromCharCode(parseInt(num))
-        ).join('');
+    // Byte-level Tughra cycle: add or subtract the key offsets modulo 256
+    _TughraBytes(bytes, sign) {
+        const offsets = this._keyOffsetBytes();
+        return bytes.map((byte, i) => (byte + sign * offsets[i % offsets.length] + 256) % 256);
     }
 
-    // 12. Reversed Caesar Cipher (Encrypt & Decrypt)
-    _encryptReversedCaesar(text) {
-        return text.replace(/[a-zA-Z]/g, char => {
-            const base = char <= 'Z' ? 65 : 97;
-            return String.fromCharCode(((25 - (char.charCodeAt(0) - base) + this.encryptionKey.length) % 26) + base);
-        });
+    // Key offsets as a byte keystream: a character up to U+00FF (as in KDF output) is one byte, any other
+    // character contributes all of its UTF-8 bytes, so keys such as U+0100 or U+4E00 keep their entropy
+    _keyOffsetBytes() {
+        if (this._offsetBytesSource !== this.keyOffsets) {
+            this._offsetBytesSource = this.keyOffsets;
+            this._offsetBytes = Uint8Array.from(Array.from(this.keyOffsets).flatMap(char =>
+                char.charCodeAt(0) <= 0xff ? [char.charCodeAt(0)] : Array.from(new TextEncoder().encode(char))
+            ));
+        }
+        return this._offsetBytes;
     }
 
-    _decryptReversedCaesar(text) {
-        return text.replace(/[a-zA-Z]/g, char => {
-            const base = char <= 'Z' ? 65 : 97;
-            return String.fromCharCode(((25 - (char.charCodeAt(0) - base) - this.encryptionKey.length + 26) % 26) + base);
-        });
+    // Byte-level Caesar, ASCII and Unicode Shift: add or subtract the shift modulo 256
+    _shiftBytes(bytes, sign) {
+        const shift = ((sign * this.keyShift) % 256 + 256) % 256;
+        return bytes.map(byte => (byte + shift) % 256);
     }
 
-    // Base encoding function
-    toBase(text) {
-        if (!text) return text; // Handle empty text
-        try {
-            return this.baseLibrary.encode(unescape(encodeURIComponent(text)));
-        } catch (error) {
-            console.error("Base encoding failed:", error);
-            return text;
+    // Byte-level form of the letter ciphers (ROT, Atbash, Affine, Substitution, ...): the text cipher
+    // runs over the bytes read as latin1, so ASCII letters change exactly as in text and every other
+    // byte is copied. The cipher must map latin1 to latin1 and keep the length.
+    _latin1CipherBytes(bytes, transform) {
+        const output = transform.call(this, Tughra._latin1Text(bytes));
+        if (output.length !== bytes.length || /[^\x00-\xff]/.test(output)) {
+            throw new TughraAlgorithmError(`Algorithm '${this.algorithm}' does not map bytes to bytes.`, 'BINARY_UNSUPPORTED', { algorithm: this.algorithm });
         }
+        return Tughra._latin1Bytes(output);
     }
 
-    // Base decoding function
-    fromBase(text) {
-        if (!text) return text; // Handle empty text
-        try {
-            return decodeURIComponent(escape(this.baseLibrary.decode(text)));
-        } catch (error) {
-            console.error("Base decoding failed:", error);
-            return text;
+    // Byte-level format-preserving cipher: only ASCII digits and letters have a class, so ASCII text
+    // gives the same result as in text mode; every other byte is copied.
+    _formatPreservingBytes(bytes, sign) {
+        return Uint8Array.from(this._fpe(Array.from(bytes), byte => byte < 128 ? Tughra._fpeClass(byte) : null, sign));
+    }
+
+    // Byte-level Base64: the ciphertext is the ASCII Base64 text of the bytes
+    _base64Bytes(bytes, sign) {
+        if (sign > 0) {
+            return Tughra._latin1Bytes(this._arrayBufferToBase64(bytes));
         }
+        return new Uint8Array(this._base64ToArrayBuffer(Tughra._latin1Text(bytes)));
     }
 
-    // Base encoding/decoding library
-    baseEncodeDecode(alphabet) {
-        const base = alphabet.length;
-        const chunkSize = Math.ceil(Math.log(base));
-        const Library = {
-            encode: (text) => {
-                let output = '';
-                let binary = '';
-                // Convert text to binary string
-                for (let i = 0; i < text.length; i++) {
-                    binary += text.charCodeAt(i).toString(2).padStart(8, '0');
-                }
+    // Byte-level Numeric: the ciphertext is the ASCII text of the byte values joined by '-'
+    _numericBytes(bytes, sign) {
+        if (sign > 0) {
+            return Tughra._latin1Bytes(Array.from(bytes).join('-'));
+        }
+        const text = Tughra._latin1Text(bytes);
+        if (text.length === 0) {
+            return new Uint8Array(0);
+        }
+        return Uint8Array.from(text.split('-'), number => {
+            if (!/^\d{1,3}$/.test(number) || Number(number) > 255) {
+                throw new TughraDecodeError("Invalid Numeric ciphertext: expected byte values from 0 to 255 joined by '-'.", 'INVALID_CIPHERTEXT');
+            }
+            return Number(number);
+        });
+    }
 
+    // Normalise Blob, File, ArrayBuffer and typed arrays to a Uint8Array
+    static async _toBytes(input) {
+        if (input instanceof Uint8Array) {
+            return input;
+        }
+        if (input instanceof ArrayBuffer) {
+            return new Uint8Array(input);
+        }
+        if (ArrayBuffer.isView(input)) {
+            return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        }
+        if (typeof Blob !== 'undefined' && input instanceof Blob) {
+            return new Uint8Array(await input.arrayBuffer());
+        }
+        throw new TughraError("Unsupported file input. Expected a Blob, File, ArrayBuffer or Uint8Array.", 'INVALID_ARGUMENT');
+    }
 
-                for (let i = 0; i < binary.length; i += chunkSize) {
-                    const chunk = binary.substring(i, i + chunkSize).padEnd(chunkSize, '0');
-                    const index = parseInt(chunk, 2);
-                    output += alphabet[index]; // Append the corresponding character from the alphabet
-                }
+    // Synchronous counterpart of _toBytes for ArrayBuffer and typed arrays
+    static _toBytesSync(input) {
+        if (input instanceof Uint8Array) {
+            return input;
+        }
+        if (input instanceof ArrayBuffer) {
+            return new Uint8Array(input);
+        }
+        if (ArrayBuffer.isView(input)) {
+            return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        }
+        throw new TughraError("Unsupported binary input. Expected a Uint8Array, ArrayBuffer or typed array.", 'INVALID_ARGUMENT');
+    }
 
+    // UTF-8 bytes of a string; unpaired surrogates have no UTF-8 form and are rejected, not replaced
+    static _utf8Bytes(text) {
+        if (/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text)) {
+            throw new TughraDecodeError("Text contains unpaired surrogates and cannot be encoded as UTF-8.", 'INVALID_UTF8');
+        }
+        return new TextEncoder().encode(text);
+    }
 
-                return output;
-            },
+    static _checkTextEncoding(encoding) {
+        if (!Tughra.TEXT_ENCODINGS.includes(encoding)) {
+            throw new TughraError(`Unsupported text encoding '${encoding}'. Use ${Tughra.TEXT_ENCODINGS.map(name => `'${name}'`).join(', ')}.`, 'INVALID_ARGUMENT', { encoding });
+        }
+        return encoding;
+    }
 
-            decode: (text) => {
-                let binary = '';
+    // Bytes of a string in one of Tughra.TEXT_ENCODINGS; characters latin1 cannot hold are rejected
+    static _encodeText(text, encoding) {
+        if (encoding === 'utf-8') {
+            return Tughra._utf8Bytes(text);
+        }
+        if (encoding === 'latin1') {
+            return Tughra._latin1Bytes(text);
+        }
+        const bytes = new Uint8Array(text.length * 2);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < text.length; i++) {
+            view.setUint16(i * 2, text.charCodeAt(i), encoding === 'utf-16le');
+        }
+        return bytes;
+    }
 
+    // Inverse of _encodeText; malformed input throws TughraDecodeError instead of becoming U+FFFD
+    static _decodeText(bytes, encoding) {
+        if (encoding === 'latin1') {
+            return Tughra._latin1Text(bytes);
+        }
+        try {
+            return new TextDecoder(encoding, { fatal: true, ignoreBOM: true }).decode(bytes);
+        } catch (error) {
+            throw new TughraDecodeError(`The decrypted bytes are not valid ${encoding} text.`, encoding === 'utf-8' ? 'INVALID_UTF8' : 'INVALID_CIPHERTEXT', { encoding });
+        }
+    }
 
-                // Split based on base
+    // One character per byte (U+0000 to U+00FF), built in chunks to stay below the argument limit
+    static _latin1Text(bytes) {
+        const chunks = [];
+        for (let i = 0; i < bytes.length; i += 8192) {
+            chunks.push(String.fromCharCode(...bytes.subarray(i, i + 8192)));
+        }
+        return chunks.join('');
+    }
 
-                for (let i = 0; i < text.length; i++) {
-                    const index = alphabet.indexOf(text[i]);
-                    if (index === -1) throw new Error('Invalid Base character');
-                    binary += index.toString(2).padStart(chunkSize, '0'); // Convert to binary based on chunk size
-                }
+    static _latin1Bytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code > 0xff) {
+                throw new TughraError("Text contains characters outside latin1 (U+0000 to U+00FF).", 'INVALID_ARGUMENT', { character: text[i] });
+            }
+            bytes[i] = code;
+        }
+        return bytes;
+    }
 
-                // Convert binary string to text
-                let output = '';
-                for (let i = 0; i < binary.length; i += 8) {
-                    const chunk = binary.substring(i, i + 8);
-                    if (chunk.length === 8) {
-                        output += String.fromCharCode(parseInt(chunk, 2));
-                    }
-                }
+    static _concatBytes(...parts) {
+        const output = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
 
-                return output;
-            }
-        };
+    // Encrypted file layout: "TGHF", version byte, uint16 header length, header JSON, encrypted body
+    static _fileHeader(header) {
+        const json = new TextEncoder().encode(JSON.stringify(header));
+        const output = new Uint8Array(7 + json.length);
+        output.set(new TextEncoder().encode('TGHF'));
+        output[4] = Tughra.FILE_FORMAT_VERSION;
+        new DataView(output.buffer).setUint16(5, json.length);
+        output.set(json, 7);
+        return output;
+    }
 
-        return Library;
+    // Cycle counts read from envelopes, files and streams are untrusted: a huge one would keep the
+    // decrypting process busy for as long as it likes, like oversized key derivation parameters
+    static _validHeaderCycles(cycles) {
+        return Number.isInteger(cycles) && cycles >= 1 && cycles <= Tughra.HEADER_LIMITS.cycles;
     }
 
+    static _parseFileHeader(bytes) {
+        if (bytes.length < 7 || new TextDecoder().decode(bytes.subarray(0, 4)) !== 'TGHF') {
+            throw new TughraDecodeError("Invalid encrypted file: missing Tughra file signature.", 'INVALID_FILE');
+        }
+        if (bytes[4] !== Tughra.FILE_FORMAT_VERSION) {
+            throw new TughraDecodeError(`Unsupported encrypted file version: ${bytes[4]}`, 'UNSUPPORTED_VERSION', { format: 'file', version: bytes[4] });
+        }
 
+        const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint16(5);
+        let header;
+        try {
+            header = JSON.parse(new TextDecoder().decode(bytes.subarray(7, 7 + length)));
+        } catch (error) {
+            throw new TughraDecodeError("Invalid encrypted file: header is not valid JSON.", 'INVALID_FILE');
+        }
+        if (!Tughra._validHeaderCycles(header.cycles)) {
+            throw new TughraDecodeError(`Invalid encrypted file: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`, 'INVALID_FILE', { cycles: header.cycles });
+        }
+        return { header, body: bytes.subarray(7 + length) };
+    }
 
+    // Process encryption/decryption based on the selected algorithm
+    _processCycle(text, mode) {
+        const definition = this._definition();
+        if (definition.async) {
+            throw new TughraAlgorithmError(`${definition.name} is asynchronous. Use processAsync() instead of process().`, 'ASYNC_REQUIRED', { algorithm: definition.name });
+        }
+        return mode === 'encrypt' ? definition.encrypt.call(this, text, this) : definition.decrypt.call(this, text, this);
+    }
 
-}
-class TughraLibrary {
-    constructor() {
-        // Define Unicode groups for character generation
-        this.unicodeGroups = [{
-                name: 'Numbers',
-                start: 48,
-                end: 57
-            }, // 0-9
-            {
-                name: 'Lowercase English',
-                start: 97,
-                end: 122
-            }, // a-z
-            {
-                name: 'Uppercase English',
-                start: 65,
-                end: 90
-            }, // A-Z
-            {
-                name: 'Basic Latin',
-                start: 33,
-                end: 127
-            },
-            {
-                name: 'Latin-1 Supplement',
-                start: 128,
-                end: 255
-            },
-            {
-                name: 'Latin Extended-A',
-                start: 256,
-                end: 383
-            },
-            {
-                name: 'Latin Extended-B',
-                start: 384,
-                end: 591
-            },
-            {
-                name: 'IPA Extensions',
-                start: 592,
-                end: 687
-            },
-            {
-                name: 'Greek and Coptic',
-                start: 880,
-                end: 1023
-            },
-            {
-                name: 'Cyrillic',
-                start: 1024,
-                end: 1279
-            },
-            {
-                name: 'Arabic',
-                start: 1536,
-                end: 1791
-            },
-            {
-                name: 'Hebrew',
-                start: 1424,
-                end: 1535
-            },
-            {
-                name: 'Devanagari',
-                start: 2304,
-                end: 2431
+    _modInverse(a, m) {
+        for (let x = 1; x < m; x++) {
+            if ((a * x) % m === 1) {
+                return x;
+            }
+        }
+        return null; // No modular inverse if not found
+    }
+    // 9. Affine Cipher (Encrypt & Decrypt)
+    _encryptAffine(text) {
+        return text.split('').map(char => {
+            if (/[A-Za-z]/.test(char)) { // Check if the character is a letter
+                const base = char === char.toUpperCase() ? 65 : 97; // Base for uppercase or lowercase
+                const encryptedChar = String.fromCharCode(((this.a * (char.charCodeAt(0) - base) + this.b) % 26) + base);
+                return encryptedChar;
+            }
+            return char; // Return unchanged if not a letter
+        }).join('');
+    }
+
+    _decryptAffine(text) {
+        const a_inv = this._modInverse(this.a, 26);
+        return text.split('').map(char => {
+            if (/[A-Za-z]/.test(char)) { // Check if the character is a letter
+                const base = char === char.toUpperCase() ? 65 : 97; // Base for uppercase or lowercase
+                const decryptedChar = String.fromCharCode(((a_inv * (char.charCodeAt(0) - base - this.b + 26)) % 26 + 26) % 26 + base);
+                return decryptedChar;
+            }
+            return char; // Return unchanged if not a letter
+        }).join('');
+    }
+
+    // Affine with a and b changing per position, taken from the key bytes
+    _encryptAffinePro(text, key = this.encryptionKey) {
+        return text.split('').map((char, i) => {
+            if (/[a-zA-Z]/.test(char)) {
+                const isUpperCase = char === char.toUpperCase();
+                const base = isUpperCase ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+                const x = char.charCodeAt(0) - base; // Convert char to 0-25
+                const { a, b } = this._affineAt(key, i);
+                const encryptedChar = String.fromCharCode(((a * x + b) % this.m) + base);
+                return encryptedChar;
+            }
+            return char; // Return unchanged if not a letter
+        }).join('');
+    }
+
+    _decryptAffinePro(text, key = this.encryptionKey) {
+        return text.split('').map((char, i) => {
+            if (/[a-zA-Z]/.test(char)) {
+                const isUpperCase = char === char.toUpperCase();
+                const base = isUpperCase ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+                const y = char.charCodeAt(0) - base; // Convert char to 0-25
+                const { a, b } = this._affineAt(key, i);
+                const aInv = this._modInverse(a, this.m);
+                const decryptedChar = String.fromCharCode((aInv * (y - b + this.m)) % this.m + base);
+                return decryptedChar;
+            }
+            return char; // Return unchanged if not a letter
+        }).join('');
+    }
+
+    // Per-position Affine keys: a stays coprime to 26 by picking from AFFINE_MULTIPLIERS
+    _affineAt(key, i) {
+        const k = key.length > 0 ? key[i % key.length] : 0;
+        const multipliers = Tughra.AFFINE_MULTIPLIERS;
+        return {
+            a: multipliers[(multipliers.indexOf(this.a) + k) % multipliers.length],
+            b: (this.b + k) % this.m
+        };
+    }
+
+    // Keyed substitution alphabet, rotated per position by the key bytes before the lookup
+    // Only ASCII letters are substituted: toLowerCase() folds signs such as Kelvin (U+212A) onto 'k',
+    // which would not come back on decryption.
+    _encryptSubstitutionPro(text, key = this.encryptionKey) {
+        return text.split('').map((char, i) => {
+            if (!/[a-zA-Z]/.test(char)) {
+                return char; // Return unchanged if not a letter
+            }
+            const index = Tughra.ALPHABET.indexOf(char.toLowerCase());
+            const k = key.length > 0 ? key[i % key.length] : 0;
+            const substituted = this.substitutionKey[Tughra.ALPHABET[(index + k) % 26]];
+            return char === char.toLowerCase() ? substituted : substituted.toUpperCase();
+        }).join('');
+    }
+
+    _decryptSubstitutionPro(text, key = this.encryptionKey) {
+        return text.split('').map((char, i) => {
+            if (!/[a-zA-Z]/.test(char)) {
+                return char; // Return unchanged if not a letter
+            }
+            const k = key.length > 0 ? key[i % key.length] : 0;
+            const index = Tughra.ALPHABET.indexOf(this.reverseSubstitutionKey[char.toLowerCase()]);
+            const original = Tughra.ALPHABET[(index - k % 26 + 26) % 26];
+            return char === char.toLowerCase() ? original : original.toUpperCase();
+        }).join('');
+    }
+    // ROT13 (symmetric)
+    _encryptROT13(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 13) % 26) + base);
+        });
+    }
+
+    _decryptROT13(text) {
+        return this._encryptROT13(text); // ROT13 is symmetric
+    }
+
+    // ROT18 (not symmetric)
+    _encryptROT18(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 18) % 26) + base);
+        });
+    }
+
+    _decryptROT18(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 26 - 18) % 26) + base);
+        });
+    }
+
+    // ROT25 (not symmetric)
+    _encryptROT25(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 25) % 26) + base);
+        });
+    }
+
+    _decryptROT25(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 26 - 25) % 26) + base);
+        });
+    }
+
+    // ROT30 (custom decryption)
+    _encryptROT30(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 4) % 26) + base);
+        });
+    }
+
+    _decryptROT30(text) {
+        return text.replace(/[A-Za-z]/g, (char) => {
+            const base = char <= 'Z' ? 'A'.charCodeAt(0) : 'a'.charCodeAt(0);
+            return String.fromCharCode(((char.charCodeAt(0) - base + 22) % 26 + 26) % 26 + base);
+        });
+    }
+
+    _encryptXORPro(text, key) {
+        return text.split('').map((char, index) => {
+            return String.fromCharCode(char.charCodeAt(0) ^ key.charCodeAt(index % key.length));
+        }).join('');
+    }
+
+    _decryptXORPro(text, key) {
+        return this._encryptXORPro(text, key); // XOR is symmetric
+    }
+
+    // Format-preserving encryption after FF1 (NIST SP 800-38G): the characters of each class (see
+    // _fpeClass) are read, in order, as one numeral string in the radix of the class and enciphered
+    // with a ten-round Feistel network keyed by the encryption key and the tweak. Other characters
+    // are copied, so the length never changes. Runs longer than FPE_BLOCK numerals are split into
+    // blocks whose index joins the round input.
+    _formatPreserving(text, sign) {
+        const codePoints = Array.from(text, char => char.codePointAt(0));
+        return this._fpe(codePoints, Tughra._fpeClass, sign).map(codePoint => String.fromCodePoint(codePoint)).join('');
+    }
+
+    _fpe(codePoints, classOf, sign) {
+        const prf = Tughra._hmacSha256Sync(this.encryptionKey);
+        const tweak = Tughra._tweakBytes(this.tweak);
+        const runs = new Map();
+        codePoints.forEach((codePoint, position) => {
+            const format = classOf(codePoint);
+            if (format && format.alphabet.length > 1) {
+                if (!runs.has(format)) {
+                    runs.set(format, []);
+                }
+                runs.get(format).push(position);
+            }
+        });
+        const output = codePoints.slice();
+        runs.forEach((positions, format) => {
+            const blocks = Math.ceil(positions.length / Tughra.FPE_BLOCK);
+            for (let block = 0; block < blocks; block++) {
+                // Equal-sized blocks, so the last one is never a short, easily guessed remainder
+                const slice = positions.slice(Math.floor(block * positions.length / blocks), Math.floor((block + 1) * positions.length / blocks));
+                const numerals = slice.map(position => format.index.get(codePoints[position]));
+                const context = [format.name, block, tweak.length];
+                Tughra._ff1(numerals, format.alphabet.length, prf, context, tweak, sign)
+                    .forEach((numeral, i) => { output[slice[i]] = format.alphabet[numeral]; });
+            }
+        });
+        return output;
+    }
+
+    // Ten Feistel rounds over the numerals: the halves A and B alternate, and each round adds (or, to
+    // decrypt, subtracts) a pseudorandom value of the other half modulo radix^m. HMAC-SHA-256 stands
+    // in for FF1's AES round function so the cipher stays synchronous.
+    static _ff1(numerals, radix, prf, context, tweak, sign) {
+        const n = numerals.length;
+        const u = Math.floor(n / 2);
+        const v = n - u;
+        const big = BigInt(radix);
+        const powers = new Map();
+        const power = exponent => {
+            if (!powers.has(exponent)) {
+                powers.set(exponent, big ** BigInt(exponent));
+            }
+            return powers.get(exponent);
+        };
+        const b = Math.ceil(Math.ceil(v * Math.log2(radix)) / 8);
+        const d = 4 * Math.ceil(b / 4) + 4;
+        const header = new TextEncoder().encode(JSON.stringify(['tughra-fpe', radix, n].concat(context)));
+        const round = (i, half) => {
+            const value = Tughra._radixValue(half, 0, half.length, big, power).toString(16).padStart(2 * b, '0');
+            const input = new Uint8Array(header.length + tweak.length + 1 + b);
+            input.set(header);
+            input.set(tweak, header.length);
+            input[header.length + tweak.length] = i;
+            for (let j = 0; j < b; j++) {
+                input[header.length + tweak.length + 1 + j] = parseInt(value.substr(2 * j, 2), 16);
+            }
+            // d bytes of output: HMAC blocks of the round input followed by a counter
+            let hex = '';
+            for (let counter = 0; hex.length < 2 * d; counter++) {
+                hex += Array.from(prf(Tughra._concatBytes(input, new Uint8Array([counter]))), byte => byte.toString(16).padStart(2, '0')).join('');
+            }
+            return BigInt('0x' + hex.slice(0, 2 * d));
+        };
+        let a = numerals.slice(0, u);
+        let c = numerals.slice(u);
+        for (let step = 0; step < 10; step++) {
+            const i = sign > 0 ? step : 9 - step;
+            const m = i % 2 === 0 ? u : v;
+            const modulus = power(m);
+            if (sign > 0) {
+                const y = ((Tughra._radixValue(a, 0, a.length, big, power) + round(i, c)) % modulus + modulus) % modulus;
+                [a, c] = [c, Tughra._radixDigits(y, m, big, power)];
+            } else {
+                const y = ((Tughra._radixValue(c, 0, c.length, big, power) - round(i, a)) % modulus + modulus) % modulus;
+                [a, c] = [Tughra._radixDigits(y, m, big, power), a];
+            }
+        }
+        return a.concat(c);
+    }
+
+    // Character class of a code point for format-preserving encryption: the letters of one case
+    // inside the smallest TughraLibrary Unicode group that holds it, or the ten digits of its digit
+    // set (so Arabic-Indic digits stay Arabic-Indic). Symbols, punctuation, marks and unassigned
+    // code points have no class and are left unchanged. Classes follow the Unicode tables of the
+    // JavaScript engine, which should match on both sides.
+    static _fpeClass(codePoint) {
+        if (!Tughra._fpeGroups) {
+            Tughra._fpeGroups = new TughraLibrary().unicodeGroups.slice().sort((x, y) => (x.end - x.start) - (y.end - y.start));
+            Tughra._fpeClasses = new Map();
+        }
+        const group = Tughra._fpeGroups.find(({ start, end }) => codePoint >= start && codePoint <= end);
+        const category = group && Tughra.FPE_CATEGORIES.find(name => Tughra._fpeCategory(codePoint, name));
+        if (!category) {
+            return null;
+        }
+        let start = group.start;
+        let end = group.end;
+        if (category === 'Nd') {
+            // Digit sets are runs of ten consecutive code points, zero first
+            let zero = codePoint;
+            while (zero > group.start && Tughra._fpeCategory(zero - 1, 'Nd')) {
+                zero--;
+            }
+            start = zero + Math.floor((codePoint - zero) / 10) * 10;
+            end = start + 9;
+        }
+        const name = `${group.name}:${category}:${start}`;
+        if (!Tughra._fpeClasses.has(name)) {
+            const alphabet = [];
+            for (let member = start; member <= end; member++) {
+                if (Tughra._fpeCategory(member, category)) {
+                    alphabet.push(member);
+                }
+            }
+            Tughra._fpeClasses.set(name, { name, alphabet, index: new Map(alphabet.map((member, i) => [member, i])) });
+        }
+        return Tughra._fpeClasses.get(name);
+    }
+
+    static _fpeCategory(codePoint, category) {
+        if (!Tughra._fpePatterns) {
+            Tughra._fpePatterns = new Map(Tughra.FPE_CATEGORIES.map(name => [name, new RegExp(`^\\p{${name}}$`, 'u')]));
+        }
+        return Tughra._fpePatterns.get(category).test(String.fromCodePoint(codePoint));
+    }
+
+    // HMAC-SHA-256 keyed once, computed with TughraHash so synchronous ciphers can use it
+    static _hmacSha256Sync(key) {
+        const padded = new Uint8Array(64);
+        if (key.length > 64) {
+            const state = TughraHash._createState('SHA-256');
+            state.update(key);
+            padded.set(state.finish());
+        } else {
+            padded.set(key);
+        }
+        const inner = padded.map(byte => byte ^ 0x36);
+        const outer = padded.map(byte => byte ^ 0x5c);
+        return data => {
+            const first = TughraHash._createState('SHA-256');
+            first.update(inner);
+            first.update(data);
+            const second = TughraHash._createState('SHA-256');
+            second.update(outer);
+            second.update(first.finish());
+            return second.finish();
+        };
+    }
+
+    // The tweak option as bytes: a string is UTF-8 encoded
+    static _tweakBytes(tweak) {
+        if (typeof tweak === 'string') {
+            return Tughra._utf8Bytes(tweak);
+        }
+        if (tweak instanceof Uint8Array) {
+            return tweak;
+        }
+        throw new TughraError("tweak must be a string or a Uint8Array.", 'INVALID_ARGUMENT', { tweak: typeof tweak });
+    }
+
+    // Tughra cipher on whole code points: every character of the alphabet moves by the key offset
+    // and wraps around inside the alphabet, so the output is always valid, encodable text.
+    // Characters outside the alphabet are copied unchanged.
+    _TughraCodePoints(text, sign) {
+        const alphabet = this._codePointAlphabet;
+        const offsets = Array.from(this.keyOffsets, char => char.codePointAt(0));
+        return Array.from(text, (char, i) => {
+            const index = alphabet.indexOf(char.codePointAt(0));
+            if (index === -1) {
+                return char;
+            }
+            const offset = offsets[i % offsets.length] % alphabet.size;
+            return String.fromCodePoint(alphabet.codePointAt((index + sign * offset + alphabet.size) % alphabet.size));
+        }).join('');
+    }
+
+    // Validate the codePoints option; true selects every printable code point from U+0020 upwards
+    static _normalizeCodePoints(codePoints) {
+        if (codePoints === true) {
+            return { range: [0x20, 0x10ffff] };
+        }
+        if (typeof codePoints.alphabet === 'string') {
+            const chars = Array.from(new Set(codePoints.alphabet));
+            if (chars.length < 2) {
+                throw new TughraAlgorithmError("The code-point alphabet must contain at least two distinct characters.", 'INVALID_OPTIONS');
+            }
+            if (chars.some(char => Tughra._isExcludedCodePoint(char.codePointAt(0)))) {
+                throw new TughraAlgorithmError("The code-point alphabet must not contain surrogates or noncharacters.", 'INVALID_OPTIONS');
+            }
+            return { alphabet: chars.join('') };
+        }
+        const [start, end] = codePoints.range || [];
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 0x10ffff || start >= end) {
+            throw new TughraAlgorithmError("The code-point range must be [start, end] with 0 <= start < end <= 0x10FFFF.", 'INVALID_OPTIONS');
+        }
+        return { range: [start, end] };
+    }
+
+    // Surrogates and the 66 noncharacters are never produced and never moved
+    static _isExcludedCodePoint(codePoint) {
+        return (codePoint >= 0xd800 && codePoint <= 0xdfff) ||
+            (codePoint >= 0xfdd0 && codePoint <= 0xfdef) ||
+            (codePoint & 0xfffe) === 0xfffe;
+    }
+
+    // Index <-> code point mapping for an alphabet or a range without the excluded code points
+    static _codePointAlphabet({ alphabet, range }) {
+        if (alphabet !== undefined) {
+            const codePoints = Array.from(alphabet, char => char.codePointAt(0));
+            const indexes = new Map(codePoints.map((codePoint, index) => [codePoint, index]));
+            return {
+                size: codePoints.length,
+                indexOf: codePoint => indexes.has(codePoint) ? indexes.get(codePoint) : -1,
+                codePointAt: index => codePoints[index]
+            };
+        }
+
+        const [start, end] = range;
+        const gaps = [[0xd800, 0xdfff], [0xfdd0, 0xfdef]];
+        for (let plane = 0; plane <= 0x10; plane++) {
+            gaps.push([plane * 0x10000 + 0xfffe, plane * 0x10000 + 0xffff]);
+        }
+        const excluded = gaps
+            .map(([from, to]) => [Math.max(from, start), Math.min(to, end)])
+            .filter(([from, to]) => from <= to)
+            .sort((x, y) => x[0] - y[0]);
+        const excludedCount = excluded.reduce((count, [from, to]) => count + to - from + 1, 0);
+        if (end - start + 1 - excludedCount < 2) {
+            throw new TughraAlgorithmError("The code-point range must contain at least two usable code points.", 'INVALID_OPTIONS');
+        }
+
+        return {
+            size: end - start + 1 - excludedCount,
+            indexOf: codePoint => {
+                if (codePoint < start || codePoint > end || Tughra._isExcludedCodePoint(codePoint)) {
+                    return -1;
+                }
+                let index = codePoint - start;
+                for (const [from, to] of excluded) {
+                    if (from < codePoint) {
+                        index -= to - from + 1;
+                    }
+                }
+                return index;
             },
-            {
-                name: 'Bengali',
-                start: 2432,
-                end: 2559
+            codePointAt: index => {
+                let codePoint = start + index;
+                for (const [from, to] of excluded) {
+                    if (from <= codePoint) {
+                        codePoint += to - from + 1;
+                    }
+                }
+                return codePoint;
+            }
+        };
+    }
+
+    // Default Tughra encryption cycle
+    _TughraEncrypt(text) {
+        if (this._codePointAlphabet) {
+            return this._TughraCodePoints(text, 1);
+        }
+        let encryptedText = '';
+        for (let i = 0; i < text.length; i++) {
+            let charCode = text.charCodeAt(i);
+
+            // Get the offset by converting the character at keyOffsets[i % keyOffsets.length] to its char code
+            let offset = this.keyOffsets.charCodeAt(i % this.keyOffsets.length);
+
+            encryptedText += String.fromCharCode(charCode + offset);
+        }
+        return encryptedText;
+    }
+
+    // Tughra decryption cycle
+    _TughraDecrypt(encryptedText) {
+        if (this._codePointAlphabet) {
+            return this._TughraCodePoints(encryptedText, -1);
+        }
+        let decryptedText = '';
+        for (let i = 0; i < encryptedText.length; i++) {
+            let charCode = encryptedText.charCodeAt(i);
+
+            // Get the offset by converting the character at keyOffsets[i % keyOffsets.length] to its char code
+            let offset = this.keyOffsets.charCodeAt(i % this.keyOffsets.length);
+
+            decryptedText += String.fromCharCode(charCode - offset);
+        }
+        return decryptedText;
+    }
+
+    // Caesar Cipher Encryption
+    _caesarEncrypt(text) {
+        return text.split('').map(char => String.fromCharCode(char.charCodeAt(0) + this.keyShift)).join('');
+    }
+
+    _caesarDecrypt(text) {
+        return text.split('').map(char => String.fromCharCode(char.charCodeAt(0) - this.keyShift)).join('');
+    }
+
+    // Vigenère Cipher Encryption
+    _vigenereEncrypt(text) {
+        const textBytes = new TextEncoder().encode(text); // Convert text to UTF-8 byte array
+        const encryptedBytes = textBytes.map((byte, i) =>
+            (byte + this.encryptionKey[i % this.encryptionKey.length]) % 256
+        );
+
+        // Convert encrypted byte array to Base64
+        return this._arrayBufferToBase64(encryptedBytes);
+    }
+
+    // Vigenère Cipher Decryption
+    _vigenereDecrypt(encryptedText) {
+        const encryptedBytes = this._base64ToArrayBuffer(encryptedText); // Decode Base64 to byte array
+
+        const decryptedBytes = encryptedBytes.map((byte, i) =>
+            (byte - this.encryptionKey[i % this.encryptionKey.length] + 256) % 256
+        );
+
+        return new TextDecoder().decode(Uint8Array.from(decryptedBytes)); // Convert decrypted bytes back to text
+    }
+
+
+    // Helper to convert ArrayBuffer to Base64 safely with chunks
+    _arrayBufferToBase64(buffer) {
+        return btoa(Tughra._latin1Text(Tughra._toBytesSync(buffer)));
+    }
+
+    // atob() with a TughraDecodeError instead of a DOMException for malformed input
+    static _atob(base64) {
+        try {
+            return atob(base64);
+        } catch (error) {
+            throw new TughraDecodeError("Invalid Base64 input.", 'INVALID_BASE64');
+        }
+    }
+
+    // Helper to convert Base64 to ArrayBuffer safely
+    _base64ToArrayBuffer(base64) {
+        const binaryString = Tughra._atob(base64);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+
+    // XOR Encryption/Decryption: the UTF-8 bytes XORed with the raw key bytes exactly as in
+    // _xorBytes(), so processText() and processBytes() share one keystream
+    _xorEncrypt(text) {
+        if (!this.encryptionKey) throw new TughraKeyError("Encryption key is missing.", 'KEY_MISSING');
+
+        const encryptedBytes = this._xorBytes(Tughra._utf8Bytes(text)); // Encode text to UTF-8 byte array
+        return this._arrayBufferToBase64(encryptedBytes); // Convert to Base64 for safe storage
+    }
+
+    _xorDecrypt(encryptedText) {
+        const encryptedBytes = Tughra._latin1Bytes(Tughra._atob(encryptedText)); // Decode Base64 to bytes
+        return new TextDecoder().decode(this._xorBytes(encryptedBytes)); // Decode UTF-8 byte array back to text
+    }
+
+    // Resolve the WebCrypto implementation for browsers, workers and Node.js
+    static _webCrypto() {
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+            return globalThis.crypto;
+        }
+        if (typeof require === 'function') {
+            return require('crypto').webcrypto;
+        }
+        throw new TughraAlgorithmError("WebCrypto is not available in this environment.", 'UNAVAILABLE');
+    }
+
+    // AES-256 key derived from the encryption key bytes with SHA-256
+    async _aesGcmKey() {
+        if (!this._aesKeyPromise) {
+            const subtle = Tughra._webCrypto().subtle;
+            this._aesKeyPromise = subtle.digest('SHA-256', this.encryptionKey)
+                .then(hash => subtle.importKey('raw', hash, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']));
+        }
+        return this._aesKeyPromise;
+    }
+
+    // AES-256-GCM Encryption: a random 12-byte IV is prepended to the ciphertext and tag
+    async _aesGcmEncrypt(text) {
+        return this._arrayBufferToBase64(await this._aesGcmEncryptBytes(new TextEncoder().encode(text)));
+    }
+
+    // AES-256-GCM Decryption: fails if the key is wrong or the ciphertext was modified
+    async _aesGcmDecrypt(encryptedText) {
+        let bytes;
+        try {
+            bytes = this._base64ToArrayBuffer(encryptedText);
+        } catch (error) {
+            throw new TughraDecodeError("Invalid AES-GCM ciphertext: input is not valid Base64.", 'INVALID_BASE64');
+        }
+        return new TextDecoder().decode(await this._aesGcmDecryptBytes(bytes));
+    }
+
+    async _aesGcmEncryptBytes(bytes) {
+        const webCrypto = Tughra._webCrypto();
+        const iv = webCrypto.getRandomValues(new Uint8Array(12));
+        const key = await this._aesGcmKey();
+        const encrypted = new Uint8Array(await webCrypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+
+        const output = new Uint8Array(iv.length + encrypted.length);
+        output.set(iv);
+        output.set(encrypted, iv.length);
+        return output;
+    }
+
+    async _aesGcmDecryptBytes(bytes) {
+        if (bytes.length < 12 + 16) {
+            throw new TughraDecodeError("Invalid AES-GCM ciphertext: input is too short.", 'INVALID_CIPHERTEXT');
+        }
+
+        const key = await this._aesGcmKey();
+        try {
+            return new Uint8Array(await Tughra._webCrypto().subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12)));
+        } catch (error) {
+            throw new TughraIntegrityError("AES-GCM authentication failed: the key is wrong or the ciphertext has been tampered with.", 'corrupted');
+        }
+    }
+
+    // 1. ROT47 (Encrypt & Decrypt)
+    _encryptROT47(text) {
+        return text.replace(/[!-~]/g, char =>
+            String.fromCharCode(33 + ((char.charCodeAt(0) + 14) % 94))
+        );
+    }
+
+    _decryptROT47(text) {
+        return this._encryptROT47(text); // ROT47 is symmetric
+    }
+
+    // 2. Atbash Cipher (Encrypt & Decrypt)
+    _encryptAtbash(text) {
+        return text.replace(/[a-zA-Z]/g, char => {
+            const base = char <= 'Z' ? 65 : 97;
+            return String.fromCharCode(base + (25 - (char.charCodeAt(0) - base)));
+        });
+    }
+
+    _decryptAtbash(text) {
+        return this._encryptAtbash(text); // Atbash is symmetric
+    }
+
+    // 5. Simple Substitution Cipher (Encrypt & Decrypt)
+    _encryptSubstitution(text) {
+        return text.split('').map(char =>
+            this.substitutionKey[char] || char // Leave non-alphabetic characters unchanged
+        ).join('');
+    }
+
+    _decryptSubstitution(text) {
+        return text.split('').map(char =>
+            this.reverseSubstitutionKey[char] || char // Leave non-alphabetic characters unchanged
+        ).join('');
+    }
+    // 6. Base64 Encoding (Encrypt & Decrypt)
+    _encryptBase64(text) {
+        return this._arrayBufferToBase64(Tughra._utf8Bytes(text)); // Base64 of the UTF-8 bytes, so any script works
+    }
+
+    // Ciphertext from older releases is btoa() of Latin-1 text. Its bytes are read as Latin-1
+    // when they are not valid UTF-8, which covers it unless the text happens to be UTF-8 as well
+    // (e.g. "Ã©", which now decrypts to "é").
+    _decryptBase64(base64) {
+        const bytes = new Uint8Array(this._base64ToArrayBuffer(base64));
+        try {
+            return Tughra._decodeText(bytes, 'utf-8');
+        } catch (error) {
+            return Tughra._latin1Text(bytes);
+        }
+    }
+
+    // 7. ASCII Shift Cipher (Encrypt & Decrypt)
+    _encryptAsciiShift(text) {
+        return text.split('').map(char =>
+            String.fromCharCode(char.charCodeAt(0) + this.keyShift)
+        ).join('');
+    }
+
+    _decryptAsciiShift(text) {
+        return text.split('').map(char =>
+            String.fromCharCode(char.charCodeAt(0) - this.keyShift)
+        ).join('');
+    }
+
+    // 10. Unicode Shift Cipher (Encrypt & Decrypt)
+    _encryptUnicodeShift(text) {
+        return text.split('').map(char =>
+            String.fromCharCode(char.charCodeAt(0) + this.keyShift)
+        ).join('');
+    }
+
+    _decryptUnicodeShift(text) {
+        return text.split('').map(char =>
+            String.fromCharCode(char.charCodeAt(0) - this.keyShift)
+        ).join('');
+    }
+
+    // 11. Numeric Cipher (Encrypt & Decrypt)
+    _encryptNumeric(text) {
+        return text.split('').map(char =>
+            char.charCodeAt(0)
+        ).join('-');
+    }
+
+    _decryptNumeric(numbers) {
+        return numbers.split('-').map(num =>
+            String.fromCharCode(parseInt(num))
+        ).join('');
+    }
+
+    // 12. Reversed Caesar Cipher (Encrypt & Decrypt)
+    _encryptReversedCaesar(text) {
+        return text.replace(/[a-zA-Z]/g, char => {
+            const base = char <= 'Z' ? 65 : 97;
+            return String.fromCharCode(((25 - (char.charCodeAt(0) - base) + this.keyShift) % 26) + base);
+        });
+    }
+
+    _decryptReversedCaesar(text) {
+        return this._encryptReversedCaesar(text); // x -> 25 - x + shift is its own inverse
+    }
+
+    // Stand-alone base encoder/decoder for an alphabet, without any cipher or key
+    static _baseCodec(baseCharset) {
+        const codec = Object.create(Tughra.prototype);
+        codec.baseCharset = baseCharset || Tughra.DEFAULT_BASE_CHARSET;
+        codec.baseLibrary = codec.baseEncodeDecode(codec.baseCharset);
+        return codec;
+    }
+
+    // Base encoding of text (as UTF-8) or of bytes; throws TughraDecodeError for unpaired surrogates
+    toBase(input) {
+        return this.baseLibrary.encode(typeof input === 'string' ? Tughra._utf8Bytes(input) : Tughra._toBytesSync(input));
+    }
+
+    // Base decoding to UTF-8 text, or to a Uint8Array with { bytes: true }; throws TughraDecodeError
+    fromBase(text, options = {}) {
+        const bytes = this.baseLibrary.decode(text);
+        if (options.bytes) {
+            return bytes;
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new TughraDecodeError("Base decoding failed: the decoded bytes are not valid UTF-8.", 'INVALID_UTF8');
+        }
+    }
+
+    // Base encoding/decoding library for an alphabet or a preset name from Tughra.BASE_PRESETS.
+    // encode(bytes) returns a string and decode(string) returns a Uint8Array. Padding rules:
+    // - 2^n characters pack n bits per character (RFC 4648) without padding;
+    // - 2^n characters followed by '=' pad the output with '=' to a whole group (Base32, Base64);
+    // - the Ascii85 alphabet ('!' to 'u') encodes 4-byte groups, 'z' standing for four zero bytes;
+    // - any other alphabet is a radix conversion of the whole input, and each leading zero byte
+    //   becomes one leading first character, as in Base58.
+    baseEncodeDecode(alphabet) {
+        const charset = Object.prototype.hasOwnProperty.call(Tughra.BASE_PRESETS, alphabet) ? Tughra.BASE_PRESETS[alphabet] : alphabet;
+        const chars = [...charset];
+        if (chars.length < 2) {
+            throw new TughraAlgorithmError("Base charset must contain at least two characters.", 'INVALID_OPTIONS', { baseCharset: alphabet });
+        }
+        if (new Set(chars).size !== chars.length) {
+            throw new TughraAlgorithmError("Base charset must not contain duplicate characters.", 'INVALID_OPTIONS', { baseCharset: alphabet });
+        }
+        if (charset === Tughra.BASE_PRESETS.Ascii85) {
+            return Tughra._ascii85Codec();
+        }
+        if (Number.isInteger(Math.log2(chars.length))) {
+            return Tughra._bitCodec(chars, null);
+        }
+        if (chars[chars.length - 1] === '=' && Number.isInteger(Math.log2(chars.length - 1))) {
+            return Tughra._bitCodec(chars.slice(0, -1), '=');
+        }
+        return Tughra._radixCodec(chars);
+    }
+
+    // n bits per character, most significant first; the last character is zero-filled
+    static _bitCodec(chars, padding) {
+        const bits = Math.log2(chars.length);
+        const indexes = new Map(chars.map((char, i) => [char, i]));
+        let gcd = bits;
+        for (let b = 8; b;) [gcd, b] = [b, gcd % b];
+        const groupLength = 8 / gcd; // Characters per whole number of bytes, e.g. 4 for Base64, 8 for Base32
+
+        return {
+            encode: (bytes) => {
+                let output = '';
+                let length = 0;
+                let buffer = 0;
+                let count = 0;
+                for (let i = 0; i < bytes.length; i++) {
+                    buffer = (buffer << 8) | bytes[i];
+                    count += 8;
+                    while (count >= bits) {
+                        count -= bits;
+                        output += chars[buffer >>> count];
+                        buffer &= (1 << count) - 1;
+                        length++;
+                    }
+                }
+                if (count > 0) {
+                    output += chars[buffer << (bits - count)];
+                    length++;
+                }
+                if (padding) {
+                    output += padding.repeat((groupLength - length % groupLength) % groupLength);
+                }
+                return output;
             },
-            {
-                name: 'Gurmukhi',
-                start: 2560,
-                end: 2687
+
+            decode: (text) => {
+                const input = [...text];
+                let end = input.length;
+                while (padding && end > 0 && input[end - 1] === padding) {
+                    end--;
+                }
+                // Padding is optional, but when present it must complete the last group
+                if (end < input.length && (input.length - end >= groupLength || input.length % groupLength !== 0)) {
+                    throw new TughraDecodeError("Invalid Base input: wrong padding.", 'INVALID_BASE');
+                }
+                const output = new Uint8Array(Math.floor(end * bits / 8));
+                let offset = 0;
+                let buffer = 0;
+                let count = 0;
+                for (let i = 0; i < end; i++) {
+                    const index = indexes.get(input[i]);
+                    if (index === undefined) {
+                        throw new TughraDecodeError(`Invalid Base character: "${input[i]}"`, 'INVALID_BASE', { character: input[i] });
+                    }
+                    buffer = (buffer << bits) | index;
+                    count += bits;
+                    while (count >= 8) {
+                        count -= 8;
+                        output[offset++] = buffer >>> count;
+                        buffer &= (1 << count) - 1;
+                    }
+                }
+                // Leftover bits are the zero fill of the last character, never a whole character
+                if (count >= bits || buffer !== 0) {
+                    throw new TughraDecodeError("Invalid Base input: truncated or not canonically encoded.", 'INVALID_BASE');
+                }
+                return output;
+            }
+        };
+    }
+
+    // Whole-input radix conversion with BigInt, for alphabets whose size is not a power of two
+    static _radixCodec(chars) {
+        const radix = BigInt(chars.length);
+        const indexes = new Map(chars.map((char, i) => [char, i]));
+        const powers = new Map();
+        const power = exponent => {
+            if (!powers.has(exponent)) {
+                powers.set(exponent, radix ** BigInt(exponent));
+            }
+            return powers.get(exponent);
+        };
+
+        return {
+            encode: (bytes) => {
+                let zeros = 0;
+                while (zeros < bytes.length && bytes[zeros] === 0) {
+                    zeros++;
+                }
+                if (zeros === bytes.length) {
+                    return chars[0].repeat(zeros);
+                }
+                const hex = Array.from(bytes.subarray(zeros), byte => byte.toString(16).padStart(2, '0')).join('');
+                const length = Math.ceil((bytes.length - zeros) * 8 / Math.log2(chars.length)) + 1;
+                const digits = Tughra._radixDigits(BigInt('0x' + hex), length, radix, power);
+                const first = digits.findIndex(digit => digit !== 0);
+                return chars[0].repeat(zeros) + digits.slice(first).map(digit => chars[digit]).join('');
             },
-            {
+
+            decode: (text) => {
+                const digits = [...text].map(char => {
+                    const index = indexes.get(char);
+                    if (index === undefined) {
+                        throw new TughraDecodeError(`Invalid Base character: "${char}"`, 'INVALID_BASE', { character: char });
+                    }
+                    return index;
+                });
+                let zeros = 0;
+                while (zeros < digits.length && digits[zeros] === 0) {
+                    zeros++;
+                }
+                if (zeros === digits.length) {
+                    return new Uint8Array(zeros);
+                }
+                let hex = Tughra._radixValue(digits, zeros, digits.length, radix, power).toString(16);
+                if (hex.length % 2) {
+                    hex = '0' + hex;
+                }
+                const output = new Uint8Array(zeros + hex.length / 2);
+                for (let i = 0; i < hex.length; i += 2) {
+                    output[zeros + i / 2] = parseInt(hex.substr(i, 2), 16);
+                }
+                return output;
+            }
+        };
+    }
+
+    // Exactly `length` digits of n, most significant first. Splitting at powers of the radix keeps
+    // the BigInt divisions balanced, so long inputs do not take quadratic time digit by digit.
+    static _radixDigits(n, length, radix, power, digits = []) {
+        if (length <= 32) {
+            const start = digits.length;
+            digits.length += length;
+            digits.fill(0, start);
+            for (let i = start + length - 1; i >= start && n > 0n; i--) {
+                digits[i] = Number(n % radix);
+                n /= radix;
+            }
+            return digits;
+        }
+        const low = length >> 1;
+        Tughra._radixDigits(n / power(low), length - low, radix, power, digits);
+        return Tughra._radixDigits(n % power(low), low, radix, power, digits);
+    }
+
+    // Value of digits[start..end), the inverse of _radixDigits
+    static _radixValue(digits, start, end, radix, power) {
+        if (end - start <= 32) {
+            let n = 0n;
+            for (let i = start; i < end; i++) {
+                n = n * radix + BigInt(digits[i]);
+            }
+            return n;
+        }
+        const low = (end - start) >> 1;
+        return Tughra._radixValue(digits, start, end - low, radix, power) * power(low) + Tughra._radixValue(digits, end - low, end, radix, power);
+    }
+
+    // Ascii85 (btoa flavour, without <~ ~> delimiters); whitespace is ignored when decoding
+    static _ascii85Codec() {
+        return {
+            encode: (bytes) => {
+                let output = '';
+                for (let i = 0; i < bytes.length; i += 4) {
+                    const count = Math.min(4, bytes.length - i);
+                    let value = 0;
+                    for (let j = 0; j < 4; j++) {
+                        value = value * 256 + (j < count ? bytes[i + j] : 0);
+                    }
+                    if (count === 4 && value === 0) {
+                        output += 'z';
+                        continue;
+                    }
+                    const group = new Array(5);
+                    for (let j = 4; j >= 0; j--) {
+                        group[j] = String.fromCharCode(33 + value % 85);
+                        value = Math.floor(value / 85);
+                    }
+                    output += group.slice(0, count + 1).join(''); // A partial group keeps count + 1 characters
+                }
+                return output;
+            },
+
+            decode: (text) => {
+                const output = [];
+                const group = [];
+                const flush = (length) => {
+                    let value = 0;
+                    for (let j = 0; j < 5; j++) {
+                        value = value * 85 + (j < length ? group[j] : 84);
+                    }
+                    if (value > 0xffffffff) {
+                        throw new TughraDecodeError("Invalid Base input: Ascii85 group out of range.", 'INVALID_BASE');
+                    }
+                    for (let j = 0; j < length - 1; j++) {
+                        output.push((value >>> (24 - 8 * j)) & 0xff);
+                    }
+                    group.length = 0;
+                };
+                for (const char of text) {
+                    const code = char.charCodeAt(0);
+                    if (/\s/.test(char)) {
+                        continue;
+                    }
+                    if (char === 'z' && group.length === 0) {
+                        output.push(0, 0, 0, 0);
+                    } else if (code >= 33 && code <= 117) {
+                        group.push(code - 33);
+                        if (group.length === 5) {
+                            flush(5);
+                        }
+                    } else {
+                        throw new TughraDecodeError(`Invalid Base character: "${char}"`, 'INVALID_BASE', { character: char });
+                    }
+                }
+                if (group.length === 1) {
+                    throw new TughraDecodeError("Invalid Base input: truncated Ascii85 group.", 'INVALID_BASE');
+                }
+                if (group.length) {
+                    flush(group.length);
+                }
+                return Uint8Array.from(output);
+            }
+        };
+    }
+}
+
+// Latin alphabet used by Substitution and Affine
+Tughra.ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+// Affine multipliers, i.e. every value coprime to 26
+Tughra.AFFINE_MULTIPLIERS = [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25];
+// Base alphabet used when none is given (Base64)
+Tughra.DEFAULT_BASE_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+// Standard alphabets that can be passed by name as baseCharset, e.g. new Tughra(mode, 'Base58', ...)
+Tughra.BASE_PRESETS = {
+    Base16: '0123456789ABCDEF',
+    Base32: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567=',
+    Base32hex: '0123456789ABCDEFGHIJKLMNOPQRSTUV=',
+    Base58: '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz',
+    Base64: Tughra.DEFAULT_BASE_CHARSET,
+    Base64URL: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+    Ascii85: Array.from({ length: 85 }, (_, i) => String.fromCharCode(33 + i)).join('')
+};
+// Current version of the envelope format written by seal()
+Tughra.ENVELOPE_VERSION = 1;
+// Current version of the binary format written by encryptFile()
+Tughra.FILE_FORMAT_VERSION = 1;
+// Current version of the chunked format written by createEncryptStream()
+Tughra.STREAM_FORMAT_VERSION = 1;
+// Numerals per Feistel block of the Format Preserving algorithm; longer runs are split into blocks
+Tughra.FPE_BLOCK = 32;
+// General categories that form the character classes of the Format Preserving algorithm
+Tughra.FPE_CATEGORIES = ['Lu', 'Ll', 'Lt', 'Lm', 'Lo', 'Nd'];
+// Upper limits for parameters read from envelope, file and stream headers
+Tughra.HEADER_LIMITS = { cycles: 100000 };
+// Milliseconds of work between two yields to the event loop in processAsync() and processBytes()
+Tughra.YIELD_INTERVAL = 16;
+// Text encodings accepted by processText() and the textEncoding option
+Tughra.TEXT_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1'];
+
+// Registry of available algorithms, filled with the built-in ciphers below
+Tughra._algorithms = new Map();
+
+Tughra.registerAlgorithm('default', {
+    label: 'Tughra',
+    requiresKey: true,
+    minKeyLength: 0,
+    encrypt(text) { return this._TughraEncrypt(text); },
+    decrypt(text) { return this._TughraDecrypt(text); },
+    encryptBytes(bytes) { return this._TughraBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._TughraBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('caesar', {
+    positionIndependent: true,
+    label: 'CAESAR',
+    encrypt(text) { return this._caesarEncrypt(text); },
+    decrypt(text) { return this._caesarDecrypt(text); },
+    encryptBytes(bytes) { return this._shiftBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._shiftBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('xor', {
+    label: 'XOR',
+    maxCycles: 1,
+    encrypt(text) { return this._xorEncrypt(text); },
+    decrypt(text) { return this._xorDecrypt(text); },
+    encryptBytes(bytes) { return this._xorBytes(bytes); },
+    decryptBytes(bytes) { return this._xorBytes(bytes); }
+});
+Tughra.registerAlgorithm('vigenere', {
+    label: 'Vigenere',
+    encrypt(text) { return this._vigenereEncrypt(text); },
+    decrypt(text) { return this._vigenereDecrypt(text); },
+    encryptBytes(bytes) { return this._vigenereBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._vigenereBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('ROT47', {
+    positionIndependent: true,
+    symmetric: true,
+    maxCycles: 1,
+    requiresKey: false,
+    encrypt(text) { return this._encryptROT47(text); },
+    decrypt(text) { return this._decryptROT47(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptROT47); }
+});
+Tughra.registerAlgorithm('Atbash', {
+    positionIndependent: true,
+    symmetric: true,
+    requiresKey: false,
+    encrypt(text) { return this._encryptAtbash(text); },
+    decrypt(text) { return this._decryptAtbash(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptAtbash); }
+});
+Tughra.registerAlgorithm('Substitution', {
+    positionIndependent: true,
+    requiresKey: false,
+    usesKey: true,
+    encrypt(text) { return this._encryptSubstitution(text); },
+    decrypt(text) { return this._decryptSubstitution(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptSubstitution); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptSubstitution); }
+});
+Tughra.registerAlgorithm('Base64', {
+    requiresKey: false,
+    encrypt(text) { return this._encryptBase64(text); },
+    decrypt(text) { return this._decryptBase64(text); },
+    encryptBytes(bytes) { return this._base64Bytes(bytes, 1); },
+    decryptBytes(bytes) { return this._base64Bytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('ASCII', {
+    positionIndependent: true,
+    label: 'ASCII Shift',
+    encrypt(text) { return this._encryptAsciiShift(text); },
+    decrypt(text) { return this._decryptAsciiShift(text); },
+    encryptBytes(bytes) { return this._shiftBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._shiftBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('Affine', {
+    positionIndependent: true,
+    requiresKey: false,
+    usesKey: true,
+    encrypt(text) { return this._encryptAffine(text); },
+    decrypt(text) { return this._decryptAffine(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptAffine); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptAffine); }
+});
+Tughra.registerAlgorithm('Unicode Shift', {
+    positionIndependent: true,
+    encrypt(text) { return this._encryptUnicodeShift(text); },
+    decrypt(text) { return this._decryptUnicodeShift(text); },
+    encryptBytes(bytes) { return this._shiftBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._shiftBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('Numeric', {
+    requiresKey: false,
+    encrypt(text) { return this._encryptNumeric(text); },
+    decrypt(text) { return this._decryptNumeric(text); },
+    encryptBytes(bytes) { return this._numericBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._numericBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('Reversed Caesar', {
+    positionIndependent: true,
+    encrypt(text) { return this._encryptReversedCaesar(text); },
+    decrypt(text) { return this._decryptReversedCaesar(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptReversedCaesar); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptReversedCaesar); }
+});
+Tughra.registerAlgorithm('ROT13', {
+    positionIndependent: true,
+    symmetric: true,
+    maxCycles: 1,
+    requiresKey: false,
+    encrypt(text) { return this._encryptROT13(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptROT13); }
+});
+Tughra.registerAlgorithm('ROT18', {
+    positionIndependent: true,
+    requiresKey: false,
+    encrypt(text) { return this._encryptROT18(text); },
+    decrypt(text) { return this._decryptROT18(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptROT18); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptROT18); }
+});
+Tughra.registerAlgorithm('ROT25', {
+    positionIndependent: true,
+    requiresKey: false,
+    encrypt(text) { return this._encryptROT25(text); },
+    decrypt(text) { return this._decryptROT25(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptROT25); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptROT25); }
+});
+Tughra.registerAlgorithm('ROT30', {
+    positionIndependent: true,
+    requiresKey: false,
+    encrypt(text) { return this._encryptROT30(text); },
+    decrypt(text) { return this._decryptROT30(text); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._encryptROT30); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, this._decryptROT30); }
+});
+Tughra.registerAlgorithm('XOR Pro', {
+    symmetric: true,
+    encrypt(text) { return this._encryptXORPro(text, this.keyOffsets); },
+    encryptBytes(bytes) { return this._xorProBytes(bytes); }
+});
+Tughra.registerAlgorithm('Affine Pro', {
+    encrypt(text) { return this._encryptAffinePro(text, this.encryptionKey); },
+    decrypt(text) { return this._decryptAffinePro(text, this.encryptionKey); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, text => this._encryptAffinePro(text, this.encryptionKey)); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, text => this._decryptAffinePro(text, this.encryptionKey)); }
+});
+Tughra.registerAlgorithm('Substitution Pro', {
+    encrypt(text) { return this._encryptSubstitutionPro(text, this.encryptionKey); },
+    decrypt(text) { return this._decryptSubstitutionPro(text, this.encryptionKey); },
+    encryptBytes(bytes) { return this._latin1CipherBytes(bytes, text => this._encryptSubstitutionPro(text, this.encryptionKey)); },
+    decryptBytes(bytes) { return this._latin1CipherBytes(bytes, text => this._decryptSubstitutionPro(text, this.encryptionKey)); }
+});
+Tughra.registerAlgorithm('Format Preserving', {
+    encrypt(text) { return this._formatPreserving(text, 1); },
+    decrypt(text) { return this._formatPreserving(text, -1); },
+    encryptBytes(bytes) { return this._formatPreservingBytes(bytes, 1); },
+    decryptBytes(bytes) { return this._formatPreservingBytes(bytes, -1); }
+});
+Tughra.registerAlgorithm('AES-GCM', {
+    async: true,
+    maxCycles: 1,
+    encrypt(text) { return this._aesGcmEncrypt(text); },
+    decrypt(text) { return this._aesGcmDecrypt(text); },
+    encryptBytes(bytes) { return this._aesGcmEncryptBytes(bytes); },
+    decryptBytes(bytes) { return this._aesGcmDecryptBytes(bytes); }
+});
+
+class TughraLibrary {
+    constructor() {
+        // Define Unicode groups for character generation
+        this.unicodeGroups = [{
+                name: 'Numbers',
+                start: 48,
+                end: 57
+            }, // 0-9
+            {
+                name: 'Lowercase English',
+                start: 97,
+                end: 122
+            }, // a-z
+            {
+                name: 'Uppercase English',
+                start: 65,
+                end: 90
+            }, // A-Z
+            {
+                name: 'Basic Latin',
+                start: 33,
+                end: 127
+            },
+            {
+                name: 'Latin-1 Supplement',
+                start: 128,
+                end: 255
+            },
+            {
+                name: 'Latin Extended-A',
+                start: 256,
+                end: 383
+            },
+            {
+                name: 'Latin Extended-B',
+                start: 384,
+                end: 591
+            },
+            {
+                name: 'IPA Extensions',
+                start: 592,
+                end: 687
+            },
+            {
+                name: 'Greek and Coptic',
+                start: 880,
+                end: 1023
+            },
+            {
+                name: 'Cyrillic',
+                start: 1024,
+                end: 1279
+            },
+            {
+                name: 'Arabic',
+                start: 1536,
+                end: 1791
+            },
+            {
+                name: 'Hebrew',
+                start: 1424,
+                end: 1535
+            },
+            {
+                name: 'Devanagari',
+                start: 2304,
+                end: 2431
+            },
+            {
+                name: 'Bengali',
+                start: 2432,
+                end: 2559
+            },
+            {
+                name: 'Gurmukhi',
+                start: 2560,
+                end: 2687
+            },
+            {
                 name: 'Gujarati',
                 start: 2688,
                 end: 2815
@@ -1241,182 +3171,2223 @@ class TughraLibrary {
                 start: 110856,
                 end: 110879
             },
-            {
-                name: 'CJK Compatibility Ideographs Extension E',
-                start: 110880,
-                end: 110999
+            {
+                name: 'CJK Compatibility Ideographs Extension E',
+                start: 110880,
+                end: 110999
+            },
+            {
+                name: 'CJK Compatibility Ideographs Extension F',
+                start: 111040,
+                end: 111411
+            }
+        ];
+
+    }
+
+    _formatSize(bytes) {
+        const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+        let unitIndex = 0;
+
+        while (bytes >= 1024 && unitIndex < units.length - 1) {
+            bytes /= 1024;
+            unitIndex++;
+        }
+
+        return `${bytes.toFixed(2)} ${units[unitIndex]}`;
+    }
+
+    _calculateStats(input) {
+        let text;
+        let type = "text/plain"; // Default type for plain text
+
+        if (input instanceof Blob) {
+            // If input is a Blob, extract text and retain its MIME type
+            text = input.text();
+            type = input.type;
+        } else if (typeof input === "string" && input.startsWith("data:")) {
+            // If input is a data URI, decode it
+            const [header, base64Data] = input.split(",");
+            type = header.match(/:(.*?);/)[1];
+
+            // Decode Base64 data and create a Blob to get the size in bytes
+            const binaryData = atob(base64Data);
+            text = binaryData;
+            const blob = new Blob([binaryData], {
+                type
+            });
+            return {
+                characters: binaryData.length,
+                words: binaryData.trim().split(/\s+/).filter(Boolean).length,
+                lines: binaryData.split(/\r\n|\r|\n/).length,
+                size: blob.size,
+                type,
+                isBlob: false,
+                isDataURI: true
+            };
+        } else {
+            // If input is a plain text string
+            text = input;
+        }
+
+        // Create a blob for accurate byte size
+        const blob = new Blob([text], {
+            type
+        });
+        const bytes = blob.size;
+        const words = text.trim().split(/\s+/).filter(Boolean).length;
+        const lines = text.split(/\r\n|\r|\n/).length;
+
+        return {
+            characters: text.length,
+            words,
+            lines,
+            size: bytes,
+            type,
+            isBlob: input instanceof Blob,
+            isDataURI: false
+        };
+    }
+
+    detectLanguage(text) {
+        const counts = {};
+
+        // Initialize counts for each group
+        this.unicodeGroups.forEach(group => {
+            counts[group.name] = 0;
+        });
+
+        // Iterate through each character in the text
+        for (let char of text) {
+            const charCode = char.charCodeAt(0);
+            // Check which group the character belongs to
+            for (let group of this.unicodeGroups) {
+                if (charCode >= group.start && charCode <= group.end) {
+                    counts[group.name]++;
+                    break; // Exit the loop once a group is found
+                }
+            }
+        }
+
+        // Find the group with the maximum count
+        let detectedLanguage = null;
+        let maxCount = 0;
+
+        for (let groupName in counts) {
+            if (counts[groupName] > maxCount) {
+                maxCount = counts[groupName];
+                detectedLanguage = groupName;
+            }
+        }
+
+        return detectedLanguage;
+    }
+
+    getUnicodeGroups() {
+        return this.unicodeGroups;
+    }
+
+
+    // Random key of `cycles` characters (an array, one character per entry) drawn from the named
+    // Unicode groups with crypto.getRandomValues. Unassigned, control and surrogate code points are
+    // never produced. With { weightBySize: true } larger groups are picked proportionally more often.
+    generateKey(cycles, groupNames, options = {}) {
+        return this.generateKeyDetails(cycles, groupNames, options).characters;
+    }
+
+    // generateKey() plus the entropy of the result: { key, characters, groups, entropy, entropyPerCharacter }
+    generateKeyDetails(cycles, groupNames, { weightBySize = false } = {}) {
+        const length = Number(cycles);
+        if (!Number.isInteger(length) || length < 1) {
+            throw new TughraError("Key length must be a positive integer.", 'INVALID_ARGUMENT');
+        }
+
+        // Process each selected group name
+        const storedGroups = groupNames.split(',').map(groupName => {
+            const trimmedGroupName = groupName.trim();
+            const group = this.unicodeGroups.find(g => g.name === trimmedGroupName);
+            if (!group) {
+                throw new TughraError(`Invalid Unicode group name: ${trimmedGroupName}`, 'INVALID_ARGUMENT', { group: trimmedGroupName });
+            }
+            const codePoints = this._usableCodePoints(group);
+            if (codePoints.length === 0) {
+                throw new TughraError(`Unicode group ${trimmedGroupName} has no assigned characters.`, 'INVALID_ARGUMENT', { group: trimmedGroupName });
+            }
+            return { name: group.name, codePoints };
+        });
+
+        const totalSize = storedGroups.reduce((sum, group) => sum + group.codePoints.length, 0);
+        const weights = storedGroups.map(group => (weightBySize ? group.codePoints.length / totalSize : 1 / storedGroups.length));
+
+        const characters = [];
+        for (let i = 0; i < length; i++) {
+            let group;
+            if (weightBySize) {
+                // One draw over all characters picks the group and the character in proportion
+                let index = TughraLibrary._randomInt(totalSize);
+                group = storedGroups.find(candidate => (index -= candidate.codePoints.length) < 0);
+                characters.push(String.fromCodePoint(group.codePoints[index + group.codePoints.length]));
+                continue;
+            }
+            group = storedGroups[TughraLibrary._randomInt(storedGroups.length)];
+            characters.push(String.fromCodePoint(group.codePoints[TughraLibrary._randomInt(group.codePoints.length)]));
+        }
+
+        // Shannon entropy of one character; overlapping groups (e.g. Basic Latin and Numbers) are combined
+        const probabilities = new Map();
+        storedGroups.forEach((group, index) => {
+            const p = weights[index] / group.codePoints.length;
+            group.codePoints.forEach(codePoint => probabilities.set(codePoint, (probabilities.get(codePoint) || 0) + p));
+        });
+        let entropyPerCharacter = 0;
+        probabilities.forEach(p => {
+            entropyPerCharacter -= p * Math.log2(p);
+        });
+
+        return {
+            key: characters.join(''),
+            characters,
+            groups: storedGroups.map(group => group.name),
+            entropyPerCharacter,
+            entropy: entropyPerCharacter * length
+        };
+    }
+
+    // Short fingerprint of a key ("1A2B 3C4D 5E6F 7A8B 9C0D"), to compare keys without showing them.
+    // It is a slow PBKDF2 hash, so a fingerprint seen by others is expensive to turn back into a key.
+    // Both sides must use the same salt; the default one makes fingerprints comparable anywhere.
+    async keyFingerprint(key, { salt = TughraLibrary.FINGERPRINT_SALT } = {}) {
+        return TughraLibrary._formatFingerprint(await TughraLibrary._fingerprintBits(key, salt, 10));
+    }
+
+    static async _fingerprintBits(key, salt, length) {
+        const saltBytes = typeof salt === 'string' ? new TextEncoder().encode(salt) : salt;
+        return TughraKDF._pbkdf2(new TextEncoder().encode(key), saltBytes, TughraLibrary.FINGERPRINT_ITERATIONS, length);
+    }
+
+    // Public keys are not secret, so their fingerprint is a plain SHA-256 hash
+    static async _publicKeyFingerprint(publicKey) {
+        const bytes = new TextEncoder().encode('tughra-key:' + publicKey);
+        return TughraLibrary._formatFingerprint(new Uint8Array(await Tughra._webCrypto().subtle.digest('SHA-256', bytes)));
+    }
+
+    static _formatFingerprint(bytes) {
+        return Array.from(bytes.slice(0, 10), byte => byte.toString(16).padStart(2, '0')).join('')
+            .toUpperCase().match(/.{4}/g).join(' ');
+    }
+
+    // Metadata tag of a key file: HMAC-SHA-256 over the algorithm, groups, creation date, salt and
+    // fingerprint, keyed by PBKDF2 of the key with the file's random salt
+    static async _keyFileTag(key, fields) {
+        const macKey = await TughraLibrary._fingerprintBits(key, Tughra.prototype._base64ToArrayBuffer(fields.salt), 32);
+        const metadata = new TextEncoder().encode(JSON.stringify([fields.tughraKey, fields.algorithm, fields.groups, fields.created, fields.salt, fields.fingerprint]));
+        return Tughra.prototype._arrayBufferToBase64(Tughra._hmacSha256Sync(macKey)(metadata));
+    }
+
+    // Portable key file: the key as Base64 (safe to paste anywhere) with its groups, algorithm,
+    // creation date, keyFingerprint(key) and a salted tag over the metadata. format is 'armored' (default) or 'json'.
+    async exportKey(key, { groups = [], algorithm = 'default', created = new Date(), format = 'armored' } = {}) {
+        if (typeof key !== 'string' || key.length === 0) {
+            throw new TughraKeyError("Only a non-empty key can be exported.", 'KEY_MISSING');
+        }
+        const fields = {
+            tughraKey: TughraLibrary.KEY_FILE_VERSION,
+            algorithm,
+            groups: Array.isArray(groups) ? groups : groups.split(',').map(name => name.trim()).filter(Boolean),
+            created: new Date(created).toISOString(),
+            salt: Tughra.prototype._arrayBufferToBase64(TughraKDF.generateSalt()),
+            fingerprint: await this.keyFingerprint(key)
+        };
+        fields.mac = await TughraLibrary._keyFileTag(key, fields);
+        fields.key = Tughra.prototype._arrayBufferToBase64(new TextEncoder().encode(key));
+
+        if (format === 'json') {
+            return JSON.stringify(fields, null, 2);
+        }
+        if (format !== 'armored') {
+            throw new TughraError(`Unknown key file format: ${format}`, 'INVALID_ARGUMENT', { format });
+        }
+        return [
+            TughraLibrary.KEY_ARMOR_BEGIN,
+            `Version: ${fields.tughraKey}`,
+            `Algorithm: ${fields.algorithm}`,
+            `Groups: ${fields.groups.join(', ')}`,
+            `Created: ${fields.created}`,
+            `Salt: ${fields.salt}`,
+            `Fingerprint: ${fields.fingerprint}`,
+            `MAC: ${fields.mac}`,
+            '',
+            ...fields.key.match(/.{1,64}/g),
+            TughraLibrary.KEY_ARMOR_END
+        ].join('\n') + '\n';
+    }
+
+    // Read a key file written by exportKey() (either format). Damaged files are rejected, and a key
+    // that no longer matches its fingerprint or changed metadata raise TughraIntegrityError.
+    // The fingerprint in the file is keyFingerprint(key), the one to compare with the other side.
+    async importKey(text) {
+        const fields = TughraLibrary._parseKeyFile(String(text));
+
+        let key;
+        try {
+            key = new TextDecoder('utf-8', { fatal: true }).decode(Tughra.prototype._base64ToArrayBuffer(fields.key));
+        } catch (error) {
+            throw new TughraIntegrityError("Invalid key file: the key material is damaged.", 'corrupted');
+        }
+        if (!Tughra._constantTimeEqual(await this.keyFingerprint(key), fields.fingerprint)) {
+            throw new TughraIntegrityError("Invalid key file: the key does not match its fingerprint.", 'corrupted');
+        }
+        if (!Tughra._constantTimeEqual(await TughraLibrary._keyFileTag(key, fields), fields.mac)) {
+            throw new TughraIntegrityError("Invalid key file: the algorithm, groups or creation date were changed.", 'corrupted');
+        }
+
+        return { key, algorithm: fields.algorithm, groups: fields.groups, created: fields.created, fingerprint: fields.fingerprint };
+    }
+
+    static _parseKeyFile(text) {
+        let fields;
+        const trimmed = text.trim();
+        if (trimmed.startsWith(TughraLibrary.KEY_ARMOR_BEGIN)) {
+            const end = trimmed.indexOf(TughraLibrary.KEY_ARMOR_END);
+            if (end === -1) {
+                throw new TughraDecodeError("Invalid key file: the END line is missing.", 'INVALID_KEY_FILE');
+            }
+            const lines = trimmed.slice(TughraLibrary.KEY_ARMOR_BEGIN.length, end).split(/\r?\n/).map(line => line.trim());
+            const headers = {};
+            let body = '';
+            lines.forEach(line => {
+                const header = line.match(/^([A-Za-z]+):\s*(.*)$/);
+                if (header) {
+                    headers[header[1].toLowerCase()] = header[2];
+                } else {
+                    body += line;
+                }
+            });
+            fields = {
+                tughraKey: Number(headers.version),
+                algorithm: headers.algorithm,
+                groups: headers.groups ? headers.groups.split(',').map(name => name.trim()).filter(Boolean) : [],
+                created: headers.created,
+                salt: headers.salt,
+                fingerprint: headers.fingerprint,
+                mac: headers.mac,
+                key: body
+            };
+        } else {
+            try {
+                fields = JSON.parse(trimmed);
+            } catch (error) {
+                throw new TughraDecodeError("Invalid key file: expected armored text or JSON.", 'INVALID_KEY_FILE');
+            }
+        }
+
+        if (!fields || fields.tughraKey !== TughraLibrary.KEY_FILE_VERSION) {
+            throw new TughraDecodeError("Invalid key file: unsupported or missing version.", 'UNSUPPORTED_VERSION', { format: 'key file', version: fields && fields.tughraKey });
+        }
+        if (typeof fields.key !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(fields.key)) {
+            throw new TughraDecodeError("Invalid key file: the key material is missing or not Base64.", 'INVALID_KEY_FILE');
+        }
+        if (typeof fields.fingerprint !== 'string' || !/^([0-9A-F]{4} ){4}[0-9A-F]{4}$/.test(fields.fingerprint)) {
+            throw new TughraDecodeError("Invalid key file: the fingerprint is missing or malformed.", 'INVALID_KEY_FILE');
+        }
+        if (typeof fields.salt !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(fields.salt) ||
+            typeof fields.mac !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(fields.mac)) {
+            throw new TughraDecodeError("Invalid key file: the salt or tag is missing or not Base64.", 'INVALID_KEY_FILE');
+        }
+        if (typeof fields.algorithm !== 'string' || !Array.isArray(fields.groups) || Number.isNaN(Date.parse(fields.created))) {
+            throw new TughraDecodeError("Invalid key file: algorithm, groups or creation date are invalid.", 'INVALID_KEY_FILE');
+        }
+        return fields;
+    }
+
+    // Assigned, non-control, non-surrogate code points of a group, computed once per group
+    _usableCodePoints(group) {
+        if (!this._codePointCache) {
+            this._codePointCache = new Map();
+        }
+        if (!this._codePointCache.has(group.name)) {
+            const codePoints = [];
+            for (let codePoint = group.start; codePoint <= group.end; codePoint++) {
+                if (!/[\p{Cn}\p{Cc}\p{Cs}]/u.test(String.fromCodePoint(codePoint))) {
+                    codePoints.push(codePoint);
+                }
+            }
+            this._codePointCache.set(group.name, Uint32Array.from(codePoints));
+        }
+        return this._codePointCache.get(group.name);
+    }
+
+    // Unbiased random integer in [0, max): values from the incomplete last range are rejected
+    static _randomInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+        do {
+            Tughra._webCrypto().getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+        return buffer[0] % max;
+    }
+
+
+    // Function to generate characters for a selected group; an unknown name throws like generateKey()
+    displayCharacters(groupName) {
+        // Find the group by name
+        const group = this.unicodeGroups.find(g => g.name === groupName);
+        if (!group) {
+            throw new TughraError(`Invalid Unicode group name: ${groupName}`, 'INVALID_ARGUMENT', { group: groupName });
+        }
+
+        let characters = '';
+        for (let i = group.start; i <= group.end; i++) {
+            // Use fromCodePoint to handle higher code points
+            characters += String.fromCodePoint(i);
+        }
+
+        return characters; // Return the characters for further use
+    }
+
+    // Estimate the strength of a key: entropy from the Unicode groups its characters come from,
+    // minus what repeats, keyboard/alphabet sequences, dictionary words and years give away
+    estimateKeyStrength(key) {
+        const chars = Array.from(key || '');
+        const lower = chars.map(char => char.toLowerCase());
+        const groups = new Map();
+        chars.forEach(char => {
+            const group = this._smallestGroup(char.codePointAt(0));
+            groups.set(group.name, group.size);
+        });
+        const poolSize = Array.from(groups.values()).reduce((sum, size) => sum + size, 0);
+        const bitsPerChar = poolSize > 1 ? Math.log2(poolSize) : 0;
+
+        // Repeated characters add about one bit each; the Tughra cipher ignores them entirely
+        const seen = new Set();
+        const bits = chars.map(char => {
+            const repeated = seen.has(char);
+            seen.add(char);
+            return repeated ? 1 : bitsPerChar;
+        });
+        const repeats = chars.length - seen.size;
+
+        // A matched pattern costs log2(number of candidates it was picked from) instead of its characters
+        const patterns = [];
+        const mark = (type, start, length, candidates) => {
+            if (bits.slice(start, start + length).every(value => value === 0)) {
+                return; // Already covered by a longer pattern
+            }
+            patterns.push({ type, text: chars.slice(start, start + length).join('') });
+            bits.fill(0, start, start + length);
+            bits[start] = Math.log2(candidates);
+        };
+        // Matches are found in joined strings, whose UTF-16 offsets differ from positions in chars when
+        // there are astral characters or lowercase forms longer than one unit; map them back first
+        const positionsOf = parts => {
+            const positions = new Map();
+            let offset = 0;
+            parts.forEach((part, index) => {
+                positions.set(offset, index);
+                offset += part.length;
+            });
+            positions.set(offset, parts.length);
+            return positions;
+        };
+        const markMatch = (type, positions, offset, length, candidates) => {
+            const start = positions.get(offset);
+            const end = positions.get(offset + length);
+            if (start !== undefined && end !== undefined) {
+                mark(type, start, end - start, candidates);
+            }
+        };
+        const normalizedChars = lower.map(char => TughraLibrary.LEET[char] || char);
+        const normalized = normalizedChars.join('');
+        const normalizedPositions = positionsOf(normalizedChars);
+        TughraLibrary.COMMON_WORDS
+            .slice().sort((x, y) => y.length - x.length)
+            .forEach(word => {
+                for (let i = normalized.indexOf(word); i !== -1; i = normalized.indexOf(word, i + 1)) {
+                    markMatch('dictionary', normalizedPositions, i, word.length, TughraLibrary.COMMON_WORDS.length);
+                }
+            });
+        for (let i = 0; i + 3 <= lower.length; i++) {
+            let length = 0;
+            for (const sequence of TughraLibrary.SEQUENCES) {
+                for (const direction of [sequence, sequence.split('').reverse().join('')]) {
+                    let n = 0;
+                    while (i + n < lower.length && direction.includes(lower.slice(i, i + n + 1).join(''))) {
+                        n++;
+                    }
+                    length = Math.max(length, n);
+                }
+            }
+            if (length >= 3) {
+                mark('sequence', i, length, TughraLibrary.SEQUENCES.join('').length * 2);
+                i += length - 1;
+            }
+        }
+        const lowerPositions = positionsOf(lower);
+        for (const match of lower.join('').matchAll(/(?:19|20)\d\d/g)) {
+            markMatch('year', lowerPositions, match.index, 4, 200);
+        }
+
+        const entropy = bits.reduce((sum, value) => sum + value, 0);
+        const score = TughraLibrary.STRENGTH_LEVELS.filter(level => entropy >= level.bits).length - 1;
+
+        const warnings = [];
+        const suggestions = [];
+        if (chars.length < 12) {
+            suggestions.push("Use at least 12 characters.");
+        }
+        if (repeats > 0) {
+            warnings.push(`${repeats} repeated character${repeats === 1 ? ' is' : 's are'} removed by the Tughra cipher, which only uses each character once.`);
+            suggestions.push("Avoid repeating characters.");
+        }
+        patterns.forEach(pattern => {
+            warnings.push(`Contains a ${pattern.type === 'dictionary' ? 'common word' : pattern.type === 'sequence' ? 'predictable sequence' : 'year'}: "${pattern.text}".`);
+        });
+        if (patterns.length > 0) {
+            suggestions.push("Avoid common words, keyboard or alphabet sequences and dates.");
+        }
+        [['Lowercase English', "Add lowercase letters."], ['Uppercase English', "Add uppercase letters."], ['Numbers', "Add digits."]]
+            .forEach(([name, suggestion]) => {
+                if (!groups.has(name)) {
+                    suggestions.push(suggestion);
+                }
+            });
+        if (Array.from(groups.keys()).every(name => ['Lowercase English', 'Uppercase English', 'Numbers'].includes(name))) {
+            suggestions.push("Add symbols or characters from another script.");
+        }
+
+        return {
+            length: chars.length,
+            uniqueCharacters: seen.size,
+            groups: Array.from(groups.keys()),
+            poolSize,
+            entropy: Math.round(entropy * 10) / 10,
+            score,
+            label: TughraLibrary.STRENGTH_LEVELS[Math.max(score, 0)].label,
+            repeats,
+            patterns,
+            warnings,
+            suggestions
+        };
+    }
+
+    // Check a key against a policy: a name from TughraLibrary.KEY_POLICIES or
+    // { minLength, minEntropy, requiredGroups, allowRepeats, allowPatterns }
+    checkKeyPolicy(key, policy) {
+        const rules = typeof policy === 'string' ? TughraLibrary.KEY_POLICIES[policy] : policy;
+        if (!rules) {
+            throw new TughraError(`Unknown key policy: ${policy}`, 'INVALID_ARGUMENT', { policy });
+        }
+
+        const strength = this.estimateKeyStrength(key);
+        const failures = [];
+        if (rules.minLength !== undefined && strength.length < rules.minLength) {
+            failures.push(`Key must be at least ${rules.minLength} characters long.`);
+        }
+        if (rules.minEntropy !== undefined && strength.entropy < rules.minEntropy) {
+            failures.push(`Key entropy is ${strength.entropy} bits, at least ${rules.minEntropy} bits are required.`);
+        }
+        (rules.requiredGroups || []).forEach(name => {
+            if (!strength.groups.includes(name)) {
+                failures.push(`Key must contain characters from ${name}.`);
+            }
+        });
+        if (rules.allowRepeats === false && strength.repeats > 0) {
+            failures.push("Key must not repeat characters.");
+        }
+        if (rules.allowPatterns === false && strength.patterns.length > 0) {
+            failures.push("Key must not contain common words, sequences or years.");
+        }
+        return { valid: failures.length === 0, failures, strength };
+    }
+
+    // Smallest Unicode group containing the code point; its size excludes groups nested inside it
+    // (Basic Latin counts its symbols only, since digits and letters have their own groups)
+    _smallestGroup(codePoint) {
+        if (!this._groupSizes) {
+            this._groupSizes = this.unicodeGroups
+                .map(group => ({
+                    name: group.name,
+                    start: group.start,
+                    end: group.end,
+                    size: this.unicodeGroups.reduce((size, inner) => (
+                        inner !== group && inner.start >= group.start && inner.end <= group.end ? size - (inner.end - inner.start + 1) : size
+                    ), group.end - group.start + 1)
+                }))
+                .sort((x, y) => (x.end - x.start) - (y.end - y.start));
+        }
+        return this._groupSizes.find(group => codePoint >= group.start && codePoint <= group.end) || { name: 'Other', size: 100 };
+    }
+
+}
+
+// Entropy thresholds (bits) of the strength score 0-4
+TughraLibrary.STRENGTH_LEVELS = [
+    { bits: -Infinity, label: 'very weak' },
+    { bits: 28, label: 'weak' },
+    { bits: 36, label: 'fair' },
+    { bits: 60, label: 'strong' },
+    { bits: 128, label: 'very strong' }
+];
+// Key files written by exportKey()
+TughraLibrary.KEY_FILE_VERSION = 1;
+TughraLibrary.KEY_ARMOR_BEGIN = '-----BEGIN TUGHRA KEY-----';
+TughraLibrary.KEY_ARMOR_END = '-----END TUGHRA KEY-----';
+// PBKDF2-SHA-256 cost and default salt of keyFingerprint()
+TughraLibrary.FINGERPRINT_ITERATIONS = 100000;
+TughraLibrary.FINGERPRINT_SALT = 'tughra-key-fingerprint';
+// Named policies for Tughra's keyPolicy option and checkKeyPolicy()
+TughraLibrary.KEY_POLICIES = {
+    basic: { minLength: 8 },
+    moderate: { minLength: 12, minEntropy: 50, allowPatterns: false },
+    strict: { minLength: 16, minEntropy: 80, requiredGroups: ['Lowercase English', 'Uppercase English', 'Numbers'], allowRepeats: false, allowPatterns: false }
+};
+// Keyboard rows, the alphabet and the digits, checked forwards and backwards
+TughraLibrary.SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+// Common password words, matched after undoing the usual letter substitutions below
+TughraLibrary.COMMON_WORDS = [
+    'password', 'passwort', 'secret', 'letmein', 'welcome', 'admin', 'login', 'master', 'monkey', 'dragon', 'shadow',
+    'sunshine', 'princess', 'football', 'baseball', 'superman', 'batman', 'trustno', 'iloveyou', 'hello', 'freedom',
+    'whatever', 'qazwsx', 'access', 'starwars', 'computer', 'michael', 'charlie', 'summer', 'winter', 'tughra', 'love'
+];
+TughraLibrary.LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+
+/**
+ * Error classes:
+ *
+ * Every error raised by the library is a TughraError with a stable `code` (see TughraError.CODES)
+ * and optional `details`, so callers can branch on the code instead of parsing messages. Messages
+ * are for people and may change; codes do not. toJSON()/fromJSON() carry errors across workers.
+ */
+class TughraError extends Error {
+    constructor(message, code = 'INVALID_ARGUMENT', details = undefined) {
+        super(message);
+        this.name = 'TughraError';
+        this.code = code;
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, details: this.details, reason: this.reason };
+    }
+
+    // Rebuild an error from toJSON() output with the right class; other errors keep their name
+    static fromJSON(data) {
+        if (data.name === 'TughraIntegrityError') {
+            return new TughraIntegrityError(data.message, data.reason, data.details);
+        }
+        const ErrorClass = { TughraError, TughraKeyError, TughraDecodeError, TughraAlgorithmError }[data.name];
+        if (!ErrorClass) {
+            return Object.assign(new Error(data.message), { name: data.name || 'Error' }, data.code !== undefined ? { code: data.code } : {});
+        }
+        return new ErrorClass(data.message, data.code, data.details);
+    }
+}
+
+// Missing, too weak or malformed keys, key pairs, public keys and cipher key parameters
+class TughraKeyError extends TughraError {
+    constructor(message, code = 'KEY_INVALID', details = undefined) {
+        super(message, code, details);
+        this.name = 'TughraKeyError';
+    }
+}
+
+// Input that cannot be decoded: base alphabets, Base64, UTF-8, envelopes, files, streams, key files
+class TughraDecodeError extends TughraError {
+    constructor(message, code = 'INVALID_CIPHERTEXT', details = undefined) {
+        super(message, code, details);
+        this.name = 'TughraDecodeError';
+    }
+}
+
+// Unknown algorithms, invalid algorithm options and operations an algorithm does not support
+class TughraAlgorithmError extends TughraError {
+    constructor(message, code = 'UNKNOWN_ALGORITHM', details = undefined) {
+        super(message, code, details);
+        this.name = 'TughraAlgorithmError';
+    }
+}
+
+// Thrown when an integrity check fails; `reason` is 'wrong-key' or 'corrupted'
+class TughraIntegrityError extends TughraError {
+    constructor(message, reason, details = undefined) {
+        super(message, reason === 'wrong-key' ? 'INTEGRITY_WRONG_KEY' : 'INTEGRITY_CORRUPTED', details);
+        this.name = 'TughraIntegrityError';
+        this.reason = reason;
+    }
+}
+
+// Stable error codes by class
+TughraError.CODES = {
+    TughraError: ['INVALID_ARGUMENT', 'INVALID_STATE'],
+    TughraKeyError: ['KEY_INVALID', 'KEY_MISSING', 'KEY_TOO_SHORT', 'KEY_POLICY', 'KEY_NOT_DERIVED', 'KEY_PARAMETER_INVALID', 'KEY_PAIR_INVALID', 'PUBLIC_KEY_INVALID'],
+    TughraDecodeError: ['INVALID_BASE', 'INVALID_BASE64', 'INVALID_UTF8', 'INVALID_CIPHERTEXT', 'DECRYPTION_FAILED', 'INVALID_ENVELOPE', 'INVALID_FILE', 'INVALID_STREAM', 'INVALID_KEY_FILE', 'INVALID_SIGNED_MESSAGE', 'INVALID_RECIPE', 'UNSUPPORTED_VERSION'],
+    TughraAlgorithmError: ['UNKNOWN_ALGORITHM', 'INVALID_DEFINITION', 'INVALID_OPTIONS', 'BINARY_UNSUPPORTED', 'ASYNC_REQUIRED', 'ALGORITHM_MISMATCH', 'UNAVAILABLE', 'LIMIT_EXCEEDED'],
+    TughraIntegrityError: ['INTEGRITY_WRONG_KEY', 'INTEGRITY_CORRUPTED']
+};
+
+/**
+ * Class TughraKDF:
+ *
+ * Password-based key derivation used by `Tughra` when the `kdf` option is set. PBKDF2 runs on
+ * WebCrypto; scrypt is the memory-hard option, its Salsa20/8 core is implemented here because
+ * WebCrypto does not provide it. The derived bytes replace the raw password as key material.
+ */
+class TughraKDF {
+    // Fill in defaults and validate the derivation parameters
+    static normalize(params) {
+        const algorithm = params.algorithm || 'PBKDF2';
+        const length = params.length || 32;
+
+        if (algorithm === 'PBKDF2') {
+            const iterations = params.iterations || 600000;
+            if (!Number.isInteger(iterations) || iterations < 1) {
+                throw new TughraAlgorithmError("PBKDF2 iterations must be a positive integer.", 'INVALID_OPTIONS');
+            }
+            return { algorithm, hash: params.hash || 'SHA-256', iterations, length };
+        }
+
+        if (algorithm === 'scrypt') {
+            const N = params.N || 16384;
+            const r = params.r || 8;
+            const p = params.p || 1;
+            if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+                throw new TughraAlgorithmError("scrypt N must be a power of two greater than 1.", 'INVALID_OPTIONS');
+            }
+            if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+                throw new TughraAlgorithmError("scrypt r and p must be positive integers.", 'INVALID_OPTIONS');
+            }
+            return { algorithm, N, r, p, length };
+        }
+
+        throw new TughraAlgorithmError(`Unsupported key derivation algorithm: ${algorithm}`, 'UNKNOWN_ALGORITHM', { algorithm });
+    }
+
+    // Normalize parameters read from an envelope, file or stream header and reject any that exceed
+    // TughraKDF.LIMITS (or the caller's raised limits), so a crafted header cannot exhaust CPU or memory
+    static checkLimits(params, limits = {}) {
+        const options = TughraKDF.normalize(params);
+        const max = Object.assign({}, TughraKDF.LIMITS, limits);
+        const values = options.algorithm === 'scrypt'
+            ? { N: options.N, r: options.r, p: options.p, memory: 128 * options.N * options.r, length: options.length }
+            : { iterations: options.iterations, length: options.length };
+        for (const [parameter, value] of Object.entries(values)) {
+            if (value > max[parameter]) {
+                throw new TughraAlgorithmError(`Key derivation parameter ${parameter} (${value}) exceeds the limit of ${max[parameter]}. Pass kdfLimits to raise it.`, 'LIMIT_EXCEEDED', { parameter, value, limit: max[parameter] });
+            }
+        }
+        return options;
+    }
+
+    // Random salt, stored next to the ciphertext so decryption can repeat the derivation
+    static generateSalt(length = 16) {
+        return Tughra._webCrypto().getRandomValues(new Uint8Array(length));
+    }
+
+    // Derive `length` bytes of key material from a password and salt
+    static async derive(password, salt, params) {
+        const options = TughraKDF.normalize(params || {});
+        const passwordBytes = typeof password === 'string' ? new TextEncoder().encode(password) : password;
+
+        if (options.algorithm === 'scrypt') {
+            return TughraKDF._scrypt(passwordBytes, salt, options.N, options.r, options.p, options.length);
+        }
+        return TughraKDF._pbkdf2(passwordBytes, salt, options.iterations, options.length, options.hash);
+    }
+
+    static async _pbkdf2(passwordBytes, salt, iterations, length, hash = 'SHA-256') {
+        const subtle = Tughra._webCrypto().subtle;
+        const baseKey = await subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash }, baseKey, length * 8);
+        return new Uint8Array(bits);
+    }
+
+    // scrypt (RFC 7914): PBKDF2-HMAC-SHA256 around the memory-hard ROMix step
+    static async _scrypt(passwordBytes, salt, N, r, p, length) {
+        const blockSize = 128 * r;
+        const B = await TughraKDF._pbkdf2(passwordBytes, salt, 1, p * blockSize);
+
+        for (let i = 0; i < p; i++) {
+            const block = B.subarray(i * blockSize, (i + 1) * blockSize);
+            const words = new Uint32Array(32 * r);
+            for (let j = 0; j < words.length; j++) {
+                words[j] = block[j * 4] | block[j * 4 + 1] << 8 | block[j * 4 + 2] << 16 | block[j * 4 + 3] << 24;
+            }
+            TughraKDF._roMix(words, N, r);
+            for (let j = 0; j < words.length; j++) {
+                block[j * 4] = words[j] & 0xff;
+                block[j * 4 + 1] = words[j] >>> 8 & 0xff;
+                block[j * 4 + 2] = words[j] >>> 16 & 0xff;
+                block[j * 4 + 3] = words[j] >>> 24;
+            }
+        }
+
+        return TughraKDF._pbkdf2(passwordBytes, B, 1, length);
+    }
+
+    static _roMix(X, N, r) {
+        const words = 32 * r;
+        const V = new Uint32Array(words * N);
+        const Y = new Uint32Array(words);
+
+        for (let i = 0; i < N; i++) {
+            V.set(X, i * words);
+            TughraKDF._blockMix(X, Y, r);
+        }
+        for (let i = 0; i < N; i++) {
+            const j = X[(2 * r - 1) * 16] & (N - 1);
+            for (let k = 0; k < words; k++) {
+                X[k] ^= V[j * words + k];
+            }
+            TughraKDF._blockMix(X, Y, r);
+        }
+    }
+
+    static _blockMix(B, Y, r) {
+        const X = B.slice((2 * r - 1) * 16, 2 * r * 16);
+        for (let i = 0; i < 2 * r; i++) {
+            for (let k = 0; k < 16; k++) {
+                X[k] ^= B[i * 16 + k];
+            }
+            TughraKDF._salsa20_8(X);
+            Y.set(X, i * 16);
+        }
+        // Even blocks first, then odd blocks
+        for (let i = 0; i < r; i++) {
+            B.set(Y.subarray(2 * i * 16, 2 * i * 16 + 16), i * 16);
+            B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 1) * 16 + 16), (r + i) * 16);
+        }
+    }
+
+    static _salsa20_8(B) {
+        const x = B.slice();
+        const R = (a, b) => (a << b) | (a >>> (32 - b));
+        for (let i = 0; i < 8; i += 2) {
+            x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+            x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+            x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+            x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+            x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+            x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+            x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+            x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+            x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+            x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+            x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+            x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+            x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+            x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+            x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+            x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+        }
+        for (let i = 0; i < 16; i++) {
+            B[i] = B[i] + x[i];
+        }
+    }
+}
+
+// Upper bounds for key derivation parameters read while decrypting; memory is scrypt's 128 * N * r bytes
+TughraKDF.LIMITS = { iterations: 10000000, N: 1048576, r: 32, p: 16, memory: 268435456, length: 64 };
+
+/**
+ * Class TughraHash:
+ *
+ * SHA-256, SHA-384, SHA-512 and the CRC-32 checksum over strings, bytes, Blobs and streams, e.g. to
+ * check content before encryption and after decryption. One-shot digests use WebCrypto; incremental
+ * hashing uses Node.js crypto when available and a pure JavaScript SHA-2 otherwise, so streams are
+ * hashed chunk by chunk in browsers too. Digests are returned as hex, base64, the base charset or bytes.
+ */
+class TughraHash {
+    constructor(algorithm = 'SHA-256', options = {}) {
+        this.algorithm = algorithm;
+        this.encoding = options.encoding || 'hex';
+        this.baseCharset = options.baseCharset || Tughra.DEFAULT_BASE_CHARSET;
+        TughraHash._checkEncoding(this.encoding);
+        this._state = TughraHash._createState(algorithm);
+        this._result = null;
+    }
+
+    // Digest of a string (UTF-8), bytes, Blob, ReadableStream or async iterable such as a Node.js stream
+    static async digest(input, options = {}) {
+        const algorithm = options.algorithm || 'SHA-256';
+        if (TughraHash._isStream(input)) {
+            const hash = new TughraHash(algorithm, options);
+            for await (const chunk of TughraHash._chunks(input)) {
+                hash.update(chunk);
+            }
+            return hash.digest();
+        }
+        TughraHash._checkAlgorithm(algorithm);
+        TughraHash._checkEncoding(options.encoding || 'hex');
+        const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : await Tughra._toBytes(input);
+        let result;
+        if (algorithm === 'CRC-32') {
+            const state = TughraHash._crc32State();
+            state.update(bytes);
+            result = state.finish();
+        } else {
+            result = new Uint8Array(await Tughra._webCrypto().subtle.digest(algorithm, bytes));
+        }
+        return TughraHash._encode(result, options.encoding || 'hex', options.baseCharset);
+    }
+
+    // Compare the digest of the input with an expected digest in the same encoding
+    static async verify(input, expected, options = {}) {
+        const actual = await TughraHash.digest(input, options);
+        const hex = (options.encoding || 'hex') === 'hex';
+        return Tughra._constantTimeEqual(actual, hex ? String(expected).toLowerCase() : expected);
+    }
+
+    // CRC-32 (IEEE 802.3) as an unsigned number, chainable through the previous value
+    static crc32(data, previous = 0) {
+        const bytes = TughraHash._bytes(data);
+        const table = TughraHash._crcTable();
+        let crc = ~previous;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return ~crc >>> 0;
+    }
+
+    // Add a chunk: string (UTF-8), Uint8Array, ArrayBuffer or typed array
+    update(data) {
+        if (this._result) {
+            throw new TughraError("Hash already finalized. Create a new TughraHash to hash more data.", 'INVALID_STATE');
+        }
+        this._state.update(TughraHash._bytes(data));
+        return this;
+    }
+
+    // Finish hashing; can be called again for another encoding, but no more data can be added
+    digest(encoding = this.encoding) {
+        TughraHash._checkEncoding(encoding);
+        if (!this._result) {
+            this._result = this._state.finish();
+        }
+        return TughraHash._encode(this._result, encoding, this.baseCharset);
+    }
+
+    static _checkAlgorithm(algorithm) {
+        if (!TughraHash.ALGORITHMS.includes(algorithm)) {
+            throw new TughraAlgorithmError(`Unsupported hash algorithm: ${algorithm}. Use ${TughraHash.ALGORITHMS.join(', ')}.`, 'UNKNOWN_ALGORITHM', { algorithm });
+        }
+    }
+
+    static _checkEncoding(encoding) {
+        if (!TughraHash.ENCODINGS.includes(encoding)) {
+            throw new TughraAlgorithmError(`Unsupported digest encoding: ${encoding}. Use ${TughraHash.ENCODINGS.join(', ')}.`, 'INVALID_OPTIONS', { encoding });
+        }
+    }
+
+    static _encode(bytes, encoding, baseCharset) {
+        if (encoding === 'bytes') {
+            return bytes;
+        }
+        if (encoding === 'hex') {
+            return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        if (encoding === 'base64') {
+            return Tughra.prototype._arrayBufferToBase64(bytes);
+        }
+        return Tughra._baseCodec(baseCharset).toBase(bytes);
+    }
+
+    static _bytes(data) {
+        return typeof data === 'string' ? new TextEncoder().encode(data) : Tughra._toBytesSync(data);
+    }
+
+    static _isStream(input) {
+        return !!input && typeof input !== 'string' && (typeof input.getReader === 'function' || typeof input[Symbol.asyncIterator] === 'function');
+    }
+
+    // Chunks of a WHATWG ReadableStream or any async iterable (Node.js streams included)
+    static async *_chunks(input) {
+        if (typeof input.getReader !== 'function') {
+            yield* input;
+            return;
+        }
+        const reader = input.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    return;
+                }
+                yield value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    // Incremental state with update(bytes) and finish() -> Uint8Array
+    static _createState(algorithm) {
+        TughraHash._checkAlgorithm(algorithm);
+        if (algorithm === 'CRC-32') {
+            return TughraHash._crc32State();
+        }
+        const nodeCrypto = TughraHash._nodeCrypto();
+        if (nodeCrypto) {
+            const hash = nodeCrypto.createHash(algorithm.replace('-', '').toLowerCase());
+            return {
+                update: bytes => hash.update(bytes),
+                finish: () => new Uint8Array(hash.digest())
+            };
+        }
+        if (algorithm === 'SHA-256') {
+            return TughraHash._sha256State();
+        }
+        return TughraHash._sha512State(algorithm === 'SHA-384' ? TughraHash._SHA384_IV : TughraHash._SHA512_IV, algorithm === 'SHA-384' ? 48 : 64);
+    }
+
+    static _nodeCrypto() {
+        if (typeof process === 'undefined' || !process.versions || !process.versions.node || typeof require !== 'function') {
+            return null;
+        }
+        const nodeCrypto = require('crypto');
+        return typeof nodeCrypto.createHash === 'function' ? nodeCrypto : null;
+    }
+
+    static _crcTable() {
+        if (!TughraHash._crcTableCache) {
+            TughraHash._crcTableCache = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                TughraHash._crcTableCache[n] = c;
+            }
+        }
+        return TughraHash._crcTableCache;
+    }
+
+    static _crc32State() {
+        let crc = 0;
+        return {
+            update: bytes => {
+                crc = TughraHash.crc32(bytes, crc);
+            },
+            finish: () => new Uint8Array([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff])
+        };
+    }
+
+    // Merkle-Damgård padding shared by SHA-256 (64-byte blocks) and SHA-384/512 (128-byte blocks)
+    static _blockState(blockSize, compress, output) {
+        const block = new Uint8Array(blockSize);
+        let used = 0;
+        let total = 0;
+        return {
+            update: bytes => {
+                for (let i = 0; i < bytes.length;) {
+                    const n = Math.min(blockSize - used, bytes.length - i);
+                    block.set(bytes.subarray(i, i + n), used);
+                    used += n;
+                    i += n;
+                    total += n;
+                    if (used === blockSize) {
+                        compress(block);
+                        used = 0;
+                    }
+                }
             },
-            {
-                name: 'CJK Compatibility Ideographs Extension F',
-                start: 111040,
-                end: 111411
+            finish: () => {
+                block[used++] = 0x80;
+                // The length field takes 8 bytes for SHA-256 and 16 for SHA-384/512
+                if (used > blockSize - blockSize / 8) {
+                    block.fill(0, used);
+                    compress(block);
+                    used = 0;
+                }
+                block.fill(0, used);
+                // Message length in bits, big-endian; lengths beyond 2^53 bytes never occur here
+                const view = new DataView(block.buffer);
+                view.setUint32(blockSize - 8, Math.floor(total / 0x20000000));
+                view.setUint32(blockSize - 4, (total * 8) >>> 0);
+                compress(block);
+                return output();
             }
-        ];
+        };
+    }
+
+    static _sha256State() {
+        const K = TughraHash._SHA256_K;
+        const H = TughraHash._SHA256_IV.slice();
+        const W = new Int32Array(64);
+        const R = (x, n) => (x >>> n) | (x << (32 - n));
+        const compress = block => {
+            const view = new DataView(block.buffer);
+            for (let i = 0; i < 16; i++) {
+                W[i] = view.getInt32(i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = R(W[i - 15], 7) ^ R(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+                const s1 = R(W[i - 2], 17) ^ R(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+                W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+            }
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (R(e, 6) ^ R(e, 11) ^ R(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+                const t2 = ((R(a, 2) ^ R(a, 13) ^ R(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+            H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+        };
+        return TughraHash._blockState(64, compress, () => TughraHash._wordsToBytes(H, 32));
+    }
+
+    // 64-bit words are kept as [high, low] pairs of 32-bit integers
+    static _sha512State(iv, outputLength) {
+        const K = TughraHash._SHA512_K;
+        const H = iv.slice();
+        const W = new Int32Array(160);
+        // High and low halves of a 64-bit rotation by n < 32; pass (low, high) to rotate by 32 + n
+        const RH = (high, low, n) => (high >>> n) | (low << (32 - n));
+        const RL = (high, low, n) => (low >>> n) | (high << (32 - n));
+        const compress = block => {
+            const view = new DataView(block.buffer);
+            for (let i = 0; i < 32; i++) {
+                W[i] = view.getInt32(i * 4);
+            }
+            for (let i = 32; i < 160; i += 2) {
+                const xh = W[i - 30], xl = W[i - 29], yh = W[i - 4], yl = W[i - 3];
+                const s0h = RH(xh, xl, 1) ^ RH(xh, xl, 8) ^ (xh >>> 7);
+                const s0l = RL(xh, xl, 1) ^ RL(xh, xl, 8) ^ RL(xh, xl, 7);
+                const s1h = RH(yh, yl, 19) ^ RH(yl, yh, 29) ^ (yh >>> 6);
+                const s1l = RL(yh, yl, 19) ^ RL(yl, yh, 29) ^ RL(yh, yl, 6);
+                const low = (s0l >>> 0) + (s1l >>> 0) + (W[i - 13] >>> 0) + (W[i - 31] >>> 0);
+                W[i] = s0h + s1h + W[i - 14] + W[i - 32] + Math.floor(low / 0x100000000);
+                W[i + 1] = low;
+            }
+            let ah = H[0], al = H[1], bh = H[2], bl = H[3], ch = H[4], cl = H[5], dh = H[6], dl = H[7];
+            let eh = H[8], el = H[9], fh = H[10], fl = H[11], gh = H[12], gl = H[13], hh = H[14], hl = H[15];
+            for (let i = 0; i < 160; i += 2) {
+                const S1h = RH(eh, el, 14) ^ RH(eh, el, 18) ^ RH(el, eh, 9);
+                const S1l = RL(eh, el, 14) ^ RL(eh, el, 18) ^ RL(el, eh, 9);
+                const t1l = (hl >>> 0) + (S1l >>> 0) + (((el & fl) ^ (~el & gl)) >>> 0) + (K[i + 1] >>> 0) + (W[i + 1] >>> 0);
+                const t1h = hh + S1h + ((eh & fh) ^ (~eh & gh)) + K[i] + W[i] + Math.floor(t1l / 0x100000000);
+                const S0h = RH(ah, al, 28) ^ RH(al, ah, 2) ^ RH(al, ah, 7);
+                const S0l = RL(ah, al, 28) ^ RL(al, ah, 2) ^ RL(al, ah, 7);
+                const t2l = (S0l >>> 0) + (((al & bl) ^ (al & cl) ^ (bl & cl)) >>> 0);
+                const t2h = S0h + ((ah & bh) ^ (ah & ch) ^ (bh & ch)) + Math.floor(t2l / 0x100000000);
+                hh = gh; hl = gl; gh = fh; gl = fl; fh = eh; fl = el;
+                const el2 = (dl >>> 0) + (t1l >>> 0);
+                eh = (dh + t1h + Math.floor(el2 / 0x100000000)) | 0; el = el2 | 0;
+                dh = ch; dl = cl; ch = bh; cl = bl; bh = ah; bl = al;
+                const al2 = (t1l >>> 0) + (t2l >>> 0);
+                ah = (t1h + t2h + Math.floor(al2 / 0x100000000)) | 0; al = al2 | 0;
+            }
+            [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl].forEach((word, i) => {
+                if (i % 2) {
+                    const low = (H[i] >>> 0) + (word >>> 0);
+                    H[i - 1] += Math.floor(low / 0x100000000);
+                    H[i] = low;
+                } else {
+                    H[i] += word;
+                }
+            });
+        };
+        return TughraHash._blockState(128, compress, () => TughraHash._wordsToBytes(H, outputLength));
+    }
+
+    static _wordsToBytes(words, length) {
+        const bytes = new Uint8Array(words.length * 4);
+        const view = new DataView(bytes.buffer);
+        words.forEach((word, i) => view.setInt32(i * 4, word));
+        return bytes.slice(0, length);
+    }
+
+    // 64-bit hex constants as [high, low] pairs of 32-bit words
+    static _words(hex) {
+        return Int32Array.from(hex.flatMap(word => [parseInt(word.slice(0, 8), 16) | 0, parseInt(word.slice(8), 16) | 0]));
+    }
+}
+
+// Digest algorithms and output encodings supported by TughraHash
+TughraHash.ALGORITHMS = ['SHA-256', 'SHA-384', 'SHA-512', 'CRC-32'];
+TughraHash.ENCODINGS = ['hex', 'base64', 'base', 'bytes'];
+// SHA-512 round constants; SHA-256 uses the high halves of the first 64
+TughraHash._SHA512_K = TughraHash._words([
+    '428a2f98d728ae22', '7137449123ef65cd', 'b5c0fbcfec4d3b2f', 'e9b5dba58189dbbc',
+    '3956c25bf348b538', '59f111f1b605d019', '923f82a4af194f9b', 'ab1c5ed5da6d8118',
+    'd807aa98a3030242', '12835b0145706fbe', '243185be4ee4b28c', '550c7dc3d5ffb4e2',
+    '72be5d74f27b896f', '80deb1fe3b1696b1', '9bdc06a725c71235', 'c19bf174cf692694',
+    'e49b69c19ef14ad2', 'efbe4786384f25e3', '0fc19dc68b8cd5b5', '240ca1cc77ac9c65',
+    '2de92c6f592b0275', '4a7484aa6ea6e483', '5cb0a9dcbd41fbd4', '76f988da831153b5',
+    '983e5152ee66dfab', 'a831c66d2db43210', 'b00327c898fb213f', 'bf597fc7beef0ee4',
+    'c6e00bf33da88fc2', 'd5a79147930aa725', '06ca6351e003826f', '142929670a0e6e70',
+    '27b70a8546d22ffc', '2e1b21385c26c926', '4d2c6dfc5ac42aed', '53380d139d95b3df',
+    '650a73548baf63de', '766a0abb3c77b2a8', '81c2c92e47edaee6', '92722c851482353b',
+    'a2bfe8a14cf10364', 'a81a664bbc423001', 'c24b8b70d0f89791', 'c76c51a30654be30',
+    'd192e819d6ef5218', 'd69906245565a910', 'f40e35855771202a', '106aa07032bbd1b8',
+    '19a4c116b8d2d0c8', '1e376c085141ab53', '2748774cdf8eeb99', '34b0bcb5e19b48a8',
+    '391c0cb3c5c95a63', '4ed8aa4ae3418acb', '5b9cca4f7763e373', '682e6ff3d6b2b8a3',
+    '748f82ee5defb2fc', '78a5636f43172f60', '84c87814a1f0ab72', '8cc702081a6439ec',
+    '90befffa23631e28', 'a4506cebde82bde9', 'bef9a3f7b2c67915', 'c67178f2e372532b',
+    'ca273eceea26619c', 'd186b8c721c0c207', 'eada7dd6cde0eb1e', 'f57d4f7fee6ed178',
+    '06f067aa72176fba', '0a637dc5a2c898a6', '113f9804bef90dae', '1b710b35131c471b',
+    '28db77f523047d84', '32caab7b40c72493', '3c9ebe0a15c9bebc', '431d67c49c100d4c',
+    '4cc5d4becb3e42b6', '597f299cfc657e2a', '5fcb6fab3ad6faec', '6c44198c4a475817'
+]);
+TughraHash._SHA256_K = TughraHash._SHA512_K.filter((word, i) => i % 2 === 0 && i < 128);
+// Initial hash values; SHA-256 starts from the high halves of the SHA-512 ones
+TughraHash._SHA512_IV = TughraHash._words([
+    '6a09e667f3bcc908', 'bb67ae8584caa73b', '3c6ef372fe94f82b', 'a54ff53a5f1d36f1',
+    '510e527fade682d1', '9b05688c2b3e6c1f', '1f83d9abfb41bd6b', '5be0cd19137e2179'
+]);
+TughraHash._SHA384_IV = TughraHash._words([
+    'cbbb9d5dc1059ed8', '629a292a367cd507', '9159015a3070dd17', '152fecd8f70e5939',
+    '67332667ffc00b31', '8eb44a8768581511', 'db0c2e0d64f98fa7', '47b5481dbefa4fa4'
+]);
+TughraHash._SHA256_IV = TughraHash._SHA512_IV.filter((word, i) => i % 2 === 0);
+
+/**
+ * Class TughraKeyExchange:
+ *
+ * ECDH key agreement over WebCrypto (P-256 or X25519). Each party generates a key pair and sends
+ * its public key; both then derive the same secret with ECDH and stretch it with HKDF-SHA-256
+ * into a string key for any Tughra algorithm. No secret ever has to travel between the parties.
+ */
+class TughraKeyExchange {
+    constructor(curve, privateKey, publicKey) {
+        this.curve = curve;
+        this.privateKey = privateKey;
+        this.publicKey = publicKey;
+    }
+
+    // New key pair on 'P-256' (default) or 'X25519'
+    static async generate(curve = 'P-256') {
+        const { privateKey, publicKey } = await Tughra._webCrypto().subtle.generateKey(
+            TughraKeyExchange._algorithm(curve), true, ['deriveBits']
+        );
+        return new TughraKeyExchange(curve, privateKey, publicKey);
+    }
+
+    // Restore a key pair saved with exportKeyPair()
+    static async importKeyPair(json) {
+        let jwk;
+        try {
+            jwk = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new TughraKeyError("Invalid key pair: not valid JSON.", 'KEY_PAIR_INVALID');
+        }
+        const curve = jwk && jwk.crv;
+        if (!TughraKeyExchange.CURVES.includes(curve) || typeof jwk.d !== 'string') {
+            throw new TughraKeyError("Invalid key pair: expected a private P-256 or X25519 JWK.", 'KEY_PAIR_INVALID');
+        }
+        const subtle = Tughra._webCrypto().subtle;
+        const algorithm = TughraKeyExchange._algorithm(curve);
+        const publicJwk = Object.assign({}, jwk, { key_ops: [] });
+        delete publicJwk.d;
+        try {
+            return new TughraKeyExchange(
+                curve,
+                await subtle.importKey('jwk', jwk, algorithm, true, ['deriveBits']),
+                await subtle.importKey('jwk', publicJwk, algorithm, true, [])
+            );
+        } catch (error) {
+            throw new TughraKeyError(`Invalid key pair: not a valid ${curve} key.`, 'KEY_PAIR_INVALID');
+        }
+    }
+
+    // Private key as a JWK string, for storing the key pair locally; never send it to anyone
+    async exportKeyPair() {
+        return JSON.stringify(await Tughra._webCrypto().subtle.exportKey('jwk', this.privateKey));
+    }
+
+    // Public key to send to the other party, e.g. "X25519:Base64..."
+    async exportPublicKey() {
+        const raw = await Tughra._webCrypto().subtle.exportKey('raw', this.publicKey);
+        return `${this.curve}:${Tughra.prototype._arrayBufferToBase64(raw)}`;
+    }
+
+    // Fingerprint of a public key (ours by default), to compare over the phone against interception
+    async fingerprint(publicKey) {
+        return TughraLibrary._publicKeyFingerprint(publicKey || await this.exportPublicKey());
+    }
+
+    // Shared key for Tughra from the other party's public key. Both parties get the same Base64
+    // string; `info` separates keys for different purposes (e.g. a chat room id).
+    async deriveKey(peerPublicKey, { info = '', salt = '', length = 32 } = {}) {
+        const subtle = Tughra._webCrypto().subtle;
+        const ownPublicKey = await this.exportPublicKey();
+        const peer = await this._importPublicKey(peerPublicKey);
+        if (peerPublicKey === ownPublicKey) {
+            throw new TughraKeyError("The peer public key is our own public key.", 'PUBLIC_KEY_INVALID');
+        }
+
+        const secret = await subtle.deriveBits({ name: this.privateKey.algorithm.name, public: peer }, this.privateKey, 256);
+        const hkdfKey = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+        // Both public keys, in a fixed order, bind the key to this pair of parties
+        const context = ['tughra-ecdh', this.curve].concat([ownPublicKey, peerPublicKey].sort(), info).join('\n');
+        const bits = await subtle.deriveBits({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: new TextEncoder().encode(salt),
+            info: new TextEncoder().encode(context)
+        }, hkdfKey, length * 8);
+        return Tughra.prototype._arrayBufferToBase64(bits);
+    }
+
+    async _importPublicKey(publicKey) {
+        const [curve, base64] = String(publicKey).split(':');
+        if (curve !== this.curve) {
+            throw new TughraKeyError(`Invalid public key: expected a ${this.curve} key, got '${curve}'.`, 'PUBLIC_KEY_INVALID');
+        }
+        let raw;
+        try {
+            raw = Tughra.prototype._base64ToArrayBuffer(base64 || '');
+        } catch (error) {
+            throw new TughraKeyError("Invalid public key: not valid Base64.", 'PUBLIC_KEY_INVALID');
+        }
+        try {
+            return await Tughra._webCrypto().subtle.importKey('raw', raw, TughraKeyExchange._algorithm(curve), true, []);
+        } catch (error) {
+            throw new TughraKeyError(`Invalid public key: not a valid ${curve} point.`, 'PUBLIC_KEY_INVALID');
+        }
+    }
+
+    static _algorithm(curve) {
+        if (!TughraKeyExchange.CURVES.includes(curve)) {
+            throw new TughraAlgorithmError(`Unsupported curve: ${curve}. Use ${TughraKeyExchange.CURVES.join(' or ')}.`, 'UNKNOWN_ALGORITHM', { algorithm: curve });
+        }
+        return curve === 'X25519' ? { name: 'X25519' } : { name: 'ECDH', namedCurve: curve };
+    }
+}
+
+// Curves supported by TughraKeyExchange
+TughraKeyExchange.CURVES = ['P-256', 'X25519'];
+
+/**
+ * Class TughraSignature:
+ *
+ * Digital signatures over WebCrypto (ECDSA P-256 with SHA-256, or Ed25519). The signer keeps the
+ * key pair and publishes the public key; recipients verify messages against the public keys they
+ * trust. wrap()/unwrap() attach a signature to any string, e.g. a Tughra ciphertext or envelope,
+ * so the sender is checked before anything is decrypted.
+ */
+class TughraSignature {
+    constructor(algorithm, privateKey, publicKey) {
+        this.algorithm = algorithm;
+        this.privateKey = privateKey;
+        this.publicKey = publicKey;
+    }
+
+    // New signing key pair: 'P-256' (ECDSA, default) or 'Ed25519'
+    static async generate(algorithm = 'P-256') {
+        const { privateKey, publicKey } = await Tughra._webCrypto().subtle.generateKey(
+            TughraSignature._algorithm(algorithm), true, ['sign', 'verify']
+        );
+        return new TughraSignature(algorithm, privateKey, publicKey);
+    }
+
+    // Restore a key pair saved with exportKeyPair()
+    static async importKeyPair(json) {
+        let jwk;
+        try {
+            jwk = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new TughraKeyError("Invalid key pair: not valid JSON.", 'KEY_PAIR_INVALID');
+        }
+        const algorithm = jwk && jwk.crv;
+        if (!TughraSignature.ALGORITHMS.includes(algorithm) || typeof jwk.d !== 'string') {
+            throw new TughraKeyError("Invalid key pair: expected a private P-256 or Ed25519 JWK.", 'KEY_PAIR_INVALID');
+        }
+        const subtle = Tughra._webCrypto().subtle;
+        const publicJwk = Object.assign({}, jwk, { key_ops: ['verify'] });
+        delete publicJwk.d;
+        try {
+            return new TughraSignature(
+                algorithm,
+                await subtle.importKey('jwk', jwk, TughraSignature._algorithm(algorithm), true, ['sign']),
+                await subtle.importKey('jwk', publicJwk, TughraSignature._algorithm(algorithm), true, ['verify'])
+            );
+        } catch (error) {
+            throw new TughraKeyError(`Invalid key pair: not a valid ${algorithm} key.`, 'KEY_PAIR_INVALID');
+        }
+    }
+
+    // Private key as a JWK string, for storing the key pair locally; never send it to anyone
+    async exportKeyPair() {
+        return JSON.stringify(await Tughra._webCrypto().subtle.exportKey('jwk', this.privateKey));
+    }
+
+    // Public key to publish, e.g. "Ed25519:Base64..."
+    async exportPublicKey() {
+        const raw = await Tughra._webCrypto().subtle.exportKey('raw', this.publicKey);
+        return `${this.algorithm}:${Tughra.prototype._arrayBufferToBase64(raw)}`;
+    }
+
+    // Fingerprint of a public key (ours by default), to confirm a sender's key out of band
+    async fingerprint(publicKey) {
+        return TughraLibrary._publicKeyFingerprint(publicKey || await this.exportPublicKey());
+    }
+
+    // Base64 signature of a string, Blob or bytes
+    async sign(message) {
+        const signature = await Tughra._webCrypto().subtle.sign(
+            TughraSignature._signParams(this.algorithm), this.privateKey, await TughraSignature._messageBytes(message)
+        );
+        return Tughra.prototype._arrayBufferToBase64(signature);
+    }
+
+    // True when signature is a valid signature of message by publicKey
+    static async verify(message, signature, publicKey) {
+        const algorithm = String(publicKey).split(':')[0];
+        const key = await TughraSignature._importPublicKey(publicKey);
+        let bytes;
+        try {
+            bytes = Tughra.prototype._base64ToArrayBuffer(signature);
+        } catch (error) {
+            return false;
+        }
+        return Tughra._webCrypto().subtle.verify(TughraSignature._signParams(algorithm), key, bytes, await TughraSignature._messageBytes(message));
+    }
+
+    // Signed message: JSON with the data, the signer's public key and the signature
+    async wrap(data) {
+        if (typeof data !== 'string') {
+            throw new TughraError("Only strings can be wrapped; sign() also accepts bytes.", 'INVALID_ARGUMENT');
+        }
+        const publicKey = await this.exportPublicKey();
+        const signed = { tughraSigned: TughraSignature.FORMAT_VERSION, publicKey, data };
+        signed.signature = await this.sign(TughraSignature._signedContent(signed));
+        return JSON.stringify(signed);
+    }
+
+    // Check a wrap()ped message against the trusted public key(s) and return its data. An unknown
+    // signer raises TughraIntegrityError('wrong-key'), a bad signature TughraIntegrityError('corrupted').
+    static async unwrap(signedMessage, trustedPublicKeys) {
+        let signed;
+        try {
+            signed = typeof signedMessage === 'string' ? JSON.parse(signedMessage) : signedMessage;
+        } catch (error) {
+            throw new TughraDecodeError("Invalid signed message: not valid JSON.", 'INVALID_SIGNED_MESSAGE');
+        }
+        if (!signed || signed.tughraSigned !== TughraSignature.FORMAT_VERSION ||
+            typeof signed.data !== 'string' || typeof signed.publicKey !== 'string' || typeof signed.signature !== 'string') {
+            throw new TughraDecodeError("Invalid signed message: unsupported version or missing fields.", 'INVALID_SIGNED_MESSAGE');
+        }
+
+        const trusted = [].concat(trustedPublicKeys || []);
+        if (trusted.length === 0) {
+            throw new TughraError("At least one trusted public key is required to check the sender.", 'INVALID_ARGUMENT');
+        }
+        if (!trusted.includes(signed.publicKey)) {
+            throw new TughraIntegrityError("Signature check failed: the message was signed by an untrusted key.", 'wrong-key');
+        }
+        if (!await TughraSignature.verify(TughraSignature._signedContent(signed), signed.signature, signed.publicKey)) {
+            throw new TughraIntegrityError("Signature check failed: the message is corrupted or has been tampered with.", 'corrupted');
+        }
+        return { data: signed.data, publicKey: signed.publicKey };
+    }
+
+    static async _messageBytes(message) {
+        return typeof message === 'string' ? new TextEncoder().encode(message) : Tughra._toBytes(message);
+    }
+
+    static _signedContent(signed) {
+        return JSON.stringify(['tughra-signed', signed.tughraSigned, signed.publicKey, signed.data]);
+    }
+
+    static async _importPublicKey(publicKey) {
+        const [algorithm, base64] = String(publicKey).split(':');
+        const params = TughraSignature._algorithm(algorithm);
+        let raw;
+        try {
+            raw = Tughra.prototype._base64ToArrayBuffer(base64 || '');
+        } catch (error) {
+            throw new TughraKeyError("Invalid public key: not valid Base64.", 'PUBLIC_KEY_INVALID');
+        }
+        try {
+            return await Tughra._webCrypto().subtle.importKey('raw', raw, params, true, ['verify']);
+        } catch (error) {
+            throw new TughraKeyError(`Invalid public key: not a valid ${algorithm} key.`, 'PUBLIC_KEY_INVALID');
+        }
+    }
+
+    static _algorithm(algorithm) {
+        if (!TughraSignature.ALGORITHMS.includes(algorithm)) {
+            throw new TughraAlgorithmError(`Unsupported signature algorithm: ${algorithm}. Use ${TughraSignature.ALGORITHMS.join(' or ')}.`, 'UNKNOWN_ALGORITHM', { algorithm });
+        }
+        return algorithm === 'Ed25519' ? { name: 'Ed25519' } : { name: 'ECDSA', namedCurve: algorithm };
+    }
+
+    static _signParams(algorithm) {
+        return algorithm === 'Ed25519' ? { name: 'Ed25519' } : { name: 'ECDSA', hash: 'SHA-256' };
+    }
+}
+
+// Signature algorithms supported by TughraSignature
+TughraSignature.ALGORITHMS = ['P-256', 'Ed25519'];
+// Current version of the signed-message format written by wrap()
+TughraSignature.FORMAT_VERSION = 1;
+
+/**
+ * Class TughraPipeline:
+ *
+ * Chains several steps, each with its own algorithm, key and cycle count, plus optional base
+ * encoding steps. Decryption runs the steps in reverse order. A pipeline can be exported as a
+ * JSON recipe (keys only when explicitly requested) and imported again.
+ */
+class TughraPipeline {
+    constructor(steps = []) {
+        this.steps = steps.map((step, index) => TughraPipeline._normalizeStep(step, index));
+    }
 
+    // Append a step: { algorithm, key, cycles, baseCharset, useBaseEncoding } or { type: 'base', baseCharset }
+    addStep(step) {
+        this.steps.push(TughraPipeline._normalizeStep(step, this.steps.length));
+        return this;
     }
 
-    _formatSize(bytes) {
-        const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
-        let unitIndex = 0;
+    // Run every step in order
+    async encrypt(text, options = {}) {
+        let result = text;
+        for (const step of this.steps) {
+            Tughra._throwIfAborted(options.signal);
+            result = await TughraPipeline._runStep(step, 'encrypt', result, options.signal);
+        }
+        return result;
+    }
 
-        while (bytes >= 1024 && unitIndex < units.length - 1) {
-            bytes /= 1024;
-            unitIndex++;
+    // Undo every step, starting with the last one
+    async decrypt(text, options = {}) {
+        let result = text;
+        for (const step of this.steps.slice().reverse()) {
+            Tughra._throwIfAborted(options.signal);
+            result = await TughraPipeline._runStep(step, 'decrypt', result, options.signal);
         }
+        return result;
+    }
 
-        return `${bytes.toFixed(2)} ${units[unitIndex]}`;
+    // Serialisable recipe; keys are left out unless includeKeys is true
+    toJSON({ includeKeys = false } = {}) {
+        return {
+            tughraPipeline: TughraPipeline.RECIPE_VERSION,
+            steps: this.steps.map(step => {
+                const exported = Object.assign({}, step);
+                if (!includeKeys) {
+                    delete exported.key;
+                }
+                return exported;
+            })
+        };
     }
 
-    _calculateStats(input) {
-        let text;
-        let type = "text/plain"; // Default type for plain text
+    exportRecipe(options) {
+        return JSON.stringify(this.toJSON(options), null, 2);
+    }
 
-        if (input instanceof Blob) {
-            // If input is a Blob, extract text and retain its MIME type
-            text = input.text();
-            type = input.type;
-        } else if (typeof input === "string" && input.startsWith("data:")) {
-            // If input is a data URI, decode it
-            const [header, base64Data] = input.split(",");
-            type = header.match(/:(.*?);/)[1];
+    // Rebuild a pipeline from a recipe; keys[i] supplies the key of step i when the recipe has none
+    static importRecipe(recipe, keys = []) {
+        let parsed;
+        try {
+            parsed = typeof recipe === 'string' ? JSON.parse(recipe) : recipe;
+        } catch (error) {
+            throw new TughraDecodeError("Invalid pipeline recipe: not valid JSON.", 'INVALID_RECIPE');
+        }
+        if (!parsed || parsed.tughraPipeline !== TughraPipeline.RECIPE_VERSION || !Array.isArray(parsed.steps)) {
+            throw new TughraDecodeError("Invalid pipeline recipe: unsupported or missing version.", 'UNSUPPORTED_VERSION', { format: 'recipe', version: parsed && parsed.tughraPipeline });
+        }
 
-            // Decode Base64 data and create a Blob to get the size in bytes
-            const binaryData = atob(base64Data);
-            text = binaryData;
-            const blob = new Blob([binaryData], {
-                type
-            });
-            return {
-                characters: binaryData.length,
-                words: binaryData.trim().split(/\s+/).filter(Boolean).length,
-                lines: binaryData.split(/\r\n|\r|\n/).length,
-                size: blob.size,
-                type,
-                isBlob: false,
-                isDataURI: true
-            };
-        } else {
-            // If input is a plain text string
-            text = input;
+        return new TughraPipeline(parsed.steps.map((step, index) => (
+            step.type !== 'base' && step.key === undefined && keys[index] !== undefined ? Object.assign({}, step, { key: keys[index] }) : step
+        )));
+    }
+
+    static _normalizeStep(step, index) {
+        if (!step || typeof step !== 'object') {
+            throw new TughraError(`Invalid pipeline step ${index}: expected an object.`, 'INVALID_ARGUMENT', { step: index });
+        }
+        if (step.type === 'base') {
+            return { type: 'base', baseCharset: step.baseCharset || Tughra.DEFAULT_BASE_CHARSET };
+        }
+        if (!Tughra._algorithms.has(step.algorithm)) {
+            throw new TughraAlgorithmError(`Invalid pipeline step ${index}: unknown algorithm '${step.algorithm}'.`, 'UNKNOWN_ALGORITHM', { step: index, algorithm: step.algorithm });
         }
 
-        // Create a blob for accurate byte size
-        const blob = new Blob([text], {
-            type
+        const cycles = step.cycles === undefined ? 1 : step.cycles;
+        if (!Number.isInteger(cycles) || cycles < 1) {
+            throw new TughraError(`Invalid pipeline step ${index}: cycles must be a positive integer.`, 'INVALID_ARGUMENT', { step: index });
+        }
+        if (cycles % 2 === 0 && Tughra._algorithms.get(step.algorithm).symmetric) {
+            // A self-inverse cipher such as XOR Pro or Atbash undoes itself every second cycle
+            throw new TughraAlgorithmError(`Invalid pipeline step ${index}: ${cycles} cycles of the self-inverse '${step.algorithm}' return the input unchanged.`, 'INVALID_OPTIONS', { step: index, algorithm: step.algorithm, cycles });
+        }
+
+        const normalized = { type: 'cipher', algorithm: step.algorithm, cycles };
+        if (step.key !== undefined) {
+            normalized.key = step.key;
+        }
+        if (step.baseCharset !== undefined) {
+            normalized.baseCharset = step.baseCharset;
+        }
+        if (step.useBaseEncoding) {
+            normalized.useBaseEncoding = true;
+        }
+        if (step.shift !== undefined) {
+            normalized.shift = step.shift;
+        }
+        if (step.affine !== undefined) {
+            normalized.affine = { a: step.affine.a, b: step.affine.b };
+        }
+        if (step.codePoints) {
+            normalized.codePoints = Tughra._normalizeCodePoints(step.codePoints);
+        }
+        return normalized;
+    }
+
+    static async _runStep(step, mode, text, signal) {
+        if (step.type === 'base') {
+            const codec = Tughra._baseCodec(step.baseCharset);
+            return mode === 'encrypt' ? codec.toBase(text) : codec.fromBase(text);
+        }
+        const tughra = new Tughra(mode, step.baseCharset, step.algorithm, step.key, step.useBaseEncoding === true, { shift: step.shift, affine: step.affine, codePoints: step.codePoints });
+        return tughra.processAsync(text, step.cycles, { signal });
+    }
+}
+
+// Current version of the recipe format written by TughraPipeline#toJSON()
+TughraPipeline.RECIPE_VERSION = 1;
+
+/**
+ * Class TughraAnalysis:
+ *
+ * Cryptanalysis of the classical ciphers shipped with Tughra, for teaching why they are weak:
+ * frequency analysis, brute force of Caesar, ROT-n, Atbash, Reversed Caesar and Affine ranked by
+ * chi-squared, hill climbing for Substitution with n-gram scoring, and Vigenère key-length
+ * estimation with Kasiski and the index of coincidence. Every attack returns guesses sorted from
+ * best to worst, each with a confidence between 0 and 1 (the confidences of one result sum to 1).
+ */
+class TughraAnalysis {
+    // Letter counts, relative frequencies (a-z) and index of coincidence of the letters in text
+    static frequencies(text) {
+        const counts = new Array(26).fill(0);
+        for (const index of TughraAnalysis._letterIndexes(text)) {
+            counts[index]++;
+        }
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const frequencies = {};
+        counts.forEach((count, index) => {
+            frequencies[Tughra.ALPHABET[index]] = total > 0 ? count / total : 0;
         });
-        const bytes = blob.size;
-        const words = text.trim().split(/\s+/).filter(Boolean).length;
-        const lines = text.split(/\r\n|\r|\n/).length;
+        return { counts, total, frequencies, indexOfCoincidence: TughraAnalysis._indexOfCoincidence(counts, total) };
+    }
 
-        return {
-            characters: text.length,
-            words,
-            lines,
-            size: bytes,
-            type,
-            isBlob: input instanceof Blob,
-            isDataURI: false
-        };
+    // Chi-squared distance between text and English: letters, spaces and everything else.
+    // Lower is more English-like.
+    static chiSquared(text) {
+        const observed = new Array(28).fill(0);
+        let total = 0;
+        for (const char of text) {
+            const index = Tughra.ALPHABET.indexOf(char.toLowerCase());
+            observed[index !== -1 ? index : (char === ' ' ? 26 : 27)]++;
+            total++;
+        }
+        if (total === 0) {
+            return Infinity;
+        }
+        const expected = TughraAnalysis.ENGLISH_FREQUENCIES.map(frequency => frequency * TughraAnalysis.LETTER_SHARE)
+            .concat(TughraAnalysis.SPACE_SHARE, 1 - TughraAnalysis.LETTER_SHARE - TughraAnalysis.SPACE_SHARE);
+        return observed.reduce((sum, count, index) => {
+            const e = expected[index] * total;
+            return sum + (count - e) * (count - e) / e;
+        }, 0);
     }
 
-    detectLanguage(text) {
-        const counts = {};
+    // Log10 likelihood of the letters in text under English letter, bigram and trigram statistics.
+    // Higher is more English-like.
+    static ngramScore(text) {
+        return TughraAnalysis._ngramScoreIndexes(TughraAnalysis._letterIndexes(text));
+    }
 
-        // Initialize counts for each group
-        this.unicodeGroups.forEach(group => {
-            counts[group.name] = 0;
+    static _ngramScoreIndexes(indexes) {
+        const tables = TughraAnalysis._ngramTables();
+        let score = 0;
+        for (let i = 0; i < indexes.length; i++) {
+            score += tables.letters[indexes[i]];
+            if (i + 1 < indexes.length) {
+                score += tables.bigrams[indexes[i] * 26 + indexes[i + 1]];
+            }
+            if (i + 2 < indexes.length) {
+                score += tables.trigrams[(indexes[i] * 26 + indexes[i + 1]) * 26 + indexes[i + 2]];
+            }
+        }
+        return score;
+    }
+
+    // Try every key of a keyless or small-keyspace cipher: 'caesar', 'ROT', 'Atbash', 'Reversed Caesar' or 'Affine'
+    static bruteForce(ciphertext, algorithm, { top = 5 } = {}) {
+        const candidates = [];
+        const add = (key, plaintext) => candidates.push({ algorithm, key, plaintext, score: TughraAnalysis.chiSquared(plaintext) });
+        const letters = TughraAnalysis._applyLetters;
+
+        switch (algorithm) {
+            case 'caesar': // The library's Caesar moves every character code by the shift
+                for (let shift = 1; shift <= 255; shift++) {
+                    add({ shift }, Array.from(ciphertext, char => String.fromCharCode(Math.max(char.charCodeAt(0) - shift, 0))).join(''));
+                }
+                break;
+            case 'ROT':
+                for (let n = 1; n < 26; n++) {
+                    add({ n }, letters(ciphertext, x => (x - n + 26) % 26));
+                }
+                break;
+            case 'Atbash':
+                add({}, letters(ciphertext, x => 25 - x));
+                break;
+            case 'Reversed Caesar':
+                for (let shift = 0; shift < 26; shift++) {
+                    add({ shift }, letters(ciphertext, x => (25 - x + shift) % 26));
+                }
+                break;
+            case 'Affine':
+                for (const a of Tughra.AFFINE_MULTIPLIERS) {
+                    const aInv = Tughra.prototype._modInverse(a, 26);
+                    for (let b = 0; b < 26; b++) {
+                        add({ a, b }, letters(ciphertext, y => (aInv * (y - b + 26)) % 26));
+                    }
+                }
+                break;
+            default:
+                throw new TughraAlgorithmError(`Brute force is not available for '${algorithm}'. Use caesar, ROT, Atbash, Reversed Caesar or Affine.`, 'UNKNOWN_ALGORITHM', { algorithm });
+        }
+        return TughraAnalysis._rankByChiSquared(candidates).slice(0, top);
+    }
+
+    // Brute force every supported cipher and rank all candidates together
+    static guess(ciphertext, { top = 5 } = {}) {
+        const candidates = TughraAnalysis.BRUTE_FORCE_ALGORITHMS
+            .flatMap(algorithm => TughraAnalysis.bruteForce(ciphertext, algorithm, { top: Infinity }));
+        return TughraAnalysis._rankByChiSquared(candidates).slice(0, top);
+    }
+
+    // Recover a Substitution key by hill climbing on n-gram scores: try every swap of two letters
+    // until none improves the score, then restart from a perturbed copy of the best key so far.
+    // key maps the plain alphabet a-z to the cipher alphabet, like Tughra#substitutionKey.
+    static substitution(ciphertext, { restarts = 30, top = 3 } = {}) {
+        const cipherIndexes = TughraAnalysis._letterIndexes(ciphertext);
+        if (cipherIndexes.length === 0) {
+            throw new TughraError("The ciphertext contains no letters to analyse.", 'INVALID_ARGUMENT');
+        }
+
+        // Start from the mapping that lines up the ciphertext frequencies with English
+        const counts = TughraAnalysis.frequencies(ciphertext).counts;
+        const byFrequency = Array.from(counts.keys()).sort((x, y) => counts[y] - counts[x]);
+        const englishOrder = Array.from(TughraAnalysis.ENGLISH_FREQUENCIES.keys())
+            .sort((x, y) => TughraAnalysis.ENGLISH_FREQUENCIES[y] - TughraAnalysis.ENGLISH_FREQUENCIES[x]);
+        let start = new Array(26); // cipher letter -> plain letter
+        byFrequency.forEach((cipherIndex, rank) => {
+            start[cipherIndex] = englishOrder[rank];
         });
 
-        // Iterate through each character in the text
-        for (let char of text) {
-            const charCode = char.charCodeAt(0);
-            // Check which group the character belongs to
-            for (let group of this.unicodeGroups) {
-                if (charCode >= group.start && charCode <= group.end) {
-                    counts[group.name]++;
-                    break; // Exit the loop once a group is found
+        const scoreOf = decryption => TughraAnalysis._ngramScoreIndexes(cipherIndexes.map(x => decryption[x]));
+        const candidates = [];
+        let bestScore = -Infinity;
+        for (let restart = 0; restart < restarts; restart++) {
+            const decryption = start.slice();
+            for (let shuffle = 0; restart > 0 && shuffle < 2 + restart % 6; shuffle++) {
+                TughraAnalysis._swap(decryption, Math.floor(Math.random() * 26), Math.floor(Math.random() * 26));
+            }
+
+            let score = scoreOf(decryption);
+            for (let improved = true; improved;) {
+                improved = false;
+                for (let x = 0; x < 25; x++) {
+                    for (let y = x + 1; y < 26; y++) {
+                        TughraAnalysis._swap(decryption, x, y);
+                        const swapped = scoreOf(decryption);
+                        if (swapped > score) {
+                            score = swapped;
+                            improved = true;
+                        } else {
+                            TughraAnalysis._swap(decryption, x, y);
+                        }
+                    }
                 }
             }
+
+            const key = new Array(26);
+            decryption.forEach((plainIndex, cipherIndex) => {
+                key[plainIndex] = Tughra.ALPHABET[cipherIndex];
+            });
+            if (!candidates.some(candidate => candidate.key === key.join(''))) {
+                candidates.push({ algorithm: 'Substitution', key: key.join(''), plaintext: TughraAnalysis._applyLetters(ciphertext, x => decryption[x]), score });
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                start = decryption;
+            }
         }
+        return TughraAnalysis._rankByLog10(candidates).slice(0, top);
+    }
 
-        // Find the group with the maximum count
-        let detectedLanguage = null;
-        let maxCount = 0;
+    // Likely key lengths of a polyalphabetic cipher. text is attacked on its letters, a
+    // Uint8Array on its bytes (the library's 'vigenere' works on bytes).
+    static estimateKeyLength(input, { maxLength = 20 } = {}) {
+        const symbols = input instanceof Uint8Array ? Array.from(input) : TughraAnalysis._letterIndexes(input);
+        const alphabetSize = input instanceof Uint8Array ? 256 : 26;
+        const limit = Math.min(maxLength, Math.floor(symbols.length / 2));
+        if (limit < 1) {
+            throw new TughraError("The ciphertext is too short to estimate a key length.", 'INVALID_ARGUMENT');
+        }
 
-        for (let groupName in counts) {
-            if (counts[groupName] > maxCount) {
-                maxCount = counts[groupName];
-                detectedLanguage = groupName;
+        // Kasiski: distances between repeated trigrams tend to be multiples of the key length
+        const seen = new Map();
+        const distances = [];
+        for (let i = 0; i + 3 <= symbols.length; i++) {
+            const trigram = symbols.slice(i, i + 3).join(',');
+            if (seen.has(trigram)) {
+                distances.push(i - seen.get(trigram));
             }
+            seen.set(trigram, i);
         }
 
-        return detectedLanguage;
+        const candidates = [];
+        for (let length = 1; length <= limit; length++) {
+            let ioc = 0;
+            for (let column = 0; column < length; column++) {
+                const counts = new Array(alphabetSize).fill(0);
+                let total = 0;
+                for (let i = column; i < symbols.length; i += length) {
+                    counts[symbols[i]]++;
+                    total++;
+                }
+                ioc += TughraAnalysis._indexOfCoincidence(counts, total) / length;
+            }
+            const kasiski = distances.length > 0 ? distances.filter(distance => distance % length === 0).length / distances.length : 0;
+            candidates.push({ length, indexOfCoincidence: ioc, kasiski, score: Math.max(ioc - 1 / alphabetSize, 0) * (1 + kasiski) });
+        }
+
+        // Multiples of the key length score as well as the key length itself, so prefer the shortest
+        // length that comes close to the best score
+        candidates.sort((x, y) => y.score - x.score);
+        const shortest = candidates.filter(candidate => candidate.score >= candidates[0].score * 0.9)
+            .reduce((x, y) => (y.length < x.length ? y : x));
+        candidates.splice(candidates.indexOf(shortest), 1);
+        candidates.unshift(shortest);
+
+        const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+        return candidates.map(({ length, indexOfCoincidence, kasiski, score }) => ({
+            length,
+            indexOfCoincidence,
+            kasiski,
+            confidence: total > 0 ? score / total : 1 / candidates.length
+        }));
     }
 
-    getUnicodeGroups() {
-        return this.unicodeGroups;
+    // Break a classical letter Vigenère: estimate the key length, then solve each column as a Caesar shift.
+    // Every key letter adds ln(n) to the chi-squared score, so long keys that merely overfit rank lower.
+    static vigenere(ciphertext, { maxLength = 20, lengths = 3, top = 3 } = {}) {
+        const candidates = TughraAnalysis.estimateKeyLength(ciphertext, { maxLength }).slice(0, lengths).map(({ length }) => {
+            const indexes = TughraAnalysis._letterIndexes(ciphertext);
+            const shifts = [];
+            for (let column = 0; column < length; column++) {
+                const columnText = indexes.filter((_, i) => i % length === column);
+                shifts.push(TughraAnalysis._bestShift(shift => columnText.map(x => Tughra.ALPHABET[(x - shift + 26) % 26]).join(''), 26));
+            }
+            const period = TughraAnalysis._period(shifts);
+            let position = 0;
+            const plaintext = TughraAnalysis._applyLetters(ciphertext, x => (x - shifts[position++ % period] + 26) % 26);
+            const key = shifts.slice(0, period).map(shift => Tughra.ALPHABET[shift]).join('');
+            return { algorithm: 'Vigenère', key, plaintext, score: TughraAnalysis.chiSquared(plaintext) + period * Math.log(indexes.length) };
+        });
+        return TughraAnalysis._rankByChiSquared(TughraAnalysis._unique(candidates)).slice(0, top);
     }
 
+    // Break the library's byte-wise 'vigenere' (one cycle, Base64 output) and recover its key,
+    // scored like vigenere()
+    static vigenereBytes(ciphertext, { maxLength = 32, lengths = 3, top = 3 } = {}) {
+        const bytes = Tughra.prototype._base64ToArrayBuffer(ciphertext);
+        const decoder = new TextDecoder();
+        const candidates = TughraAnalysis.estimateKeyLength(bytes, { maxLength }).slice(0, lengths).map(({ length }) => {
+            const key = new Uint8Array(length);
+            for (let column = 0; column < length; column++) {
+                const columnBytes = bytes.filter((_, i) => i % length === column);
+                key[column] = TughraAnalysis._bestShift(shift => String.fromCharCode(...columnBytes.map(byte => (byte - shift + 256) % 256)), 256);
+            }
+            const period = TughraAnalysis._period(key);
+            const plaintext = decoder.decode(bytes.map((byte, i) => (byte - key[i % period] + 256) % 256));
+            return { algorithm: 'vigenere', key: decoder.decode(key.slice(0, period)), plaintext, score: TughraAnalysis.chiSquared(plaintext) + period * Math.log(bytes.length) };
+        });
+        return TughraAnalysis._rankByChiSquared(TughraAnalysis._unique(candidates)).slice(0, top);
+    }
 
-    generateKey(cycles, groupNames) {
-        const encryptionArray = [];
-        const storedGroups = [];
+    static _letterIndexes(text) {
+        const indexes = [];
+        for (const char of text) {
+            const index = Tughra.ALPHABET.indexOf(char.toLowerCase());
+            if (index !== -1) {
+                indexes.push(index);
+            }
+        }
+        return indexes;
+    }
 
-        // Process each selected group name
-        groupNames.split(',').forEach(groupName => {
-            const trimmedGroupName = groupName.trim();
-            const group = this.unicodeGroups.find(g => g.name === trimmedGroupName);
-            if (!group) {
-                throw new Error(`Invalid Unicode group name: ${trimmedGroupName}`);
+    // Map every letter through fn (0-25 -> 0-25), keeping its case
+    static _applyLetters(text, fn) {
+        return text.replace(/[A-Za-z]/g, char => {
+            const base = char <= 'Z' ? 65 : 97;
+            return String.fromCharCode(fn(char.charCodeAt(0) - base) + base);
+        });
+    }
+
+    static _indexOfCoincidence(counts, total) {
+        if (total < 2) {
+            return 0;
+        }
+        return counts.reduce((sum, count) => sum + count * (count - 1), 0) / (total * (total - 1));
+    }
+
+    // Shift whose decryption (given by decryptColumn) is closest to English
+    static _bestShift(decryptColumn, size) {
+        let best = 0;
+        let bestScore = Infinity;
+        for (let shift = 0; shift < size; shift++) {
+            const score = TughraAnalysis.chiSquared(decryptColumn(shift));
+            if (score < bestScore) {
+                best = shift;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    // Shortest repeating unit, so a key found at a multiple of its length is reported once
+    static _period(key) {
+        for (let period = 1; period < key.length; period++) {
+            if (key.length % period === 0 && Array.prototype.every.call(key, (value, i) => value === key[i % period])) {
+                return period;
+            }
+        }
+        return key.length;
+    }
+
+    static _unique(candidates) {
+        return candidates.filter((candidate, index) => candidates.findIndex(other => other.key === candidate.key) === index);
+    }
+
+    static _swap(array, x, y) {
+        [array[x], array[y]] = [array[y], array[x]];
+    }
+
+    // Chi-squared behaves like -2 ln(likelihood), so exp(-chi / 2) gives relative likelihoods
+    static _rankByChiSquared(candidates) {
+        return TughraAnalysis._rank(candidates.sort((x, y) => x.score - y.score), candidate => -candidate.score / 2 / Math.LN10);
+    }
+
+    static _rankByLog10(candidates) {
+        return TughraAnalysis._rank(candidates.sort((x, y) => y.score - x.score), candidate => candidate.score);
+    }
+
+    // Turn log10 likelihoods into confidences that sum to 1
+    static _rank(candidates, log10Likelihood) {
+        if (candidates.length === 0) {
+            return candidates;
+        }
+        const best = log10Likelihood(candidates[0]);
+        const weights = candidates.map(candidate => (Number.isFinite(best) ? Math.pow(10, log10Likelihood(candidate) - best) : 1));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return candidates.map((candidate, index) => Object.assign(candidate, { confidence: weights[index] / total }));
+    }
+
+    // Counted once from REFERENCE_TEXT: log10 probabilities of letters, bigrams and trigrams indexed
+    // by their letters, smoothed so that n-grams missing from the reference are unlikely but possible
+    static _ngramTables() {
+        if (!TughraAnalysis._ngrams) {
+            const indexes = TughraAnalysis._letterIndexes(TughraAnalysis.REFERENCE_TEXT);
+            const count = size => {
+                const table = new Float64Array(Math.pow(26, size)).fill(0.5);
+                for (let i = 0; i + size <= indexes.length; i++) {
+                    table[indexes.slice(i, i + size).reduce((index, letter) => index * 26 + letter, 0)]++;
+                }
+                const total = table.reduce((sum, n) => sum + n, 0);
+                return table.map(n => Math.log10(n / total));
+            };
+            TughraAnalysis._ngrams = {
+                letters: TughraAnalysis.ENGLISH_FREQUENCIES.map(frequency => Math.log10(frequency)),
+                bigrams: count(2),
+                trigrams: count(3)
+            };
+        }
+        return TughraAnalysis._ngrams;
+    }
+}
+
+// Relative letter frequencies of English text, a-z
+TughraAnalysis.ENGLISH_FREQUENCIES = [
+    0.08167, 0.01492, 0.02782, 0.04253, 0.12702, 0.02228, 0.02015, 0.06094, 0.06966, 0.00153, 0.00772, 0.04025, 0.02406,
+    0.06749, 0.07507, 0.01929, 0.00095, 0.05987, 0.06327, 0.09056, 0.02758, 0.00978, 0.0236, 0.0015, 0.01974, 0.00074
+];
+// Share of letters and spaces in English prose, the rest being digits and punctuation
+TughraAnalysis.LETTER_SHARE = 0.8;
+TughraAnalysis.SPACE_SHARE = 0.17;
+// Public-domain English reference text the bigram and trigram statistics are counted from (the
+// Gettysburg Address, the Preamble of the US Constitution, the opening of the Declaration of
+// Independence, Genesis 1:1-5, and the first lines of Pride and Prejudice and Moby-Dick)
+TughraAnalysis.REFERENCE_TEXT = 'Four score and seven years ago our fathers brought forth on this continent, a new nation, ' +
+    'conceived in Liberty, and dedicated to the proposition that all men are created equal. Now we are engaged in a great ' +
+    'civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. We are met on a ' +
+    'great battle-field of that war. We have come to dedicate a portion of that field, as a final resting place for those ' +
+    'who here gave their lives that that nation might live. It is altogether fitting and proper that we should do this. ' +
+    'But, in a larger sense, we can not dedicate, we can not consecrate, we can not hallow this ground. The brave men, ' +
+    'living and dead, who struggled here, have consecrated it, far above our poor power to add or detract. The world will ' +
+    'little note, nor long remember what we say here, but it can never forget what they did here. It is for us the living, ' +
+    'rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly advanced. It is ' +
+    'rather for us to be here dedicated to the great task remaining before us, that from these honored dead we take ' +
+    'increased devotion to that cause for which they gave the last full measure of devotion, that we here highly resolve ' +
+    'that these dead shall not have died in vain, that this nation, under God, shall have a new birth of freedom, and that ' +
+    'government of the people, by the people, for the people, shall not perish from the earth. We the People of the United ' +
+    'States, in Order to form a more perfect Union, establish Justice, insure domestic Tranquility, provide for the common ' +
+    'defence, promote the general Welfare, and secure the Blessings of Liberty to ourselves and our Posterity, do ordain ' +
+    'and establish this Constitution for the United States of America. When in the Course of human events, it becomes ' +
+    'necessary for one people to dissolve the political bands which have connected them with another, and to assume ' +
+    'among the powers of the earth, the separate and equal station to which the Laws of Nature and of Nature\'s God ' +
+    'entitle them, a decent respect to the opinions of mankind requires that they should declare the causes which impel ' +
+    'them to the separation. We hold these truths to be self-evident, that all men are created equal, that they are ' +
+    'endowed by their Creator with certain unalienable Rights, that among these are Life, Liberty and the pursuit of ' +
+    'Happiness. In the beginning God created the heaven and the earth. And the earth was without form, and void; and ' +
+    'darkness was upon the face of the deep. And the Spirit of God moved upon the face of the waters. And God said, Let ' +
+    'there be light: and there was light. And God saw the light, that it was good: and God divided the light from the ' +
+    'darkness. And God called the light Day, and the darkness he called Night. And the evening and the morning were the ' +
+    'first day. It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in ' +
+    'want of a wife. However little known the feelings or views of such a man may be on his first entering a ' +
+    'neighbourhood, this truth is so well fixed in the minds of the surrounding families, that he is considered as the ' +
+    'rightful property of some one or other of their daughters. Call me Ishmael. Some years ago, never mind how long ' +
+    'precisely, having little or no money in my purse, and nothing particular to interest me on shore, I thought I ' +
+    'would sail about a little and see the watery part of the world.';
+// Ciphers covered by TughraAnalysis.guess()
+TughraAnalysis.BRUTE_FORCE_ALGORITHMS = ['caesar', 'ROT', 'Atbash', 'Reversed Caesar', 'Affine'];
+
+/**
+ * Class TughraWorkerPool:
+ *
+ * Runs `Tughra.processAsync` jobs on N workers (`worker.js` as a Web Worker in the browser, or a
+ * worker thread in Node.js). Every job gets an ID, so overlapping requests never receive each
+ * other's results, and returns a Promise that can be cancelled with an AbortSignal. Cancelling a
+ * running job terminates its worker and starts a fresh one in the same slot.
+ */
+class TughraWorkerPool {
+    constructor({ size, workerUrl = 'worker.js', createWorker, splitThreshold = 64 * 1024 } = {}) {
+        this.size = size || (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        this.splitThreshold = splitThreshold; // Minimum text length before a job is split across workers
+        this._createWorker = createWorker || (() => TughraWorkerPool._defaultWorker(workerUrl));
+        this._nextId = 1;
+        this._queue = [];
+        this._workers = [];
+        this._terminated = false;
+        for (let i = 0; i < this.size; i++) {
+            this._workers.push(this._spawn());
+        }
+    }
+
+    // Run a job { text, cycles, mode, algorithm, encryptionKey, baseCharset, useBaseEncoding, options }.
+    // onProgress(cycleIndex, totalCycles, bytesDone) receives the progress reported by the worker.
+    run(job, { signal, onProgress } = {}) {
+        const parts = this._split(job);
+        if (parts.length > 1) {
+            // Report the slowest slice's cycle and the bytes done over all slices
+            const progress = parts.map(() => ({ cycle: 0, bytesDone: 0 }));
+            const partProgress = onProgress && (index => (cycle, totalCycles, bytesDone) => {
+                progress[index] = { cycle, bytesDone };
+                onProgress(Math.min(...progress.map(part => part.cycle)), totalCycles, progress.reduce((sum, part) => sum + part.bytesDone, 0));
+            });
+            // One signal for every slice: the caller's abort or the first failing slice cancels the rest
+            const controller = new AbortController();
+            const onAbort = () => controller.abort();
+            if (signal) {
+                if (signal.aborted) {
+                    controller.abort();
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
             }
+            return Promise.all(parts.map((text, index) => this._enqueue(Object.assign({}, job, { text }), controller.signal, partProgress && partProgress(index))
+                .catch(error => {
+                    controller.abort();
+                    throw error;
+                })))
+                .then(results => results.join(''))
+                .finally(() => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                });
+        }
+        return this._enqueue(job, signal, onProgress);
+    }
 
-            // Store each valid Unicode group for later random selection
-            storedGroups.push(group);
+    // Stop every worker and reject the jobs that have not finished yet; later run() calls reject too
+    terminate() {
+        this._terminated = true;
+        const error = TughraWorkerPool._terminatedError();
+        this._queue.splice(0).forEach(task => this._reject(task, error));
+        this._workers.forEach(slot => {
+            if (slot.task) {
+                this._reject(slot.task, error);
+            }
+            slot.worker.terminate();
         });
+        this._workers = [];
+    }
 
-        // Generate random characters from the selected groups for the specified number of cycles
-        for (let i = 0; i < cycles; i++) {
-            const randomUnicodeGroup = storedGroups[Math.floor(Math.random() * storedGroups.length)];
+    _enqueue(job, signal, onProgress) {
+        return new Promise((resolve, reject) => {
+            if (this._terminated) {
+                reject(TughraWorkerPool._terminatedError());
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(Tughra._abortError());
+                return;
+            }
 
-            // Generate characters within the selected group range
-            const characters = [];
-            for (let j = randomUnicodeGroup.start; j <= randomUnicodeGroup.end; j++) {
-                characters.push(String.fromCharCode(j));
+            const task = { id: this._nextId++, job, resolve, reject, signal, onProgress };
+            if (signal) {
+                task.onAbort = () => this._cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
             }
+            this._queue.push(task);
+            this._dispatch();
+        });
+    }
 
-            // Pick a random character from the selected group's character range
-            const randomIndex = Math.floor(Math.random() * characters.length);
-            encryptionArray.push(characters[randomIndex]);
+    _dispatch() {
+        for (const slot of this._workers) {
+            if (!slot.task && this._queue.length > 0) {
+                slot.task = this._queue.shift();
+                slot.worker.postMessage({ id: slot.task.id, type: 'process', job: slot.task.job });
+            }
         }
+    }
 
-        // Return exactly 'cycles' random characters
-        return encryptionArray;
+    _cancel(task) {
+        const queued = this._queue.indexOf(task);
+        if (queued !== -1) {
+            this._queue.splice(queued, 1);
+        } else {
+            // Terminate the worker instead of waiting for it, so even a single long cycle
+            // (AES-GCM or any maxCycles: 1 algorithm) stops at once and frees the slot
+            const slot = this._workers.find(slot => slot.task === task);
+            if (!slot) {
+                return;
+            }
+            slot.task = null;
+            this._replace(slot);
+        }
+        task.reject(Tughra._abortError());
+        this._dispatch();
     }
 
+    _spawn() {
+        const slot = { worker: this._createWorker(), task: null };
+        const onMessage = data => this._settle(slot, data);
+        const onError = error => {
+            // A Node.js worker has exited once it emits 'error': give the slot a new worker, then fail the job
+            this._replace(slot);
+            this._settle(slot, { id: slot.task && slot.task.id, error: { name: 'Error', message: error.message || String(error) } });
+        };
 
-    // Function to generate characters for a selected group
-    displayCharacters(groupName) {
-        // Find the group by name
-        const group = this.unicodeGroups.find(g => g.name === groupName);
-        if (!group) {
-            console.log(`Group "${groupName}" not found.`);
-            return '';
+        if (typeof slot.worker.on === 'function') {
+            slot.worker.on('message', onMessage);
+            slot.worker.on('error', onError);
+        } else {
+            slot.worker.onmessage = event => onMessage(event.data);
+            slot.worker.onerror = onError;
         }
+        return slot;
+    }
 
-        let characters = '';
-        for (let i = group.start; i <= group.end; i++) {
-            // Use fromCodePoint to handle higher code points
-            characters += String.fromCodePoint(i);
+    // Terminate the slot's worker and put a fresh one in its place
+    _replace(slot) {
+        const index = this._workers.indexOf(slot);
+        slot.worker.terminate();
+        if (index !== -1) {
+            this._workers[index] = this._spawn();
+        }
+    }
+
+    _settle(slot, data) {
+        const task = slot.task;
+        if (!task || data.id !== task.id) {
+            return; // Result of a job that was cancelled in the meantime
+        }
+        if (data.progress) {
+            if (task.onProgress) {
+                task.onProgress(data.progress.cycle, data.progress.totalCycles, data.progress.bytesDone);
+            }
+            return;
         }
 
-        return characters; // Return the characters for further use
+        slot.task = null;
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        if (data.error) {
+            task.reject(TughraWorkerPool._toError(data.error));
+        } else {
+            task.resolve(data.result);
+        }
+        this._dispatch();
     }
 
-}
+    // Reject a task and drop its abort listener, which would otherwise keep it reachable from the signal
+    _reject(task, error) {
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        task.reject(error);
+    }
+
+    // Position-independent algorithms can process large texts as independent slices
+    _split(job) {
+        const definition = Tughra._algorithms.get(job.algorithm);
+        if (!definition || !definition.positionIndependent || job.useBaseEncoding || this.size < 2 || !job.text || job.text.length < this.splitThreshold) {
+            return [job.text];
+        }
+
+        const parts = [];
+        const size = Math.ceil(job.text.length / this.size);
+        let start = 0;
+        while (start < job.text.length) {
+            let end = Math.min(start + size, job.text.length);
+            const code = job.text.charCodeAt(end - 1);
+            if (code >= 0xd800 && code <= 0xdbff && end < job.text.length) {
+                end++; // Never cut a surrogate pair in half
+            }
+            parts.push(job.text.slice(start, end));
+            start = end;
+        }
+        return parts;
+    }
+
+    static _terminatedError() {
+        return new TughraError("The worker pool has been terminated.", 'INVALID_STATE');
+    }
+
+    // Rebuild the structured error sent by worker.js
+    static _toError(data) {
+        return TughraError.fromJSON(typeof data === 'string' ? { message: data } : data);
+    }
 
+    static _defaultWorker(workerUrl) {
+        if (typeof Worker === 'function') {
+            return new Worker(workerUrl);
+        }
+        const path = require('path');
+        const { Worker: NodeWorker } = require('worker_threads');
+        return new NodeWorker(workerUrl === 'worker.js' ? path.join(__dirname, 'worker.js') : workerUrl);
+    }
+}
 
-// Export for use in other environments (e.g., Node.js or bundling)
+// Export for use in other environments: named CommonJS exports for Node.js and bundlers
+// (tughra.mjs re-exports them for ESM), browser globals for <script> tags and workers
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Tughra;
-    module.exports = TughraLibrary;
+    module.exports = { Tughra, TughraLibrary, TughraKDF, TughraHash, TughraError, TughraKeyError, TughraDecodeError, TughraAlgorithmError, TughraIntegrityError, TughraKeyExchange, TughraSignature, TughraPipeline, TughraAnalysis, TughraWorkerPool };
+} else if (typeof globalThis !== 'undefined') {
+    Object.assign(globalThis, { Tughra, TughraLibrary, TughraKDF, TughraHash, TughraError, TughraKeyError, TughraDecodeError, TughraAlgorithmError, TughraIntegrityError, TughraKeyExchange, TughraSignature, TughraPipeline, TughraAnalysis, TughraWorkerPool });
 }
@@ -1 +1 @@
-class Tughra{constructor(t,e,r,n="",a=!1){const s=Array.from(new Set(n)).map((t=>{const e="string"==typeof t?t.charCodeAt(0):t;if(isNaN(e))throw new Error("Invalid character in encryption array. Only letters and numbers are allowed.");return t})).join("");if("default"===r&&0===s.length)throw new Error("keyOffsets must contain at least one valid value.");this.keyOffsets=s,this.mode=t||"encrypt",this.useBaseEncoding=a,this.baseCharset=e||"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=",this.baseLibrary=this.baseEncodeDecode(this.baseCharset),this.encryptionKey=(new TextEncoder).encode(n),"default"!==r&&this.checkKeyStrength(n),this.algorithm=r||"default",this.substitutionKey={a:"q",b:"w",c:"e",d:"r",e:"t",f:"y",g:"u",h:"i",i:"o",j:"p",k:"a",l:"s",m:"d",n:"f",o:"g",p:"h",q:"j",r:"k",s:"l",t:"z",u:"x",v:"c",w:"v",x:"b",y:"n",z:"m",A:"Q",B:"W",C:"E",D:"R",E:"T",F:"Y",G:"U",H:"I",I:"O",J:"P",K:"A",L:"S",M:"D",N:"F",O:"G",P:"H",Q:"J",R:"K",S:"L",T:"Z",U:"X",V:"C",W:"V",X:"B",Y:"N",Z:"M"},this.reverseSubstitutionKey=Object.fromEntries(Object.entries(this.substitutionKey).map((([t,e])=>[e,t]))),this.a=5,this.b=8,this.m=26}setAlgorithm(t){this.algorithm=t}checkKeyStrength(t){if(t.length<8)throw new Error("Key must be at least 8 characters long.")}process(t,e){this.useBaseEncoding&&"decrypt"===this.mode&&(t=this.fromBase(t)),"xor"!==this.algorithm&&"ROT47"!==this.algorithm&&"ROT13"!==this.algorithm||(e=1);let r=t;for(let t=0;t<e;t++)r=this._processCycle(r,this.mode);return this.useBaseEncoding&&"encrypt"===this.mode?this.toBase(r):r}_processCycle(t,e){switch(this.algorithm){case"caesar":return"encrypt"===e?this._caesarEncrypt(t):this._caesarDecrypt(t);case"vigenere":return"encrypt"===e?this._vigenereEncrypt(t):this._vigenereDecrypt(t);case"xor":return"encrypt"===e?this._xorEncrypt(t):this._xorDecrypt(t);case"ROT47":return"encrypt"===e?this._encryptROT47(t):this._decryptROT47(t);case"Atbash":return"encrypt"===e?this._encryptAtbash(t):this._decryptAtbash(t);case"Substitution":return"encrypt"===e?this._encryptSubstitution(t):this._decryptSubstitution(t);case"Base64":return"encrypt"===e?this._encryptBase64(t):this._decryptBase64(t);case"ASCII":return"encrypt"===e?this._encryptAsciiShift(t):this._decryptAsciiShift(t);case"Affine":return"encrypt"===e?this._encryptAffine(t):this._decryptAffine(t);case"Unicode Shift":return"encrypt"===e?this._encryptUnicodeShift(t):this._decryptUnicodeShift(t);case"Numeric":return"encrypt"===e?this._encryptNumeric(t):this._decryptNumeric(t);case"Reversed Caesar":return"encrypt"===e?this._encryptReversedCaesar(t):this._decryptReversedCaesar(t);case"ROT13":return"encrypt"===e?this._encryptROT13(t):this._decryptROT13(t);case"ROT18":return"encrypt"===e?this._encryptROT18(t):this._decryptROT18(t);case"ROT25":return"encrypt"===e?this._encryptROT25(t):this._decryptROT25(t);case"ROT30":return"encrypt"===e?this._encryptROT30(t):this._decryptROT30(t);case"XOR Pro":return"encrypt"===e?this._encryptXORPro(t,this.keyOffsets):this._decryptXORPro(t,this.keyOffsets);case"Affine Pro":return"encrypt"===e?this._encryptAffinePro(t,this.encryptionKey):this._decryptAffinePro(t,this.encryptionKey);case"Substitution Pro":return"encrypt"===e?this._encryptSubstitutionPro(t,this.encryptionKey):this._decryptSubstitutionPro(t,this.encryptionKey);default:return"encrypt"===e?this._TughraEncrypt(t):this._TughraDecrypt(t)}}_modInverse(t,e){for(let r=1;r<e;r++)if(t*r%e==1)return r;return null}_encryptAffine(t){return t.split("").map((t=>{if(/[A-Za-z]/.test(t)){const e=t===t.toUpperCase()?65:97;return String.fromCharCode((this.a*(t.charCodeAt(0)-e)+this.b)%26+e)}return t})).join("")}_decryptAffine(t){const e=this._modInverse(this.a,26);return t.split("").map((t=>{if(/[A-Za-z]/.test(t)){const r=t===t.toUpperCase()?65:97;return String.fromCharCode((e*(t.charCodeAt(0)-r-this.b+26)%26+26)%26+r)}return t})).join("")}_encryptAffinePro(t){return t.split("").map((t=>{if(/[a-zA-Z]/.test(t)){const e=t===t.toUpperCase()?"A".charCodeAt(0):"a".charCodeAt(0),r=t.charCodeAt(0)-e;return String.fromCharCode((this.a*r+this.b)%this.m+e)}return t})).join("")}_decryptAffinePro(t){const e=this._modInverse(this.a,this.m);if(null===e)throw new Error("No modular inverse exists for the given key 'a'");return t.split("").map((t=>{if(/[a-zA-Z]/.test(t)){const r=t===t.toUpperCase()?"A".charCodeAt(0):"a".charCodeAt(0),n=t.charCodeAt(0)-r;return String.fromCharCode(e*(n-this.b+this.m)%this.m+r)}return t})).join("")}_encryptSubstitutionPro(t){return t.split("").map((t=>this.substitutionKey[t]||t)).join("")}_decryptSubstitutionPro(t){return t.split("").map((t=>this.reverseSubstitutionKey[t]||t)).join("")}_encryptROT13(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+13)%26+e)}))}_decryptROT13(t){return this._encryptROT13(t)}_encryptROT18(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+18)%26+e)}))}_decryptROT18(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+26-18)%26+e)}))}_encryptROT25(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+25)%26+e)}))}_decryptROT25(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+26-25)%26+e)}))}_encryptROT30(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((t.charCodeAt(0)-e+4)%26+e)}))}_decryptROT30(t){return t.replace(/[A-Za-z]/g,(t=>{const e=t<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode(((t.charCodeAt(0)-e+22)%26+26)%26+e)}))}_encryptXORPro(t,e){return t.split("").map(((t,r)=>String.fromCharCode(t.charCodeAt(0)^e.charCodeAt(r%e.length)))).join("")}_decryptXORPro(t,e){return this._encryptXORPro(t,e)}_TughraEncrypt(t){let e="";for(let r=0;r<t.length;r++){let n=t.charCodeAt(r),a=this.keyOffsets.charCodeAt(r%this.keyOffsets.length);e+=String.fromCharCode(n+a)}return e}_TughraDecrypt(t){let e="";for(let r=0;r<t.length;r++){let n=t.charCodeAt(r),a=this.keyOffsets.charCodeAt(r%this.keyOffsets.length);e+=String.fromCharCode(n-a)}return e}_caesarEncrypt(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)+this.encryptionKey.length))).join("")}_caesarDecrypt(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)-this.encryptionKey.length))).join("")}_vigenereEncrypt(t){const e=(new TextEncoder).encode(t).map(((t,e)=>(t+this.encryptionKey[e%this.encryptionKey.length])%256));return this._arrayBufferToBase64(e)}_vigenereDecrypt(t){const e=this._base64ToArrayBuffer(t).map(((t,e)=>(t-this.encryptionKey[e%this.encryptionKey.length]+256)%256));return(new TextDecoder).decode(Uint8Array.from(e))}_arrayBufferToBase64(t){const e=[],r=new Uint8Array(t);for(let t=0;t<r.length;t+=8192)e.push(String.fromCharCode(...r.slice(t,t+8192)));return btoa(e.join(""))}_base64ToArrayBuffer(t){const e=atob(t),r=new Uint8Array(e.length);for(let t=0;t<e.length;t++)r[t]=e.charCodeAt(t);return r}_xorEncrypt(t){if(!this.encryptionKey)throw new Error("Encryption key is missing.");const e=(new TextEncoder).encode(t),r=(new TextEncoder).encode(this.encryptionKey),n=e.map(((t,e)=>t^r[e%r.length]));return btoa(String.fromCharCode(...n))}_xorDecrypt(t){const e=atob(t).split("").map((t=>t.charCodeAt(0))),r=(new TextEncoder).encode(this.encryptionKey),n=e.map(((t,e)=>t^r[e%r.length]));return(new TextDecoder).decode(Uint8Array.from(n))}_encryptROT47(t){return t.replace(/[!-~]/g,(t=>String.fromCharCode(33+(t.charCodeAt(0)+14)%94)))}_decryptROT47(t){return this.encryptROT47(t)}_encryptAtbash(t){return t.replace(/[a-zA-Z]/g,(t=>{const e=t<="Z"?65:97;return String.fromCharCode(e+(25-(t.charCodeAt(0)-e)))}))}_decryptAtbash(t){return this.encryptAtbash(t)}_encryptSubstitution(t){return t.split("").map((t=>this.substitutionKey[t]||t)).join("")}_decryptSubstitution(t){return t.split("").map((t=>this.reverseSubstitutionKey[t]||t)).join("")}_encryptBase64(t){return btoa(t)}_decryptBase64(t){return atob(t)}_encryptAsciiShift(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)+this.encryptionKey.length))).join("")}_decryptAsciiShift(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)-this.encryptionKey.length))).join("")}_encryptUnicodeShift(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)+this.encryptionKey.length))).join("")}_decryptUnicodeShift(t){return t.split("").map((t=>String.fromCharCode(t.charCodeAt(0)-this.encryptionKey.length))).join("")}_encryptNumeric(t){return t.split("").map((t=>t.charCodeAt(0))).join("-")}_decryptNumeric(t){return t.split("-").map((t=>String.fromCharCode(parseInt(t)))).join("")}_encryptReversedCaesar(t){return t.replace(/[a-zA-Z]/g,(t=>{const e=t<="Z"?65:97;return String.fromCharCode((25-(t.charCodeAt(0)-e)+this.encryptionKey.length)%26+e)}))}_decryptReversedCaesar(t){return t.replace(/[a-zA-Z]/g,(t=>{const e=t<="Z"?65:97;return String.fromCharCode((25-(t.charCodeAt(0)-e)-this.encryptionKey.length+26)%26+e)}))}toBase(t){if(!t)return t;try{return this.baseLibrary.encode(unescape(encodeURIComponent(t)))}catch(e){return console.error("Base encoding failed:",e),t}}fromBase(t){if(!t)return t;try{return decodeURIComponent(escape(this.baseLibrary.decode(t)))}catch(e){return console.error("Base decoding failed:",e),t}}baseEncodeDecode(t){const e=t.length,r=Math.ceil(Math.log(e));return{encode:e=>{let n="",a="";for(let t=0;t<e.length;t++)a+=e.charCodeAt(t).toString(2).padStart(8,"0");for(let e=0;e<a.length;e+=r){const s=a.substring(e,e+r).padEnd(r,"0"),i=parseInt(s,2);n+=t[i]}return n},decode:e=>{let n="";for(let a=0;a<e.length;a++){const s=t.indexOf(e[a]);if(-1===s)throw new Error("Invalid Base character");n+=s.toString(2).padStart(r,"0")}let a="";for(let t=0;t<n.length;t+=8){const e=n.substring(t,t+8);8===e.length&&(a+=String.fromCharCode(parseInt(e,2)))}return a}}}}class TughraLibrary{constructor(){this.unicodeGroups=[{name:"Numbers",start:48,end:57},{name:"Lowercase English",start:97,end:122},{name:"Uppercase English",start:65,end:90},{name:"Basic Latin",start:33,end:127},{name:"Latin-1 Supplement",start:128,end:255},{name:"Latin Extended-A",start:256,end:383},{name:"Latin Extended-B",start:384,end:591},{name:"IPA Extensions",start:592,end:687},{name:"Greek and Coptic",start:880,end:1023},{name:"Cyrillic",start:1024,end:1279},{name:"Arabic",start:1536,end:1791},{name:"Hebrew",start:1424,end:1535},{name:"Devanagari",start:2304,end:2431},{name:"Bengali",start:2432,end:2559},{name:"Gurmukhi",start:2560,end:2687},{name:"Gujarati",start:2688,end:2815},{name:"Oriya",start:2816,end:2943},{name:"Tamil",start:2944,end:3071},{name:"Telugu",start:3072,end:3199},{name:"Kannada",start:3200,end:3327},{name:"Malayalam",start:3328,end:3455},{name:"Thai",start:3584,end:3711},{name:"Lao",start:3712,end:3839},{name:"Tibetan",start:3840,end:4095},{name:"Georgian",start:4256,end:4351},{name:"Hangul Jamo",start:4352,end:4607},{name:"Latin Extended Additional",start:7680,end:7935},{name:"Greek Extended",start:7936,end:8191},{name:"General Punctuation",start:8192,end:8303},{name:"Superscripts and Subscripts",start:8304,end:8351},{name:"Currency Symbols",start:8352,end:8399},{name:"Combining Diacritical Marks",start:8400,end:8447},{name:"Letterlike Symbols",start:8448,end:8527},{name:"Number Forms",start:8528,end:8591},{name:"Arrows",start:8592,end:8703},{name:"Mathematical Operators",start:8704,end:8959},{name:"Miscellaneous Technical",start:8960,end:9215},{name:"Control Pictures",start:9216,end:9279},{name:"Optical Character Recognition",start:9280,end:9311},{name:"Enclosed Alphanumerics",start:9312,end:9471},{name:"Box Drawing",start:9472,end:9599},{name:"Block Elements",start:9600,end:9631},{name:"Geometric Shapes",start:9632,end:9727},{name:"Miscellaneous Symbols",start:9728,end:9983},{name:"Dingbats",start:9984,end:10175},{name:"Braille Patterns",start:10240,end:10495},{name:"CJK Symbols and Punctuation",start:12288,end:12351},{name:"Hiragana",start:12352,end:12447},{name:"Katakana",start:12448,end:12543},{name:"Bopomofo",start:12544,end:12591},{name:"Hangul Compatibility Jamo",start:12592,end:12687},{name:"Phonetic Extensions",start:12704,end:12735},{name:"Enclosed CJK Letters and Months",start:12800,end:13055},{name:"CJK Compatibility",start:13056,end:13311},{name:"CJK Unified Ideographs",start:19968,end:40959},{name:"Hangul Syllables",start:44032,end:55215},{name:"Private Use Area",start:57344,end:63743},{name:"CJK Compatibility Ideographs",start:63744,end:64255},{name:"Alphabetic Presentation Forms",start:64256,end:64335},{name:"Arabic Presentation Forms-A",start:64336,end:65023},{name:"Variation Selectors",start:65024,end:65039},{name:"Combining Half Marks",start:65056,end:65071},{name:"CJK Compatibility Forms",start:65072,end:65103},{name:"Small Form Variants",start:65104,end:65135},{name:"Arabic Presentation Forms-B",start:65136,end:65279},{name:"Halfwidth and Fullwidth Forms",start:65280,end:65519},{name:"Specials",start:65520,end:65535},{name:"Linear B Syllabary",start:65536,end:65663},{name:"Linear B Ideograms",start:65664,end:65791},{name:"Aegean Numbers",start:65792,end:65855},{name:"Ancient Greek Numbers",start:65856,end:65935},{name:"Ancient Symbols",start:65936,end:65999},{name:"Phaistos Disc",start:66e3,end:66047},{name:"Lycian",start:66176,end:66207},{name:"Carian",start:66208,end:66271},{name:"Coptic Epact Numbers",start:66272,end:66303},{name:"Old Italic",start:66304,end:66351},{name:"Gothic",start:66352,end:66383},{name:"Old Permic",start:66384,end:66431},{name:"Ugaritic",start:66432,end:66463},{name:"Old Persian",start:66464,end:66527},{name:"Deseret",start:66560,end:66639},{name:"Shavian",start:66640,end:66687},{name:"Osmanya",start:66688,end:66735},{name:"Cypriot Syllabary",start:67584,end:67647},{name:"Imperial Aramaic",start:67648,end:67679},{name:"Phoenician",start:67840,end:67871},{name:"Lydian",start:67872,end:67903},{name:"Meroitic Hieroglyphs",start:67968,end:67999},{name:"Meroitic Cursive",start:68e3,end:68095},{name:"Kharoshthi",start:68096,end:68191},{name:"Old South Arabian",start:68192,end:68223},{name:"Avestan",start:68352,end:68415},{name:"Inscriptional Parthian",start:68416,end:68447},{name:"Inscriptional Pahlavi",start:68448,end:68479},{name:"Old Turkic",start:68480,end:68511},{name:"Rumi Numeral Symbols",start:68512,end:68543},{name:"Brahmi",start:69632,end:69703},{name:"Kaithi",start:69728,end:69791},{name:"Sora Sompeng",start:69840,end:69863},{name:"Chakma",start:69984,end:70079},{name:"Sharada",start:70080,end:70143},{name:"Takri",start:70144,end:70239},{name:"Mahajani",start:70240,end:70271},{name:"Mandaic",start:70272,end:70335},{name:"Ahlat",start:70336,end:70383},{name:"Miao",start:70384,end:70431},{name:"Arabic Mathematical Alphabetic Symbols",start:70464,end:70495},{name:"CJK Compatibility Ideographs Extension A",start:108224,end:108455},{name:"CJK Compatibility Ideographs Extension B",start:110576,end:110751},{name:"CJK Compatibility Ideographs Extension C",start:110752,end:110855},{name:"CJK Compatibility Ideographs Extension D",start:110856,end:110879},{name:"CJK Compatibility Ideographs Extension E",start:110880,end:110999},{name:"CJK Compatibility Ideographs Extension F",start:111040,end:111411}]}_formatSize(t){const e=["bytes","KB","MB","GB","TB"];let r=0;for(;t>=1024&&r<e.length-1;)t/=1024,r++;return`${t.toFixed(2)} ${e[r]}`}_calculateStats(t){let e,r="text/plain";if(t instanceof Blob)e=t.text(),r=t.type;else{if("string"==typeof t&&t.startsWith("data:")){const[n,a]=t.split(",");r=n.match(/:(.*?);/)[1];const s=atob(a);e=s;const i=new Blob([s],{type:r});return{characters:s.length,words:s.trim().split(/\s+/).filter(Boolean).length,lines:s.split(/\r\n|\r|\n/).length,size:i.size,type:r,isBlob:!1,isDataURI:!0}}e=t}const n=new Blob([e],{type:r}).size,a=e.trim().split(/\s+/).filter(Boolean).length,s=e.split(/\r\n|\r|\n/).length;return{characters:e.length,words:a,lines:s,size:n,type:r,isBlob:t instanceof Blob,isDataURI:!1}}detectLanguage(t){const e={};this.unicodeGroups.forEach((t=>{e[t.name]=0}));for(let r of t){const t=r.charCodeAt(0);for(let r of this.unicodeGroups)if(t>=r.start&&t<=r.end){e[r.name]++;break}}let r=null,n=0;for(let t in e)e[t]>n&&(n=e[t],r=t);return r}getUnicodeGroups(){return this.unicodeGroups}generateKey(t,e){const r=[],n=[];e.split(",").forEach((t=>{const e=t.trim(),r=this.unicodeGroups.find((t=>t.name===e));if(!r)throw new Error(`Invalid Unicode group name: ${e}`);n.push(r)}));for(let e=0;e<t;e++){const t=n[Math.floor(Math.random()*n.length)],e=[];for(let r=t.start;r<=t.end;r++)e.push(String.fromCharCode(r));const a=Math.floor(Math.random()*e.length);r.push(e[a])}return r}displayCharacters(t){const e=this.unicodeGroups.find((e=>e.name===t));if(!e)return console.log(`Group "${t}" not found.`),"";let r="";for(let t=e.start;t<=e.end;t++)r+=String.fromCodePoint(t);return r}}"undefined"!=typeof module&&module.exports&&(module.exports=Tughra,module.exports=TughraLibrary);
+class Tughra{constructor(e,t,r,a="",n=!1,s={}){const i=Array.from(new Set(a)).map(e=>{const t="string"==typeof e?e.charCodeAt(0):e;if(isNaN(t))throw new TughraKeyError("Invalid character in encryption array. Only letters and numbers are allowed.","KEY_INVALID");return e}).join("");this.keyOffsets=i;const o=Array.from(a).length-Array.from(i).length;if(this.keyWarnings=o>0?[`${o} repeated key character${1===o?" is":"s are"} ignored by the key offsets.`]:[],s.keyPolicy){const{valid:e,failures:t}=(new TughraLibrary).checkKeyPolicy(a,s.keyPolicy);if(!e)throw new TughraKeyError(`Key does not meet the key policy: ${t.join(" ")}`,"KEY_POLICY",{failures:t})}this.mode=e||"encrypt",this.useBaseEncoding=n,this.baseCharset=t||Tughra.DEFAULT_BASE_CHARSET,this.baseLibrary=this.baseEncodeDecode(this.baseCharset),this.encryptionKey=(new TextEncoder).encode(a),this._shift=s.shift,this._affine=s.affine,this.codePoints=s.codePoints?Tughra._normalizeCodePoints(s.codePoints):null,this._codePointAlphabet=this.codePoints?Tughra._codePointAlphabet(this.codePoints):null,this.kdf=s.kdf?TughraKDF.normalize(s.kdf):null,this.kdfLimits=s.kdfLimits||null,this._password=a,this._keyDerived=!1,this.integrity=!0===s.integrity,this.tweak=void 0===s.tweak?"":s.tweak,Tughra._tweakBytes(this.tweak),this.textEncoding=Tughra._checkTextEncoding(s.textEncoding||"utf-8"),this.algorithm=r||"default";const h=this._definition();if(h.minKeyLength>0&&this.checkKeyStrength(a,h.minKeyLength),h.requiresKey&&0===i.length)throw new TughraKeyError("keyOffsets must contain at least one valid value.","KEY_MISSING");this.substitutionKey={a:"q",b:"w",c:"e",d:"r",e:"t",f:"y",g:"u",h:"i",i:"o",j:"p",k:"a",l:"s",m:"d",n:"f",o:"g",p:"h",q:"j",r:"k",s:"l",t:"z",u:"x",v:"c",w:"v",x:"b",y:"n",z:"m",A:"Q",B:"W",C:"E",D:"R",E:"T",F:"Y",G:"U",H:"I",I:"O",J:"P",K:"A",L:"S",M:"D",N:"F",O:"G",P:"H",Q:"J",R:"K",S:"L",T:"Z",U:"X",V:"C",W:"V",X:"B",Y:"N",Z:"M"},this.reverseSubstitutionKey=Object.fromEntries(Object.entries(this.substitutionKey).map(([e,t])=>[t,e])),this.a=5,this.b=8,this.m=26,this._deriveCipherParameters()}setAlgorithm(e){this.algorithm=e}checkKeyStrength(e,t=8){if(e.length<t)throw new TughraKeyError(`Key must be at least ${t} characters long.`,"KEY_TOO_SHORT",{minLength:t})}static registerAlgorithm(e,t){if("string"!=typeof e||0===e.length)throw new TughraAlgorithmError("Algorithm name must be a non-empty string.","INVALID_DEFINITION");if(Tughra._algorithms.has(e))throw new TughraAlgorithmError(`Algorithm '${e}' is already registered.`,"INVALID_DEFINITION",{algorithm:e});if(!t||"function"!=typeof t.encrypt)throw new TughraAlgorithmError(`Algorithm '${e}' must provide an encrypt function.`,"INVALID_DEFINITION",{algorithm:e});if(!t.symmetric&&"function"!=typeof t.decrypt)throw new TughraAlgorithmError(`Algorithm '${e}' must provide a decrypt function or be symmetric.`,"INVALID_DEFINITION",{algorithm:e});if(void 0!==t.maxCycles&&t.maxCycles!==1/0&&!(Number.isInteger(t.maxCycles)&&t.maxCycles>=1))throw new TughraAlgorithmError(`Algorithm '${e}' must have a positive integer maxCycles.`,"INVALID_DEFINITION",{algorithm:e,maxCycles:t.maxCycles});const r=!1!==t.requiresKey;Tughra._algorithms.set(e,{name:e,label:t.label||e,encrypt:t.encrypt,decrypt:t.decrypt||t.encrypt,encryptBytes:t.encryptBytes||null,decryptBytes:t.decryptBytes||(t.symmetric?t.encryptBytes:null)||null,symmetric:!0===t.symmetric,maxCycles:void 0!==t.maxCycles?t.maxCycles:1/0,requiresKey:r,usesKey:r||!0===t.usesKey,minKeyLength:void 0!==t.minKeyLength?t.minKeyLength:r?8:0,async:!0===t.async,positionIndependent:!0===t.positionIndependent})}static listAlgorithms(){return Array.from(Tughra._algorithms.values(),({name:e,label:t,symmetric:r,maxCycles:a,requiresKey:n,usesKey:s,minKeyLength:i,async:o,positionIndependent:h,encryptBytes:c})=>({name:e,label:t,symmetric:r,maxCycles:a,requiresKey:n,usesKey:s,minKeyLength:i,async:o,positionIndependent:h,binary:null!==c}))}_definition(){const e=Tughra._algorithms.get(this.algorithm);if(!e)throw new TughraAlgorithmError(`Unknown algorithm: ${this.algorithm}. Use ${Array.from(Tughra._algorithms.keys()).join(", ")}.`,"UNKNOWN_ALGORITHM",{algorithm:this.algorithm});return e}async deriveKey(e){if(!this.kdf)throw new TughraError("No key derivation function configured. Pass { kdf } in the constructor options.","INVALID_STATE");return this._deriveKeyWith(e,this.kdf)}async _deriveKeyWith(e,t){return this._setKeyMaterial(await TughraKDF.derive(this._password,e,t)),this._keyDerived=!0,this.encryptionKey}_setKeyMaterial(e){this.encryptionKey=e,this.keyOffsets=Array.from(new Set(String.fromCharCode(...e))).join(""),this._aesKeyPromise=null,this._macKeyPromise=null,this._deriveCipherParameters()}_deriveCipherParameters(){const e=this.encryptionKey;if(void 0!==this._shift){if(!Number.isInteger(this._shift)||this._shift<0)throw new TughraKeyError("Shift must be a non-negative integer.","KEY_PARAMETER_INVALID",{shift:this._shift});this.keyShift=this._shift}else this.keyShift=e.length>0?1+Tughra._keyedRandom(e,"shift")()%255:0;if(e.length>0){const t=Tughra._keyedRandom(e,"substitution"),r=Tughra.ALPHABET.split("");for(let e=r.length-1;e>0;e--){const a=t()%(e+1);[r[e],r[a]]=[r[a],r[e]]}this.substitutionKey={},r.forEach((e,t)=>{this.substitutionKey[Tughra.ALPHABET[t]]=e,this.substitutionKey[Tughra.ALPHABET[t].toUpperCase()]=e.toUpperCase()}),this.reverseSubstitutionKey=Object.fromEntries(Object.entries(this.substitutionKey).map(([e,t])=>[t,e]))}if(void 0!==this._affine){const{a:e,b:t}=this._affine;if(!Number.isInteger(e)||!Number.isInteger(t))throw new TughraKeyError("Affine keys 'a' and 'b' must be integers.","KEY_PARAMETER_INVALID",{affine:this._affine});if(null===this._modInverse((e%this.m+this.m)%this.m,this.m))throw new TughraKeyError(`Affine key 'a' must be coprime to ${this.m}.`,"KEY_PARAMETER_INVALID",{affine:this._affine});this.a=(e%this.m+this.m)%this.m,this.b=(t%this.m+this.m)%this.m}else if(e.length>0){const t=Tughra._keyedRandom(e,"affine");this.a=Tughra.AFFINE_MULTIPLIERS[t()%Tughra.AFFINE_MULTIPLIERS.length],this.b=t()%this.m}}static _keyedRandom(e,t){let r=2166136261;for(const a of[...(new TextEncoder).encode(t+":"),...e])r=Math.imul(r^a,16777619)>>>0;return r=r||2654435769,()=>(r^=r<<13,r^=r>>>17,r^=r<<5,r>>>=0,r)}_assertKeyReady(){if(this.kdf&&!this._keyDerived)throw new TughraKeyError("The key has not been derived yet. Call deriveKey(salt) first or use seal().","KEY_NOT_DERIVED")}process(e,t,r={}){this._assertKeyReady(),Tughra._throwIfAborted(r.signal),this.useBaseEncoding&&"decrypt"===this.mode&&(e=this.fromBase(e)),t=this._effectiveCycles(t);let a=e,n=0;for(let e=0;e<t;e++)n+=Tughra._byteLength(a),a=this._processCycle(a,this.mode),r.onProgress&&r.onProgress(e+1,t,n),Tughra._throwIfAborted(r.signal);return this.useBaseEncoding&&"encrypt"===this.mode?this.toBase(a):a}async processAsync(e,t,r={}){this._assertKeyReady(),Tughra._throwIfAborted(r.signal);const a=Tughra._pauser(r.signal);this.useBaseEncoding&&"decrypt"===this.mode&&(e=this.fromBase(e)),t=this._effectiveCycles(t);let n=e,s=0;for(let e=0;e<t;e++)s+=Tughra._byteLength(n),n=await this._processCycleAsync(n,this.mode),r.onProgress&&r.onProgress(e+1,t,s),await a();return this.useBaseEncoding&&"encrypt"===this.mode?this.toBase(n):n}async processBytes(e,t,r={}){this._assertKeyReady(),Tughra._throwIfAborted(r.signal);const a=Tughra._pauser(r.signal);let n=await Tughra._toBytes(e);t=this._effectiveCycles(t);let s=0;for(let e=0;e<t;e++)s+=n.length,n=await this._processBytesCycle(n,this.mode),r.onProgress&&r.onProgress(e+1,t,s),await a();return n}async processText(e,t,r={}){const a=Tughra._checkTextEncoding(r.textEncoding||this.textEncoding);return"encrypt"===this.mode?this.toBase(await this.processBytes(Tughra._encodeText(e,a),t,r)):Tughra._decodeText(await this.processBytes(this.fromBase(e,{bytes:!0}),t,r),a)}static _byteLength(e){let t=0;for(let r=0;r<e.length;r++){const a=e.charCodeAt(r);a<128?t+=1:a<2048?t+=2:a>=55296&&a<=56319&&r+1<e.length&&56320==(64512&e.charCodeAt(r+1))?(t+=4,r++):t+=3}return t}static _pauser(e){let t=Date.now();return async()=>{e&&Date.now()-t>=Tughra.YIELD_INTERVAL&&(await new Promise(e=>setTimeout(e,0)),t=Date.now()),Tughra._throwIfAborted(e)}}static _throwIfAborted(e){if(e&&e.aborted)throw Tughra._abortError()}static _abortError(){return"function"==typeof DOMException?new DOMException("The operation was cancelled.","AbortError"):Object.assign(new Error("The operation was cancelled."),{name:"AbortError"})}static _checkCycles(e){if(!Number.isInteger(e)||e<1)throw new TughraError("cycles must be a positive integer.","INVALID_ARGUMENT",{cycles:e});return e}_effectiveCycles(e=1){return Math.min(Tughra._checkCycles(e),this._definition().maxCycles)}_headerCycles(e){const t=this._effectiveCycles(e);if(t>Tughra.HEADER_LIMITS.cycles)throw new TughraError(`cycles must be at most ${Tughra.HEADER_LIMITS.cycles} for envelopes, files and streams.`,"INVALID_ARGUMENT",{cycles:e});return t}async _processCycleAsync(e,t){const r=this._definition();return"encrypt"===t?r.encrypt.call(this,e,this):r.decrypt.call(this,e,this)}async seal(e,t=1){if("encrypt"!==this.mode)throw new TughraError("seal() requires a Tughra instance in 'encrypt' mode.","INVALID_STATE");let r;if(this._headerCycles(t),this.kdf){const e=TughraKDF.generateSalt();await this.deriveKey(e),r=Object.assign({},this.kdf,{salt:this._arrayBufferToBase64(e)})}const a={tughra:Tughra.ENVELOPE_VERSION,algorithm:this.algorithm,cycles:this._headerCycles(t),baseCharset:this.baseCharset,useBaseEncoding:this.useBaseEncoding,kdf:r,codePoints:this.codePoints||void 0,data:await this.processAsync(e,t)};return this.integrity&&(a.kcv=await this._keyCheckValue(),a.mac=await this._envelopeMac(a)),JSON.stringify(a)}static async open(e,t,r={}){const a=Tughra.parseEnvelope(e);a.kdf&&TughraKDF.checkLimits(a.kdf,r.kdfLimits);const n=new Tughra("decrypt",a.baseCharset,a.algorithm,t,a.useBaseEncoding,Object.assign({},r,{kdf:a.kdf,codePoints:a.codePoints}));return a.kdf&&await n.deriveKey(n._base64ToArrayBuffer(a.kdf.salt)),(void 0!==a.mac||n.integrity)&&await n._verifyEnvelope(a),n.processAsync(a.data,a.cycles)}static isEnvelope(e){try{return Tughra.parseEnvelope(e),!0}catch(e){return!1}}static parseEnvelope(e){let t;try{t="string"==typeof e?JSON.parse(e):e}catch(e){throw new TughraDecodeError("Invalid envelope: not valid JSON.","INVALID_ENVELOPE")}if(!t||"object"!=typeof t||void 0===t.tughra)throw new TughraDecodeError("Invalid envelope: missing format version.","INVALID_ENVELOPE");if(t.tughra!==Tughra.ENVELOPE_VERSION)throw new TughraDecodeError(`Unsupported envelope version: ${t.tughra}`,"UNSUPPORTED_VERSION",{format:"envelope",version:t.tughra});if("string"!=typeof t.algorithm||"string"!=typeof t.data)throw new TughraDecodeError("Invalid envelope: algorithm and data are required.","INVALID_ENVELOPE");if(!Tughra._validHeaderCycles(t.cycles))throw new TughraDecodeError(`Invalid envelope: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`,"INVALID_ENVELOPE",{cycles:t.cycles});if(void 0!==t.kdf&&(!t.kdf||"string"!=typeof t.kdf.salt))throw new TughraDecodeError("Invalid envelope: key derivation parameters must include a salt.","INVALID_ENVELOPE");return{version:t.tughra,algorithm:t.algorithm,cycles:t.cycles,baseCharset:t.baseCharset,useBaseEncoding:!0===t.useBaseEncoding,kdf:t.kdf,codePoints:t.codePoints,kcv:t.kcv,mac:t.mac,data:t.data}}async _hmacKey(){if(!this._macKeyPromise){const e=Tughra._webCrypto().subtle,t=(new TextEncoder).encode("tughra-mac:"),r=new Uint8Array(t.length+this.encryptionKey.length);r.set(t),r.set(this.encryptionKey,t.length),this._macKeyPromise=e.digest("SHA-256",r).then(t=>e.importKey("raw",t,{name:"HMAC",hash:"SHA-256"},!1,["sign"]))}return this._macKeyPromise}async _hmac(e){const t=await this._hmacKey(),r="string"==typeof e?(new TextEncoder).encode(e):e;return new Uint8Array(await Tughra._webCrypto().subtle.sign("HMAC",t,r))}async _keyCheckValue(){return this._arrayBufferToBase64((await this._hmac("tughra-key-check")).slice(0,4))}async _envelopeMac(e){const t=[e.tughra,e.algorithm,e.cycles,e.baseCharset,e.useBaseEncoding,e.kdf||null,e.data];return e.codePoints&&t.push(e.codePoints),this._arrayBufferToBase64(await this._hmac(JSON.stringify(t)))}async _verifyEnvelope(e){if(void 0===e.mac)throw new TughraIntegrityError("Integrity check failed: the envelope has no integrity tag.","corrupted");if("string"!=typeof e.mac)throw new TughraIntegrityError("Invalid envelope: the integrity tag is malformed.","corrupted");if(void 0!==e.kcv&&e.kcv!==await this._keyCheckValue())throw new TughraIntegrityError("Integrity check failed: the key is wrong.","wrong-key");const t=await this._envelopeMac({tughra:e.version,algorithm:e.algorithm,cycles:e.cycles,baseCharset:e.baseCharset,useBaseEncoding:e.useBaseEncoding,kdf:e.kdf,codePoints:e.codePoints,data:e.data});if(!Tughra._constantTimeEqual(t,e.mac))throw new TughraIntegrityError("Integrity check failed: the message is corrupted or has been tampered with.","corrupted")}static _constantTimeEqual(e,t){if(e.length!==t.length)return!1;let r=0;for(let a=0;a<e.length;a++)r|="string"==typeof e?e.charCodeAt(a)^t.charCodeAt(a):e[a]^t[a];return 0===r}hash(e,t={}){return TughraHash.digest(e,Object.assign({baseCharset:this.baseCharset},t))}async encryptFile(e,t=1,r={}){const a=await Tughra._toBytes(e),n=(new TextEncoder).encode(JSON.stringify({name:r.name||e.name||"file",type:r.type||e.type||"application/octet-stream",size:a.length}));let s=new Uint8Array(4+n.length+a.length);new DataView(s.buffer).setUint32(0,n.length),s.set(n,4),s.set(a,4+n.length);const i={algorithm:this.algorithm,cycles:this._headerCycles(t)};if(this.kdf){const e=TughraKDF.generateSalt();await this.deriveKey(e),i.kdf=Object.assign({},this.kdf,{salt:this._arrayBufferToBase64(e)})}this._assertKeyReady();for(let e=0;e<i.cycles;e++)s=await this._processBytesCycle(s,"encrypt");if(this.integrity){const e=(new TextEncoder).encode(JSON.stringify(i));i.kcv=await this._keyCheckValue(),i.mac=this._arrayBufferToBase64(await this._hmac(Tughra._concatBytes(e,s)))}return new Blob([Tughra._fileHeader(i),s],{type:"application/x-tughra"})}async decryptFile(e){const t=await Tughra._toBytes(e),{header:r,body:a}=Tughra._parseFileHeader(t);if(r.algorithm!==this.algorithm)throw new TughraAlgorithmError(`File was encrypted with '${r.algorithm}', but this instance uses '${this.algorithm}'.`,"ALGORITHM_MISMATCH",{expected:r.algorithm,actual:this.algorithm});if(r.kdf&&await this._deriveKeyWith(this._base64ToArrayBuffer(r.kdf.salt),TughraKDF.checkLimits(r.kdf,this.kdfLimits)),this._assertKeyReady(),void 0===r.mac&&this.integrity)throw new TughraIntegrityError("Integrity check failed: the file has no integrity tag.","corrupted");if(void 0!==r.mac){if(void 0!==r.kcv&&r.kcv!==await this._keyCheckValue())throw new TughraIntegrityError("Integrity check failed: the key is wrong.","wrong-key");const e=Object.assign({},r);delete e.kcv,delete e.mac;const t=this._arrayBufferToBase64(await this._hmac(Tughra._concatBytes((new TextEncoder).encode(JSON.stringify(e)),a)));if(!Tughra._constantTimeEqual(t,r.mac))throw new TughraIntegrityError("Integrity check failed: the file is corrupted or has been tampered with.","corrupted")}let n=a;for(let e=0;e<r.cycles;e++)n=await this._processBytesCycle(n,"decrypt");const s=n.length>=4?new DataView(n.buffer,n.byteOffset,n.length).getUint32(0):-1;let i;try{i=JSON.parse(new TextDecoder("utf-8",{fatal:!0}).decode(n.subarray(4,4+s)))}catch(e){throw new TughraDecodeError("File decryption failed: the key is wrong or the file is corrupted.","DECRYPTION_FAILED")}const o=n.subarray(4+s);if(s<0||o.length!==i.size)throw new TughraDecodeError("File decryption failed: the decrypted size does not match the original size.","DECRYPTION_FAILED");return"function"==typeof File?new File([o],i.name,{type:i.type}):Object.assign(new Blob([o],{type:i.type}),{name:i.name})}createEncryptStream({chunkSize:e=65536,cycles:t=1}={}){const r=this;let a,n=new Uint8Array(0),s=0;const i=async(e,t,n)=>{let i=t;for(let e=0;e<a.cycles;e++)i=await r._processBytesCycle(i,"encrypt");e.enqueue(await r._streamFrame(a.bytes,s++,n,i))};return new TransformStream({async start(n){const s={algorithm:r.algorithm,cycles:r._headerCycles(t),chunkSize:e,stream:r._arrayBufferToBase64(Tughra._webCrypto().getRandomValues(new Uint8Array(16)))};if(r.kdf){const e=TughraKDF.generateSalt();await r.deriveKey(e),s.kdf=Object.assign({},r.kdf,{salt:r._arrayBufferToBase64(e)})}r._assertKeyReady(),await r._processBytesCycle(new Uint8Array(0),"encrypt"),a={cycles:s.cycles,bytes:Tughra._streamHeader(s)},n.enqueue(a.bytes)},async transform(t,r){const a="string"==typeof t?(new TextEncoder).encode(t):await Tughra._toBytes(t);for(n=Tughra._concatBytes(n,a);n.length>=e;)await i(r,n.slice(0,e),!1),n=n.slice(e)},async flush(e){await i(e,n,!0)}})}createDecryptStream(){const e=this;let t=null,r=new Uint8Array(0),a=0,n=!1;return new TransformStream({async transform(s,i){if(r=Tughra._concatBytes(r,await Tughra._toBytes(s)),!t){const a=Tughra._parseStreamHeader(r);if(!a)return;if(a.fields.algorithm!==e.algorithm)throw new TughraAlgorithmError(`Stream was encrypted with '${a.fields.algorithm}', but this instance uses '${e.algorithm}'.`,"ALGORITHM_MISMATCH",{expected:a.fields.algorithm,actual:e.algorithm});a.fields.kdf&&await e._deriveKeyWith(e._base64ToArrayBuffer(a.fields.kdf.salt),TughraKDF.checkLimits(a.fields.kdf,e.kdfLimits)),e._assertKeyReady(),t={cycles:a.fields.cycles,bytes:r.slice(0,a.length)},r=r.slice(a.length)}let o=0;for(;r.length-o>=9;){const s=new DataView(r.buffer,r.byteOffset+o,r.length-o),h=s.getUint32(0);if(r.length-o<9+h+32)break;if(n)throw new TughraIntegrityError("Stream integrity check failed: data found after the final chunk.","corrupted");const c=s.getUint32(4),u=!(1&~r[o+8]),g=r.slice(o+9,o+9+h),l=r.subarray(o+9+h,o+9+h+32);o+=9+h+32;const y=await e._streamFrame(t.bytes,c,u,g);if(!Tughra._constantTimeEqual(y.subarray(9+h),l))throw new TughraIntegrityError(`Stream integrity check failed at chunk ${c}: the key is wrong or the chunk was modified.`,"corrupted");if(c!==a)throw new TughraIntegrityError(`Stream integrity check failed: expected chunk ${a} but got ${c}.`,"corrupted");a++,n=u;let d=g;for(let r=0;r<t.cycles;r++)d=await e._processBytesCycle(d,"decrypt");d.length>0&&i.enqueue(d)}r=r.slice(o)},flush(){if(!n||r.length>0)throw new TughraIntegrityError("Stream integrity check failed: the stream was truncated.","corrupted")}})}encryptStream(e,t){return Tughra._toReadableStream(e).pipeThrough(this.createEncryptStream(t))}decryptStream(e){return Tughra._toReadableStream(e).pipeThrough(this.createDecryptStream())}async _streamFrame(e,t,r,a){const n=new Uint8Array(9+a.length+32),s=new DataView(n.buffer);return s.setUint32(0,a.length),s.setUint32(4,t),n[8]=r?1:0,n.set(a,9),n.set(await this._hmac(Tughra._concatBytes(e,n.subarray(0,9+a.length))),9+a.length),n}static _streamHeader(e){const t=Tughra._fileHeader(e);return t.set((new TextEncoder).encode("TGHS")),t[4]=Tughra.STREAM_FORMAT_VERSION,t}static _parseStreamHeader(e){if(e.length>=4&&"TGHS"!==(new TextDecoder).decode(e.subarray(0,4)))throw new TughraDecodeError("Invalid encrypted stream: missing Tughra stream signature.","INVALID_STREAM");if(e.length<7)return null;if(e[4]!==Tughra.STREAM_FORMAT_VERSION)throw new TughraDecodeError(`Unsupported encrypted stream version: ${e[4]}`,"UNSUPPORTED_VERSION",{format:"stream",version:e[4]});const t=7+new DataView(e.buffer,e.byteOffset,e.length).getUint16(5);if(e.length<t)return null;let r;try{r=JSON.parse((new TextDecoder).decode(e.subarray(7,t)))}catch(e){throw new TughraDecodeError("Invalid encrypted stream: header is not valid JSON.","INVALID_STREAM")}if(!Tughra._validHeaderCycles(r.cycles))throw new TughraDecodeError(`Invalid encrypted stream: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`,"INVALID_STREAM",{cycles:r.cycles});return{fields:r,length:t}}static _toReadableStream(e){if(e&&"function"==typeof e.getReader)return e;if(e&&"function"==typeof e[Symbol.asyncIterator]){const t=e[Symbol.asyncIterator]();return new ReadableStream({async pull(e){const{value:r,done:a}=await t.next();a?e.close():e.enqueue(r)},cancel:e=>t.return?t.return(e):void 0})}throw new TughraError("Unsupported stream input. Expected a ReadableStream, a Node.js readable stream or an async iterable.","INVALID_ARGUMENT")}async _processBytesCycle(e,t){const r=this._definition();if(!r.encryptBytes){const e=Tughra.listAlgorithms().filter(e=>e.binary).map(e=>`'${e.name}'`);throw new TughraAlgorithmError(`Algorithm '${r.name}' does not support binary data. Use ${e.join(", ")}.`,"BINARY_UNSUPPORTED",{algorithm:r.name})}return"encrypt"===t?r.encryptBytes.call(this,e,this):r.decryptBytes.call(this,e,this)}_xorBytes(e){return e.map((e,t)=>e^this.encryptionKey[t%this.encryptionKey.length])}_xorProBytes(e){const t=this._keyOffsetBytes();return e.map((e,r)=>e^t[r%t.length])}_vigenereBytes(e,t){return e.map((e,r)=>(e+t*this.encryptionKey[r%this.encryptionKey.length]+256)%256)}_TughraBytes(e,t){const r=this._keyOffsetBytes();return e.map((e,a)=>(e+t*r[a%r.length]+256)%256)}_keyOffsetBytes(){return this._offsetBytesSource!==this.keyOffsets&&(this._offsetBytesSource=this.keyOffsets,this._offsetBytes=Uint8Array.from(Array.from(this.keyOffsets).flatMap(e=>e.charCodeAt(0)<=255?[e.charCodeAt(0)]:Array.from((new TextEncoder).encode(e))))),this._offsetBytes}_shiftBytes(e,t){const r=(t*this.keyShift%256+256)%256;return e.map(e=>(e+r)%256)}_latin1CipherBytes(e,t){const r=t.call(this,Tughra._latin1Text(e));if(r.length!==e.length||/[^\x00-\xff]/.test(r))throw new TughraAlgorithmError(`Algorithm '${this.algorithm}' does not map bytes to bytes.`,"BINARY_UNSUPPORTED",{algorithm:this.algorithm});return Tughra._latin1Bytes(r)}_formatPreservingBytes(e,t){return Uint8Array.from(this._fpe(Array.from(e),e=>e<128?Tughra._fpeClass(e):null,t))}_base64Bytes(e,t){return t>0?Tughra._latin1Bytes(this._arrayBufferToBase64(e)):new Uint8Array(this._base64ToArrayBuffer(Tughra._latin1Text(e)))}_numericBytes(e,t){if(t>0)return Tughra._latin1Bytes(Array.from(e).join("-"));const r=Tughra._latin1Text(e);return 0===r.length?new Uint8Array(0):Uint8Array.from(r.split("-"),e=>{if(!/^\d{1,3}$/.test(e)||Number(e)>255)throw new TughraDecodeError("Invalid Numeric ciphertext: expected byte values from 0 to 255 joined by '-'.","INVALID_CIPHERTEXT");return Number(e)})}static async _toBytes(e){if(e instanceof Uint8Array)return e;if(e instanceof ArrayBuffer)return new Uint8Array(e);if(ArrayBuffer.isView(e))return new Uint8Array(e.buffer,e.byteOffset,e.byteLength);if("undefined"!=typeof Blob&&e instanceof Blob)return new Uint8Array(await e.arrayBuffer());throw new TughraError("Unsupported file input. Expected a Blob, File, ArrayBuffer or Uint8Array.","INVALID_ARGUMENT")}static _toBytesSync(e){if(e instanceof Uint8Array)return e;if(e instanceof ArrayBuffer)return new Uint8Array(e);if(ArrayBuffer.isView(e))return new Uint8Array(e.buffer,e.byteOffset,e.byteLength);throw new TughraError("Unsupported binary input. Expected a Uint8Array, ArrayBuffer or typed array.","INVALID_ARGUMENT")}static _utf8Bytes(e){if(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(e))throw new TughraDecodeError("Text contains unpaired surrogates and cannot be encoded as UTF-8.","INVALID_UTF8");return(new TextEncoder).encode(e)}static _checkTextEncoding(e){if(!Tughra.TEXT_ENCODINGS.includes(e))throw new TughraError(`Unsupported text encoding '${e}'. Use ${Tughra.TEXT_ENCODINGS.map(e=>`'${e}'`).join(", ")}.`,"INVALID_ARGUMENT",{encoding:e});return e}static _encodeText(e,t){if("utf-8"===t)return Tughra._utf8Bytes(e);if("latin1"===t)return Tughra._latin1Bytes(e);const r=new Uint8Array(2*e.length),a=new DataView(r.buffer);for(let r=0;r<e.length;r++)a.setUint16(2*r,e.charCodeAt(r),"utf-16le"===t);return r}static _decodeText(e,t){if("latin1"===t)return Tughra._latin1Text(e);try{return new TextDecoder(t,{fatal:!0,ignoreBOM:!0}).decode(e)}catch(e){throw new TughraDecodeError(`The decrypted bytes are not valid ${t} text.`,"utf-8"===t?"INVALID_UTF8":"INVALID_CIPHERTEXT",{encoding:t})}}static _latin1Text(e){const t=[];for(let r=0;r<e.length;r+=8192)t.push(String.fromCharCode(...e.subarray(r,r+8192)));return t.join("")}static _latin1Bytes(e){const t=new Uint8Array(e.length);for(let r=0;r<e.length;r++){const a=e.charCodeAt(r);if(a>255)throw new TughraError("Text contains characters outside latin1 (U+0000 to U+00FF).","INVALID_ARGUMENT",{character:e[r]});t[r]=a}return t}static _concatBytes(...e){const t=new Uint8Array(e.reduce((e,t)=>e+t.length,0));let r=0;for(const a of e)t.set(a,r),r+=a.length;return t}static _fileHeader(e){const t=(new TextEncoder).encode(JSON.stringify(e)),r=new Uint8Array(7+t.length);return r.set((new TextEncoder).encode("TGHF")),r[4]=Tughra.FILE_FORMAT_VERSION,new DataView(r.buffer).setUint16(5,t.length),r.set(t,7),r}static _validHeaderCycles(e){return Number.isInteger(e)&&e>=1&&e<=Tughra.HEADER_LIMITS.cycles}static _parseFileHeader(e){if(e.length<7||"TGHF"!==(new TextDecoder).decode(e.subarray(0,4)))throw new TughraDecodeError("Invalid encrypted file: missing Tughra file signature.","INVALID_FILE");if(e[4]!==Tughra.FILE_FORMAT_VERSION)throw new TughraDecodeError(`Unsupported encrypted file version: ${e[4]}`,"UNSUPPORTED_VERSION",{format:"file",version:e[4]});const t=new DataView(e.buffer,e.byteOffset,e.length).getUint16(5);let r;try{r=JSON.parse((new TextDecoder).decode(e.subarray(7,7+t)))}catch(e){throw new TughraDecodeError("Invalid encrypted file: header is not valid JSON.","INVALID_FILE")}if(!Tughra._validHeaderCycles(r.cycles))throw new TughraDecodeError(`Invalid encrypted file: cycles must be a positive integer up to ${Tughra.HEADER_LIMITS.cycles}.`,"INVALID_FILE",{cycles:r.cycles});return{header:r,body:e.subarray(7+t)}}_processCycle(e,t){const r=this._definition();if(r.async)throw new TughraAlgorithmError(`${r.name} is asynchronous. Use processAsync() instead of process().`,"ASYNC_REQUIRED",{algorithm:r.name});return"encrypt"===t?r.encrypt.call(this,e,this):r.decrypt.call(this,e,this)}_modInverse(e,t){for(let r=1;r<t;r++)if(e*r%t===1)return r;return null}_encryptAffine(e){return e.split("").map(e=>{if(/[A-Za-z]/.test(e)){const t=e===e.toUpperCase()?65:97;return String.fromCharCode((this.a*(e.charCodeAt(0)-t)+this.b)%26+t)}return e}).join("")}_decryptAffine(e){const t=this._modInverse(this.a,26);return e.split("").map(e=>{if(/[A-Za-z]/.test(e)){const r=e===e.toUpperCase()?65:97;return String.fromCharCode((t*(e.charCodeAt(0)-r-this.b+26)%26+26)%26+r)}return e}).join("")}_encryptAffinePro(e,t=this.encryptionKey){return e.split("").map((e,r)=>{if(/[a-zA-Z]/.test(e)){const a=e===e.toUpperCase()?"A".charCodeAt(0):"a".charCodeAt(0),n=e.charCodeAt(0)-a,{a:s,b:i}=this._affineAt(t,r);return String.fromCharCode((s*n+i)%this.m+a)}return e}).join("")}_decryptAffinePro(e,t=this.encryptionKey){return e.split("").map((e,r)=>{if(/[a-zA-Z]/.test(e)){const a=e===e.toUpperCase()?"A".charCodeAt(0):"a".charCodeAt(0),n=e.charCodeAt(0)-a,{a:s,b:i}=this._affineAt(t,r),o=this._modInverse(s,this.m);return String.fromCharCode(o*(n-i+this.m)%this.m+a)}return e}).join("")}_affineAt(e,t){const r=e.length>0?e[t%e.length]:0,a=Tughra.AFFINE_MULTIPLIERS;return{a:a[(a.indexOf(this.a)+r)%a.length],b:(this.b+r)%this.m}}_encryptSubstitutionPro(e,t=this.encryptionKey){return e.split("").map((e,r)=>{if(!/[a-zA-Z]/.test(e))return e;const a=Tughra.ALPHABET.indexOf(e.toLowerCase()),n=t.length>0?t[r%t.length]:0,s=this.substitutionKey[Tughra.ALPHABET[(a+n)%26]];return e===e.toLowerCase()?s:s.toUpperCase()}).join("")}_decryptSubstitutionPro(e,t=this.encryptionKey){return e.split("").map((e,r)=>{if(!/[a-zA-Z]/.test(e))return e;const a=t.length>0?t[r%t.length]:0,n=Tughra.ALPHABET.indexOf(this.reverseSubstitutionKey[e.toLowerCase()]),s=Tughra.ALPHABET[(n-a%26+26)%26];return e===e.toLowerCase()?s:s.toUpperCase()}).join("")}_encryptROT13(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+13)%26+t)})}_decryptROT13(e){return this._encryptROT13(e)}_encryptROT18(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+18)%26+t)})}_decryptROT18(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+26-18)%26+t)})}_encryptROT25(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+25)%26+t)})}_decryptROT25(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+26-25)%26+t)})}_encryptROT30(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode((e.charCodeAt(0)-t+4)%26+t)})}_decryptROT30(e){return e.replace(/[A-Za-z]/g,e=>{const t=e<="Z"?"A".charCodeAt(0):"a".charCodeAt(0);return String.fromCharCode(((e.charCodeAt(0)-t+22)%26+26)%26+t)})}_encryptXORPro(e,t){return e.split("").map((e,r)=>String.fromCharCode(e.charCodeAt(0)^t.charCodeAt(r%t.length))).join("")}_decryptXORPro(e,t){return this._encryptXORPro(e,t)}_formatPreserving(e,t){const r=Array.from(e,e=>e.codePointAt(0));return this._fpe(r,Tughra._fpeClass,t).map(e=>String.fromCodePoint(e)).join("")}_fpe(e,t,r){const a=Tughra._hmacSha256Sync(this.encryptionKey),n=Tughra._tweakBytes(this.tweak),s=new Map;e.forEach((e,r)=>{const a=t(e);a&&a.alphabet.length>1&&(s.has(a)||s.set(a,[]),s.get(a).push(r))});const i=e.slice();return s.forEach((t,s)=>{const o=Math.ceil(t.length/Tughra.FPE_BLOCK);for(let h=0;h<o;h++){const c=t.slice(Math.floor(h*t.length/o),Math.floor((h+1)*t.length/o)),u=c.map(t=>s.index.get(e[t])),g=[s.name,h,n.length];Tughra._ff1(u,s.alphabet.length,a,g,n,r).forEach((e,t)=>{i[c[t]]=s.alphabet[e]})}}),i}static _ff1(e,t,r,a,n,s){const i=e.length,o=Math.floor(i/2),h=i-o,c=BigInt(t),u=new Map,g=e=>(u.has(e)||u.set(e,c**BigInt(e)),u.get(e)),l=Math.ceil(Math.ceil(h*Math.log2(t))/8),y=4*Math.ceil(l/4)+4,d=(new TextEncoder).encode(JSON.stringify(["tughra-fpe",t,i].concat(a))),p=(e,t)=>{const a=Tughra._radixValue(t,0,t.length,c,g).toString(16).padStart(2*l,"0"),s=new Uint8Array(d.length+n.length+1+l);s.set(d),s.set(n,d.length),s[d.length+n.length]=e;for(let e=0;e<l;e++)s[d.length+n.length+1+e]=parseInt(a.substr(2*e,2),16);let i="";for(let e=0;i.length<2*y;e++)i+=Array.from(r(Tughra._concatBytes(s,new Uint8Array([e]))),e=>e.toString(16).padStart(2,"0")).join("");return BigInt("0x"+i.slice(0,2*y))};let f=e.slice(0,o),m=e.slice(o);for(let e=0;e<10;e++){const t=s>0?e:9-e,r=t%2==0?o:h,a=g(r);if(s>0){const e=((Tughra._radixValue(f,0,f.length,c,g)+p(t,m))%a+a)%a;[f,m]=[m,Tughra._radixDigits(e,r,c,g)]}else{const e=((Tughra._radixValue(m,0,m.length,c,g)-p(t,f))%a+a)%a;[f,m]=[Tughra._radixDigits(e,r,c,g),f]}}return f.concat(m)}static _fpeClass(e){Tughra._fpeGroups||(Tughra._fpeGroups=(new TughraLibrary).unicodeGroups.slice().sort((e,t)=>e.end-e.start-(t.end-t.start)),Tughra._fpeClasses=new Map);const t=Tughra._fpeGroups.find(({start:t,end:r})=>e>=t&&e<=r),r=t&&Tughra.FPE_CATEGORIES.find(t=>Tughra._fpeCategory(e,t));if(!r)return null;let a=t.start,n=t.end;if("Nd"===r){let r=e;for(;r>t.start&&Tughra._fpeCategory(r-1,"Nd");)r--;a=r+10*Math.floor((e-r)/10),n=a+9}const s=`${t.name}:${r}:${a}`;if(!Tughra._fpeClasses.has(s)){const e=[];for(let t=a;t<=n;t++)Tughra._fpeCategory(t,r)&&e.push(t);Tughra._fpeClasses.set(s,{name:s,alphabet:e,index:new Map(e.map((e,t)=>[e,t]))})}return Tughra._fpeClasses.get(s)}static _fpeCategory(e,t){return Tughra._fpePatterns||(Tughra._fpePatterns=new Map(Tughra.FPE_CATEGORIES.map(e=>[e,new RegExp(`^\\p{${e}}$`,"u")]))),Tughra._fpePatterns.get(t).test(String.fromCodePoint(e))}static _hmacSha256Sync(e){const t=new Uint8Array(64);if(e.length>64){const r=TughraHash._createState("SHA-256");r.update(e),t.set(r.finish())}else t.set(e);const r=t.map(e=>54^e),a=t.map(e=>92^e);return e=>{const t=TughraHash._createState("SHA-256");t.update(r),t.update(e);const n=TughraHash._createState("SHA-256");return n.update(a),n.update(t.finish()),n.finish()}}static _tweakBytes(e){if("string"==typeof e)return Tughra._utf8Bytes(e);if(e instanceof Uint8Array)return e;throw new TughraError("tweak must be a string or a Uint8Array.","INVALID_ARGUMENT",{tweak:typeof e})}_TughraCodePoints(e,t){const r=this._codePointAlphabet,a=Array.from(this.keyOffsets,e=>e.codePointAt(0));return Array.from(e,(e,n)=>{const s=r.indexOf(e.codePointAt(0));if(-1===s)return e;const i=a[n%a.length]%r.size;return String.fromCodePoint(r.codePointAt((s+t*i+r.size)%r.size))}).join("")}static _normalizeCodePoints(e){if(!0===e)return{range:[32,1114111]};if("string"==typeof e.alphabet){const t=Array.from(new Set(e.alphabet));if(t.length<2)throw new TughraAlgorithmError("The code-point alphabet must contain at least two distinct characters.","INVALID_OPTIONS");if(t.some(e=>Tughra._isExcludedCodePoint(e.codePointAt(0))))throw new TughraAlgorithmError("The code-point alphabet must not contain surrogates or noncharacters.","INVALID_OPTIONS");return{alphabet:t.join("")}}const[t,r]=e.range||[];if(!Number.isInteger(t)||!Number.isInteger(r)||t<0||r>1114111||t>=r)throw new TughraAlgorithmError("The code-point range must be [start, end] with 0 <= start < end <= 0x10FFFF.","INVALID_OPTIONS");return{range:[t,r]}}static _isExcludedCodePoint(e){return e>=55296&&e<=57343||e>=64976&&e<=65007||!(65534&~e)}static _codePointAlphabet({alphabet:e,range:t}){if(void 0!==e){const t=Array.from(e,e=>e.codePointAt(0)),r=new Map(t.map((e,t)=>[e,t]));return{size:t.length,indexOf:e=>r.has(e)?r.get(e):-1,codePointAt:e=>t[e]}}const[r,a]=t,n=[[55296,57343],[64976,65007]];for(let e=0;e<=16;e++)n.push([65536*e+65534,65536*e+65535]);const s=n.map(([e,t])=>[Math.max(e,r),Math.min(t,a)]).filter(([e,t])=>e<=t).sort((e,t)=>e[0]-t[0]),i=s.reduce((e,[t,r])=>e+r-t+1,0);if(a-r+1-i<2)throw new TughraAlgorithmError("The code-point range must contain at least two usable code points.","INVALID_OPTIONS");return{size:a-r+1-i,indexOf:e=>{if(e<r||e>a||Tughra._isExcludedCodePoint(e))return-1;let t=e-r;for(const[r,a]of s)r<e&&(t-=a-r+1);return t},codePointAt:e=>{let t=r+e;for(const[e,r]of s)e<=t&&(t+=r-e+1);return t}}}_TughraEncrypt(e){if(this._codePointAlphabet)return this._TughraCodePoints(e,1);let t="";for(let r=0;r<e.length;r++){let a=e.charCodeAt(r),n=this.keyOffsets.charCodeAt(r%this.keyOffsets.length);t+=String.fromCharCode(a+n)}return t}_TughraDecrypt(e){if(this._codePointAlphabet)return this._TughraCodePoints(e,-1);let t="";for(let r=0;r<e.length;r++){let a=e.charCodeAt(r),n=this.keyOffsets.charCodeAt(r%this.keyOffsets.length);t+=String.fromCharCode(a-n)}return t}_caesarEncrypt(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)+this.keyShift)).join("")}_caesarDecrypt(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)-this.keyShift)).join("")}_vigenereEncrypt(e){const t=(new TextEncoder).encode(e).map((e,t)=>(e+this.encryptionKey[t%this.encryptionKey.length])%256);return this._arrayBufferToBase64(t)}_vigenereDecrypt(e){const t=this._base64ToArrayBuffer(e).map((e,t)=>(e-this.encryptionKey[t%this.encryptionKey.length]+256)%256);return(new TextDecoder).decode(Uint8Array.from(t))}_arrayBufferToBase64(e){return btoa(Tughra._latin1Text(Tughra._toBytesSync(e)))}static _atob(e){try{return atob(e)}catch(e){throw new TughraDecodeError("Invalid Base64 input.","INVALID_BASE64")}}_base64ToArrayBuffer(e){const t=Tughra._atob(e),r=new Uint8Array(t.length);for(let e=0;e<t.length;e++)r[e]=t.charCodeAt(e);return r}_xorEncrypt(e){if(!this.encryptionKey)throw new TughraKeyError("Encryption key is missing.","KEY_MISSING");const t=this._xorBytes(Tughra._utf8Bytes(e));return this._arrayBufferToBase64(t)}_xorDecrypt(e){const t=Tughra._latin1Bytes(Tughra._atob(e));return(new TextDecoder).decode(this._xorBytes(t))}static _webCrypto(){if("undefined"!=typeof globalThis&&globalThis.crypto&&globalThis.crypto.subtle)return globalThis.crypto;if("function"==typeof require)return require("crypto").webcrypto;throw new TughraAlgorithmError("WebCrypto is not available in this environment.","UNAVAILABLE")}async _aesGcmKey(){if(!this._aesKeyPromise){const e=Tughra._webCrypto().subtle;this._aesKeyPromise=e.digest("SHA-256",this.encryptionKey).then(t=>e.importKey("raw",t,{name:"AES-GCM"},!1,["encrypt","decrypt"]))}return this._aesKeyPromise}async _aesGcmEncrypt(e){return this._arrayBufferToBase64(await this._aesGcmEncryptBytes((new TextEncoder).encode(e)))}async _aesGcmDecrypt(e){let t;try{t=this._base64ToArrayBuffer(e)}catch(e){throw new TughraDecodeError("Invalid AES-GCM ciphertext: input is not valid Base64.","INVALID_BASE64")}return(new TextDecoder).decode(await this._aesGcmDecryptBytes(t))}async _aesGcmEncryptBytes(e){const t=Tughra._webCrypto(),r=t.getRandomValues(new Uint8Array(12)),a=await this._aesGcmKey(),n=new Uint8Array(await t.subtle.encrypt({name:"AES-GCM",iv:r},a,e)),s=new Uint8Array(r.length+n.length);return s.set(r),s.set(n,r.length),s}async _aesGcmDecryptBytes(e){if(e.length<28)throw new TughraDecodeError("Invalid AES-GCM ciphertext: input is too short.","INVALID_CIPHERTEXT");const t=await this._aesGcmKey();try{return new Uint8Array(await Tughra._webCrypto().subtle.decrypt({name:"AES-GCM",iv:e.slice(0,12)},t,e.slice(12)))}catch(e){throw new TughraIntegrityError("AES-GCM authentication failed: the key is wrong or the ciphertext has been tampered with.","corrupted")}}_encryptROT47(e){return e.replace(/[!-~]/g,e=>String.fromCharCode(33+(e.charCodeAt(0)+14)%94))}_decryptROT47(e){return this._encryptROT47(e)}_encryptAtbash(e){return e.replace(/[a-zA-Z]/g,e=>{const t=e<="Z"?65:97;return String.fromCharCode(t+(25-(e.charCodeAt(0)-t)))})}_decryptAtbash(e){return this._encryptAtbash(e)}_encryptSubstitution(e){return e.split("").map(e=>this.substitutionKey[e]||e).join("")}_decryptSubstitution(e){return e.split("").map(e=>this.reverseSubstitutionKey[e]||e).join("")}_encryptBase64(e){return this._arrayBufferToBase64(Tughra._utf8Bytes(e))}_decryptBase64(e){const t=new Uint8Array(this._base64ToArrayBuffer(e));try{return Tughra._decodeText(t,"utf-8")}catch(e){return Tughra._latin1Text(t)}}_encryptAsciiShift(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)+this.keyShift)).join("")}_decryptAsciiShift(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)-this.keyShift)).join("")}_encryptUnicodeShift(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)+this.keyShift)).join("")}_decryptUnicodeShift(e){return e.split("").map(e=>String.fromCharCode(e.charCodeAt(0)-this.keyShift)).join("")}_encryptNumeric(e){return e.split("").map(e=>e.charCodeAt(0)).join("-")}_decryptNumeric(e){return e.split("-").map(e=>String.fromCharCode(parseInt(e))).join("")}_encryptReversedCaesar(e){return e.replace(/[a-zA-Z]/g,e=>{const t=e<="Z"?65:97;return String.fromCharCode((25-(e.charCodeAt(0)-t)+this.keyShift)%26+t)})}_decryptReversedCaesar(e){return this._encryptReversedCaesar(e)}static _baseCodec(e){const t=Object.create(Tughra.prototype);return t.baseCharset=e||Tughra.DEFAULT_BASE_CHARSET,t.baseLibrary=t.baseEncodeDecode(t.baseCharset),t}toBase(e){return this.baseLibrary.encode("string"==typeof e?Tughra._utf8Bytes(e):Tughra._toBytesSync(e))}fromBase(e,t={}){const r=this.baseLibrary.decode(e);if(t.bytes)return r;try{return new TextDecoder("utf-8",{fatal:!0}).decode(r)}catch(e){throw new TughraDecodeError("Base decoding failed: the decoded bytes are not valid UTF-8.","INVALID_UTF8")}}baseEncodeDecode(e){const t=Object.prototype.hasOwnProperty.call(Tughra.BASE_PRESETS,e)?Tughra.BASE_PRESETS[e]:e,r=[...t];if(r.length<2)throw new TughraAlgorithmError("Base charset must contain at least two characters.","INVALID_OPTIONS",{baseCharset:e});if(new Set(r).size!==r.length)throw new TughraAlgorithmError("Base charset must not contain duplicate characters.","INVALID_OPTIONS",{baseCharset:e});return t===Tughra.BASE_PRESETS.Ascii85?Tughra._ascii85Codec():Number.isInteger(Math.log2(r.length))?Tughra._bitCodec(r,null):"="===r[r.length-1]&&Number.isInteger(Math.log2(r.length-1))?Tughra._bitCodec(r.slice(0,-1),"="):Tughra._radixCodec(r)}static _bitCodec(e,t){const r=Math.log2(e.length),a=new Map(e.map((e,t)=>[e,t]));let n=r;for(let e=8;e;)[n,e]=[e,n%e];const s=8/n;return{encode:a=>{let n="",i=0,o=0,h=0;for(let t=0;t<a.length;t++)for(o=o<<8|a[t],h+=8;h>=r;)h-=r,n+=e[o>>>h],o&=(1<<h)-1,i++;return h>0&&(n+=e[o<<r-h],i++),t&&(n+=t.repeat((s-i%s)%s)),n},decode:e=>{const n=[...e];let i=n.length;for(;t&&i>0&&n[i-1]===t;)i--;if(i<n.length&&(n.length-i>=s||n.length%s!==0))throw new TughraDecodeError("Invalid Base input: wrong padding.","INVALID_BASE");const o=new Uint8Array(Math.floor(i*r/8));let h=0,c=0,u=0;for(let e=0;e<i;e++){const t=a.get(n[e]);if(void 0===t)throw new TughraDecodeError(`Invalid Base character: "${n[e]}"`,"INVALID_BASE",{character:n[e]});for(c=c<<r|t,u+=r;u>=8;)u-=8,o[h++]=c>>>u,c&=(1<<u)-1}if(u>=r||0!==c)throw new TughraDecodeError("Invalid Base input: truncated or not canonically encoded.","INVALID_BASE");return o}}}static _radixCodec(e){const t=BigInt(e.length),r=new Map(e.map((e,t)=>[e,t])),a=new Map,n=e=>(a.has(e)||a.set(e,t**BigInt(e)),a.get(e));return{encode:r=>{let a=0;for(;a<r.length&&0===r[a];)a++;if(a===r.length)return e[0].repeat(a);const s=Array.from(r.subarray(a),e=>e.toString(16).padStart(2,"0")).join(""),i=Math.ceil(8*(r.length-a)/Math.log2(e.length))+1,o=Tughra._radixDigits(BigInt("0x"+s),i,t,n),h=o.findIndex(e=>0!==e);return e[0].repeat(a)+o.slice(h).map(t=>e[t]).join("")},decode:e=>{const a=[...e].map(e=>{const t=r.get(e);if(void 0===t)throw new TughraDecodeError(`Invalid Base character: "${e}"`,"INVALID_BASE",{character:e});return t});let s=0;for(;s<a.length&&0===a[s];)s++;if(s===a.length)return new Uint8Array(s);let i=Tughra._radixValue(a,s,a.length,t,n).toString(16);i.length%2&&(i="0"+i);const o=new Uint8Array(s+i.length/2);for(let e=0;e<i.length;e+=2)o[s+e/2]=parseInt(i.substr(e,2),16);return o}}}static _radixDigits(e,t,r,a,n=[]){if(t<=32){const a=n.length;n.length+=t,n.fill(0,a);for(let s=a+t-1;s>=a&&e>0n;s--)n[s]=Number(e%r),e/=r;return n}const s=t>>1;return Tughra._radixDigits(e/a(s),t-s,r,a,n),Tughra._radixDigits(e%a(s),s,r,a,n)}static _radixValue(e,t,r,a,n){if(r-t<=32){let n=0n;for(let s=t;s<r;s++)n=n*a+BigInt(e[s]);return n}const s=r-t>>1;return Tughra._radixValue(e,t,r-s,a,n)*n(s)+Tughra._radixValue(e,r-s,r,a,n)}static _ascii85Codec(){return{encode:e=>{let t="";for(let r=0;r<e.length;r+=4){const a=Math.min(4,e.length-r);let n=0;for(let t=0;t<4;t++)n=256*n+(t<a?e[r+t]:0);if(4===a&&0===n){t+="z";continue}const s=new Array(5);for(let e=4;e>=0;e--)s[e]=String.fromCharCode(33+n%85),n=Math.floor(n/85);t+=s.slice(0,a+1).join("")}return t},decode:e=>{const t=[],r=[],a=e=>{let a=0;for(let t=0;t<5;t++)a=85*a+(t<e?r[t]:84);if(a>4294967295)throw new TughraDecodeError("Invalid Base input: Ascii85 group out of range.","INVALID_BASE");for(let r=0;r<e-1;r++)t.push(a>>>24-8*r&255);r.length=0};for(const n of e){const e=n.charCodeAt(0);if(!/\s/.test(n))if("z"===n&&0===r.length)t.push(0,0,0,0);else{if(!(e>=33&&e<=117))throw new TughraDecodeError(`Invalid Base character: "${n}"`,"INVALID_BASE",{character:n});r.push(e-33),5===r.length&&a(5)}}if(1===r.length)throw new TughraDecodeError("Invalid Base input: truncated Ascii85 group.","INVALID_BASE");return r.length&&a(r.length),Uint8Array.from(t)}}}}Tughra.ALPHABET="abcdefghijklmnopqrstuvwxyz",Tughra.AFFINE_MULTIPLIERS=[1,3,5,7,9,11,15,17,19,21,23,25],Tughra.DEFAULT_BASE_CHARSET="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=",Tughra.BASE_PRESETS={Base16:"0123456789ABCDEF",Base32:"ABCDEFGHIJKLMNOPQRSTUVWXYZ234567=",Base32hex:"0123456789ABCDEFGHIJKLMNOPQRSTUV=",Base58:"123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz",Base64:Tughra.DEFAULT_BASE_CHARSET,Base64URL:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",Ascii85:Array.from({length:85},(e,t)=>String.fromCharCode(33+t)).join("")},Tughra.ENVELOPE_VERSION=1,Tughra.FILE_FORMAT_VERSION=1,Tughra.STREAM_FORMAT_VERSION=1,Tughra.FPE_BLOCK=32,Tughra.FPE_CATEGORIES=["Lu","Ll","Lt","Lm","Lo","Nd"],Tughra.HEADER_LIMITS={cycles:1e5},Tughra.YIELD_INTERVAL=16,Tughra.TEXT_ENCODINGS=["utf-8","utf-16le","utf-16be","latin1"],Tughra._algorithms=new Map,Tughra.registerAlgorithm("default",{label:"Tughra",requiresKey:!0,minKeyLength:0,encrypt(e){return this._TughraEncrypt(e)},decrypt(e){return this._TughraDecrypt(e)},encryptBytes(e){return this._TughraBytes(e,1)},decryptBytes(e){return this._TughraBytes(e,-1)}}),Tughra.registerAlgorithm("caesar",{positionIndependent:!0,label:"CAESAR",encrypt(e){return this._caesarEncrypt(e)},decrypt(e){return this._caesarDecrypt(e)},encryptBytes(e){return this._shiftBytes(e,1)},decryptBytes(e){return this._shiftBytes(e,-1)}}),Tughra.registerAlgorithm("xor",{label:"XOR",maxCycles:1,encrypt(e){return this._xorEncrypt(e)},decrypt(e){return this._xorDecrypt(e)},encryptBytes(e){return this._xorBytes(e)},decryptBytes(e){return this._xorBytes(e)}}),Tughra.registerAlgorithm("vigenere",{label:"Vigenere",encrypt(e){return this._vigenereEncrypt(e)},decrypt(e){return this._vigenereDecrypt(e)},encryptBytes(e){return this._vigenereBytes(e,1)},decryptBytes(e){return this._vigenereBytes(e,-1)}}),Tughra.registerAlgorithm("ROT47",{positionIndependent:!0,symmetric:!0,maxCycles:1,requiresKey:!1,encrypt(e){return this._encryptROT47(e)},decrypt(e){return this._decryptROT47(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptROT47)}}),Tughra.registerAlgorithm("Atbash",{positionIndependent:!0,symmetric:!0,requiresKey:!1,encrypt(e){return this._encryptAtbash(e)},decrypt(e){return this._decryptAtbash(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptAtbash)}}),Tughra.registerAlgorithm("Substitution",{positionIndependent:!0,requiresKey:!1,usesKey:!0,encrypt(e){return this._encryptSubstitution(e)},decrypt(e){return this._decryptSubstitution(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptSubstitution)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptSubstitution)}}),Tughra.registerAlgorithm("Base64",{requiresKey:!1,encrypt(e){return this._encryptBase64(e)},decrypt(e){return this._decryptBase64(e)},encryptBytes(e){return this._base64Bytes(e,1)},decryptBytes(e){return this._base64Bytes(e,-1)}}),Tughra.registerAlgorithm("ASCII",{positionIndependent:!0,label:"ASCII Shift",encrypt(e){return this._encryptAsciiShift(e)},decrypt(e){return this._decryptAsciiShift(e)},encryptBytes(e){return this._shiftBytes(e,1)},decryptBytes(e){return this._shiftBytes(e,-1)}}),Tughra.registerAlgorithm("Affine",{positionIndependent:!0,requiresKey:!1,usesKey:!0,encrypt(e){return this._encryptAffine(e)},decrypt(e){return this._decryptAffine(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptAffine)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptAffine)}}),Tughra.registerAlgorithm("Unicode Shift",{positionIndependent:!0,encrypt(e){return this._encryptUnicodeShift(e)},decrypt(e){return this._decryptUnicodeShift(e)},encryptBytes(e){return this._shiftBytes(e,1)},decryptBytes(e){return this._shiftBytes(e,-1)}}),Tughra.registerAlgorithm("Numeric",{requiresKey:!1,encrypt(e){return this._encryptNumeric(e)},decrypt(e){return this._decryptNumeric(e)},encryptBytes(e){return this._numericBytes(e,1)},decryptBytes(e){return this._numericBytes(e,-1)}}),Tughra.registerAlgorithm("Reversed Caesar",{positionIndependent:!0,encrypt(e){return this._encryptReversedCaesar(e)},decrypt(e){return this._decryptReversedCaesar(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptReversedCaesar)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptReversedCaesar)}}),Tughra.registerAlgorithm("ROT13",{positionIndependent:!0,symmetric:!0,maxCycles:1,requiresKey:!1,encrypt(e){return this._encryptROT13(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptROT13)}}),Tughra.registerAlgorithm("ROT18",{positionIndependent:!0,requiresKey:!1,encrypt(e){return this._encryptROT18(e)},decrypt(e){return this._decryptROT18(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptROT18)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptROT18)}}),Tughra.registerAlgorithm("ROT25",{positionIndependent:!0,requiresKey:!1,encrypt(e){return this._encryptROT25(e)},decrypt(e){return this._decryptROT25(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptROT25)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptROT25)}}),Tughra.registerAlgorithm("ROT30",{positionIndependent:!0,requiresKey:!1,encrypt(e){return this._encryptROT30(e)},decrypt(e){return this._decryptROT30(e)},encryptBytes(e){return this._latin1CipherBytes(e,this._encryptROT30)},decryptBytes(e){return this._latin1CipherBytes(e,this._decryptROT30)}}),Tughra.registerAlgorithm("XOR Pro",{symmetric:!0,encrypt(e){return this._encryptXORPro(e,this.keyOffsets)},encryptBytes(e){return this._xorProBytes(e)}}),Tughra.registerAlgorithm("Affine Pro",{encrypt(e){return this._encryptAffinePro(e,this.encryptionKey)},decrypt(e){return this._decryptAffinePro(e,this.encryptionKey)},encryptBytes(e){return this._latin1CipherBytes(e,e=>this._encryptAffinePro(e,this.encryptionKey))},decryptBytes(e){return this._latin1CipherBytes(e,e=>this._decryptAffinePro(e,this.encryptionKey))}}),Tughra.registerAlgorithm("Substitution Pro",{encrypt(e){return this._encryptSubstitutionPro(e,this.encryptionKey)},decrypt(e){return this._decryptSubstitutionPro(e,this.encryptionKey)},encryptBytes(e){return this._latin1CipherBytes(e,e=>this._encryptSubstitutionPro(e,this.encryptionKey))},decryptBytes(e){return this._latin1CipherBytes(e,e=>this._decryptSubstitutionPro(e,this.encryptionKey))}}),Tughra.registerAlgorithm("Format Preserving",{encrypt(e){return this._formatPreserving(e,1)},decrypt(e){return this._formatPreserving(e,-1)},encryptBytes(e){return this._formatPreservingBytes(e,1)},decryptBytes(e){return this._formatPreservingBytes(e,-1)}}),Tughra.registerAlgorithm("AES-GCM",{async:!0,maxCycles:1,encrypt(e){return this._aesGcmEncrypt(e)},decrypt(e){return this._aesGcmDecrypt(e)},encryptBytes(e){return this._aesGcmEncryptBytes(e)},decryptBytes(e){return this._aesGcmDecryptBytes(e)}});class TughraLibrary{constructor(){this.unicodeGroups=[{name:"Numbers",start:48,end:57},{name:"Lowercase English",start:97,end:122},{name:"Uppercase English",start:65,end:90},{name:"Basic Latin",start:33,end:127},{name:"Latin-1 Supplement",start:128,end:255},{name:"Latin Extended-A",start:256,end:383},{name:"Latin Extended-B",start:384,end:591},{name:"IPA Extensions",start:592,end:687},{name:"Greek and Coptic",start:880,end:1023},{name:"Cyrillic",start:1024,end:1279},{name:"Arabic",start:1536,end:1791},{name:"Hebrew",start:1424,end:1535},{name:"Devanagari",start:2304,end:2431},{name:"Bengali",start:2432,end:2559},{name:"Gurmukhi",start:2560,end:2687},{name:"Gujarati",start:2688,end:2815},{name:"Oriya",start:2816,end:2943},{name:"Tamil",start:2944,end:3071},{name:"Telugu",start:3072,end:3199},{name:"Kannada",start:3200,end:3327},{name:"Malayalam",start:3328,end:3455},{name:"Thai",start:3584,end:3711},{name:"Lao",start:3712,end:3839},{name:"Tibetan",start:3840,end:4095},{name:"Georgian",start:4256,end:4351},{name:"Hangul Jamo",start:4352,end:4607},{name:"Latin Extended Additional",start:7680,end:7935},{name:"Greek Extended",start:7936,end:8191},{name:"General Punctuation",start:8192,end:8303},{name:"Superscripts and Subscripts",start:8304,end:8351},{name:"Currency Symbols",start:8352,end:8399},{name:"Combining Diacritical Marks",start:8400,end:8447},{name:"Letterlike Symbols",start:8448,end:8527},{name:"Number Forms",start:8528,end:8591},{name:"Arrows",start:8592,end:8703},{name:"Mathematical Operators",start:8704,end:8959},{name:"Miscellaneous Technical",start:8960,end:9215},{name:"Control Pictures",start:9216,end:9279},{name:"Optical Character Recognition",start:9280,end:9311},{name:"Enclosed Alphanumerics",start:9312,end:9471},{name:"Box Drawing",start:9472,end:9599},{name:"Block Elements",start:9600,end:9631},{name:"Geometric Shapes",start:9632,end:9727},{name:"Miscellaneous Symbols",start:9728,end:9983},{name:"Dingbats",start:9984,end:10175},{name:"Braille Patterns",start:10240,end:10495},{name:"CJK Symbols and Punctuation",start:12288,end:12351},{name:"Hiragana",start:12352,end:12447},{name:"Katakana",start:12448,end:12543},{name:"Bopomofo",start:12544,end:12591},{name:"Hangul Compatibility Jamo",start:12592,end:12687},{name:"Phonetic Extensions",start:12704,end:12735},{name:"Enclosed CJK Letters and Months",start:12800,end:13055},{name:"CJK Compatibility",start:13056,end:13311},{name:"CJK Unified Ideographs",start:19968,end:40959},{name:"Hangul Syllables",start:44032,end:55215},{name:"Private Use Area",start:57344,end:63743},{name:"CJK Compatibility Ideographs",start:63744,end:64255},{name:"Alphabetic Presentation Forms",start:64256,end:64335},{name:"Arabic Presentation Forms-A",start:64336,end:65023},{name:"Variation Selectors",start:65024,end:65039},{name:"Combining Half Marks",start:65056,end:65071},{name:"CJK Compatibility Forms",start:65072,end:65103},{name:"Small Form Variants",start:65104,end:65135},{name:"Arabic Presentation Forms-B",start:65136,end:65279},{name:"Halfwidth and Fullwidth Forms",start:65280,end:65519},{name:"Specials",start:65520,end:65535},{name:"Linear B Syllabary",start:65536,end:65663},{name:"Linear B Ideograms",start:65664,end:65791},{name:"Aegean Numbers",start:65792,end:65855},{name:"Ancient Greek Numbers",start:65856,end:65935},{name:"Ancient Symbols",start:65936,end:65999},{name:"Phaistos Disc",start:66e3,end:66047},{name:"Lycian",start:66176,end:66207},{name:"Carian",start:66208,end:66271},{name:"Coptic Epact Numbers",start:66272,end:66303},{name:"Old Italic",start:66304,end:66351},{name:"Gothic",start:66352,end:66383},{name:"Old Permic",start:66384,end:66431},{name:"Ugaritic",start:66432,end:66463},{name:"Old Persian",start:66464,end:66527},{name:"Deseret",start:66560,end:66639},{name:"Shavian",start:66640,end:66687},{name:"Osmanya",start:66688,end:66735},{name:"Cypriot Syllabary",start:67584,end:67647},{name:"Imperial Aramaic",start:67648,end:67679},{name:"Phoenician",start:67840,end:67871},{name:"Lydian",start:67872,end:67903},{name:"Meroitic Hieroglyphs",start:67968,end:67999},{name:"Meroitic Cursive",start:68e3,end:68095},{name:"Kharoshthi",start:68096,end:68191},{name:"Old South Arabian",start:68192,end:68223},{name:"Avestan",start:68352,end:68415},{name:"Inscriptional Parthian",start:68416,end:68447},{name:"Inscriptional Pahlavi",start:68448,end:68479},{name:"Old Turkic",start:68480,end:68511},{name:"Rumi Numeral Symbols",start:68512,end:68543},{name:"Brahmi",start:69632,end:69703},{name:"Kaithi",start:69728,end:69791},{name:"Sora Sompeng",start:69840,end:69863},{name:"Chakma",start:69984,end:70079},{name:"Sharada",start:70080,end:70143},{name:"Takri",start:70144,end:70239},{name:"Mahajani",start:70240,end:70271},{name:"Mandaic",start:70272,end:70335},{name:"Ahlat",start:70336,end:70383},{name:"Miao",start:70384,end:70431},{name:"Arabic Mathematical Alphabetic Symbols",start:70464,end:70495},{name:"CJK Compatibility Ideographs Extension A",start:108224,end:108455},{name:"CJK Compatibility Ideographs Extension B",start:110576,end:110751},{name:"CJK Compatibility Ideographs Extension C",start:110752,end:110855},{name:"CJK Compatibility Ideographs Extension D",start:110856,end:110879},{name:"CJK Compatibility Ideographs Extension E",start:110880,end:110999},{name:"CJK Compatibility Ideographs Extension F",start:111040,end:111411}]}_formatSize(e){const t=["bytes","KB","MB","GB","TB"];let r=0;for(;e>=1024&&r<t.length-1;)e/=1024,r++;return`${e.toFixed(2)} ${t[r]}`}_calculateStats(e){let t,r="text/plain";if(e instanceof Blob)t=e.text(),r=e.type;else{if("string"==typeof e&&e.startsWith("data:")){const[a,n]=e.split(",");r=a.match(/:(.*?);/)[1];const s=atob(n);t=s;const i=new Blob([s],{type:r});return{characters:s.length,words:s.trim().split(/\s+/).filter(Boolean).length,lines:s.split(/\r\n|\r|\n/).length,size:i.size,type:r,isBlob:!1,isDataURI:!0}}t=e}const a=new Blob([t],{type:r}).size,n=t.trim().split(/\s+/).filter(Boolean).length,s=t.split(/\r\n|\r|\n/).length;return{characters:t.length,words:n,lines:s,size:a,type:r,isBlob:e instanceof Blob,isDataURI:!1}}detectLanguage(e){const t={};this.unicodeGroups.forEach(e=>{t[e.name]=0});for(let r of e){const e=r.charCodeAt(0);for(let r of this.unicodeGroups)if(e>=r.start&&e<=r.end){t[r.name]++;break}}let r=null,a=0;for(let e in t)t[e]>a&&(a=t[e],r=e);return r}getUnicodeGroups(){return this.unicodeGroups}generateKey(e,t,r={}){return this.generateKeyDetails(e,t,r).characters}generateKeyDetails(e,t,{weightBySize:r=!1}={}){const a=Number(e);if(!Number.isInteger(a)||a<1)throw new TughraError("Key length must be a positive integer.","INVALID_ARGUMENT");const n=t.split(",").map(e=>{const t=e.trim(),r=this.unicodeGroups.find(e=>e.name===t);if(!r)throw new TughraError(`Invalid Unicode group name: ${t}`,"INVALID_ARGUMENT",{group:t});const a=this._usableCodePoints(r);if(0===a.length)throw new TughraError(`Unicode group ${t} has no assigned characters.`,"INVALID_ARGUMENT",{group:t});return{name:r.name,codePoints:a}}),s=n.reduce((e,t)=>e+t.codePoints.length,0),i=n.map(e=>r?e.codePoints.length/s:1/n.length),o=[];for(let e=0;e<a;e++){let e;if(r){let t=TughraLibrary._randomInt(s);e=n.find(e=>(t-=e.codePoints.length)<0),o.push(String.fromCodePoint(e.codePoints[t+e.codePoints.length]));continue}e=n[TughraLibrary._randomInt(n.length)],o.push(String.fromCodePoint(e.codePoints[TughraLibrary._randomInt(e.codePoints.length)]))}const h=new Map;n.forEach((e,t)=>{const r=i[t]/e.codePoints.length;e.codePoints.forEach(e=>h.set(e,(h.get(e)||0)+r))});let c=0;return h.forEach(e=>{c-=e*Math.log2(e)}),{key:o.join(""),characters:o,groups:n.map(e=>e.name),entropyPerCharacter:c,entropy:c*a}}async keyFingerprint(e,{salt:t=TughraLibrary.FINGERPRINT_SALT}={}){return TughraLibrary._formatFingerprint(await TughraLibrary._fingerprintBits(e,t,10))}static async _fingerprintBits(e,t,r){const a="string"==typeof t?(new TextEncoder).encode(t):t;return TughraKDF._pbkdf2((new TextEncoder).encode(e),a,TughraLibrary.FINGERPRINT_ITERATIONS,r)}static async _publicKeyFingerprint(e){const t=(new TextEncoder).encode("tughra-key:"+e);return TughraLibrary._formatFingerprint(new Uint8Array(await Tughra._webCrypto().subtle.digest("SHA-256",t)))}static _formatFingerprint(e){return Array.from(e.slice(0,10),e=>e.toString(16).padStart(2,"0")).join("").toUpperCase().match(/.{4}/g).join(" ")}static async _keyFileTag(e,t){const r=await TughraLibrary._fingerprintBits(e,Tughra.prototype._base64ToArrayBuffer(t.salt),32),a=(new TextEncoder).encode(JSON.stringify([t.tughraKey,t.algorithm,t.groups,t.created,t.salt,t.fingerprint]));return Tughra.prototype._arrayBufferToBase64(Tughra._hmacSha256Sync(r)(a))}async exportKey(e,{groups:t=[],algorithm:r="default",created:a=new Date,format:n="armored"}={}){if("string"!=typeof e||0===e.length)throw new TughraKeyError("Only a non-empty key can be exported.","KEY_MISSING");const s={tughraKey:TughraLibrary.KEY_FILE_VERSION,algorithm:r,groups:Array.isArray(t)?t:t.split(",").map(e=>e.trim()).filter(Boolean),created:new Date(a).toISOString(),salt:Tughra.prototype._arrayBufferToBase64(TughraKDF.generateSalt()),fingerprint:await this.keyFingerprint(e)};if(s.mac=await TughraLibrary._keyFileTag(e,s),s.key=Tughra.prototype._arrayBufferToBase64((new TextEncoder).encode(e)),"json"===n)return JSON.stringify(s,null,2);if("armored"!==n)throw new TughraError(`Unknown key file format: ${n}`,"INVALID_ARGUMENT",{format:n});return[TughraLibrary.KEY_ARMOR_BEGIN,`Version: ${s.tughraKey}`,`Algorithm: ${s.algorithm}`,`Groups: ${s.groups.join(", ")}`,`Created: ${s.created}`,`Salt: ${s.salt}`,`Fingerprint: ${s.fingerprint}`,`MAC: ${s.mac}`,"",...s.key.match(/.{1,64}/g),TughraLibrary.KEY_ARMOR_END].join("\n")+"\n"}async importKey(e){const t=TughraLibrary._parseKeyFile(String(e));let r;try{r=new TextDecoder("utf-8",{fatal:!0}).decode(Tughra.prototype._base64ToArrayBuffer(t.key))}catch(e){throw new TughraIntegrityError("Invalid key file: the key material is damaged.","corrupted")}if(!Tughra._constantTimeEqual(await this.keyFingerprint(r),t.fingerprint))throw new TughraIntegrityError("Invalid key file: the key does not match its fingerprint.","corrupted");if(!Tughra._constantTimeEqual(await TughraLibrary._keyFileTag(r,t),t.mac))throw new TughraIntegrityError("Invalid key file: the algorithm, groups or creation date were changed.","corrupted");return{key:r,algorithm:t.algorithm,groups:t.groups,created:t.created,fingerprint:t.fingerprint}}static _parseKeyFile(e){let t;const r=e.trim();if(r.startsWith(TughraLibrary.KEY_ARMOR_BEGIN)){const e=r.indexOf(TughraLibrary.KEY_ARMOR_END);if(-1===e)throw new TughraDecodeError("Invalid key file: the END line is missing.","INVALID_KEY_FILE");const a=r.slice(TughraLibrary.KEY_ARMOR_BEGIN.length,e).split(/\r?\n/).map(e=>e.trim()),n={};let s="";a.forEach(e=>{const t=e.match(/^([A-Za-z]+):\s*(.*)$/);t?n[t[1].toLowerCase()]=t[2]:s+=e}),t={tughraKey:Number(n.version),algorithm:n.algorithm,groups:n.groups?n.groups.split(",").map(e=>e.trim()).filter(Boolean):[],created:n.created,salt:n.salt,fingerprint:n.fingerprint,mac:n.mac,key:s}}else try{t=JSON.parse(r)}catch(e){throw new TughraDecodeError("Invalid key file: expected armored text or JSON.","INVALID_KEY_FILE")}if(!t||t.tughraKey!==TughraLibrary.KEY_FILE_VERSION)throw new TughraDecodeError("Invalid key file: unsupported or missing version.","UNSUPPORTED_VERSION",{format:"key file",version:t&&t.tughraKey});if("string"!=typeof t.key||!/^[A-Za-z0-9+/]+={0,2}$/.test(t.key))throw new TughraDecodeError("Invalid key file: the key material is missing or not Base64.","INVALID_KEY_FILE");if("string"!=typeof t.fingerprint||!/^([0-9A-F]{4} ){4}[0-9A-F]{4}$/.test(t.fingerprint))throw new TughraDecodeError("Invalid key file: the fingerprint is missing or malformed.","INVALID_KEY_FILE");if("string"!=typeof t.salt||!/^[A-Za-z0-9+/]+={0,2}$/.test(t.salt)||"string"!=typeof t.mac||!/^[A-Za-z0-9+/]+={0,2}$/.test(t.mac))throw new TughraDecodeError("Invalid key file: the salt or tag is missing or not Base64.","INVALID_KEY_FILE");if("string"!=typeof t.algorithm||!Array.isArray(t.groups)||Number.isNaN(Date.parse(t.created)))throw new TughraDecodeError("Invalid key file: algorithm, groups or creation date are invalid.","INVALID_KEY_FILE");return t}_usableCodePoints(e){if(this._codePointCache||(this._codePointCache=new Map),!this._codePointCache.has(e.name)){const t=[];for(let r=e.start;r<=e.end;r++)/[\p{Cn}\p{Cc}\p{Cs}]/u.test(String.fromCodePoint(r))||t.push(r);this._codePointCache.set(e.name,Uint32Array.from(t))}return this._codePointCache.get(e.name)}static _randomInt(e){const t=Math.floor(4294967296/e)*e,r=new Uint32Array(1);do{Tughra._webCrypto().getRandomValues(r)}while(r[0]>=t);return r[0]%e}displayCharacters(e){const t=this.unicodeGroups.find(t=>t.name===e);if(!t)throw new TughraError(`Invalid Unicode group name: ${e}`,"INVALID_ARGUMENT",{group:e});let r="";for(let e=t.start;e<=t.end;e++)r+=String.fromCodePoint(e);return r}estimateKeyStrength(e){const t=Array.from(e||""),r=t.map(e=>e.toLowerCase()),a=new Map;t.forEach(e=>{const t=this._smallestGroup(e.codePointAt(0));a.set(t.name,t.size)});const n=Array.from(a.values()).reduce((e,t)=>e+t,0),s=n>1?Math.log2(n):0,i=new Set,o=t.map(e=>{const t=i.has(e);return i.add(e),t?1:s}),h=t.length-i.size,c=[],u=(e,r,a,n)=>{o.slice(r,r+a).every(e=>0===e)||(c.push({type:e,text:t.slice(r,r+a).join("")}),o.fill(0,r,r+a),o[r]=Math.log2(n))},g=e=>{const t=new Map;let r=0;return e.forEach((e,a)=>{t.set(r,a),r+=e.length}),t.set(r,e.length),t},l=(e,t,r,a,n)=>{const s=t.get(r),i=t.get(r+a);void 0!==s&&void 0!==i&&u(e,s,i-s,n)},y=r.map(e=>TughraLibrary.LEET[e]||e),d=y.join(""),p=g(y);TughraLibrary.COMMON_WORDS.slice().sort((e,t)=>t.length-e.length).forEach(e=>{for(let t=d.indexOf(e);-1!==t;t=d.indexOf(e,t+1))l("dictionary",p,t,e.length,TughraLibrary.COMMON_WORDS.length)});for(let e=0;e+3<=r.length;e++){let t=0;for(const a of TughraLibrary.SEQUENCES)for(const n of[a,a.split("").reverse().join("")]){let a=0;for(;e+a<r.length&&n.includes(r.slice(e,e+a+1).join(""));)a++;t=Math.max(t,a)}t>=3&&(u("sequence",e,t,2*TughraLibrary.SEQUENCES.join("").length),e+=t-1)}const f=g(r);for(const e of r.join("").matchAll(/(?:19|20)\d\d/g))l("year",f,e.index,4,200);const m=o.reduce((e,t)=>e+t,0),T=TughraLibrary.STRENGTH_LEVELS.filter(e=>m>=e.bits).length-1,_=[],E=[];return t.length<12&&E.push("Use at least 12 characters."),h>0&&(_.push(`${h} repeated character${1===h?" is":"s are"} removed by the Tughra cipher, which only uses each character once.`),E.push("Avoid repeating characters.")),c.forEach(e=>{_.push(`Contains a ${"dictionary"===e.type?"common word":"sequence"===e.type?"predictable sequence":"year"}: "${e.text}".`)}),c.length>0&&E.push("Avoid common words, keyboard or alphabet sequences and dates."),[["Lowercase English","Add lowercase letters."],["Uppercase English","Add uppercase letters."],["Numbers","Add digits."]].forEach(([e,t])=>{a.has(e)||E.push(t)}),Array.from(a.keys()).every(e=>["Lowercase English","Uppercase English","Numbers"].includes(e))&&E.push("Add symbols or characters from another script."),{length:t.length,uniqueCharacters:i.size,groups:Array.from(a.keys()),poolSize:n,entropy:Math.round(10*m)/10,score:T,label:TughraLibrary.STRENGTH_LEVELS[Math.max(T,0)].label,repeats:h,patterns:c,warnings:_,suggestions:E}}checkKeyPolicy(e,t){const r="string"==typeof t?TughraLibrary.KEY_POLICIES[t]:t;if(!r)throw new TughraError(`Unknown key policy: ${t}`,"INVALID_ARGUMENT",{policy:t});const a=this.estimateKeyStrength(e),n=[];return void 0!==r.minLength&&a.length<r.minLength&&n.push(`Key must be at least ${r.minLength} characters long.`),void 0!==r.minEntropy&&a.entropy<r.minEntropy&&n.push(`Key entropy is ${a.entropy} bits, at least ${r.minEntropy} bits are required.`),(r.requiredGroups||[]).forEach(e=>{a.groups.includes(e)||n.push(`Key must contain characters from ${e}.`)}),!1===r.allowRepeats&&a.repeats>0&&n.push("Key must not repeat characters."),!1===r.allowPatterns&&a.patterns.length>0&&n.push("Key must not contain common words, sequences or years."),{valid:0===n.length,failures:n,strength:a}}_smallestGroup(e){return this._groupSizes||(this._groupSizes=this.unicodeGroups.map(e=>({name:e.name,start:e.start,end:e.end,size:this.unicodeGroups.reduce((t,r)=>r!==e&&r.start>=e.start&&r.end<=e.end?t-(r.end-r.start+1):t,e.end-e.start+1)})).sort((e,t)=>e.end-e.start-(t.end-t.start))),this._groupSizes.find(t=>e>=t.start&&e<=t.end)||{name:"Other",size:100}}}TughraLibrary.STRENGTH_LEVELS=[{bits:-1/0,label:"very weak"},{bits:28,label:"weak"},{bits:36,label:"fair"},{bits:60,label:"strong"},{bits:128,label:"very strong"}],TughraLibrary.KEY_FILE_VERSION=1,TughraLibrary.KEY_ARMOR_BEGIN="-----BEGIN TUGHRA KEY-----",TughraLibrary.KEY_ARMOR_END="-----END TUGHRA KEY-----",TughraLibrary.FINGERPRINT_ITERATIONS=1e5,TughraLibrary.FINGERPRINT_SALT="tughra-key-fingerprint",TughraLibrary.KEY_POLICIES={basic:{minLength:8},moderate:{minLength:12,minEntropy:50,allowPatterns:!1},strict:{minLength:16,minEntropy:80,requiredGroups:["Lowercase English","Uppercase English","Numbers"],allowRepeats:!1,allowPatterns:!1}},TughraLibrary.SEQUENCES=["abcdefghijklmnopqrstuvwxyz","01234567890","qwertyuiop","asdfghjkl","zxcvbnm"],TughraLibrary.COMMON_WORDS=["password","passwort","secret","letmein","welcome","admin","login","master","monkey","dragon","shadow","sunshine","princess","football","baseball","superman","batman","trustno","iloveyou","hello","freedom","whatever","qazwsx","access","starwars","computer","michael","charlie","summer","winter","tughra","love"],TughraLibrary.LEET={0:"o",1:"i",3:"e",4:"a",5:"s",7:"t","@":"a",$:"s","!":"i"};class TughraError extends Error{constructor(e,t="INVALID_ARGUMENT",r=void 0){super(e),this.name="TughraError",this.code=t,void 0!==r&&(this.details=r)}toJSON(){return{name:this.name,code:this.code,message:this.message,details:this.details,reason:this.reason}}static fromJSON(e){if("TughraIntegrityError"===e.name)return new TughraIntegrityError(e.message,e.reason,e.details);const t={TughraError:TughraError,TughraKeyError:TughraKeyError,TughraDecodeError:TughraDecodeError,TughraAlgorithmError:TughraAlgorithmError}[e.name];return t?new t(e.message,e.code,e.details):Object.assign(new Error(e.message),{name:e.name||"Error"},void 0!==e.code?{code:e.code}:{})}}class TughraKeyError extends TughraError{constructor(e,t="KEY_INVALID",r=void 0){super(e,t,r),this.name="TughraKeyError"}}class TughraDecodeError extends TughraError{constructor(e,t="INVALID_CIPHERTEXT",r=void 0){super(e,t,r),this.name="TughraDecodeError"}}class TughraAlgorithmError extends TughraError{constructor(e,t="UNKNOWN_ALGORITHM",r=void 0){super(e,t,r),this.name="TughraAlgorithmError"}}class TughraIntegrityError extends TughraError{constructor(e,t,r=void 0){super(e,"wrong-key"===t?"INTEGRITY_WRONG_KEY":"INTEGRITY_CORRUPTED",r),this.name="TughraIntegrityError",this.reason=t}}TughraError.CODES={TughraError:["INVALID_ARGUMENT","INVALID_STATE"],TughraKeyError:["KEY_INVALID","KEY_MISSING","KEY_TOO_SHORT","KEY_POLICY","KEY_NOT_DERIVED","KEY_PARAMETER_INVALID","KEY_PAIR_INVALID","PUBLIC_KEY_INVALID"],TughraDecodeError:["INVALID_BASE","INVALID_BASE64","INVALID_UTF8","INVALID_CIPHERTEXT","DECRYPTION_FAILED","INVALID_ENVELOPE","INVALID_FILE","INVALID_STREAM","INVALID_KEY_FILE","INVALID_SIGNED_MESSAGE","INVALID_RECIPE","UNSUPPORTED_VERSION"],TughraAlgorithmError:["UNKNOWN_ALGORITHM","INVALID_DEFINITION","INVALID_OPTIONS","BINARY_UNSUPPORTED","ASYNC_REQUIRED","ALGORITHM_MISMATCH","UNAVAILABLE","LIMIT_EXCEEDED"],TughraIntegrityError:["INTEGRITY_WRONG_KEY","INTEGRITY_CORRUPTED"]};class TughraKDF{static normalize(e){const t=e.algorithm||"PBKDF2",r=e.length||32;if("PBKDF2"===t){const a=e.iterations||6e5;if(!Number.isInteger(a)||a<1)throw new TughraAlgorithmError("PBKDF2 iterations must be a positive integer.","INVALID_OPTIONS");return{algorithm:t,hash:e.hash||"SHA-256",iterations:a,length:r}}if("scrypt"===t){const a=e.N||16384,n=e.r||8,s=e.p||1;if(!Number.isInteger(a)||a<2||a&a-1)throw new TughraAlgorithmError("scrypt N must be a power of two greater than 1.","INVALID_OPTIONS");if(!Number.isInteger(n)||n<1||!Number.isInteger(s)||s<1)throw new TughraAlgorithmError("scrypt r and p must be positive integers.","INVALID_OPTIONS");return{algorithm:t,N:a,r:n,p:s,length:r}}throw new TughraAlgorithmError(`Unsupported key derivation algorithm: ${t}`,"UNKNOWN_ALGORITHM",{algorithm:t})}static checkLimits(e,t={}){const r=TughraKDF.normalize(e),a=Object.assign({},TughraKDF.LIMITS,t),n="scrypt"===r.algorithm?{N:r.N,r:r.r,p:r.p,memory:128*r.N*r.r,length:r.length}:{iterations:r.iterations,length:r.length};for(const[e,t]of Object.entries(n))if(t>a[e])throw new TughraAlgorithmError(`Key derivation parameter ${e} (${t}) exceeds the limit of ${a[e]}. Pass kdfLimits to raise it.`,"LIMIT_EXCEEDED",{parameter:e,value:t,limit:a[e]});return r}static generateSalt(e=16){return Tughra._webCrypto().getRandomValues(new Uint8Array(e))}static async derive(e,t,r){const a=TughraKDF.normalize(r||{}),n="string"==typeof e?(new TextEncoder).encode(e):e;return"scrypt"===a.algorithm?TughraKDF._scrypt(n,t,a.N,a.r,a.p,a.length):TughraKDF._pbkdf2(n,t,a.iterations,a.length,a.hash)}static async _pbkdf2(e,t,r,a,n="SHA-256"){const s=Tughra._webCrypto().subtle,i=await s.importKey("raw",e,"PBKDF2",!1,["deriveBits"]),o=await s.deriveBits({name:"PBKDF2",salt:t,iterations:r,hash:n},i,8*a);return new Uint8Array(o)}static async _scrypt(e,t,r,a,n,s){const i=128*a,o=await TughraKDF._pbkdf2(e,t,1,n*i);for(let e=0;e<n;e++){const t=o.subarray(e*i,(e+1)*i),n=new Uint32Array(32*a);for(let e=0;e<n.length;e++)n[e]=t[4*e]|t[4*e+1]<<8|t[4*e+2]<<16|t[4*e+3]<<24;TughraKDF._roMix(n,r,a);for(let e=0;e<n.length;e++)t[4*e]=255&n[e],t[4*e+1]=n[e]>>>8&255,t[4*e+2]=n[e]>>>16&255,t[4*e+3]=n[e]>>>24}return TughraKDF._pbkdf2(e,o,1,s)}static _roMix(e,t,r){const a=32*r,n=new Uint32Array(a*t),s=new Uint32Array(a);for(let i=0;i<t;i++)n.set(e,i*a),TughraKDF._blockMix(e,s,r);for(let i=0;i<t;i++){const i=e[16*(2*r-1)]&t-1;for(let t=0;t<a;t++)e[t]^=n[i*a+t];TughraKDF._blockMix(e,s,r)}}static _blockMix(e,t,r){const a=e.slice(16*(2*r-1),2*r*16);for(let n=0;n<2*r;n++){for(let t=0;t<16;t++)a[t]^=e[16*n+t];TughraKDF._salsa20_8(a),t.set(a,16*n)}for(let a=0;a<r;a++)e.set(t.subarray(2*a*16,2*a*16+16),16*a),e.set(t.subarray(16*(2*a+1),16*(2*a+1)+16),16*(r+a))}static _salsa20_8(e){const t=e.slice(),r=(e,t)=>e<<t|e>>>32-t;for(let e=0;e<8;e+=2)t[4]^=r(t[0]+t[12],7),t[8]^=r(t[4]+t[0],9),t[12]^=r(t[8]+t[4],13),t[0]^=r(t[12]+t[8],18),t[9]^=r(t[5]+t[1],7),t[13]^=r(t[9]+t[5],9),t[1]^=r(t[13]+t[9],13),t[5]^=r(t[1]+t[13],18),t[14]^=r(t[10]+t[6],7),t[2]^=r(t[14]+t[10],9),t[6]^=r(t[2]+t[14],13),t[10]^=r(t[6]+t[2],18),t[3]^=r(t[15]+t[11],7),t[7]^=r(t[3]+t[15],9),t[11]^=r(t[7]+t[3],13),t[15]^=r(t[11]+t[7],18),t[1]^=r(t[0]+t[3],7),t[2]^=r(t[1]+t[0],9),t[3]^=r(t[2]+t[1],13),t[0]^=r(t[3]+t[2],18),t[6]^=r(t[5]+t[4],7),t[7]^=r(t[6]+t[5],9),t[4]^=r(t[7]+t[6],13),t[5]^=r(t[4]+t[7],18),t[11]^=r(t[10]+t[9],7),t[8]^=r(t[11]+t[10],9),t[9]^=r(t[8]+t[11],13),t[10]^=r(t[9]+t[8],18),t[12]^=r(t[15]+t[14],7),t[13]^=r(t[12]+t[15],9),t[14]^=r(t[13]+t[12],13),t[15]^=r(t[14]+t[13],18);for(let r=0;r<16;r++)e[r]=e[r]+t[r]}}TughraKDF.LIMITS={iterations:1e7,N:1048576,r:32,p:16,memory:268435456,length:64};class TughraHash{constructor(e="SHA-256",t={}){this.algorithm=e,this.encoding=t.encoding||"hex",this.baseCharset=t.baseCharset||Tughra.DEFAULT_BASE_CHARSET,TughraHash._checkEncoding(this.encoding),this._state=TughraHash._createState(e),this._result=null}static async digest(e,t={}){const r=t.algorithm||"SHA-256";if(TughraHash._isStream(e)){const a=new TughraHash(r,t);for await(const t of TughraHash._chunks(e))a.update(t);return a.digest()}TughraHash._checkAlgorithm(r),TughraHash._checkEncoding(t.encoding||"hex");const a="string"==typeof e?(new TextEncoder).encode(e):await Tughra._toBytes(e);let n;if("CRC-32"===r){const e=TughraHash._crc32State();e.update(a),n=e.finish()}else n=new Uint8Array(await Tughra._webCrypto().subtle.digest(r,a));return TughraHash._encode(n,t.encoding||"hex",t.baseCharset)}static async verify(e,t,r={}){const a=await TughraHash.digest(e,r),n="hex"===(r.encoding||"hex");return Tughra._constantTimeEqual(a,n?String(t).toLowerCase():t)}static crc32(e,t=0){const r=TughraHash._bytes(e),a=TughraHash._crcTable();let n=~t;for(let e=0;e<r.length;e++)n=a[255&(n^r[e])]^n>>>8;return~n>>>0}update(e){if(this._result)throw new TughraError("Hash already finalized. Create a new TughraHash to hash more data.","INVALID_STATE");return this._state.update(TughraHash._bytes(e)),this}digest(e=this.encoding){return TughraHash._checkEncoding(e),this._result||(this._result=this._state.finish()),TughraHash._encode(this._result,e,this.baseCharset)}static _checkAlgorithm(e){if(!TughraHash.ALGORITHMS.includes(e))throw new TughraAlgorithmError(`Unsupported hash algorithm: ${e}. Use ${TughraHash.ALGORITHMS.join(", ")}.`,"UNKNOWN_ALGORITHM",{algorithm:e})}static _checkEncoding(e){if(!TughraHash.ENCODINGS.includes(e))throw new TughraAlgorithmError(`Unsupported digest encoding: ${e}. Use ${TughraHash.ENCODINGS.join(", ")}.`,"INVALID_OPTIONS",{encoding:e})}static _encode(e,t,r){return"bytes"===t?e:"hex"===t?Array.from(e,e=>e.toString(16).padStart(2,"0")).join(""):"base64"===t?Tughra.prototype._arrayBufferToBase64(e):Tughra._baseCodec(r).toBase(e)}static _bytes(e){return"string"==typeof e?(new TextEncoder).encode(e):Tughra._toBytesSync(e)}static _isStream(e){return!!e&&"string"!=typeof e&&("function"==typeof e.getReader||"function"==typeof e[Symbol.asyncIterator])}static async*_chunks(e){if("function"!=typeof e.getReader)return void(yield*e);const t=e.getReader();try{for(;;){const{done:e,value:r}=await t.read();if(e)return;yield r}}finally{t.releaseLock()}}static _createState(e){if(TughraHash._checkAlgorithm(e),"CRC-32"===e)return TughraHash._crc32State();const t=TughraHash._nodeCrypto();if(t){const r=t.createHash(e.replace("-","").toLowerCase());return{update:e=>r.update(e),finish:()=>new Uint8Array(r.digest())}}return"SHA-256"===e?TughraHash._sha256State():TughraHash._sha512State("SHA-384"===e?TughraHash._SHA384_IV:TughraHash._SHA512_IV,"SHA-384"===e?48:64)}static _nodeCrypto(){if("undefined"==typeof process||!process.versions||!process.versions.node||"function"!=typeof require)return null;const e=require("crypto");return"function"==typeof e.createHash?e:null}static _crcTable(){if(!TughraHash._crcTableCache){TughraHash._crcTableCache=new Int32Array(256);for(let e=0;e<256;e++){let t=e;for(let e=0;e<8;e++)t=1&t?3988292384^t>>>1:t>>>1;TughraHash._crcTableCache[e]=t}}return TughraHash._crcTableCache}static _crc32State(){let e=0;return{update:t=>{e=TughraHash.crc32(t,e)},finish:()=>new Uint8Array([e>>>24,e>>>16&255,e>>>8&255,255&e])}}static _blockState(e,t,r){const a=new Uint8Array(e);let n=0,s=0;return{update:r=>{for(let i=0;i<r.length;){const o=Math.min(e-n,r.length-i);a.set(r.subarray(i,i+o),n),n+=o,i+=o,s+=o,n===e&&(t(a),n=0)}},finish:()=>{a[n++]=128,n>e-e/8&&(a.fill(0,n),t(a),n=0),a.fill(0,n);const i=new DataView(a.buffer);return i.setUint32(e-8,Math.floor(s/536870912)),i.setUint32(e-4,8*s>>>0),t(a),r()}}}static _sha256State(){const e=TughraHash._SHA256_K,t=TughraHash._SHA256_IV.slice(),r=new Int32Array(64),a=(e,t)=>e>>>t|e<<32-t;return TughraHash._blockState(64,n=>{const s=new DataView(n.buffer);for(let e=0;e<16;e++)r[e]=s.getInt32(4*e);for(let e=16;e<64;e++){const t=a(r[e-15],7)^a(r[e-15],18)^r[e-15]>>>3,n=a(r[e-2],17)^a(r[e-2],19)^r[e-2]>>>10;r[e]=r[e-16]+t+r[e-7]+n}let[i,o,h,c,u,g,l,y]=t;for(let t=0;t<64;t++){const n=y+(a(u,6)^a(u,11)^a(u,25))+(u&g^~u&l)+e[t]+r[t]|0,s=(a(i,2)^a(i,13)^a(i,22))+(i&o^i&h^o&h)|0;y=l,l=g,g=u,u=c+n|0,c=h,h=o,o=i,i=n+s|0}t[0]+=i,t[1]+=o,t[2]+=h,t[3]+=c,t[4]+=u,t[5]+=g,t[6]+=l,t[7]+=y},()=>TughraHash._wordsToBytes(t,32))}static _sha512State(e,t){const r=TughraHash._SHA512_K,a=e.slice(),n=new Int32Array(160),s=(e,t,r)=>e>>>r|t<<32-r,i=(e,t,r)=>t>>>r|e<<32-r;return TughraHash._blockState(128,e=>{const t=new DataView(e.buffer);for(let e=0;e<32;e++)n[e]=t.getInt32(4*e);for(let e=32;e<160;e+=2){const t=n[e-30],r=n[e-29],a=n[e-4],o=n[e-3],h=s(t,r,1)^s(t,r,8)^t>>>7,c=i(t,r,1)^i(t,r,8)^i(t,r,7),u=s(a,o,19)^s(o,a,29)^a>>>6,g=(c>>>0)+((i(a,o,19)^i(o,a,29)^i(a,o,6))>>>0)+(n[e-13]>>>0)+(n[e-31]>>>0);n[e]=h+u+n[e-14]+n[e-32]+Math.floor(g/4294967296),n[e+1]=g}let o=a[0],h=a[1],c=a[2],u=a[3],g=a[4],l=a[5],y=a[6],d=a[7],p=a[8],f=a[9],m=a[10],T=a[11],_=a[12],E=a[13],A=a[14],w=a[15];for(let e=0;e<160;e+=2){const t=s(p,f,14)^s(p,f,18)^s(f,p,9),a=(w>>>0)+((i(p,f,14)^i(p,f,18)^i(f,p,9))>>>0)+((f&T^~f&E)>>>0)+(r[e+1]>>>0)+(n[e+1]>>>0),b=A+t+(p&m^~p&_)+r[e]+n[e]+Math.floor(a/4294967296),I=s(o,h,28)^s(h,o,2)^s(h,o,7),S=((i(o,h,28)^i(h,o,2)^i(h,o,7))>>>0)+((h&u^h&l^u&l)>>>0),C=I+(o&c^o&g^c&g)+Math.floor(S/4294967296);A=_,w=E,_=m,E=T,m=p,T=f;const N=(d>>>0)+(a>>>0);p=y+b+Math.floor(N/4294967296)|0,f=0|N,y=g,d=l,g=c,l=u,c=o,u=h;const B=(a>>>0)+(S>>>0);o=b+C+Math.floor(B/4294967296)|0,h=0|B}[o,h,c,u,g,l,y,d,p,f,m,T,_,E,A,w].forEach((e,t)=>{if(t%2){const r=(a[t]>>>0)+(e>>>0);a[t-1]+=Math.floor(r/4294967296),a[t]=r}else a[t]+=e})},()=>TughraHash._wordsToBytes(a,t))}static _wordsToBytes(e,t){const r=new Uint8Array(4*e.length),a=new DataView(r.buffer);return e.forEach((e,t)=>a.setInt32(4*t,e)),r.slice(0,t)}static _words(e){return Int32Array.from(e.flatMap(e=>[0|parseInt(e.slice(0,8),16),0|parseInt(e.slice(8),16)]))}}TughraHash.ALGORITHMS=["SHA-256","SHA-384","SHA-512","CRC-32"],TughraHash.ENCODINGS=["hex","base64","base","bytes"],TughraHash._SHA512_K=TughraHash._words(["428a2f98d728ae22","7137449123ef65cd","b5c0fbcfec4d3b2f","e9b5dba58189dbbc","3956c25bf348b538","59f111f1b605d019","923f82a4af194f9b","ab1c5ed5da6d8118","d807aa98a3030242","12835b0145706fbe","243185be4ee4b28c","550c7dc3d5ffb4e2","72be5d74f27b896f","80deb1fe3b1696b1","9bdc06a725c71235","c19bf174cf692694","e49b69c19ef14ad2","efbe4786384f25e3","0fc19dc68b8cd5b5","240ca1cc77ac9c65","2de92c6f592b0275","4a7484aa6ea6e483","5cb0a9dcbd41fbd4","76f988da831153b5","983e5152ee66dfab","a831c66d2db43210","b00327c898fb213f","bf597fc7beef0ee4","c6e00bf33da88fc2","d5a79147930aa725","06ca6351e003826f","142929670a0e6e70","27b70a8546d22ffc","2e1b21385c26c926","4d2c6dfc5ac42aed","53380d139d95b3df","650a73548baf63de","766a0abb3c77b2a8","81c2c92e47edaee6","92722c851482353b","a2bfe8a14cf10364","a81a664bbc423001","c24b8b70d0f89791","c76c51a30654be30","d192e819d6ef5218","d69906245565a910","f40e35855771202a","106aa07032bbd1b8","19a4c116b8d2d0c8","1e376c085141ab53","2748774cdf8eeb99","34b0bcb5e19b48a8","391c0cb3c5c95a63","4ed8aa4ae3418acb","5b9cca4f7763e373","682e6ff3d6b2b8a3","748f82ee5defb2fc","78a5636f43172f60","84c87814a1f0ab72","8cc702081a6439ec","90befffa23631e28","a4506cebde82bde9","bef9a3f7b2c67915","c67178f2e372532b","ca273eceea26619c","d186b8c721c0c207","eada7dd6cde0eb1e","f57d4f7fee6ed178","06f067aa72176fba","0a637dc5a2c898a6","113f9804bef90dae","1b710b35131c471b","28db77f523047d84","32caab7b40c72493","3c9ebe0a15c9bebc","431d67c49c100d4c","4cc5d4becb3e42b6","597f299cfc657e2a","5fcb6fab3ad6faec","6c44198c4a475817"]),TughraHash._SHA256_K=TughraHash._SHA512_K.filter((e,t)=>t%2==0&&t<128),TughraHash._SHA512_IV=TughraHash._words(["6a09e667f3bcc908","bb67ae8584caa73b","3c6ef372fe94f82b","a54ff53a5f1d36f1","510e527fade682d1","9b05688c2b3e6c1f","1f83d9abfb41bd6b","5be0cd19137e2179"]),TughraHash._SHA384_IV=TughraHash._words(["cbbb9d5dc1059ed8","629a292a367cd507","9159015a3070dd17","152fecd8f70e5939","67332667ffc00b31","8eb44a8768581511","db0c2e0d64f98fa7","47b5481dbefa4fa4"]),TughraHash._SHA256_IV=TughraHash._SHA512_IV.filter((e,t)=>t%2==0);class TughraKeyExchange{constructor(e,t,r){this.curve=e,this.privateKey=t,this.publicKey=r}static async generate(e="P-256"){const{privateKey:t,publicKey:r}=await Tughra._webCrypto().subtle.generateKey(TughraKeyExchange._algorithm(e),!0,["deriveBits"]);return new TughraKeyExchange(e,t,r)}static async importKeyPair(e){let t;try{t="string"==typeof e?JSON.parse(e):e}catch(e){throw new TughraKeyError("Invalid key pair: not valid JSON.","KEY_PAIR_INVALID")}const r=t&&t.crv;if(!TughraKeyExchange.CURVES.includes(r)||"string"!=typeof t.d)throw new TughraKeyError("Invalid key pair: expected a private P-256 or X25519 JWK.","KEY_PAIR_INVALID");const a=Tughra._webCrypto().subtle,n=TughraKeyExchange._algorithm(r),s=Object.assign({},t,{key_ops:[]});delete s.d;try{return new TughraKeyExchange(r,await a.importKey("jwk",t,n,!0,["deriveBits"]),await a.importKey("jwk",s,n,!0,[]))}catch(e){throw new TughraKeyError(`Invalid key pair: not a valid ${r} key.`,"KEY_PAIR_INVALID")}}async exportKeyPair(){return JSON.stringify(await Tughra._webCrypto().subtle.exportKey("jwk",this.privateKey))}async exportPublicKey(){const e=await Tughra._webCrypto().subtle.exportKey("raw",this.publicKey);return`${this.curve}:${Tughra.prototype._arrayBufferToBase64(e)}`}async fingerprint(e){return TughraLibrary._publicKeyFingerprint(e||await this.exportPublicKey())}async deriveKey(e,{info:t="",salt:r="",length:a=32}={}){const n=Tughra._webCrypto().subtle,s=await this.exportPublicKey(),i=await this._importPublicKey(e);if(e===s)throw new TughraKeyError("The peer public key is our own public key.","PUBLIC_KEY_INVALID");const o=await n.deriveBits({name:this.privateKey.algorithm.name,public:i},this.privateKey,256),h=await n.importKey("raw",o,"HKDF",!1,["deriveBits"]),c=["tughra-ecdh",this.curve].concat([s,e].sort(),t).join("\n"),u=await n.deriveBits({name:"HKDF",hash:"SHA-256",salt:(new TextEncoder).encode(r),info:(new TextEncoder).encode(c)},h,8*a);return Tughra.prototype._arrayBufferToBase64(u)}async _importPublicKey(e){const[t,r]=String(e).split(":");if(t!==this.curve)throw new TughraKeyError(`Invalid public key: expected a ${this.curve} key, got '${t}'.`,"PUBLIC_KEY_INVALID");let a;try{a=Tughra.prototype._base64ToArrayBuffer(r||"")}catch(e){throw new TughraKeyError("Invalid public key: not valid Base64.","PUBLIC_KEY_INVALID")}try{return await Tughra._webCrypto().subtle.importKey("raw",a,TughraKeyExchange._algorithm(t),!0,[])}catch(e){throw new TughraKeyError(`Invalid public key: not a valid ${t} point.`,"PUBLIC_KEY_INVALID")}}static _algorithm(e){if(!TughraKeyExchange.CURVES.includes(e))throw new TughraAlgorithmError(`Unsupported curve: ${e}. Use ${TughraKeyExchange.CURVES.join(" or ")}.`,"UNKNOWN_ALGORITHM",{algorithm:e});return"X25519"===e?{name:"X25519"}:{name:"ECDH",namedCurve:e}}}TughraKeyExchange.CURVES=["P-256","X25519"];class TughraSignature{constructor(e,t,r){this.algorithm=e,this.privateKey=t,this.publicKey=r}static async generate(e="P-256"){const{privateKey:t,publicKey:r}=await Tughra._webCrypto().subtle.generateKey(TughraSignature._algorithm(e),!0,["sign","verify"]);return new TughraSignature(e,t,r)}static async importKeyPair(e){let t;try{t="string"==typeof e?JSON.parse(e):e}catch(e){throw new TughraKeyError("Invalid key pair: not valid JSON.","KEY_PAIR_INVALID")}const r=t&&t.crv;if(!TughraSignature.ALGORITHMS.includes(r)||"string"!=typeof t.d)throw new TughraKeyError("Invalid key pair: expected a private P-256 or Ed25519 JWK.","KEY_PAIR_INVALID");const a=Tughra._webCrypto().subtle,n=Object.assign({},t,{key_ops:["verify"]});delete n.d;try{return new TughraSignature(r,await a.importKey("jwk",t,TughraSignature._algorithm(r),!0,["sign"]),await a.importKey("jwk",n,TughraSignature._algorithm(r),!0,["verify"]))}catch(e){throw new TughraKeyError(`Invalid key pair: not a valid ${r} key.`,"KEY_PAIR_INVALID")}}async exportKeyPair(){return JSON.stringify(await Tughra._webCrypto().subtle.exportKey("jwk",this.privateKey))}async exportPublicKey(){const e=await Tughra._webCrypto().subtle.exportKey("raw",this.publicKey);return`${this.algorithm}:${Tughra.prototype._arrayBufferToBase64(e)}`}async fingerprint(e){return TughraLibrary._publicKeyFingerprint(e||await this.exportPublicKey())}async sign(e){const t=await Tughra._webCrypto().subtle.sign(TughraSignature._signParams(this.algorithm),this.privateKey,await TughraSignature._messageBytes(e));return Tughra.prototype._arrayBufferToBase64(t)}static async verify(e,t,r){const a=String(r).split(":")[0],n=await TughraSignature._importPublicKey(r);let s;try{s=Tughra.prototype._base64ToArrayBuffer(t)}catch(e){return!1}return Tughra._webCrypto().subtle.verify(TughraSignature._signParams(a),n,s,await TughraSignature._messageBytes(e))}async wrap(e){if("string"!=typeof e)throw new TughraError("Only strings can be wrapped; sign() also accepts bytes.","INVALID_ARGUMENT");const t=await this.exportPublicKey(),r={tughraSigned:TughraSignature.FORMAT_VERSION,publicKey:t,data:e};return r.signature=await this.sign(TughraSignature._signedContent(r)),JSON.stringify(r)}static async unwrap(e,t){let r;try{r="string"==typeof e?JSON.parse(e):e}catch(e){throw new TughraDecodeError("Invalid signed message: not valid JSON.","INVALID_SIGNED_MESSAGE")}if(!r||r.tughraSigned!==TughraSignature.FORMAT_VERSION||"string"!=typeof r.data||"string"!=typeof r.publicKey||"string"!=typeof r.signature)throw new TughraDecodeError("Invalid signed message: unsupported version or missing fields.","INVALID_SIGNED_MESSAGE");const a=[].concat(t||[]);if(0===a.length)throw new TughraError("At least one trusted public key is required to check the sender.","INVALID_ARGUMENT");if(!a.includes(r.publicKey))throw new TughraIntegrityError("Signature check failed: the message was signed by an untrusted key.","wrong-key");if(!await TughraSignature.verify(TughraSignature._signedContent(r),r.signature,r.publicKey))throw new TughraIntegrityError("Signature check failed: the message is corrupted or has been tampered with.","corrupted");return{data:r.data,publicKey:r.publicKey}}static async _messageBytes(e){return"string"==typeof e?(new TextEncoder).encode(e):Tughra._toBytes(e)}static _signedContent(e){return JSON.stringify(["tughra-signed",e.tughraSigned,e.publicKey,e.data])}static async _importPublicKey(e){const[t,r]=String(e).split(":"),a=TughraSignature._algorithm(t);let n;try{n=Tughra.prototype._base64ToArrayBuffer(r||"")}catch(e){throw new TughraKeyError("Invalid public key: not valid Base64.","PUBLIC_KEY_INVALID")}try{return await Tughra._webCrypto().subtle.importKey("raw",n,a,!0,["verify"])}catch(e){throw new TughraKeyError(`Invalid public key: not a valid ${t} key.`,"PUBLIC_KEY_INVALID")}}static _algorithm(e){if(!TughraSignature.ALGORITHMS.includes(e))throw new TughraAlgorithmError(`Unsupported signature algorithm: ${e}. Use ${TughraSignature.ALGORITHMS.join(" or ")}.`,"UNKNOWN_ALGORITHM",{algorithm:e});return"Ed25519"===e?{name:"Ed25519"}:{name:"ECDSA",namedCurve:e}}static _signParams(e){return"Ed25519"===e?{name:"Ed25519"}:{name:"ECDSA",hash:"SHA-256"}}}TughraSignature.ALGORITHMS=["P-256","Ed25519"],TughraSignature.FORMAT_VERSION=1;class TughraPipeline{constructor(e=[]){this.steps=e.map((e,t)=>TughraPipeline._normalizeStep(e,t))}addStep(e){return this.steps.push(TughraPipeline._normalizeStep(e,this.steps.length)),this}async encrypt(e,t={}){let r=e;for(const e of this.steps)Tughra._throwIfAborted(t.signal),r=await TughraPipeline._runStep(e,"encrypt",r,t.signal);return r}async decrypt(e,t={}){let r=e;for(const e of this.steps.slice().reverse())Tughra._throwIfAborted(t.signal),r=await TughraPipeline._runStep(e,"decrypt",r,t.signal);return r}toJSON({includeKeys:e=!1}={}){return{tughraPipeline:TughraPipeline.RECIPE_VERSION,steps:this.steps.map(t=>{const r=Object.assign({},t);return e||delete r.key,r})}}exportRecipe(e){return JSON.stringify(this.toJSON(e),null,2)}static importRecipe(e,t=[]){let r;try{r="string"==typeof e?JSON.parse(e):e}catch(e){throw new TughraDecodeError("Invalid pipeline recipe: not valid JSON.","INVALID_RECIPE")}if(!r||r.tughraPipeline!==TughraPipeline.RECIPE_VERSION||!Array.isArray(r.steps))throw new TughraDecodeError("Invalid pipeline recipe: unsupported or missing version.","UNSUPPORTED_VERSION",{format:"recipe",version:r&&r.tughraPipeline});return new TughraPipeline(r.steps.map((e,r)=>"base"!==e.type&&void 0===e.key&&void 0!==t[r]?Object.assign({},e,{key:t[r]}):e))}static _normalizeStep(e,t){if(!e||"object"!=typeof e)throw new TughraError(`Invalid pipeline step ${t}: expected an object.`,"INVALID_ARGUMENT",{step:t});if("base"===e.type)return{type:"base",baseCharset:e.baseCharset||Tughra.DEFAULT_BASE_CHARSET};if(!Tughra._algorithms.has(e.algorithm))throw new TughraAlgorithmError(`Invalid pipeline step ${t}: unknown algorithm '${e.algorithm}'.`,"UNKNOWN_ALGORITHM",{step:t,algorithm:e.algorithm});const r=void 0===e.cycles?1:e.cycles;if(!Number.isInteger(r)||r<1)throw new TughraError(`Invalid pipeline step ${t}: cycles must be a positive integer.`,"INVALID_ARGUMENT",{step:t});if(r%2==0&&Tughra._algorithms.get(e.algorithm).symmetric)throw new TughraAlgorithmError(`Invalid pipeline step ${t}: ${r} cycles of the self-inverse '${e.algorithm}' return the input unchanged.`,"INVALID_OPTIONS",{step:t,algorithm:e.algorithm,cycles:r});const a={type:"cipher",algorithm:e.algorithm,cycles:r};return void 0!==e.key&&(a.key=e.key),void 0!==e.baseCharset&&(a.baseCharset=e.baseCharset),e.useBaseEncoding&&(a.useBaseEncoding=!0),void 0!==e.shift&&(a.shift=e.shift),void 0!==e.affine&&(a.affine={a:e.affine.a,b:e.affine.b}),e.codePoints&&(a.codePoints=Tughra._normalizeCodePoints(e.codePoints)),a}static async _runStep(e,t,r,a){if("base"===e.type){const a=Tughra._baseCodec(e.baseCharset);return"encrypt"===t?a.toBase(r):a.fromBase(r)}return new Tughra(t,e.baseCharset,e.algorithm,e.key,!0===e.useBaseEncoding,{shift:e.shift,affine:e.affine,codePoints:e.codePoints}).processAsync(r,e.cycles,{signal:a})}}TughraPipeline.RECIPE_VERSION=1;class TughraAnalysis{static frequencies(e){const t=new Array(26).fill(0);for(const r of TughraAnalysis._letterIndexes(e))t[r]++;const r=t.reduce((e,t)=>e+t,0),a={};return t.forEach((e,t)=>{a[Tughra.ALPHABET[t]]=r>0?e/r:0}),{counts:t,total:r,frequencies:a,indexOfCoincidence:TughraAnalysis._indexOfCoincidence(t,r)}}static chiSquared(e){const t=new Array(28).fill(0);let r=0;for(const a of e){const e=Tughra.ALPHABET.indexOf(a.toLowerCase());t[-1!==e?e:" "===a?26:27]++,r++}if(0===r)return 1/0;const a=TughraAnalysis.ENGLISH_FREQUENCIES.map(e=>e*TughraAnalysis.LETTER_SHARE).concat(TughraAnalysis.SPACE_SHARE,1-TughraAnalysis.LETTER_SHARE-TughraAnalysis.SPACE_SHARE);return t.reduce((e,t,n)=>{const s=a[n]*r;return e+(t-s)*(t-s)/s},0)}static ngramScore(e){return TughraAnalysis._ngramScoreIndexes(TughraAnalysis._letterIndexes(e))}static _ngramScoreIndexes(e){const t=TughraAnalysis._ngramTables();let r=0;for(let a=0;a<e.length;a++)r+=t.letters[e[a]],a+1<e.length&&(r+=t.bigrams[26*e[a]+e[a+1]]),a+2<e.length&&(r+=t.trigrams[26*(26*e[a]+e[a+1])+e[a+2]]);return r}static bruteForce(e,t,{top:r=5}={}){const a=[],n=(e,r)=>a.push({algorithm:t,key:e,plaintext:r,score:TughraAnalysis.chiSquared(r)}),s=TughraAnalysis._applyLetters;switch(t){case"caesar":for(let t=1;t<=255;t++)n({shift:t},Array.from(e,e=>String.fromCharCode(Math.max(e.charCodeAt(0)-t,0))).join(""));break;case"ROT":for(let t=1;t<26;t++)n({n:t},s(e,e=>(e-t+26)%26));break;case"Atbash":n({},s(e,e=>25-e));break;case"Reversed Caesar":for(let t=0;t<26;t++)n({shift:t},s(e,e=>(25-e+t)%26));break;case"Affine":for(const t of Tughra.AFFINE_MULTIPLIERS){const r=Tughra.prototype._modInverse(t,26);for(let a=0;a<26;a++)n({a:t,b:a},s(e,e=>r*(e-a+26)%26))}break;default:throw new TughraAlgorithmError(`Brute force is not available for '${t}'. Use caesar, ROT, Atbash, Reversed Caesar or Affine.`,"UNKNOWN_ALGORITHM",{algorithm:t})}return TughraAnalysis._rankByChiSquared(a).slice(0,r)}static guess(e,{top:t=5}={}){const r=TughraAnalysis.BRUTE_FORCE_ALGORITHMS.flatMap(t=>TughraAnalysis.bruteForce(e,t,{top:1/0}));return TughraAnalysis._rankByChiSquared(r).slice(0,t)}static substitution(e,{restarts:t=30,top:r=3}={}){const a=TughraAnalysis._letterIndexes(e);if(0===a.length)throw new TughraError("The ciphertext contains no letters to analyse.","INVALID_ARGUMENT");const n=TughraAnalysis.frequencies(e).counts,s=Array.from(n.keys()).sort((e,t)=>n[t]-n[e]),i=Array.from(TughraAnalysis.ENGLISH_FREQUENCIES.keys()).sort((e,t)=>TughraAnalysis.ENGLISH_FREQUENCIES[t]-TughraAnalysis.ENGLISH_FREQUENCIES[e]);let o=new Array(26);s.forEach((e,t)=>{o[e]=i[t]});const h=e=>TughraAnalysis._ngramScoreIndexes(a.map(t=>e[t])),c=[];let u=-1/0;for(let r=0;r<t;r++){const t=o.slice();for(let e=0;r>0&&e<2+r%6;e++)TughraAnalysis._swap(t,Math.floor(26*Math.random()),Math.floor(26*Math.random()));let a=h(t);for(let e=!0;e;){e=!1;for(let r=0;r<25;r++)for(let n=r+1;n<26;n++){TughraAnalysis._swap(t,r,n);const s=h(t);s>a?(a=s,e=!0):TughraAnalysis._swap(t,r,n)}}const n=new Array(26);t.forEach((e,t)=>{n[e]=Tughra.ALPHABET[t]}),c.some(e=>e.key===n.join(""))||c.push({algorithm:"Substitution",key:n.join(""),plaintext:TughraAnalysis._applyLetters(e,e=>t[e]),score:a}),a>u&&(u=a,o=t)}return TughraAnalysis._rankByLog10(c).slice(0,r)}static estimateKeyLength(e,{maxLength:t=20}={}){const r=e instanceof Uint8Array?Array.from(e):TughraAnalysis._letterIndexes(e),a=e instanceof Uint8Array?256:26,n=Math.min(t,Math.floor(r.length/2));if(n<1)throw new TughraError("The ciphertext is too short to estimate a key length.","INVALID_ARGUMENT");const s=new Map,i=[];for(let e=0;e+3<=r.length;e++){const t=r.slice(e,e+3).join(",");s.has(t)&&i.push(e-s.get(t)),s.set(t,e)}const o=[];for(let e=1;e<=n;e++){let t=0;for(let n=0;n<e;n++){const s=new Array(a).fill(0);let i=0;for(let t=n;t<r.length;t+=e)s[r[t]]++,i++;t+=TughraAnalysis._indexOfCoincidence(s,i)/e}const n=i.length>0?i.filter(t=>t%e===0).length/i.length:0;o.push({length:e,indexOfCoincidence:t,kasiski:n,score:Math.max(t-1/a,0)*(1+n)})}o.sort((e,t)=>t.score-e.score);const h=o.filter(e=>e.score>=.9*o[0].score).reduce((e,t)=>t.length<e.length?t:e);o.splice(o.indexOf(h),1),o.unshift(h);const c=o.reduce((e,t)=>e+t.score,0);return o.map(({length:e,indexOfCoincidence:t,kasiski:r,score:a})=>({length:e,indexOfCoincidence:t,kasiski:r,confidence:c>0?a/c:1/o.length}))}static vigenere(e,{maxLength:t=20,lengths:r=3,top:a=3}={}){const n=TughraAnalysis.estimateKeyLength(e,{maxLength:t}).slice(0,r).map(({length:t})=>{const r=TughraAnalysis._letterIndexes(e),a=[];for(let e=0;e<t;e++){const n=r.filter((r,a)=>a%t===e);a.push(TughraAnalysis._bestShift(e=>n.map(t=>Tughra.ALPHABET[(t-e+26)%26]).join(""),26))}const n=TughraAnalysis._period(a);let s=0;const i=TughraAnalysis._applyLetters(e,e=>(e-a[s++%n]+26)%26);return{algorithm:"Vigenère",key:a.slice(0,n).map(e=>Tughra.ALPHABET[e]).join(""),plaintext:i,score:TughraAnalysis.chiSquared(i)+n*Math.log(r.length)}});return TughraAnalysis._rankByChiSquared(TughraAnalysis._unique(n)).slice(0,a)}static vigenereBytes(e,{maxLength:t=32,lengths:r=3,top:a=3}={}){const n=Tughra.prototype._base64ToArrayBuffer(e),s=new TextDecoder,i=TughraAnalysis.estimateKeyLength(n,{maxLength:t}).slice(0,r).map(({length:e})=>{const t=new Uint8Array(e);for(let r=0;r<e;r++){const a=n.filter((t,a)=>a%e===r);t[r]=TughraAnalysis._bestShift(e=>String.fromCharCode(...a.map(t=>(t-e+256)%256)),256)}const r=TughraAnalysis._period(t),a=s.decode(n.map((e,a)=>(e-t[a%r]+256)%256));return{algorithm:"vigenere",key:s.decode(t.slice(0,r)),plaintext:a,score:TughraAnalysis.chiSquared(a)+r*Math.log(n.length)}});return TughraAnalysis._rankByChiSquared(TughraAnalysis._unique(i)).slice(0,a)}static _letterIndexes(e){const t=[];for(const r of e){const e=Tughra.ALPHABET.indexOf(r.toLowerCase());-1!==e&&t.push(e)}return t}static _applyLetters(e,t){return e.replace(/[A-Za-z]/g,e=>{const r=e<="Z"?65:97;return String.fromCharCode(t(e.charCodeAt(0)-r)+r)})}static _indexOfCoincidence(e,t){return t<2?0:e.reduce((e,t)=>e+t*(t-1),0)/(t*(t-1))}static _bestShift(e,t){let r=0,a=1/0;for(let n=0;n<t;n++){const t=TughraAnalysis.chiSquared(e(n));t<a&&(r=n,a=t)}return r}static _period(e){for(let t=1;t<e.length;t++)if(e.length%t===0&&Array.prototype.every.call(e,(r,a)=>r===e[a%t]))return t;return e.length}static _unique(e){return e.filter((t,r)=>e.findIndex(e=>e.key===t.key)===r)}static _swap(e,t,r){[e[t],e[r]]=[e[r],e[t]]}static _rankByChiSquared(e){return TughraAnalysis._rank(e.sort((e,t)=>e.score-t.score),e=>-e.score/2/Math.LN10)}static _rankByLog10(e){return TughraAnalysis._rank(e.sort((e,t)=>t.score-e.score),e=>e.score)}static _rank(e,t){if(0===e.length)return e;const r=t(e[0]),a=e.map(e=>Number.isFinite(r)?Math.pow(10,t(e)-r):1),n=a.reduce((e,t)=>e+t,0);return e.map((e,t)=>Object.assign(e,{confidence:a[t]/n}))}static _ngramTables(){if(!TughraAnalysis._ngrams){const e=TughraAnalysis._letterIndexes(TughraAnalysis.REFERENCE_TEXT),t=t=>{const r=new Float64Array(Math.pow(26,t)).fill(.5);for(let a=0;a+t<=e.length;a++)r[e.slice(a,a+t).reduce((e,t)=>26*e+t,0)]++;const a=r.reduce((e,t)=>e+t,0);return r.map(e=>Math.log10(e/a))};TughraAnalysis._ngrams={letters:TughraAnalysis.ENGLISH_FREQUENCIES.map(e=>Math.log10(e)),bigrams:t(2),trigrams:t(3)}}return TughraAnalysis._ngrams}}TughraAnalysis.ENGLISH_FREQUENCIES=[.08167,.01492,.02782,.04253,.12702,.02228,.02015,.06094,.06966,.00153,.00772,.04025,.02406,.06749,.07507,.01929,95e-5,.05987,.06327,.09056,.02758,.00978,.0236,.0015,.01974,74e-5],TughraAnalysis.LETTER_SHARE=.8,TughraAnalysis.SPACE_SHARE=.17,TughraAnalysis.REFERENCE_TEXT="Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty, and dedicated to the proposition that all men are created equal. Now we are engaged in a great civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. We are met on a great battle-field of that war. We have come to dedicate a portion of that field, as a final resting place for those who here gave their lives that that nation might live. It is altogether fitting and proper that we should do this. But, in a larger sense, we can not dedicate, we can not consecrate, we can not hallow this ground. The brave men, living and dead, who struggled here, have consecrated it, far above our poor power to add or detract. The world will little note, nor long remember what we say here, but it can never forget what they did here. It is for us the living, rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly advanced. It is rather for us to be here dedicated to the great task remaining before us, that from these honored dead we take increased devotion to that cause for which they gave the last full measure of devotion, that we here highly resolve that these dead shall not have died in vain, that this nation, under God, shall have a new birth of freedom, and that government of the people, by the people, for the people, shall not perish from the earth. We the People of the United States, in Order to form a more perfect Union, establish Justice, insure domestic Tranquility, provide for the common defence, promote the general Welfare, and secure the Blessings of Liberty to ourselves and our Posterity, do ordain and establish this Constitution for the United States of America. When in the Course of human events, it becomes necessary for one people to dissolve the political bands which have connected them with another, and to assume among the powers of the earth, the separate and equal station to which the Laws of Nature and of Nature's God entitle them, a decent respect to the opinions of mankind requires that they should declare the causes which impel them to the separation. We hold these truths to be self-evident, that all men are created equal, that they are endowed by their Creator with certain unalienable Rights, that among these are Life, Liberty and the pursuit of Happiness. In the beginning God created the heaven and the earth. And the earth was without form, and void; and darkness was upon the face of the deep. And the Spirit of God moved upon the face of the waters. And God said, Let there be light: and there was light. And God saw the light, that it was good: and God divided the light from the darkness. And God called the light Day, and the darkness he called Night. And the evening and the morning were the first day. It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in want of a wife. However little known the feelings or views of such a man may be on his first entering a neighbourhood, this truth is so well fixed in the minds of the surrounding families, that he is considered as the rightful property of some one or other of their daughters. Call me Ishmael. Some years ago, never mind how long precisely, having little or no money in my purse, and nothing particular to interest me on shore, I thought I would sail about a little and see the watery part of the world.",TughraAnalysis.BRUTE_FORCE_ALGORITHMS=["caesar","ROT","Atbash","Reversed Caesar","Affine"];class TughraWorkerPool{constructor({size:e,workerUrl:t="worker.js",createWorker:r,splitThreshold:a=65536}={}){this.size=e||"undefined"!=typeof navigator&&navigator.hardwareConcurrency||4,this.splitThreshold=a,this._createWorker=r||(()=>TughraWorkerPool._defaultWorker(t)),this._nextId=1,this._queue=[],this._workers=[],this._terminated=!1;for(let e=0;e<this.size;e++)this._workers.push(this._spawn())}run(e,{signal:t,onProgress:r}={}){const a=this._split(e);if(a.length>1){const n=a.map(()=>({cycle:0,bytesDone:0})),s=r&&(e=>(t,a,s)=>{n[e]={cycle:t,bytesDone:s},r(Math.min(...n.map(e=>e.cycle)),a,n.reduce((e,t)=>e+t.bytesDone,0))}),i=new AbortController,o=()=>i.abort();return t&&(t.aborted&&i.abort(),t.addEventListener("abort",o,{once:!0})),Promise.all(a.map((t,r)=>this._enqueue(Object.assign({},e,{text:t}),i.signal,s&&s(r)).catch(e=>{throw i.abort(),e}))).then(e=>e.join("")).finally(()=>{t&&t.removeEventListener("abort",o)})}return this._enqueue(e,t,r)}terminate(){this._terminated=!0;const e=TughraWorkerPool._terminatedError();this._queue.splice(0).forEach(t=>this._reject(t,e)),this._workers.forEach(t=>{t.task&&this._reject(t.task,e),t.worker.terminate()}),this._workers=[]}_enqueue(e,t,r){return new Promise((a,n)=>{if(this._terminated)return void n(TughraWorkerPool._terminatedError());if(t&&t.aborted)return void n(Tughra._abortError());const s={id:this._nextId++,job:e,resolve:a,reject:n,signal:t,onProgress:r};t&&(s.onAbort=()=>this._cancel(s),t.addEventListener("abort",s.onAbort,{once:!0})),this._queue.push(s),this._dispatch()})}_dispatch(){for(const e of this._workers)!e.task&&this._queue.length>0&&(e.task=this._queue.shift(),e.worker.postMessage({id:e.task.id,type:"process",job:e.task.job}))}_cancel(e){const t=this._queue.indexOf(e);if(-1!==t)this._queue.splice(t,1);else{const t=this._workers.find(t=>t.task===e);if(!t)return;t.task=null,this._replace(t)}e.reject(Tughra._abortError()),this._dispatch()}_spawn(){const e={worker:this._createWorker(),task:null},t=t=>this._settle(e,t),r=t=>{this._replace(e),this._settle(e,{id:e.task&&e.task.id,error:{name:"Error",message:t.message||String(t)}})};return"function"==typeof e.worker.on?(e.worker.on("message",t),e.worker.on("error",r)):(e.worker.onmessage=e=>t(e.data),e.worker.onerror=r),e}_replace(e){const t=this._workers.indexOf(e);e.worker.terminate(),-1!==t&&(this._workers[t]=this._spawn())}_settle(e,t){const r=e.task;r&&t.id===r.id&&(t.progress?r.onProgress&&r.onProgress(t.progress.cycle,t.progress.totalCycles,t.progress.bytesDone):(e.task=null,r.signal&&r.signal.removeEventListener("abort",r.onAbort),t.error?r.reject(TughraWorkerPool._toError(t.error)):r.resolve(t.result),this._dispatch()))}_reject(e,t){e.signal&&e.signal.removeEventListener("abort",e.onAbort),e.reject(t)}_split(e){const t=Tughra._algorithms.get(e.algorithm);if(!t||!t.positionIndependent||e.useBaseEncoding||this.size<2||!e.text||e.text.length<this.splitThreshold)return[e.text];const r=[],a=Math.ceil(e.text.length/this.size);let n=0;for(;n<e.text.length;){let t=Math.min(n+a,e.text.length);const s=e.text.charCodeAt(t-1);s>=55296&&s<=56319&&t<e.text.length&&t++,r.push(e.text.slice(n,t)),n=t}return r}static _terminatedError(){return new TughraError("The worker pool has been terminated.","INVALID_STATE")}static _toError(e){return TughraError.fromJSON("string"==typeof e?{message:e}:e)}static _defaultWorker(e){if("function"==typeof Worker)return new Worker(e);const t=require("path"),{Worker:r}=require("worker_threads");return new r("worker.js"===e?t.join(__dirname,"worker.js"):e)}}"undefined"!=typeof module&&module.exports?module.exports={Tughra:Tughra,TughraLibrary:TughraLibrary,TughraKDF:TughraKDF,TughraHash:TughraHash,TughraError:TughraError,TughraKeyError:TughraKeyError,TughraDecodeError:TughraDecodeError,TughraAlgorithmError:TughraAlgorithmError,TughraIntegrityError:TughraIntegrityError,TughraKeyExchange:TughraKeyExchange,TughraSignature:TughraSignature,TughraPipeline:TughraPipeline,TughraAnalysis:TughraAnalysis,TughraWorkerPool:TughraWorkerPool}:"undefined"!=typeof globalThis&&Object.assign(globalThis,{Tughra:Tughra,TughraLibrary:TughraLibrary,TughraKDF:TughraKDF,TughraHash:TughraHash,TughraError:TughraError,TughraKeyError:TughraKeyError,TughraDecodeError:TughraDecodeError,TughraAlgorithmError:TughraAlgorithmError,TughraIntegrityError:TughraIntegrityError,TughraKeyExchange:TughraKeyExchange,TughraSignature:TughraSignature,TughraPipeline:TughraPipeline,TughraAnalysis:TughraAnalysis,TughraWorkerPool:TughraWorkerPool});
\ No newline at end of file
@@ -0,0 +1,5 @@
+// ESM entry point: re-exports the named classes from the CommonJS build in tughra.js
+import tughra from './tughra.js';
+
+export const { Tughra, TughraLibrary, TughraKDF, TughraHash, TughraError, TughraKeyError, TughraDecodeError, TughraAlgorithmError, TughraIntegrityError, TughraKeyExchange, TughraSignature, TughraPipeline, TughraAnalysis, TughraWorkerPool } = tughra;
+export default tughra;
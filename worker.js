@@ -1,20 +1,49 @@
 // worker.js
+// Runs as a browser Web Worker or as a Node.js worker thread (used by TughraWorkerPool)
+if (typeof importScripts === 'function') {
 importScripts('tughra.js'); // Import your Tughra library here if necessary
+} else {
+Object.assign(globalThis, require('./tughra.js'));
+}
+
+const port = typeof importScripts === 'function' ? self : require('worker_threads').parentPort;
+const PROGRESS_INTERVAL = 16; // Milliseconds between two progress messages
 
-self.onmessage = function(e) {
-const { text, cycles, baseCharset, mode, useBaseEncoding, algorithm, encryptionKey } = e.data;
+// Jobs from TughraWorkerPool carry an id and are answered with the same id;
+// plain messages without an id are still supported. TughraWorkerPool cancels a job by
+// terminating this worker, so cycles run without yielding to the event loop.
+async function handleMessage(data) {
+const { id } = data;
+const { text, cycles, baseCharset, mode, useBaseEncoding, algorithm, encryptionKey, options } = id === undefined ? data : data.job;
+let lastProgress = 0;
 
 try {
 // Initialize the Tughra object
-const tughra = new Tughra(mode, baseCharset, algorithm, encryptionKey, useBaseEncoding);
+const tughra = new Tughra(mode, baseCharset, algorithm, encryptionKey, useBaseEncoding, options);
 
-// Process the text
-const resultText = tughra.process(text, cycles);
+// Process the text (processAsync also covers WebCrypto algorithms such as AES-GCM),
+// forwarding progress at most every PROGRESS_INTERVAL ms and after the last cycle
+const resultText = await tughra.processAsync(text, cycles, {
+onProgress: (cycle, totalCycles, bytesDone) => {
+if (cycle === totalCycles || Date.now() - lastProgress >= PROGRESS_INTERVAL) {
+lastProgress = Date.now();
+port.postMessage({ id, progress: { cycle, totalCycles, bytesDone } });
+}
+}
+});
 
 // Send the result back to the main thread
-self.postMessage({ result: resultText, error: null });
+port.postMessage({ id, result: resultText, error: null });
 } catch (error) {
-// Send any errors back to the main thread
-self.postMessage({ result: null, error: error.message });
+// Send any errors back to the main thread with their class name, stable code and details
+// (TughraError.fromJSON() turns them back into the same error class)
+const serialized = error instanceof TughraError ? error.toJSON() : { name: error.name, message: error.message, code: error.code };
+port.postMessage({ id, result: null, error: serialized });
+}
+}
+
+if (typeof importScripts === 'function') {
+self.onmessage = e => handleMessage(e.data);
+} else {
+port.on('message', handleMessage);
 }
-};